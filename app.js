@@ -32,6 +32,15 @@ console.log(`🗄️  数据库: ${MONGODB_URI}`);
 // 数据库连接
 const connectDB = require('./config/database');
 connectDB();
+
+// 对比报告定时重新计算
+const { startReportScheduler } = require('./utils/reportRerunHelper');
+startReportScheduler();
+
+// 博客定时发布
+const { startBlogPublisher } = require('./utils/blogPublishHelper');
+startBlogPublisher();
+
 app.use(async (ctx, next) => {
   if (ctx.path.startsWith('/api/')) {
     ctx.set('Cache-Control', 'no-cache, no-store, must-revalidate')
@@ -108,10 +117,15 @@ app.use(async (ctx, next) => {
   }
 });
 
+// 校验访问令牌对应的登录会话，已注销、被下线或账户停用的令牌立即失效
+const { sessionGuard } = require('./utils/sessionHelper');
+app.use(sessionGuard);
+
 // 路由引入
 const authRoutes = require('./routes/auth');
 const mapRoutes = require('./routes/map');
 const adminRoutes = require('./routes/admin');
+const importRoutes = require('./routes/import');
 const mallRoutes = require('./routes/mall');
 const uploadRoutes = require('./routes/upload');
 const blogRoutes = require('./routes/blogs');
@@ -123,11 +137,18 @@ const feedbackRoutes = require('./routes/feedback');
 const userRoutes = require('./routes/user');
 const blacklistRoutes = require('./routes/blacklist');
 const deepseekRoutes = require('./routes/deepseek');
+const searchRoutes = require('./routes/search');
+const rbacRoutes = require('./routes/rbac');
+const auditRoutes = require('./routes/audit');
+const loginLockRoutes = require('./routes/loginLock');
+const sensitiveWordRoutes = require('./routes/sensitiveWord');
+const moderationRoutes = require('./routes/moderation');
 
 
 app.use(authRoutes.routes()).use(authRoutes.allowedMethods());
 app.use(mapRoutes.routes()).use(mapRoutes.allowedMethods());
 app.use(adminRoutes.routes()).use(adminRoutes.allowedMethods());
+app.use(importRoutes.routes()).use(importRoutes.allowedMethods());
 app.use(mallRoutes.routes()).use(mallRoutes.allowedMethods());
 app.use(uploadRoutes.routes()).use(uploadRoutes.allowedMethods());
 app.use(commentRoutes.routes()).use(commentRoutes.allowedMethods());
@@ -139,6 +160,12 @@ app.use(feedbackRoutes.routes()).use(feedbackRoutes.allowedMethods());
 app.use(userRoutes.routes()).use(userRoutes.allowedMethods());
 app.use(blacklistRoutes.routes()).use(blacklistRoutes.allowedMethods());
 app.use(deepseekRoutes.routes()).use(deepseekRoutes.allowedMethods());
+app.use(searchRoutes.routes()).use(searchRoutes.allowedMethods());
+app.use(rbacRoutes.routes()).use(rbacRoutes.allowedMethods());
+app.use(auditRoutes.routes()).use(auditRoutes.allowedMethods());
+app.use(loginLockRoutes.routes()).use(loginLockRoutes.allowedMethods());
+app.use(sensitiveWordRoutes.routes()).use(sensitiveWordRoutes.allowedMethods());
+app.use(moderationRoutes.routes()).use(moderationRoutes.allowedMethods());
 
 // 生产环境下静态托管前端构建产物，并提供 SPA 回退
 // const distDir = path.join(__dirname, 'client', 'dist');
@@ -0,0 +1,31 @@
+/**
+ * 内容审核状态与博客发布状态
+ * 博客与评论发布时经风险检查（见 utils/moderationHelper.js），有风险的进入待审核队列，审核通过前只有作者可见；
+ * 博客另有发布状态，草稿与定时发布的博客发布前只有作者可见，两者都满足时才公开
+ */
+
+const MODERATION_STATUSES = {
+    pending: '待审核',
+    approved: '已通过',
+    rejected: '已拒绝',
+    hidden: '已隐藏'
+};
+
+// 可审核的内容类型
+const MODERATION_TARGETS = {
+    blog: '博客',
+    comment: '评论'
+};
+
+// 博客发布状态（旧数据没有发布状态，视为已发布）
+const PUBLISH_STATUSES = {
+    draft: '草稿',
+    scheduled: '定时发布',
+    published: '已发布'
+};
+
+module.exports = {
+    MODERATION_STATUSES,
+    MODERATION_TARGETS,
+    PUBLISH_STATUSES
+};
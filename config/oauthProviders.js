@@ -0,0 +1,34 @@
+/**
+ * 第三方登录配置
+ * type 决定对接方式（见 utils/oauthHelper.js）：oidc 为标准 OpenID Connect，github、wechat 为各自的 OAuth 2.0 接口。
+ * 未配置 clientId 的提供方不启用；新增 OpenID Connect 提供方只需在此增加一项 type 为 oidc 的配置
+ */
+
+const OAUTH_PROVIDERS = {
+    github: {
+        name: 'GitHub',
+        type: 'github',
+        clientId: process.env.GITHUB_CLIENT_ID,
+        clientSecret: process.env.GITHUB_CLIENT_SECRET,
+        scope: 'read:user user:email'
+    },
+    wechat: {
+        name: '微信',
+        type: 'wechat',
+        clientId: process.env.WECHAT_APP_ID,
+        clientSecret: process.env.WECHAT_APP_SECRET,
+        scope: 'snsapi_login'
+    },
+    oidc: {
+        name: process.env.OIDC_NAME || 'OpenID Connect',
+        type: 'oidc',
+        issuer: process.env.OIDC_ISSUER,
+        clientId: process.env.OIDC_CLIENT_ID,
+        clientSecret: process.env.OIDC_CLIENT_SECRET,
+        scope: 'openid email profile'
+    }
+};
+
+module.exports = {
+    OAUTH_PROVIDERS
+};
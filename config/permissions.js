@@ -0,0 +1,84 @@
+/**
+ * 权限与角色配置
+ * 权限命名为 资源:操作；角色为若干权限的集合，用户可同时拥有多个角色。
+ * 旧的 User.role = 'admin' 视为超级管理员，拥有全部权限
+ */
+
+const PERMISSIONS = {
+    'region:write': '维护省份、城市、区县',
+    'brand:write': '维护品牌',
+    'mall:write': '维护商场',
+    'brandStore:write': '维护品牌门店',
+    'dictionary:write': '维护数据字典',
+    'data:import': '批量导入数据',
+    'data:restore': '查看、恢复软删除数据',
+    'data:purge': '永久删除软删除数据（不可恢复）',
+    'statistics:manage': '重建区域统计',
+    'search:analytics': '查看搜索分析',
+    'audit:read': '查看操作日志',
+    'audit:revert': '撤销管理操作',
+    'blog:manage': '编辑、删除任意博客',
+    'comment:manage': '删除任意评论',
+    'report:handle': '处理举报',
+    'content:moderate': '审核博客与评论（通过、拒绝、隐藏）',
+    'sensitive:manage': '维护敏感词库、复核敏感词命中',
+    'feedback:read': '查看全部反馈',
+    'feedback:reply': '回复反馈、更新反馈状态',
+    'feedback:delete': '删除反馈',
+    'user:read': '查看用户列表及详情',
+    'user:manage': '创建、编辑、禁用、删除用户',
+    'rbac:manage': '管理角色分配'
+};
+
+// 可删除数据或调整账户权限等难以恢复的权限，拥有其中任一权限的账户必须开启两步验证
+const DESTRUCTIVE_PERMISSIONS = [
+    'region:write',
+    'brandStore:write',
+    'data:purge',
+    'audit:revert',
+    'blog:manage',
+    'comment:manage',
+    'feedback:delete',
+    'user:manage',
+    'rbac:manage'
+];
+
+const ROLES = {
+    super_admin: {
+        name: '超级管理员',
+        description: '拥有全部权限',
+        permissions: Object.keys(PERMISSIONS)
+    },
+    data_editor: {
+        name: '数据编辑',
+        description: '维护品牌、商场、门店、行政区划及数据字典',
+        permissions: [
+            'region:write',
+            'brand:write',
+            'mall:write',
+            'brandStore:write',
+            'dictionary:write',
+            'data:import',
+            'data:restore',
+            'statistics:manage',
+            'search:analytics',
+            'audit:read'
+        ]
+    },
+    moderator: {
+        name: '内容审核',
+        description: '处理举报，审核、管理博客与评论',
+        permissions: ['blog:manage', 'comment:manage', 'content:moderate', 'report:handle', 'sensitive:manage']
+    },
+    support_agent: {
+        name: '客服',
+        description: '处理用户反馈，查看用户信息',
+        permissions: ['feedback:read', 'feedback:reply', 'user:read']
+    }
+};
+
+module.exports = {
+    PERMISSIONS,
+    DESTRUCTIVE_PERMISSIONS,
+    ROLES
+};
@@ -0,0 +1,19 @@
+/**
+ * 用户处罚类型
+ * 处罚由管理员直接下达或处理举报时下达（见 utils/sanctionHelper.js），生效期内限制 restricts 中的操作，到期自动失效：
+ * comment 发表评论与回复、blog 发布与修改博客、interact 关注、收藏、点赞、login 登录与刷新令牌
+ */
+
+const SANCTION_TYPES = {
+    mute: { name: '禁言', restricts: ['comment'] },
+    post_ban: { name: '禁止发布', restricts: ['comment', 'blog'] },
+    suspend: { name: '暂停账户', restricts: ['comment', 'blog', 'interact', 'login'] }
+};
+
+// 处罚最长天数
+const MAX_SANCTION_DAYS = 365;
+
+module.exports = {
+    SANCTION_TYPES,
+    MAX_SANCTION_DAYS
+};
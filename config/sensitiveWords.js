@@ -0,0 +1,103 @@
+/**
+ * 敏感词分类、级别与初始词库
+ * 词库保存在数据库中，由管理接口维护；DEFAULT_WORDS 只用于 scripts/init-sensitive-words.js 初始化
+ */
+
+const CATEGORIES = {
+    violence: '暴力',
+    porn: '色情',
+    political: '政治敏感',
+    gambling: '赌博',
+    drugs: '毒品',
+    fraud: '诈骗',
+    self_harm: '自残自杀',
+    hate: '仇恨歧视',
+    other: '其他'
+};
+
+// low 不拦截，命中的博客、评论进入待审核队列；medium 在严格模式下拦截；high 始终拦截
+const SEVERITIES = {
+    low: '送审',
+    medium: '严格模式拦截',
+    high: '拦截'
+};
+
+const DEFAULT_WORDS = [
+    {
+        category: 'violence',
+        severity: 'high',
+        words: [
+            '杀死', '杀害', '谋杀', '暴力', '打死', '弄死', '干掉', '灭掉', '血腥', '残忍',
+            '虐待', '折磨', '酷刑', '屠杀', '砍死', '刺死', '枪杀', '爆炸', '炸弹', '恐怖',
+            '袭击', '攻击', '伤害', '毁灭', '破坏', '仇杀', '报复', '威胁', '恐吓'
+        ]
+    },
+    {
+        category: 'porn',
+        severity: 'high',
+        words: [
+            '色情', '淫秽', '黄色', '裸体', '性交', '做爱', '强奸', '猥亵', '卖淫',
+            '嫖娼', '援交', '包养', '一夜情', '约炮', '开房'
+        ]
+    },
+    {
+        category: 'political',
+        severity: 'high',
+        words: [
+            '法轮功', '六四', '天安门', '达赖', '藏独', '台独', '疆独', '港独',
+            '反政府', '颠覆', '民运', '异议', '维权', '抗议', '游行', '示威'
+        ]
+    },
+    {
+        category: 'gambling',
+        severity: 'high',
+        words: [
+            '赌博', '赌场', '博彩', '彩票', '老虎机', '百家乐', '21点', '德州扑克',
+            '网络赌博', '地下赌场', '赌资', '赌债'
+        ]
+    },
+    {
+        category: 'drugs',
+        severity: 'high',
+        words: [
+            '毒品', '大麻', '海洛因', '冰毒', '摇头丸', '可卡因', '鸦片', '吸毒',
+            '贩毒', '制毒', '毒贩', '毒瘾'
+        ]
+    },
+    {
+        category: 'fraud',
+        severity: 'high',
+        words: [
+            '诈骗', '骗钱', '传销', '非法集资', '庞氏骗局', '网络诈骗', '电信诈骗',
+            '刷单', '洗钱', '黑钱', '假币'
+        ]
+    },
+    {
+        category: 'self_harm',
+        severity: 'high',
+        words: ['自杀', '跳楼', '割腕', '上吊', '服毒', '轻生', '寻死', '死去']
+    },
+    {
+        category: 'hate',
+        severity: 'high',
+        words: ['仇恨', '歧视', '种族主义', '纳粹', '希特勒', '反人类']
+    },
+    {
+        // 原严格模式下才检查的政治敏感词
+        category: 'political',
+        severity: 'medium',
+        words: [
+            '习近平', '李克强', '王岐山', '胡锦涛', '江泽民', '邓小平', '毛泽东',
+            '中南海', '政治局', '人大', '政协', '国务院', '中宣部', '统战部',
+            '共产党', '国民党', '民进党', '公民党', '民主党', '自由党',
+            '革命', '起义', '造反', '推翻', '政变', '军事政变', '独裁', '专制',
+            '民主化', '自由化', '政治改革', '体制改革', '一党专政'
+        ]
+    }
+];
+
+module.exports = {
+    CATEGORIES,
+    SEVERITIES,
+    DEFAULT_WORDS
+};
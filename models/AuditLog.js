@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// 操作日志：记录管理员对品牌、商场、门店、行政区划、数据字典及用户的修改，保存修改前后快照用于追溯与撤销
+const auditLogSchema = new mongoose.Schema({
+  // 操作人（系统任务为空）
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // 操作类型：create 新增、update 修改、delete 删除、restore 恢复软删除、purge 永久删除、revert 撤销
+  action: {
+    type: String,
+    enum: ['create', 'update', 'delete', 'restore', 'purge', 'revert'],
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['brand', 'mall', 'brand-store', 'province', 'city', 'district', 'dictionary', 'user'],
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // 操作对象名称，便于列表展示
+  targetName: {
+    type: String,
+    default: ''
+  },
+  // 修改前后的完整快照（新增时 before 为空，删除时 after 为空）
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // 字段级差异
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  ip: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  // 撤销记录指向被撤销的日志
+  revertOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AuditLog',
+    default: null
+  },
+  // 被撤销的时间与撤销人
+  revertedAt: {
+    type: Date,
+    default: null
+  },
+  revertedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
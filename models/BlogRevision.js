@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// 博客修订版本：创建与每次修改标题、正文、标签、图片后保存一份快照，作者可对比与恢复
+const blogRevisionSchema = new mongoose.Schema({
+  blog: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'blogs',
+    required: true
+  },
+  // 版本号，从 1 开始
+  version: {
+    type: Number,
+    required: true
+  },
+  // 产生方式：create 创建、initial 修订功能上线前的内容（首次修改前补存）、edit 修改、restore 恢复历史版本
+  reason: {
+    type: String,
+    enum: ['create', 'initial', 'edit', 'restore'],
+    default: 'edit'
+  },
+  // 恢复自哪个版本
+  restoredFrom: {
+    type: Number,
+    default: null
+  },
+  editor: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  // 内容快照
+  title: String,
+  content: String,
+  tags: [String],
+  blogImage: [{
+    _id: false,
+    image: String
+  }]
+}, {
+  timestamps: true
+});
+
+blogRevisionSchema.index({ blog: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('BlogRevision', blogRevisionSchema);
@@ -34,6 +34,17 @@ const brandStoreSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // 门店坐标（GeoJSON Point），默认与所在商场一致
+  location: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined
+    }
+  },
   isOla: {
     type: Boolean
   },
@@ -64,5 +75,8 @@ const brandStoreSchema = new mongoose.Schema({
 // 保证同一商场中同一品牌唯一
 brandStoreSchema.index({ brand: 1, mall: 1 }, { unique: true });
 
+// 地理位置索引，用于附近门店查询
+brandStoreSchema.index({ location: '2dsphere' });
+
 module.exports = mongoose.model('BrandStore', brandStoreSchema);
 
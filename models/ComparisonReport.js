@@ -16,14 +16,14 @@ const comparisonReportSchema = new mongoose.Schema({
     maxlength: 100
   },
 
-  // 对比类型：'mall' | 'city'
+  // 对比类型：'mall' | 'district' | 'city' | 'province'
   type: {
     type: String,
     required: true,
-    enum: ['mall', 'city']
+    enum: ['mall', 'district', 'city', 'province']
   },
 
-  // 对比的ID列表（商场或城市ID）
+  // 对比的ID列表（商场、区县、城市或省份ID）
   comparisonIds: [{
     type: mongoose.Schema.ObjectId,
     required: true
@@ -56,9 +56,9 @@ const comparisonReportSchema = new mongoose.Schema({
         type: String,
         required: true
       },
+      // 省份对比时为空
       city: {
-        type: String,
-        required: true
+        type: String
       },
       province: {
         type: String,
@@ -82,9 +82,77 @@ const comparisonReportSchema = new mongoose.Schema({
       totalStores: Number,
       totalScore: String,
       averageScore: String
-    }
+    },
+    // 品类构成（label 为生成时的字典名称）
+    categoryMix: [{
+      category: String,
+      label: String,
+      brandCount: Number,
+      storeCount: Number,
+      ratio: Number
+    }]
   }],
 
+  // 品牌重合度
+  overlap: {
+    // 所有位置共有的品牌
+    commonBrands: [{
+      _id: mongoose.Schema.ObjectId,
+      name: String,
+      code: String
+    }],
+    // 各位置独有的品牌
+    uniqueBrands: [{
+      location: mongoose.Schema.ObjectId,
+      name: String,
+      brands: [{
+        _id: mongoose.Schema.ObjectId,
+        name: String,
+        code: String
+      }]
+    }],
+    // Jaccard 相似度：overall 为全部位置交集 / 并集，pairs 为两两对比
+    jaccard: {
+      overall: Number,
+      pairs: [{
+        a: mongoose.Schema.ObjectId,
+        b: mongoose.Schema.ObjectId,
+        intersection: Number,
+        union: Number,
+        similarity: Number
+      }]
+    }
+  },
+
+  // 当前结果的版本号（每次重新计算加 1，历史版本见 ComparisonReportVersion）
+  version: {
+    type: Number,
+    default: 1
+  },
+
+  // 最近一次重新计算时间
+  lastRunAt: {
+    type: Date
+  },
+
+  // 定时重新计算
+  schedule: {
+    frequency: {
+      type: String,
+      enum: ['none', 'daily', 'weekly', 'monthly'],
+      default: 'none'
+    },
+    nextRunAt: {
+      type: Date
+    }
+  },
+
+  // 对比算法版本（旧报告无此字段，视为 1）
+  engineVersion: {
+    type: Number,
+    default: 1
+  },
+
   // 对比摘要
   summary: {
     totalLocations: Number,
@@ -124,5 +192,6 @@ const comparisonReportSchema = new mongoose.Schema({
 comparisonReportSchema.index({ user: 1, createdAt: -1 });
 comparisonReportSchema.index({ user: 1, type: 1 });
 comparisonReportSchema.index({ user: 1, isFavorite: 1 });
+comparisonReportSchema.index({ 'schedule.frequency': 1, 'schedule.nextRunAt': 1 });
 
 module.exports = mongoose.model('ComparisonReport', comparisonReportSchema);
\ No newline at end of file
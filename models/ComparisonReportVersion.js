@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const brandRefSchema = {
+  _id: mongoose.Schema.ObjectId,
+  name: String,
+  code: String
+};
+
+// 对比报告的历史版本：每次重新计算保存一份结果快照及与上一版本的差异
+const comparisonReportVersionSchema = new mongoose.Schema({
+  report: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'ComparisonReport',
+    required: true
+  },
+  // 版本号，从 1 开始（1 为报告创建时的结果）
+  version: {
+    type: Number,
+    required: true
+  },
+  // 触发方式：创建、手动重新计算、定时重新计算
+  trigger: {
+    type: String,
+    enum: ['initial', 'manual', 'schedule'],
+    default: 'manual'
+  },
+  // 结果快照（结构同 ComparisonReport）
+  results: mongoose.Schema.Types.Mixed,
+  summary: mongoose.Schema.Types.Mixed,
+  overlap: mongoose.Schema.Types.Mixed,
+  engineVersion: Number,
+
+  // 与上一版本的差异
+  diff: {
+    hasChanges: {
+      type: Boolean,
+      default: false
+    },
+    locations: [{
+      location: mongoose.Schema.ObjectId,
+      name: String,
+      brandsAdded: [{ ...brandRefSchema, storeCount: Number }],
+      brandsRemoved: [{ ...brandRefSchema, storeCount: Number }],
+      storeChanges: [{
+        brand: brandRefSchema,
+        before: Number,
+        after: Number
+      }],
+      totalStoresBefore: Number,
+      totalStoresAfter: Number
+    }]
+  }
+}, {
+  timestamps: true
+});
+
+comparisonReportVersionSchema.index({ report: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('ComparisonReportVersion', comparisonReportVersionSchema);
@@ -7,16 +7,36 @@ const emailVerificationSchema = new mongoose.Schema({
     lowercase: true,
     trim: true
   },
+  // 验证码；重置密码使用链接令牌，不需要验证码
   code: {
     type: String,
-    required: true,
+    required: function () {
+      return !this.tokenHash;
+    },
     length: 6
   },
+  // 重置密码链接令牌（SHA-256 哈希，不保存明文）
+  tokenHash: {
+    type: String,
+    default: null
+  },
   type: {
     type: String,
-    enum: ['login', 'register', 'reset_password'],
+    enum: ['login', 'register', 'reset_password', 'two_factor', 'change_email_old', 'change_email_new'],
     default: 'login'
   },
+  // 更换邮箱：发起用户与待绑定的新邮箱，原邮箱与新邮箱的两条验证码记录相同
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  newEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
   isUsed: {
     type: Boolean,
     default: false
@@ -39,5 +59,6 @@ emailVerificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
 // 创建复合索引，提高查询效率
 emailVerificationSchema.index({ email: 1, code: 1, type: 1 });
+emailVerificationSchema.index({ tokenHash: 1 });
 
 module.exports = mongoose.model('EmailVerification', emailVerificationSchema);
\ No newline at end of file
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// 登录失败记录：按账户（邮箱）、IP 与二次验证分别统计连续失败次数，超过阈值后临时锁定
+const loginAttemptSchema = new mongoose.Schema({
+  // 统计维度：account 账户、ip 来源IP、second_factor 二次验证（两步验证码、恢复码、邮箱验证码）
+  scope: {
+    type: String,
+    enum: ['account', 'ip', 'second_factor'],
+    required: true
+  },
+  // 账户为小写邮箱，IP 为客户端地址，二次验证为用户ID
+  key: {
+    type: String,
+    required: true
+  },
+  // 对应的用户（账户维度且邮箱已注册时、二次验证维度）
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // 当前统计窗口内的连续失败次数，锁定后清零
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lastFailedAt: {
+    type: Date,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  // 近期锁定次数，每次锁定时长翻倍
+  lockCount: {
+    type: Number,
+    default: 0
+  },
+  lastLockedAt: {
+    type: Date,
+    default: null
+  },
+  // 长时间没有失败记录后自动删除
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+loginAttemptSchema.index({ scope: 1, key: 1 }, { unique: true });
+loginAttemptSchema.index({ lockedUntil: -1 });
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
@@ -41,6 +41,17 @@ const mallSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // 商场坐标（GeoJSON Point，coordinates 为 [经度, 纬度]）
+  location: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined
+    }
+  },
   contactPhone: {
     type: String,
     trim: true
@@ -86,4 +97,7 @@ const mallSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// 地理位置索引，用于附近商场查询
+mallSchema.index({ location: '2dsphere' });
+
 module.exports = mongoose.model('Mall', mallSchema);
\ No newline at end of file
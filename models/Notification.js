@@ -7,11 +7,13 @@ const notificationSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
-  // 触发通知的用户
+  // 触发通知的用户（系统通知可为空）
   sender: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function () {
+      return this.type !== 'system';
+    }
   },
   // 通知类型
   type: {
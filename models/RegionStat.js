@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// 区域统计快照：由 utils/statisticsHelper 在数据变更时维护，避免每次请求实时聚合
+const regionStatSchema = new mongoose.Schema({
+  // 统计层级
+  level: {
+    type: String,
+    enum: ['national', 'province', 'city', 'district'],
+    required: true
+  },
+  // 区域ID（全国统计为 null）
+  region: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // 品牌ID（为 null 时表示该区域的汇总数据，否则为该品牌在区域内的数据）
+  brand: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Brand',
+    default: null
+  },
+  // 有效门店数量（门店、品牌、商场均未停用）
+  storeCount: {
+    type: Number,
+    default: 0
+  },
+  // 商场数量：汇总行为区域内有有效门店的商场数（与地图树搜索时现算的口径一致），品牌行为该品牌入驻的商场数
+  mallCount: {
+    type: Number,
+    default: 0
+  },
+  // 品牌数量：区域内有有效门店的品牌数
+  brandCount: {
+    type: Number,
+    default: 0
+  },
+  // 区县数量（仅全国、省、市汇总行）
+  districtCount: {
+    type: Number,
+    default: 0
+  },
+  // 最近一次刷新时间
+  refreshedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// 同一层级、区域、品牌唯一
+regionStatSchema.index({ level: 1, region: 1, brand: 1 }, { unique: true });
+
+// 按品牌查询各区域分布
+regionStatSchema.index({ brand: 1, level: 1 });
+
+module.exports = mongoose.model('RegionStat', regionStatSchema);
@@ -50,6 +50,12 @@ const reportSchema = new mongoose.Schema({
   reporterIp: {
     type: String
   },
+  // 举报人（登录后举报时记录，处理结果会通知举报人）
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
   // 处理信息（可选）
   handledBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -60,6 +66,19 @@ const reportSchema = new mongoose.Schema({
   },
   handleResult: {
     type: String
+  },
+  // 处理时对目标执行的操作：hide 隐藏博客 / 评论、soft_delete 下架门店、
+  // mute 禁言、post_ban 禁止发布、suspend 暂停账户（处罚被举报的用户或内容作者）
+  action: {
+    type: String,
+    enum: ['none', 'hide', 'soft_delete', 'mute', 'post_ban', 'suspend'],
+    default: 'none'
+  },
+  // 处理时下达的处罚
+  sanction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sanction',
+    default: null
   }
 }, {
   timestamps: true
@@ -67,5 +86,6 @@ const reportSchema = new mongoose.Schema({
 
 // 复合索引：同一目标的举报类型快速查询
 reportSchema.index({ targetType: 1, targetId: 1, status: 1 });
+reportSchema.index({ reporter: 1, createdAt: -1 });
 
 module.exports = mongoose.model('Report', reportSchema);
\ No newline at end of file
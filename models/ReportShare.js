@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// 对比报告分享链接：持有 token 的访客无需登录即可只读查看创建链接时的报告版本
+const reportShareSchema = new mongoose.Schema({
+  report: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ComparisonReport',
+    required: true
+  },
+  // 报告所有者
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // 分享的报告版本（ComparisonReportVersion.version），报告之后重新计算不影响已分享的内容；
+  // 为空的是版本固定前创建的链接，查看报告当前结果
+  version: {
+    type: Number,
+    default: null
+  },
+  // 分享令牌
+  token: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // 链接备注（如分享给哪个客户）
+  label: {
+    type: String,
+    trim: true,
+    maxlength: 50
+  },
+  // 过期时间（为空表示长期有效）
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  // 撤销时间（为空表示未撤销）
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  // 访问次数
+  viewCount: {
+    type: Number,
+    default: 0
+  },
+  lastViewedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// 查询报告的分享链接
+reportShareSchema.index({ report: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ReportShare', reportShareSchema);
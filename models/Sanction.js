@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const { SANCTION_TYPES } = require('../config/sanctions');
+
+// 用户处罚：生效期内限制对应操作，到期自动失效；提前解除时记录解除信息，历史处罚全部保留
+const sanctionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // 处罚类型：mute 禁言、post_ban 禁止发布、suspend 暂停账户
+  type: {
+    type: String,
+    enum: Object.keys(SANCTION_TYPES),
+    required: true
+  },
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: {
+    type: Date,
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    maxlength: 500
+  },
+  // 引起处罚的举报（管理员直接处罚时为空）
+  report: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Report',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // 提前解除
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  revokeReason: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+sanctionSchema.index({ user: 1, endsAt: -1 });
+sanctionSchema.index({ report: 1 });
+
+// 静态方法：查询用户当前生效的处罚，按结束时间倒序
+sanctionSchema.statics.findActive = function(userId, types = Object.keys(SANCTION_TYPES)) {
+  const now = new Date();
+  return this.find({
+    user: userId,
+    type: { $in: types },
+    startsAt: { $lte: now },
+    endsAt: { $gt: now },
+    revokedAt: null
+  }).sort({ endsAt: -1 });
+};
+
+module.exports = mongoose.model('Sanction', sanctionSchema);
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// 搜索日志保留天数
+const RETENTION_DAYS = parseInt(process.env.SEARCH_LOG_RETENTION_DAYS) || 180;
+
+// 搜索日志：记录各列表接口与统一搜索的关键词、筛选条件与结果数，用于分析搜索需求与无结果词
+const searchLogSchema = new mongoose.Schema({
+  // 搜索来源
+  source: {
+    type: String,
+    enum: ['map_malls', 'map_brands', 'blogs', 'search'],
+    required: true
+  },
+  // 归一化后的关键词（小写、去首尾空格），用于聚合
+  query: {
+    type: String,
+    required: true,
+    maxlength: 100
+  },
+  // 用户输入的原始关键词
+  rawQuery: {
+    type: String,
+    maxlength: 100
+  },
+  // 同时使用的筛选条件
+  filters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  resultCount: {
+    type: Number,
+    default: 0
+  },
+  // 登录用户（可为空）
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // 用户点击的搜索结果
+  clicks: [{
+    type: {
+      type: String,
+      enum: ['brand', 'mall', 'store', 'city', 'blog']
+    },
+    target: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    position: {
+      type: Number
+    },
+    clickedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+searchLogSchema.index({ createdAt: -1, source: 1 });
+searchLogSchema.index({ query: 1, createdAt: -1 });
+// 过期自动删除
+searchLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('SearchLog', searchLogSchema);
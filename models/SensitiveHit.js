@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const { CATEGORIES, SEVERITIES } = require('../config/sensitiveWords');
+
+// 敏感词命中记录，供审核人员复核（确认违规或标记误判）
+const sensitiveHitSchema = new mongoose.Schema({
+  // 内容来源：blog_title 博客标题、blog_content 博客正文、comment 评论、reply 回复
+  source: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // 相关对象（如被回复的评论、被编辑的博客），新建内容被拦截时为空
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // 命中的词（同一词只记录一次）
+  words: [{
+    _id: false,
+    word: String,
+    category: {
+      type: String,
+      enum: Object.keys(CATEGORIES)
+    },
+    severity: {
+      type: String,
+      enum: Object.keys(SEVERITIES)
+    },
+    // 原文中实际出现的写法
+    matched: String
+  }],
+  // 处理结果：blocked 已拦截、allowed 只记录
+  action: {
+    type: String,
+    enum: ['blocked', 'allowed'],
+    required: true
+  },
+  // 命中位置附近的原文
+  excerpt: {
+    type: String,
+    default: ''
+  },
+  // 复核状态：pending 待复核、confirmed 确认违规、false_positive 误判
+  status: {
+    type: String,
+    enum: ['pending', 'confirmed', 'false_positive'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+sensitiveHitSchema.index({ status: 1, createdAt: -1 });
+sensitiveHitSchema.index({ user: 1, createdAt: -1 });
+sensitiveHitSchema.index({ 'words.word': 1 });
+
+module.exports = mongoose.model('SensitiveHit', sensitiveHitSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const { CATEGORIES, SEVERITIES } = require('../config/sensitiveWords');
+
+// 敏感词：由管理接口维护，修改后内容过滤的匹配器自动重建
+const sensitiveWordSchema = new mongoose.Schema({
+  // 管理员录入的原词
+  word: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  // 归一化后的词（全角转半角、小写、去除空格与符号、形近字母替换），用于匹配与去重
+  normalized: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  category: {
+    type: String,
+    enum: Object.keys(CATEGORIES),
+    default: 'other'
+  },
+  severity: {
+    type: String,
+    enum: Object.keys(SEVERITIES),
+    default: 'high'
+  },
+  // 是否同时匹配全拼（如 赌博 -> dubo），用于拦截以拼音书写的变体
+  pinyin: {
+    type: Boolean,
+    default: false
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  note: {
+    type: String,
+    default: '',
+    maxlength: 200
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+sensitiveWordSchema.index({ category: 1, severity: 1 });
+sensitiveWordSchema.index({ enabled: 1 });
+
+module.exports = mongoose.model('SensitiveWord', sensitiveWordSchema);
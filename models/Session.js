@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// 登录会话：每次登录生成一个会话，保存当前刷新令牌的哈希；刷新时轮换令牌，注销或被管理员停用时吊销
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // 当前有效的刷新令牌（SHA-256 哈希，不保存明文）
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // 上一个刷新令牌，被再次使用说明令牌已泄露，整个会话吊销
+  previousTokenHash: {
+    type: String,
+    default: null
+  },
+  // 登录方式：password 密码、email_code 邮箱验证码、register 注册后自动登录、oauth 第三方登录
+  method: {
+    type: String,
+    enum: ['password', 'email_code', 'register', 'oauth'],
+    default: 'password'
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  // 吊销原因：logout 注销、revoked 用户手动下线、reuse 刷新令牌重复使用、disabled 账户停用、deleted 账户删除、password_changed 修改密码、password_reset 重置密码、email_changed 更换邮箱、suspended 账户被暂停
+  revokeReason: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1, expiresAt: -1 });
+sessionSchema.index({ previousTokenHash: 1 });
+// 过期会话自动删除
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
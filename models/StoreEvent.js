@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+// 门店变更记录（只追加，不修改），用于还原品牌在各区域的历史门店分布
+const storeEventSchema = new mongoose.Schema({
+  store: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BrandStore',
+    required: true
+  },
+  brand: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Brand',
+    required: true
+  },
+  // 变更类型：开店、关店、更换商场、更换楼层
+  type: {
+    type: String,
+    enum: ['opened', 'closed', 'moved', 'floor_changed'],
+    required: true
+  },
+  // 变更后（关店时为关店前）的位置
+  mall: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Mall'
+  },
+  province: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Province'
+  },
+  city: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'City'
+  },
+  district: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'District'
+  },
+  floor: {
+    type: String,
+    trim: true
+  },
+  // 变更前的位置（仅 moved / floor_changed）
+  previous: {
+    mall: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Mall'
+    },
+    province: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Province'
+    },
+    city: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'City'
+    },
+    district: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'District'
+    },
+    floor: {
+      type: String,
+      trim: true
+    }
+  },
+  // 操作人（历史数据回填时为空）
+  operator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // 变更发生时间
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// 按品牌查询时间线
+storeEventSchema.index({ brand: 1, occurredAt: 1 });
+
+// 查询单个门店的变更记录
+storeEventSchema.index({ store: 1, occurredAt: -1 });
+
+// 只允许追加，禁止修改已有记录
+storeEventSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function (next) {
+  next(new Error('门店变更记录不允许修改'));
+});
+
+module.exports = mongoose.model('StoreEvent', storeEventSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ROLES } = require('../config/permissions');
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -24,6 +25,11 @@ const userSchema = new mongoose.Schema({
     enum: ['admin', 'user'],
     default: 'user'
   },
+  // 权限角色（见 config/permissions.js），role 为 admin 时拥有全部权限
+  roles: [{
+    type: String,
+    enum: Object.keys(ROLES)
+  }],
   avatar: {
     type: String,
     required: [false, "请上传logo"],
@@ -39,6 +45,34 @@ const userSchema = new mongoose.Schema({
   lastLogin: {
     type: Date
   },
+  // 两步验证：TOTP 密钥加密保存，恢复码只保存哈希，敏感字段默认不查询
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // 开启前待确认的密钥
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // 上次验证通过的时间步，防止验证码重复使用
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: {
+      type: Date
+    }
+  },
   // 关注的用户
   following: [{
     type: mongoose.Schema.ObjectId,
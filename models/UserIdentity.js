@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// 第三方账户绑定：同一第三方账户只能绑定一个用户，一个用户每个提供方只能绑定一个账户
+const userIdentitySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // 提供方（见 config/oauthProviders.js）
+  provider: {
+    type: String,
+    required: true
+  },
+  // 第三方账户的唯一标识：OIDC 的 sub、GitHub 用户ID、微信 unionid（无 unionid 时为 openid）
+  subject: {
+    type: String,
+    required: true
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: ''
+  },
+  name: {
+    type: String,
+    default: ''
+  },
+  avatar: {
+    type: String,
+    default: ''
+  },
+  lastLoginAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+userIdentitySchema.index({ provider: 1, subject: 1 }, { unique: true });
+userIdentitySchema.index({ user: 1, provider: 1 }, { unique: true });
+
+module.exports = mongoose.model('UserIdentity', userIdentitySchema);
@@ -1,5 +1,6 @@
 const mongoose = require("mongoose");
 const User = require("./User.js");
+const { MODERATION_STATUSES, PUBLISH_STATUSES } = require("../config/moderation");
 
 const blogsSchema = new mongoose.Schema({
     title: {
@@ -78,9 +79,54 @@ const blogsSchema = new mongoose.Schema({
         type: String,
         required: [false, "请添加标签"],
     }],
+    // 审核状态：非 approved 的博客只有作者与审核人员可见（旧数据无此字段，视为已通过）
+    moderationStatus: {
+        type: String,
+        enum: Object.keys(MODERATION_STATUSES),
+        default: "approved",
+    },
+    // 进入待审核队列的原因（命中的敏感词、AI 审核发现的问题）
+    riskReasons: [String],
+    // 审核人员填写的原因（拒绝、隐藏时通知作者）
+    moderationReason: {
+        type: String,
+        default: "",
+    },
+    moderatedBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: "User",
+        default: null,
+    },
+    moderatedAt: {
+        type: Date,
+        default: null,
+    },
+    // 发布状态：草稿与定时发布的博客只有作者可见（旧数据无此字段，视为已发布）
+    publishStatus: {
+        type: String,
+        enum: Object.keys(PUBLISH_STATUSES),
+        default: "published",
+    },
+    // 定时发布时间，到期后由定时任务发布
+    scheduledAt: {
+        type: Date,
+        default: null,
+    },
+    publishedAt: {
+        type: Date,
+        default: null,
+    },
+    // 当前修订版本号（见 BlogRevision）
+    revision: {
+        type: Number,
+        default: 0,
+    },
 
 });
 
+blogsSchema.index({ moderationStatus: 1, createdAt: -1 });
+blogsSchema.index({ publishStatus: 1, scheduledAt: 1 });
+
 
 
 
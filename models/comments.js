@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { MODERATION_STATUSES } = require('../config/moderation');
 
 const CommentSchema = new mongoose.Schema({
     content: {
@@ -48,12 +49,36 @@ const CommentSchema = new mongoose.Schema({
         ref: 'User',
         default: null
     },
+    // 审核状态：非 approved 的评论只有作者与审核人员可见（旧数据无此字段，视为已通过）
+    moderationStatus: {
+        type: String,
+        enum: Object.keys(MODERATION_STATUSES),
+        default: 'approved'
+    },
+    // 进入待审核队列的原因
+    riskReasons: [String],
+    // 审核人员填写的原因
+    moderationReason: {
+        type: String,
+        default: ''
+    },
+    moderatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    moderatedAt: {
+        type: Date,
+        default: null
+    },
     createdAt: {
         type: Date,
         default: Date.now
     }
 });
 
+CommentSchema.index({ moderationStatus: 1, createdAt: -1 });
+
 // 添加虚拟字段用于获取回复
 CommentSchema.virtual('replies', {
     ref: 'Comment',
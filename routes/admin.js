@@ -12,6 +12,13 @@ const Joi = require('joi');
 const mongoose = require('mongoose');
 const Report = require('../models/Report');
 const Dictionary = require('../models/Dictionary');
+const { refreshForDocs, refreshForBrand, rebuildAll } = require('../utils/statisticsHelper');
+const { markSearchIndexStale } = require('../utils/searchHelper');
+const { markSuggestIndexStale } = require('../utils/suggestHelper');
+const { SEARCH_SOURCES, getSearchAnalytics } = require('../utils/searchLogHelper');
+const { requirePermission } = require('../utils/permissionHelper');
+const { recordStoreChange } = require('../utils/storeEventHelper');
+const { recordAudit } = require('../utils/auditHelper');
 
 const router = new Router({
   prefix: '/api/admin'
@@ -20,24 +27,112 @@ const router = new Router({
 // JWT中间件
 const auth = jwt({ secret: process.env.JWT_SECRET });
 
-// 验证管理员权限
-const requireAdmin = async (ctx, next) => {
-  if (ctx.state.user.role !== 'admin') {
-    ctx.status = 403;
+// 软删除数据恢复后记录操作日志、门店重新开业并刷新区域统计、搜索索引
+const onItemsRestored = async (ctx, type, items) => {
+  const operator = ctx.state.user.userId;
+  await recordAudit(ctx, items.map(item => {
+    const data = item.toObject();
+    return { action: 'restore', targetType: type, before: { ...data, isActive: false }, after: { ...data, isActive: true } };
+  }));
+
+  if (type !== 'user') {
+    markSearchIndexStale();
+    markSuggestIndexStale();
+  }
+
+  if (type === 'brand-store') {
+    await Promise.all(items.map(item => {
+      const store = item.toObject();
+      return recordStoreChange({ ...store, isActive: false }, { ...store, isActive: true }, operator);
+    }));
+  }
+
+  if (type === 'mall' || type === 'brand-store') {
+    await refreshForDocs(items);
+  } else if (type === 'brand') {
+    await refreshForBrand(items.map(item => item._id));
+  }
+};
+
+// 永久删除后记录操作日志，并与软删除、恢复一样刷新门店变更记录、区域统计与搜索索引
+const onItemPurged = async (ctx, type, item) => {
+  await recordAudit(ctx, { action: 'purge', targetType: type, before: item });
+  if (type === 'user') return;
+
+  markSearchIndexStale();
+  markSuggestIndexStale();
+
+  if (type === 'brand-store') {
+    await recordStoreChange(item, null, ctx.state.user.userId);
+  }
+
+  if (type === 'mall' || type === 'brand-store') {
+    await refreshForDocs(item);
+  } else if (type === 'brand') {
+    await refreshForBrand(item._id);
+  }
+};
+
+// 重建区域统计（全量）
+router.post('/statistics/rebuild', auth, requirePermission('statistics:manage'), async (ctx) => {
+  try {
+    const result = await rebuildAll();
+    ctx.body = {
+      success: true,
+      message: '统计重建成功',
+      data: result
+    };
+  } catch (error) {
+    ctx.status = 500;
     ctx.body = {
       success: false,
-      message: '需要管理员权限'
+      message: '重建统计失败',
+      error: error.message
     };
-    return;
   }
-  await next();
-};
+});
+
+// 搜索分析：热门搜索词、无结果搜索词、点击率
+// 参数：days（统计天数，默认 7，最多 180）、source（来源筛选）、limit（默认 20，最多 100）
+router.get('/search/analytics', auth, requirePermission('search:analytics'), async (ctx) => {
+  try {
+    const { days = 7, source, limit = 20 } = ctx.query;
+
+    if (source && !SEARCH_SOURCES[source]) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: `无效的搜索来源，可选值：${Object.keys(SEARCH_SOURCES).join('、')}`
+      };
+      return;
+    }
 
+    const daysNum = Math.min(Math.max(parseInt(days) || 7, 1), 180);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    const analytics = await getSearchAnalytics({ days: daysNum, source, limit: limitNum });
 
+    ctx.body = {
+      success: true,
+      data: {
+        days: daysNum,
+        source: source || null,
+        sources: SEARCH_SOURCES,
+        ...analytics
+      }
+    };
+  } catch (error) {
+    ctx.status = 500;
+    ctx.body = {
+      success: false,
+      message: '获取搜索分析数据失败',
+      error: error.message
+    };
+  }
+});
 
 // 品牌门店：在某省/市/区某商场内的品牌入驻点
 // 品牌门店：在某省/市/区某商场内的品牌入驻点
-router.post('/brand-stores', auth, requireAdmin, async (ctx) => {
+router.post('/brand-stores', auth, requirePermission('brandStore:write'), async (ctx) => {
   try {
     const { error, value } = Joi.object({
       brand: Joi.string().required(),
@@ -118,6 +213,7 @@ router.post('/brand-stores', auth, requireAdmin, async (ctx) => {
         city: mall.city._id,
         district: mall.district ? mall.district._id : null,
         storeAddress: value.storeAddress || mall.address, // 优先使用传入的地址，否则使用商场地址
+        location: mall.location?.coordinates ? { type: 'Point', coordinates: mall.location.coordinates } : undefined, // 门店坐标沿用商场坐标
         storeName: value.storeName,
         score: value.score,
         floor: value.floor,
@@ -134,6 +230,12 @@ router.post('/brand-stores', auth, requireAdmin, async (ctx) => {
 
     const createdStores = await Promise.all(storePromises);
 
+    // 记录开店并刷新门店所在区域的统计
+    await Promise.all(createdStores.map(store => recordStoreChange(null, store, ctx.state.user.userId)));
+    await refreshForDocs(createdStores);
+    markSearchIndexStale();
+    await recordAudit(ctx, createdStores.map(store => ({ action: 'create', targetType: 'brand-store', after: store })));
+
     // 返回创建的门店列表，包含商场信息和统计数据
     const responseData = createdStores.map((store, index) => ({
       ...store.toObject(),
@@ -167,7 +269,7 @@ router.post('/brand-stores', auth, requireAdmin, async (ctx) => {
 });
 
 // 更新品牌门店
-router.put('/brand-stores/:id', auth, requireAdmin, async (ctx) => {
+router.put('/brand-stores/:id', auth, requirePermission('brandStore:write'), async (ctx) => {
   try {
     const { error, value } = Joi.object({
       brand: Joi.string(),
@@ -206,6 +308,19 @@ router.put('/brand-stores/:id', auth, requireAdmin, async (ctx) => {
       }
     }
 
+    // 记录更新前的门店，用于生成变更记录和刷新统计
+    const previous = await BrandStore.findById(ctx.params.id).lean();
+
+    // 更换商场时，门店坐标跟随新商场；新商场没有坐标时清除旧坐标，避免残留原商场的位置
+    if (value.mall) {
+      const mall = await Mall.findById(value.mall).select('location');
+      if (mall?.location?.coordinates) {
+        value.location = { type: 'Point', coordinates: mall.location.coordinates };
+      } else {
+        value.$unset = { location: '' };
+      }
+    }
+
     const store = await BrandStore.findByIdAndUpdate(
       ctx.params.id,
       value,
@@ -222,6 +337,11 @@ router.put('/brand-stores/:id', auth, requireAdmin, async (ctx) => {
       return;
     }
 
+    await recordStoreChange(previous, store, ctx.state.user.userId);
+    await refreshForDocs(previous, store);
+    markSearchIndexStale();
+    await recordAudit(ctx, { action: 'update', targetType: 'brand-store', before: previous, after: store });
+
     ctx.body = { success: true, message: '品牌门店更新成功', data: store };
   } catch (error) {
     ctx.status = 500;
@@ -230,7 +350,7 @@ router.put('/brand-stores/:id', auth, requireAdmin, async (ctx) => {
 });
 
 // 更新品牌状态
-router.post('/brands-status', auth, requireAdmin, async (ctx) => {
+router.post('/brands-status', auth, requirePermission('brand:write'), async (ctx) => {
   console.log(1234)
   try {
     const { error, value } = Joi.object({
@@ -246,6 +366,7 @@ router.post('/brands-status', auth, requireAdmin, async (ctx) => {
       };
       return;
     }
+    const previous = await Brand.findById(value.id).lean();
     const brand = await Brand.findByIdAndUpdate(
       value.id,
       { status: value.status },
@@ -260,6 +381,7 @@ router.post('/brands-status', auth, requireAdmin, async (ctx) => {
       };
       return;
     }
+    await recordAudit(ctx, { action: 'update', targetType: 'brand', before: previous, after: brand });
 
     ctx.body = {
       success: true,
@@ -277,7 +399,7 @@ router.post('/brands-status', auth, requireAdmin, async (ctx) => {
 });
 
 // 删除品牌门店
-router.delete('/brand-stores/:id', auth, requireAdmin, async (ctx) => {
+router.delete('/brand-stores/:id', auth, requirePermission('brandStore:write'), async (ctx) => {
   try {
     const store = await BrandStore.findByIdAndDelete(ctx.params.id);
     if (!store) {
@@ -285,6 +407,12 @@ router.delete('/brand-stores/:id', auth, requireAdmin, async (ctx) => {
       ctx.body = { success: false, message: '品牌门店不存在' };
       return;
     }
+
+    await recordStoreChange(store, null, ctx.state.user.userId);
+    await refreshForDocs(store);
+    markSearchIndexStale();
+    await recordAudit(ctx, { action: 'delete', targetType: 'brand-store', before: store });
+
     ctx.body = { success: true, message: '品牌门店删除成功' };
   } catch (error) {
     ctx.status = 500;
@@ -337,7 +465,7 @@ router.get('/brand-stores', auth, async (ctx) => {
 
 // 省份管理
 // 创建省份
-router.post('/provinces', auth, requireAdmin, async (ctx) => {
+router.post('/provinces', auth, requirePermission('region:write'), async (ctx) => {
   try {
     const { error, value } = Joi.object({
       name: Joi.string().required(),
@@ -358,6 +486,7 @@ router.post('/provinces', auth, requireAdmin, async (ctx) => {
 
     const province = new Province(value);
     await province.save();
+    await recordAudit(ctx, { action: 'create', targetType: 'province', after: province });
 
     ctx.body = {
       success: true,
@@ -375,7 +504,7 @@ router.post('/provinces', auth, requireAdmin, async (ctx) => {
 });
 
 // 更新省份
-router.put('/provinces/:id', auth, requireAdmin, async (ctx) => {
+router.put('/provinces/:id', auth, requirePermission('region:write'), async (ctx) => {
   try {
     const { error, value } = Joi.object({
       name: Joi.string(),
@@ -395,6 +524,7 @@ router.put('/provinces/:id', auth, requireAdmin, async (ctx) => {
       return;
     }
 
+    const previous = await Province.findById(ctx.params.id).lean();
     const province = await Province.findByIdAndUpdate(
       ctx.params.id,
       value,
@@ -409,6 +539,7 @@ router.put('/provinces/:id', auth, requireAdmin, async (ctx) => {
       };
       return;
     }
+    await recordAudit(ctx, { action: 'update', targetType: 'province', before: previous, after: province });
 
     ctx.body = {
       success: true,
@@ -426,7 +557,7 @@ router.put('/provinces/:id', auth, requireAdmin, async (ctx) => {
 });
 
 // 删除省份
-router.delete('/provinces/:id', auth, requireAdmin, async (ctx) => {
+router.delete('/provinces/:id', auth, requirePermission('region:write'), async (ctx) => {
   try {
     const province = await Province.findByIdAndDelete(ctx.params.id);
     if (!province) {
@@ -437,6 +568,7 @@ router.delete('/provinces/:id', auth, requireAdmin, async (ctx) => {
       };
       return;
     }
+    await recordAudit(ctx, { action: 'delete', targetType: 'province', before: province });
 
     ctx.body = {
       success: true,
@@ -454,7 +586,7 @@ router.delete('/provinces/:id', auth, requireAdmin, async (ctx) => {
 
 // 城市管理
 // 创建城市
-router.post('/cities', auth, requireAdmin, async (ctx) => {
+router.post('/cities', auth, requirePermission('region:write'), async (ctx) => {
   try {
     const { error, value } = Joi.object({
       name: Joi.string().required(),
@@ -476,6 +608,8 @@ router.post('/cities', auth, requireAdmin, async (ctx) => {
 
     const city = new City(value);
     await city.save();
+    await recordAudit(ctx, { action: 'create', targetType: 'city', after: city });
+    markSuggestIndexStale();
 
     ctx.body = {
       success: true,
@@ -493,7 +627,7 @@ router.post('/cities', auth, requireAdmin, async (ctx) => {
 });
 
 // 更新城市
-router.put('/cities/:id', auth, requireAdmin, async (ctx) => {
+router.put('/cities/:id', auth, requirePermission('region:write'), async (ctx) => {
   try {
     const { error, value } = Joi.object({
       name: Joi.string(),
@@ -514,6 +648,7 @@ router.put('/cities/:id', auth, requireAdmin, async (ctx) => {
       return;
     }
 
+    const previous = await City.findById(ctx.params.id).lean();
     const city = await City.findByIdAndUpdate(
       ctx.params.id,
       value,
@@ -528,6 +663,8 @@ router.put('/cities/:id', auth, requireAdmin, async (ctx) => {
       };
       return;
     }
+    await recordAudit(ctx, { action: 'update', targetType: 'city', before: previous, after: city });
+    markSuggestIndexStale();
 
     ctx.body = {
       success: true,
@@ -545,7 +682,7 @@ router.put('/cities/:id', auth, requireAdmin, async (ctx) => {
 });
 
 // 删除城市
-router.delete('/cities/:id', auth, requireAdmin, async (ctx) => {
+router.delete('/cities/:id', auth, requirePermission('region:write'), async (ctx) => {
   try {
     const city = await City.findByIdAndDelete(ctx.params.id);
     if (!city) {
@@ -556,6 +693,8 @@ router.delete('/cities/:id', auth, requireAdmin, async (ctx) => {
       };
       return;
     }
+    await recordAudit(ctx, { action: 'delete', targetType: 'city', before: city });
+    markSuggestIndexStale();
 
     ctx.body = {
       success: true,
@@ -573,7 +712,7 @@ router.delete('/cities/:id', auth, requireAdmin, async (ctx) => {
 
 // 区县管理
 // 创建区县
-router.post('/districts', auth, requireAdmin, async (ctx) => {
+router.post('/districts', auth, requirePermission('region:write'), async (ctx) => {
   try {
     const { error, value } = Joi.object({
       name: Joi.string().required(),
@@ -595,6 +734,10 @@ router.post('/districts', auth, requireAdmin, async (ctx) => {
 
     const district = new District(value);
     await district.save();
+    await recordAudit(ctx, { action: 'create', targetType: 'district', after: district });
+
+    // 区县数量变化，刷新所属省市统计
+    await refreshForDocs(district);
 
     ctx.body = {
       success: true,
@@ -612,7 +755,7 @@ router.post('/districts', auth, requireAdmin, async (ctx) => {
 });
 
 // 更新区县
-router.put('/districts/:id', auth, requireAdmin, async (ctx) => {
+router.put('/districts/:id', auth, requirePermission('region:write'), async (ctx) => {
   try {
     const { error, value } = Joi.object({
       name: Joi.string(),
@@ -633,6 +776,7 @@ router.put('/districts/:id', auth, requireAdmin, async (ctx) => {
       return;
     }
 
+    const previous = await District.findById(ctx.params.id).lean();
     const district = await District.findByIdAndUpdate(
       ctx.params.id,
       value,
@@ -648,6 +792,9 @@ router.put('/districts/:id', auth, requireAdmin, async (ctx) => {
       return;
     }
 
+    await refreshForDocs(previous, district);
+    await recordAudit(ctx, { action: 'update', targetType: 'district', before: previous, after: district });
+
     ctx.body = {
       success: true,
       message: '区县更新成功',
@@ -664,7 +811,7 @@ router.put('/districts/:id', auth, requireAdmin, async (ctx) => {
 });
 
 // 删除区县
-router.delete('/districts/:id', auth, requireAdmin, async (ctx) => {
+router.delete('/districts/:id', auth, requirePermission('region:write'), async (ctx) => {
   try {
     const district = await District.findByIdAndDelete(ctx.params.id);
     if (!district) {
@@ -675,6 +822,9 @@ router.delete('/districts/:id', auth, requireAdmin, async (ctx) => {
       };
       return;
     }
+    await recordAudit(ctx, { action: 'delete', targetType: 'district', before: district });
+
+    await refreshForDocs({ province: district.province, city: district.city });
 
     ctx.body = {
       success: true,
@@ -692,7 +842,7 @@ router.delete('/districts/:id', auth, requireAdmin, async (ctx) => {
 
 // 品牌管理
 // 创建品牌
-router.post('/brands', auth, requireAdmin, async (ctx) => {
+router.post('/brands', auth, requirePermission('brand:write'), async (ctx) => {
   try {
     const { error, value } = Joi.object({
       name: Joi.string().required(),
@@ -721,6 +871,9 @@ router.post('/brands', auth, requireAdmin, async (ctx) => {
 
     const brand = new Brand(value);
     await brand.save();
+    markSearchIndexStale();
+    markSuggestIndexStale();
+    await recordAudit(ctx, { action: 'create', targetType: 'brand', after: brand });
 
     ctx.body = {
       success: true,
@@ -738,7 +891,7 @@ router.post('/brands', auth, requireAdmin, async (ctx) => {
 });
 
 // 更新品牌
-router.put('/brands/:id', auth, requireAdmin, async (ctx) => {
+router.put('/brands/:id', auth, requirePermission('brand:write'), async (ctx) => {
   try {
     const { error, value } = Joi.object({
       name: Joi.string().required(),
@@ -768,6 +921,7 @@ router.put('/brands/:id', auth, requireAdmin, async (ctx) => {
       return;
     }
 
+    const previous = await Brand.findById(ctx.params.id).lean();
     const brand = await Brand.findByIdAndUpdate(
       ctx.params.id,
       value,
@@ -783,6 +937,14 @@ router.put('/brands/:id', auth, requireAdmin, async (ctx) => {
       return;
     }
 
+    // 品牌停用或启用时，刷新其门店所在区域的统计
+    if (value.isActive !== undefined) {
+      await refreshForBrand(brand._id);
+    }
+    markSearchIndexStale();
+    markSuggestIndexStale();
+    await recordAudit(ctx, { action: 'update', targetType: 'brand', before: previous, after: brand });
+
     ctx.body = {
       success: true,
       message: '品牌更新成功',
@@ -799,7 +961,7 @@ router.put('/brands/:id', auth, requireAdmin, async (ctx) => {
 });
 
 // 删除品牌
-router.delete('/brands/:id', auth, requireAdmin, async (ctx) => {
+router.delete('/brands/:id', auth, requirePermission('brand:write'), async (ctx) => {
   try {
     const brand = await Brand.findByIdAndDelete(ctx.params.id);
     if (!brand) {
@@ -811,6 +973,11 @@ router.delete('/brands/:id', auth, requireAdmin, async (ctx) => {
       return;
     }
 
+    await refreshForBrand(brand._id);
+    markSearchIndexStale();
+    markSuggestIndexStale();
+    await recordAudit(ctx, { action: 'delete', targetType: 'brand', before: brand });
+
     ctx.body = {
       success: true,
       message: '品牌删除成功'
@@ -900,7 +1067,7 @@ router.get('/dictionaries/types', async (ctx) => {
 });
 
 // 创建字典项
-router.post('/dictionaries', async (ctx) => {
+router.post('/dictionaries', auth, requirePermission('dictionary:write'), async (ctx) => {
   try {
     const { type, label, value, sort, description, isActive } = ctx.request.body;
 
@@ -924,6 +1091,7 @@ router.post('/dictionaries', async (ctx) => {
     });
 
     await dictionary.save();
+    await recordAudit(ctx, { action: 'create', targetType: 'dictionary', after: dictionary });
 
     ctx.body = {
       success: true,
@@ -949,11 +1117,21 @@ router.post('/dictionaries', async (ctx) => {
 });
 
 // 更新字典项
-router.put('/dictionaries/:id', async (ctx) => {
+router.put('/dictionaries/:id', auth, requirePermission('dictionary:write'), async (ctx) => {
   try {
     const { id } = ctx.params;
     const { type, label, value, sort, description, isActive } = ctx.request.body;
 
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: '无效的字典项ID'
+      };
+      return;
+    }
+
+    const previous = await Dictionary.findById(id).lean();
     const dictionary = await Dictionary.findByIdAndUpdate(
       id,
       {
@@ -975,6 +1153,7 @@ router.put('/dictionaries/:id', async (ctx) => {
       };
       return;
     }
+    await recordAudit(ctx, { action: 'update', targetType: 'dictionary', before: previous, after: dictionary });
 
     ctx.body = {
       success: true,
@@ -1000,10 +1179,19 @@ router.put('/dictionaries/:id', async (ctx) => {
 });
 
 // 删除字典项
-router.delete('/dictionaries/:id', async (ctx) => {
+router.delete('/dictionaries/:id', auth, requirePermission('dictionary:write'), async (ctx) => {
   try {
     const { id } = ctx.params;
 
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: '无效的字典项ID'
+      };
+      return;
+    }
+
     const dictionary = await Dictionary.findByIdAndDelete(id);
 
     if (!dictionary) {
@@ -1014,6 +1202,7 @@ router.delete('/dictionaries/:id', async (ctx) => {
       };
       return;
     }
+    await recordAudit(ctx, { action: 'delete', targetType: 'dictionary', before: dictionary });
 
     ctx.body = {
       success: true,
@@ -1030,7 +1219,7 @@ router.delete('/dictionaries/:id', async (ctx) => {
 });
 
 // 批量更新字典项排序
-router.put('/dictionaries/batch/sort', async (ctx) => {
+router.put('/dictionaries/batch/sort', auth, requirePermission('dictionary:write'), async (ctx) => {
   try {
     const { items } = ctx.request.body; // [{ id, sort }, ...]
 
@@ -1043,12 +1232,25 @@ router.put('/dictionaries/batch/sort', async (ctx) => {
       return;
     }
 
-    // 批量更新排序
-    const updatePromises = items.map(item =>
-      Dictionary.findByIdAndUpdate(item.id, { sort: item.sort })
-    );
+    if (items.some(item => !item || !mongoose.Types.ObjectId.isValid(item.id))) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: '请提供有效的排序数据'
+      };
+      return;
+    }
+
+    // 批量更新排序，排序未变化的字典项不记录日志
+    const updated = await Promise.all(items.map(async item => {
+      const previous = await Dictionary.findById(item.id).lean();
+      const dictionary = await Dictionary.findByIdAndUpdate(item.id, { sort: item.sort }, { new: true });
+      return { previous, dictionary };
+    }));
 
-    await Promise.all(updatePromises);
+    await recordAudit(ctx, updated
+      .filter(({ dictionary }) => dictionary)
+      .map(({ previous, dictionary }) => ({ action: 'update', targetType: 'dictionary', before: previous, after: dictionary })));
 
     ctx.body = {
       success: true,
@@ -1066,7 +1268,7 @@ router.put('/dictionaries/batch/sort', async (ctx) => {
 
 // 软删除数据管理
 // 获取软删除的用户列表
-router.get('/soft-deleted/users', auth, requireAdmin, async (ctx) => {
+router.get('/soft-deleted/users', auth, requirePermission('data:restore'), async (ctx) => {
   try {
     const { page = 1, limit = 20, search } = ctx.query;
     const skip = (page - 1) * limit;
@@ -1111,7 +1313,7 @@ router.get('/soft-deleted/users', auth, requireAdmin, async (ctx) => {
 });
 
 // 获取软删除的商场列表
-router.get('/soft-deleted/malls', auth, requireAdmin, async (ctx) => {
+router.get('/soft-deleted/malls', auth, requirePermission('data:restore'), async (ctx) => {
   try {
     const { page = 1, limit = 20, search } = ctx.query;
     const skip = (page - 1) * limit;
@@ -1158,7 +1360,7 @@ router.get('/soft-deleted/malls', auth, requireAdmin, async (ctx) => {
 });
 
 // 获取软删除的品牌列表
-router.get('/soft-deleted/brands', auth, requireAdmin, async (ctx) => {
+router.get('/soft-deleted/brands', auth, requirePermission('data:restore'), async (ctx) => {
   try {
     const { page = 1, limit = 20, search } = ctx.query;
     const skip = (page - 1) * limit;
@@ -1205,7 +1407,7 @@ router.get('/soft-deleted/brands', auth, requireAdmin, async (ctx) => {
 });
 
 // 获取软删除的品牌门店列表
-router.get('/soft-deleted/brand-stores', auth, requireAdmin, async (ctx) => {
+router.get('/soft-deleted/brand-stores', auth, requirePermission('data:restore'), async (ctx) => {
   try {
     const { page = 1, limit = 20, search, brandId, mallId } = ctx.query;
     const skip = (page - 1) * limit;
@@ -1255,7 +1457,7 @@ router.get('/soft-deleted/brand-stores', auth, requireAdmin, async (ctx) => {
 });
 
 // 恢复软删除的数据
-router.post('/restore/:type/:id', auth, requireAdmin, async (ctx) => {
+router.post('/restore/:type/:id', auth, requirePermission('data:restore'), async (ctx) => {
   try {
     const { type, id } = ctx.params;
     let Model;
@@ -1302,6 +1504,8 @@ router.post('/restore/:type/:id', auth, requireAdmin, async (ctx) => {
       return;
     }
 
+    await onItemsRestored(ctx, type, [item]);
+
     ctx.body = {
       success: true,
       message: `${itemName}恢复成功`,
@@ -1318,7 +1522,7 @@ router.post('/restore/:type/:id', auth, requireAdmin, async (ctx) => {
 });
 
 // 永久删除软删除的数据
-router.delete('/permanent/:type/:id', auth, requireAdmin, async (ctx) => {
+router.delete('/permanent/:type/:id', auth, requirePermission('data:purge'), async (ctx) => {
   try {
     const { type, id } = ctx.params;
     let Model;
@@ -1362,6 +1566,7 @@ router.delete('/permanent/:type/:id', auth, requireAdmin, async (ctx) => {
     }
 
     await Model.findByIdAndDelete(id);
+    await onItemPurged(ctx, type, item);
 
     ctx.body = {
       success: true,
@@ -1378,7 +1583,7 @@ router.delete('/permanent/:type/:id', auth, requireAdmin, async (ctx) => {
 });
 
 // 批量恢复软删除的数据
-router.post('/restore-batch/:type', auth, requireAdmin, async (ctx) => {
+router.post('/restore-batch/:type', auth, requirePermission('data:restore'), async (ctx) => {
   try {
     const { type } = ctx.params;
     const { ids } = ctx.request.body;
@@ -1421,11 +1626,14 @@ router.post('/restore-batch/:type', auth, requireAdmin, async (ctx) => {
         return;
     }
 
+    const items = await Model.find({ _id: { $in: ids }, isActive: false });
     const result = await Model.updateMany(
       { _id: { $in: ids }, isActive: false },
       { isActive: true }
     );
 
+    await onItemsRestored(ctx, type, items);
+
     ctx.body = {
       success: true,
       message: `成功恢复${result.modifiedCount}个${itemName}`,
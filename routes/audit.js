@@ -0,0 +1,211 @@
+const Router = require('koa-router');
+const jwt = require('koa-jwt');
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { AUDIT_ACTIONS, TARGET_NAMES, checkRevertable, revertAudit } = require('../utils/auditHelper');
+const { requirePermission, hasPermission } = require('../utils/permissionHelper');
+
+const router = new Router({
+  prefix: '/api/admin/audit'
+});
+
+// JWT中间件
+const auth = jwt({ secret: process.env.JWT_SECRET });
+
+// 操作日志列表（不含快照）
+// 参数：actor（操作人ID）、action、targetType、targetId、from、to（时间范围）、page、limit
+router.get('/', auth, requirePermission('audit:read'), async (ctx) => {
+  try {
+    const { actor, action, targetType, targetId, from, to, page = 1, limit = 20 } = ctx.query;
+
+    if (action && !AUDIT_ACTIONS.includes(action)) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: `无效的操作类型，可选值：${AUDIT_ACTIONS.join('、')}`
+      };
+      return;
+    }
+
+    if (targetType && !TARGET_NAMES[targetType]) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: `无效的对象类型，可选值：${Object.keys(TARGET_NAMES).join('、')}`
+      };
+      return;
+    }
+
+    if ((actor && !mongoose.Types.ObjectId.isValid(actor)) || (targetId && !mongoose.Types.ObjectId.isValid(targetId))) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: '无效的ID'
+      };
+      return;
+    }
+
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: '无效的时间范围'
+      };
+      return;
+    }
+
+    const query = {};
+    if (actor) query.actor = actor;
+    if (action) query.action = action;
+    if (targetType) query.targetType = targetType;
+    if (targetId) query.targetId = targetId;
+    if (fromDate || toDate) {
+      query.createdAt = {};
+      if (fromDate) query.createdAt.$gte = fromDate;
+      if (toDate) query.createdAt.$lte = toDate;
+    }
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const [logs, total] = await Promise.all([
+      AuditLog.find(query)
+        .select('-before -after')
+        .populate('actor', 'username email')
+        .populate('revertedBy', 'username email')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      AuditLog.countDocuments(query)
+    ]);
+
+    ctx.body = {
+      success: true,
+      data: {
+        logs,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum)
+        }
+      }
+    };
+  } catch (error) {
+    ctx.status = 500;
+    ctx.body = {
+      success: false,
+      message: '获取操作日志失败',
+      error: error.message
+    };
+  }
+});
+
+// 操作日志详情（含修改前后快照）
+router.get('/:id', auth, requirePermission('audit:read'), async (ctx) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(ctx.params.id)) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: '无效的日志ID'
+      };
+      return;
+    }
+
+    const log = await AuditLog.findById(ctx.params.id)
+      .populate('actor', 'username email')
+      .populate('revertedBy', 'username email')
+      .lean();
+    if (!log) {
+      ctx.status = 404;
+      ctx.body = {
+        success: false,
+        message: '操作日志不存在'
+      };
+      return;
+    }
+
+    ctx.body = {
+      success: true,
+      data: {
+        ...log,
+        revertable: !checkRevertable(log)
+      }
+    };
+  } catch (error) {
+    ctx.status = 500;
+    ctx.body = {
+      success: false,
+      message: '获取操作日志失败',
+      error: error.message
+    };
+  }
+});
+
+// 撤销单条操作：数据在该操作之后又被修改过时返回 409
+router.post('/:id/revert', auth, requirePermission('audit:revert'), async (ctx) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(ctx.params.id)) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: '无效的日志ID'
+      };
+      return;
+    }
+
+    const log = await AuditLog.findById(ctx.params.id).lean();
+    if (!log) {
+      ctx.status = 404;
+      ctx.body = {
+        success: false,
+        message: '操作日志不存在'
+      };
+      return;
+    }
+
+    // 撤销用户角色修改同样需要角色管理权限
+    const touchesRoles = log.targetType === 'user' &&
+      log.changes.some(change => change.field === 'role' || change.field === 'roles');
+    if (touchesRoles && !(await hasPermission(ctx, 'rbac:manage'))) {
+      ctx.status = 403;
+      ctx.body = {
+        success: false,
+        message: '没有修改用户角色的权限'
+      };
+      return;
+    }
+
+    const result = await revertAudit(ctx, log);
+    if (result.error) {
+      ctx.status = result.error.status;
+      ctx.body = {
+        success: false,
+        message: result.error.message
+      };
+      return;
+    }
+
+    ctx.body = {
+      success: true,
+      message: '撤销成功',
+      data: {
+        revertLog: result.log,
+        current: result.data
+      }
+    };
+  } catch (error) {
+    ctx.status = 500;
+    ctx.body = {
+      success: false,
+      message: '撤销操作失败',
+      error: error.message
+    };
+  }
+});
+
+module.exports = router;
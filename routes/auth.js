@@ -1,14 +1,60 @@
 const Router = require('koa-router');
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const EmailVerification = require('../models/EmailVerification');
+const UserIdentity = require('../models/UserIdentity');
 const Joi = require('joi');
-const nodemailer = require('nodemailer');
+const koaJwt = require('koa-jwt');
+const { resolvePermissions } = require('../utils/permissionHelper');
+const {
+  generateVerificationCode,
+  sentRecently,
+  sendVerificationEmail,
+  sendPasswordResetEmail
+} = require('../utils/emailHelper');
+const {
+  checkLoginAllowed,
+  recordLoginFailure,
+  clearLoginFailures,
+  checkSecondFactorAllowed,
+  recordSecondFactorFailure,
+  clearSecondFactorFailures
+} = require('../utils/loginGuardHelper');
+const { getProvider, listProviders, startAuthorization, completeAuthorization } = require('../utils/oauthHelper');
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeRefreshToken,
+  revokeUserSessions,
+  listUserSessions
+} = require('../utils/sessionHelper');
+const {
+  generateSecret,
+  verifyTotp,
+  otpauthUrl,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  matchRecoveryCode,
+  requiresTwoFactor,
+  signChallenge,
+  verifyChallenge,
+  recordChallengeFailure,
+  consumeChallenge
+} = require('../utils/twoFactorHelper');
+const { findActiveSanction } = require('../utils/sanctionHelper');
 
 const router = new Router({
   prefix: '/api/auth'
 });
 
+// JWT中间件
+const auth = koaJwt({ secret: process.env.JWT_SECRET });
+
 // 发送邮箱验证码
 router.post('/send-code', async (ctx) => {
   try {
@@ -26,13 +72,7 @@ router.post('/send-code', async (ctx) => {
     const { email, type } = value;
 
     // 检查邮箱发送频率限制（1分钟内只能发送一次）
-    const recentCode = await EmailVerification.findOne({
-      email,
-      type,
-      createdAt: { $gte: new Date(Date.now() - 60000) } // 1分钟内
-    });
-
-    if (recentCode) {
+    if (await sentRecently(email, type)) {
       ctx.status = 429;
       ctx.body = {
         success: false,
@@ -96,6 +136,13 @@ router.post('/email-login', async (ctx) => {
 
     const { email, code } = value;
 
+    // 与密码登录共用失败次数限制
+    const blocked = await checkLoginAllowed(ctx, email);
+    if (blocked) {
+      rejectThrottled(ctx, blocked);
+      return;
+    }
+
     // 查找有效的验证码
     const verification = await EmailVerification.findOne({
       email,
@@ -106,14 +153,13 @@ router.post('/email-login', async (ctx) => {
     });
 
     if (!verification) {
-      ctx.status = 400;
-      ctx.body = {
-        success: false,
-        message: '验证码无效或已过期'
-      };
+      const existing = await User.findOne({ email }).select('_id');
+      await rejectLoginFailure(ctx, email, existing, '验证码无效或已过期');
       return;
     }
 
+    await clearLoginFailures(email);
+
     // 查找用户，如果不存在则自动创建
     let user = await User.findOne({ email });
     if (!user) {
@@ -144,31 +190,35 @@ router.post('/email-login', async (ctx) => {
       };
       return;
     }
+    if (await rejectSuspended(ctx, user)) return;
 
     // 标记验证码为已使用
     verification.isUsed = true;
     await verification.save();
 
+    // 已开启两步验证或拥有管理权限的账户，需完成二次验证后才创建会话
+    const challenge = twoFactorChallenge(user, 'email_code');
+    if (challenge) {
+      ctx.body = {
+        success: true,
+        message: challenge.message,
+        data: challenge.data
+      };
+      return;
+    }
+
     // 更新用户最后登录时间
     user.lastLoginAt = new Date();
     await user.save();
 
-    // 生成JWT令牌
-    const token = jwt.sign(
-      {
-        userId: user._id,
-        email: user.email,
-        role: user.role
-      },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: '7d' }
-    );
+    // 创建会话，签发访问令牌与刷新令牌
+    const tokens = await createSession(ctx, user, 'email_code');
 
     ctx.body = {
       success: true,
       message: '登录成功',
       data: {
-        token,
+        ...tokens,
         user: {
           id: user._id,
           username: user.username,
@@ -309,52 +359,76 @@ const hairStyle = hair[Math.floor(Math.random() * hair.length)];
 console.log('hairStyle', Math.floor(Math.random() * hair.length));
 const avatarUrl = `https://api.dicebear.com/9.x/${randomStyle}/svg`;
 
-// 配置邮件发送器
-const transporter = nodemailer.createTransport({
-  host: process.env.SMTP_HOST || 'smtp.qq.com',
-  port: process.env.SMTP_PORT || 587,
-  secure: false,
-  auth: {
-    user: process.env.SMTP_USER,
-    pass: process.env.SMTP_PASS
-  }
-});
-
-// 生成6位数字验证码
-const generateVerificationCode = () => {
-  return Math.floor(100000 + Math.random() * 900000).toString();
+// 登录尝试过于频繁或已锁定
+const rejectThrottled = (ctx, blocked) => {
+  ctx.status = 429;
+  ctx.set('Retry-After', String(blocked.retryAfter));
+  ctx.body = {
+    success: false,
+    message: blocked.message,
+    data: {
+      locked: blocked.locked,
+      retryAfter: blocked.retryAfter
+    }
+  };
 };
 
-// 发送验证码邮件
-const sendVerificationEmail = async (email, code, type = 'login') => {
-  const typeMap = {
-    login: '登录',
-    register: '注册',
-    reset_password: '重置密码'
+// 账户处于暂停期时拒绝登录，返回是否已拒绝
+const rejectSuspended = async (ctx, user) => {
+  const sanction = await findActiveSanction(user._id, 'login');
+  if (!sanction) return false;
+  ctx.status = 403;
+  ctx.body = {
+    success: false,
+    message: `账户已被暂停使用至 ${sanction.endsAt.toLocaleString('zh-CN', { hour12: false })}`,
+    data: {
+      suspendedUntil: sanction.endsAt,
+      reason: sanction.reason
+    }
   };
+  return true;
+};
 
-  const mailOptions = {
-    from: process.env.SMTP_USER,
-    to: email,
-    subject: `懂商帝 - ${typeMap[type]}验证码`,
-    html: `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2 style="color: #007AFF;">懂商帝验证码</h2>
-        <p>您好！</p>
-        <p>您正在进行${typeMap[type]}操作，验证码为：</p>
-        <div style="background-color: #f5f5f5; padding: 20px; text-align: center; margin: 20px 0;">
-          <span style="font-size: 24px; font-weight: bold; color: #007AFF; letter-spacing: 5px;">${code}</span>
-        </div>
-        <p>验证码有效期为10分钟，请及时使用。</p>
-        <p>如果这不是您的操作，请忽略此邮件。</p>
-        <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;">
-        <p style="color: #999; font-size: 12px;">此邮件由系统自动发送，请勿回复。</p>
-      </div>
-    `
+// 记录登录失败，本次失败触发锁定时返回锁定提示
+const rejectLoginFailure = async (ctx, email, user, message) => {
+  await recordLoginFailure(ctx, email, user);
+  const blocked = await checkLoginAllowed(ctx, email);
+  if (blocked && blocked.locked) {
+    rejectThrottled(ctx, blocked);
+    return;
+  }
+  ctx.status = 400;
+  ctx.body = {
+    success: false,
+    message
   };
+};
 
-  return transporter.sendMail(mailOptions);
+// 第一步登录通过后判断是否需要二次验证：已开启两步验证的账户返回验证凭证，未开启的管理员返回开启凭证
+const twoFactorChallenge = (user, method) => {
+  if (user.twoFactor?.enabled) {
+    return {
+      message: '请完成两步验证',
+      data: {
+        twoFactorRequired: true,
+        challengeToken: signChallenge(user, 'verify', method),
+        // 邮箱验证码登录已验证过邮箱，二次验证不能再使用邮箱验证码
+        methods: method === 'email_code' ? ['totp', 'recovery'] : ['totp', 'recovery', 'email']
+      }
+    };
+  }
+  if (requiresTwoFactor(user)) {
+    return {
+      message: '该账户拥有管理权限，需先开启两步验证',
+      data: {
+        twoFactorSetupRequired: true,
+        challengeToken: signChallenge(user, 'setup', method)
+      }
+    };
+  }
+  return null;
 };
+
 // 用户注册
 router.post('/register', async (ctx) => {
   try {
@@ -393,12 +467,19 @@ router.post('/register', async (ctx) => {
 
     await user.save();
 
-    // 生成JWT token
-    const token = jwt.sign(
-      { userId: user._id, email: user.email, role: user.role, id: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
+    // 拥有管理权限的账户需先开启两步验证
+    const challenge = twoFactorChallenge(user, 'password');
+    if (challenge) {
+      ctx.body = {
+        success: true,
+        message: challenge.message,
+        data: challenge.data
+      };
+      return;
+    }
+
+    // 创建会话，签发访问令牌与刷新令牌
+    const tokens = await createSession(ctx, user, 'register');
 
     ctx.body = {
       success: true,
@@ -411,7 +492,7 @@ router.post('/register', async (ctx) => {
           email: user.email,
           role: user.role
         },
-        token
+        ...tokens
       }
     };
   } catch (error) {
@@ -439,28 +520,29 @@ router.post('/login', async (ctx) => {
 
     const { email, password } = value;
 
+    // 账户或来源IP连续失败过多时需等待，锁定期间即使密码正确也不能登录
+    const blocked = await checkLoginAllowed(ctx, email);
+    if (blocked) {
+      rejectThrottled(ctx, blocked);
+      return;
+    }
+
     // 查找用户
     const user = await User.findOne({ email });
     if (!user) {
-      ctx.status = 400;
-      ctx.body = {
-        success: false,
-        message: '邮箱或密码错误'
-      };
+      await rejectLoginFailure(ctx, email, null, '邮箱或密码错误');
       return;
     }
 
     // 验证密码
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
-      ctx.status = 400;
-      ctx.body = {
-        success: false,
-        message: '邮箱或密码错误'
-      };
+      await rejectLoginFailure(ctx, email, user, '邮箱或密码错误');
       return;
     }
 
+    await clearLoginFailures(email);
+
     // 检查用户状态
     if (!user.isActive) {
       ctx.status = 400;
@@ -470,17 +552,25 @@ router.post('/login', async (ctx) => {
       };
       return;
     }
+    if (await rejectSuspended(ctx, user)) return;
+
+    // 已开启两步验证或拥有管理权限的账户，需完成二次验证后才创建会话
+    const challenge = twoFactorChallenge(user, 'password');
+    if (challenge) {
+      ctx.body = {
+        success: true,
+        message: challenge.message,
+        data: challenge.data
+      };
+      return;
+    }
 
     // 更新最后登录时间
     user.lastLogin = new Date();
     await user.save();
 
-    // 生成JWT token
-    const token = jwt.sign(
-      { userId: user._id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
+    // 创建会话，签发访问令牌与刷新令牌
+    const tokens = await createSession(ctx, user, 'password');
 
     ctx.body = {
       success: true,
@@ -494,7 +584,7 @@ router.post('/login', async (ctx) => {
           avatar: user.avatar,
           createdAt: user.createdAt,
         },
-        token
+        ...tokens
       }
     };
   } catch (error) {
@@ -551,7 +641,9 @@ router.get('/me', async (ctx) => {
           ...user.toObject(),
           followersCount,
           followingCount
-        }
+        },
+        // 当前用户的权限，前端据此控制菜单与按钮
+        permissions: resolvePermissions(user)
       }
     };
   } catch (error) {
@@ -563,4 +655,994 @@ router.get('/me', async (ctx) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// 刷新令牌验证规则
+const refreshSchema = Joi.object({
+  refreshToken: Joi.string().required()
+});
+
+// 使用刷新令牌换取新的访问令牌（刷新令牌同时轮换，旧令牌立即失效）
+router.post('/refresh', async (ctx) => {
+  try {
+    const { error, value } = refreshSchema.validate(ctx.request.body);
+    if (error) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: error.details[0].message
+      };
+      return;
+    }
+
+    const result = await rotateSession(ctx, value.refreshToken);
+    if (result.error) {
+      ctx.status = 401;
+      ctx.body = {
+        success: false,
+        message: result.error
+      };
+      return;
+    }
+
+    ctx.body = {
+      success: true,
+      message: '令牌刷新成功',
+      data: result
+    };
+  } catch (error) {
+    ctx.status = 500;
+    ctx.body = {
+      success: false,
+      message: '刷新令牌失败',
+      error: error.message
+    };
+  }
+});
+
+// 退出登录：吊销刷新令牌或当前访问令牌所属的会话
+router.post('/logout', async (ctx) => {
+  try {
+    const { refreshToken } = ctx.request.body || {};
+    let revoked = 0;
+
+    if (typeof refreshToken === 'string' && refreshToken) {
+      revoked += await revokeRefreshToken(refreshToken);
+    }
+
+    const token = ctx.headers.authorization?.replace('Bearer ', '');
+    if (token) {
+      try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        if (decoded.sid) {
+          revoked += await revokeSession(decoded.sid, 'logout');
+        }
+      } catch (error) {
+        // 访问令牌已过期时仍可凭刷新令牌退出
+      }
+    }
+
+    ctx.body = {
+      success: true,
+      message: '已退出登录',
+      data: { revoked }
+    };
+  } catch (error) {
+    ctx.status = 500;
+    ctx.body = {
+      success: false,
+      message: '退出登录失败',
+      error: error.message
+    };
+  }
+});
+
+// 我的登录设备（有效会话），current 标记当前会话
+router.get('/sessions', auth, async (ctx) => {
+  try {
+    const { userId, sid } = ctx.state.user;
+    const sessions = await listUserSessions(userId);
+
+    ctx.body = {
+      success: true,
+      data: sessions.map(session => ({
+        ...session,
+        current: session._id.toString() === sid
+      }))
+    };
+  } catch (error) {
+    ctx.status = 500;
+    ctx.body = {
+      success: false,
+      message: '获取登录设备失败',
+      error: error.message
+    };
+  }
+});
+
+// 下线除当前设备外的全部设备
+router.delete('/sessions', auth, async (ctx) => {
+  try {
+    const { userId, sid } = ctx.state.user;
+    const revoked = await revokeUserSessions(userId, 'revoked', sid);
+
+    ctx.body = {
+      success: true,
+      message: `已下线${revoked}个设备`,
+      data: { revoked }
+    };
+  } catch (error) {
+    ctx.status = 500;
+    ctx.body = {
+      success: false,
+      message: '下线设备失败',
+      error: error.message
+    };
+  }
+});
+
+// 下线指定设备
+router.delete('/sessions/:id', auth, async (ctx) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(ctx.params.id)) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: '无效的会话ID'
+      };
+      return;
+    }
+
+    // 只能下线自己的会话
+    const session = await Session.findOne({ _id: ctx.params.id, user: ctx.state.user.userId, revokedAt: null })
+      .select('_id')
+      .lean();
+    if (!session) {
+      ctx.status = 404;
+      ctx.body = {
+        success: false,
+        message: '会话不存在或已失效'
+      };
+      return;
+    }
+
+    await revokeSession(session._id, 'revoked');
+
+    ctx.body = {
+      success: true,
+      message: '设备已下线'
+    };
+  } catch (error) {
+    ctx.status = 500;
+    ctx.body = {
+      success: false,
+      message: '下线设备失败',
+      error: error.message
+    };
+  }
+});
+
+// ============ 找回密码 ============
+
+// 重置密码链接有效期（分钟）
+const RESET_PASSWORD_MINUTES = 30;
+
+// 找回密码验证规则
+const forgotPasswordSchema = Joi.object({
+  email: Joi.string().email().required()
+});
+
+// 重置密码验证规则
+const resetPasswordSchema = Joi.object({
+  token: Joi.string().required(),
+  password: Joi.string().min(6).required()
+});
+
+// 重置密码令牌哈希
+const hashResetToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// 找回密码：向注册邮箱发送重置链接。无论邮箱是否注册、是否发送过于频繁都返回相同结果，避免据此探测账户
+router.post('/password/forgot', async (ctx) => {
+  try {
+    const { error, value } = forgotPasswordSchema.validate(ctx.request.body);
+    if (error) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: error.details[0].message
+      };
+      return;
+    }
+
+    const email = value.email.toLowerCase();
+    const user = await User.findOne({ email }).select('email isActive');
+
+    // 与发送验证码相同，同一邮箱1分钟内只发送一次
+    if (user && user.isActive && !(await sentRecently(email, 'reset_password'))) {
+      const token = crypto.randomBytes(32).toString('base64url');
+      const verification = await EmailVerification.create({
+        email,
+        tokenHash: hashResetToken(token),
+        type: 'reset_password',
+        user: user._id,
+        expiresAt: new Date(Date.now() + RESET_PASSWORD_MINUTES * 60 * 1000)
+      });
+
+      const baseUrl = process.env.RESET_PASSWORD_URL || `${process.env.HOST || 'http://localhost:5002'}/reset-password`;
+      try {
+        await sendPasswordResetEmail(email, `${baseUrl}?token=${token}`, RESET_PASSWORD_MINUTES);
+      } catch (emailError) {
+        // 发送失败也返回相同结果，避免据此判断邮箱是否已注册
+        console.error('重置密码邮件发送失败:', emailError);
+        await EmailVerification.deleteOne({ _id: verification._id });
+      }
+    }
+
+    ctx.body = {
+      success: true,
+      message: '如果该邮箱已注册，重置密码链接已发送到您的邮箱'
+    };
+  } catch (error) {
+    ctx.status = 500;
+    ctx.body = {
+      success: false,
+      message: '发送重置密码邮件失败',
+      error: error.message
+    };
+  }
+});
+
+// 重置密码：凭邮件中的链接令牌设置新密码，成功后该账户所有设备需重新登录
+router.post('/password/reset', async (ctx) => {
+  try {
+    const { error, value } = resetPasswordSchema.validate(ctx.request.body);
+    if (error) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: error.details[0].message
+      };
+      return;
+    }
+
+    // 原子地标记为已使用，同一链接只能使用一次
+    const verification = await EmailVerification.findOneAndUpdate(
+      {
+        tokenHash: hashResetToken(value.token),
+        type: 'reset_password',
+        isUsed: false,
+        expiresAt: { $gt: new Date() }
+      },
+      { isUsed: true },
+      { new: true }
+    );
+    if (!verification) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: '重置链接无效或已过期'
+      };
+      return;
+    }
+
+    // 按发起重置的用户查找，链接发出后账户更换了邮箱的不再有效
+    const user = await User.findById(verification.user);
+    if (!user || !user.isActive || user.email !== verification.email) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: '账户不存在或已被禁用'
+      };
+      return;
+    }
+
+    user.password = value.password;
+    await user.save();
+
+    // 该账户其他未使用的重置链接一并作废
+    await EmailVerification.updateMany(
+      { user: user._id, type: 'reset_password', isUsed: false },
+      { isUsed: true }
+    );
+    await revokeUserSessions(user._id, 'password_reset');
+    // 已证明邮箱归属，解除账户的登录锁定
+    await clearLoginFailures(user.email);
+
+    ctx.body = {
+      success: true,
+      message: '密码已重置，请使用新密码登录'
+    };
+  } catch (error) {
+    ctx.status = 500;
+    ctx.body = {
+      success: false,
+      message: '重置密码失败',
+      error: error.message
+    };
+  }
+});
+
+// ============ 两步验证 ============
+
+// 查询用户时带上两步验证的敏感字段
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+// 二次验证规则
+const twoFactorVerifySchema = Joi.object({
+  challengeToken: Joi.string().required(),
+  method: Joi.string().valid('totp', 'recovery', 'email').default('totp'),
+  code: Joi.string().trim().required()
+});
+
+// 两步验证验证码规则
+const twoFactorCodeSchema = Joi.object({
+  code: Joi.string().trim().required(),
+  challengeToken: Joi.string()
+});
+
+// 开启两步验证的认证：已登录用户使用访问令牌；管理员首次登录未开启时使用登录返回的开启凭证
+const twoFactorSetupAuth = async (ctx, next) => {
+  const challengeToken = ctx.request.body?.challengeToken;
+  if (!challengeToken) {
+    await auth(ctx, next);
+    return;
+  }
+
+  const challenge = verifyChallenge(challengeToken, 'setup');
+  if (!challenge) {
+    ctx.status = 401;
+    ctx.body = {
+      success: false,
+      message: '验证已过期，请重新登录'
+    };
+    return;
+  }
+
+  ctx.state.user = { userId: challenge.userId };
+  ctx.state.twoFactorChallenge = challenge;
+  await next();
+};
+
+// 校验 TOTP 并记录已使用的时间步
+const checkTotp = async (user, code) => {
+  if (!user.twoFactor?.secret) return false;
+
+  const step = verifyTotp(decryptSecret(user.twoFactor.secret), code, user.twoFactor.lastUsedStep ?? -1);
+  if (step === null) return false;
+
+  user.twoFactor.lastUsedStep = step;
+  await user.save();
+  return true;
+};
+
+// 校验并消耗一个恢复码
+const useRecoveryCode = async (user, code) => {
+  const index = matchRecoveryCode(user.twoFactor?.recoveryCodes, code);
+  if (index === -1) return false;
+
+  user.twoFactor.recoveryCodes.splice(index, 1);
+  await user.save();
+  return true;
+};
+
+// 二次验证通过后完成登录
+const completeLogin = async (ctx, user, method) => {
+  user.lastLogin = new Date();
+  await user.save();
+
+  const tokens = await createSession(ctx, user, ['email_code', 'oauth'].includes(method) ? method : 'password');
+  return {
+    user: {
+      id: user._id,
+      username: user.username,
+      email: user.email,
+      role: user.role,
+      avatar: user.avatar,
+      createdAt: user.createdAt
+    },
+    ...tokens
+  };
+};
+
+// 两步验证状态
+router.get('/2fa/status', auth, async (ctx) => {
+  try {
+    const user = await User.findById(ctx.state.user.userId).select('+twoFactor.recoveryCodes');
+    if (!user) {
+      ctx.status = 404;
+      ctx.body = {
+        success: false,
+        message: '用户不存在'
+      };
+      return;
+    }
+
+    ctx.body = {
+      success: true,
+      data: {
+        enabled: Boolean(user.twoFactor?.enabled),
+        enabledAt: user.twoFactor?.enabledAt || null,
+        required: requiresTwoFactor(user),
+        recoveryCodesRemaining: user.twoFactor?.recoveryCodes?.length || 0
+      }
+    };
+  } catch (error) {
+    ctx.status = 500;
+    ctx.body = {
+      success: false,
+      message: '获取两步验证状态失败',
+      error: error.message
+    };
+  }
+});
+
+// 生成 TOTP 密钥（需调用 /2fa/enable 确认后才生效）
+router.post('/2fa/setup', twoFactorSetupAuth, async (ctx) => {
+  try {
+    const user = await User.findById(ctx.state.user.userId).select(TWO_FACTOR_FIELDS);
+    if (!user || !user.isActive) {
+      ctx.status = 404;
+      ctx.body = {
+        success: false,
+        message: '用户不存在或已被禁用'
+      };
+      return;
+    }
+
+    if (user.twoFactor?.enabled) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: '两步验证已开启'
+      };
+      return;
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = encryptSecret(secret);
+    await user.save();
+
+    ctx.body = {
+      success: true,
+      message: '请使用验证器 App 扫码或输入密钥，并提交验证码完成开启',
+      data: {
+        secret,
+        otpauthUrl: otpauthUrl(secret, user.email)
+      }
+    };
+  } catch (error) {
+    ctx.status = 500;
+    ctx.body = {
+      success: false,
+      message: '生成两步验证密钥失败',
+      error: error.message
+    };
+  }
+});
+
+// 提交验证码开启两步验证，返回恢复码（只展示一次）；使用开启凭证时同时完成登录
+router.post('/2fa/enable', twoFactorSetupAuth, async (ctx) => {
+  try {
+    const { error, value } = twoFactorCodeSchema.validate(ctx.request.body);
+    if (error) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: error.details[0].message
+      };
+      return;
+    }
+
+    const user = await User.findById(ctx.state.user.userId).select(TWO_FACTOR_FIELDS);
+    if (!user || !user.isActive) {
+      ctx.status = 404;
+      ctx.body = {
+        success: false,
+        message: '用户不存在或已被禁用'
+      };
+      return;
+    }
+
+    if (user.twoFactor?.enabled) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: '两步验证已开启'
+      };
+      return;
+    }
+
+    if (!user.twoFactor?.pendingSecret) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: '请先生成两步验证密钥'
+      };
+      return;
+    }
+
+    const secret = decryptSecret(user.twoFactor.pendingSecret);
+    const step = verifyTotp(secret, value.code);
+    if (step === null) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: '验证码错误'
+      };
+      return;
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = hashes;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    const data = { recoveryCodes: codes };
+    const challenge = ctx.state.twoFactorChallenge;
+    if (challenge) {
+      consumeChallenge(challenge);
+      Object.assign(data, await completeLogin(ctx, user, challenge.method));
+    }
+
+    ctx.body = {
+      success: true,
+      message: '两步验证已开启，请妥善保存恢复码',
+      data
+    };
+  } catch (error) {
+    ctx.status = 500;
+    ctx.body = {
+      success: false,
+      message: '开启两步验证失败',
+      error: error.message
+    };
+  }
+});
+
+// 登录二次验证：method 为 totp（验证器验证码）、recovery（恢复码）或 email（邮箱验证码）
+router.post('/2fa/verify', async (ctx) => {
+  try {
+    const { error, value } = twoFactorVerifySchema.validate(ctx.request.body);
+    if (error) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: error.details[0].message
+      };
+      return;
+    }
+
+    const challenge = verifyChallenge(value.challengeToken, 'verify');
+    if (!challenge) {
+      ctx.status = 401;
+      ctx.body = {
+        success: false,
+        message: '验证已过期，请重新登录'
+      };
+      return;
+    }
+
+    const user = await User.findById(challenge.userId).select(TWO_FACTOR_FIELDS);
+    if (!user || !user.isActive || !user.twoFactor?.enabled) {
+      ctx.status = 401;
+      ctx.body = {
+        success: false,
+        message: '验证已过期，请重新登录'
+      };
+      return;
+    }
+
+    // 二次验证失败次数按用户累计（重新登录不会清零），同时计入账户与来源IP的登录失败
+    const blocked = await checkSecondFactorAllowed(user) || await checkLoginAllowed(ctx, user.email);
+    if (blocked) {
+      rejectThrottled(ctx, blocked);
+      return;
+    }
+
+    let passed = false;
+    if (value.method === 'totp') {
+      passed = await checkTotp(user, value.code);
+    } else if (value.method === 'recovery') {
+      passed = await useRecoveryCode(user, value.code);
+    } else if (challenge.method !== 'email_code') {
+      const verification = await EmailVerification.findOneAndUpdate(
+        {
+          email: user.email,
+          code: value.code,
+          type: 'two_factor',
+          isUsed: false,
+          expiresAt: { $gt: new Date() }
+        },
+        { isUsed: true }
+      );
+      passed = Boolean(verification);
+    }
+
+    if (!passed) {
+      const remaining = recordChallengeFailure(challenge);
+      if (await recordSecondFactorFailure(user)) {
+        rejectThrottled(ctx, await checkSecondFactorAllowed(user));
+        return;
+      }
+      await rejectLoginFailure(
+        ctx,
+        user.email,
+        user,
+        remaining > 0 ? `验证码错误，还可尝试${remaining}次` : '验证失败次数过多，请重新登录'
+      );
+      return;
+    }
+
+    consumeChallenge(challenge);
+    await clearSecondFactorFailures(user);
+    const data = await completeLogin(ctx, user, challenge.method);
+    if (value.method === 'recovery') {
+      data.recoveryCodesRemaining = user.twoFactor.recoveryCodes.length;
+    }
+
+    ctx.body = {
+      success: true,
+      message: '登录成功',
+      data
+    };
+  } catch (error) {
+    ctx.status = 500;
+    ctx.body = {
+      success: false,
+      message: '两步验证失败',
+      error: error.message
+    };
+  }
+});
+
+// 无法使用验证器时，发送邮箱验证码作为二次验证
+router.post('/2fa/email', async (ctx) => {
+  try {
+    const challenge = verifyChallenge(ctx.request.body?.challengeToken, 'verify');
+    if (!challenge) {
+      ctx.status = 401;
+      ctx.body = {
+        success: false,
+        message: '验证已过期，请重新登录'
+      };
+      return;
+    }
+
+    if (challenge.method === 'email_code') {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: '邮箱验证码登录请使用验证器或恢复码完成二次验证'
+      };
+      return;
+    }
+
+    const user = await User.findById(challenge.userId).select('email isActive');
+    if (!user || !user.isActive) {
+      ctx.status = 401;
+      ctx.body = {
+        success: false,
+        message: '验证已过期，请重新登录'
+      };
+      return;
+    }
+
+    // 与发送登录验证码相同，1分钟内只能发送一次
+    if (await sentRecently(user.email, 'two_factor')) {
+      ctx.status = 429;
+      ctx.body = {
+        success: false,
+        message: '验证码发送过于频繁，请稍后再试'
+      };
+      return;
+    }
+
+    const verification = new EmailVerification({
+      email: user.email,
+      code: generateVerificationCode(),
+      type: 'two_factor',
+      expiresAt: new Date(Date.now() + 10 * 60 * 1000)
+    });
+    await verification.save();
+
+    try {
+      await sendVerificationEmail(user.email, verification.code, 'two_factor');
+    } catch (emailError) {
+      console.error('邮件发送失败:', emailError);
+      await EmailVerification.deleteOne({ _id: verification._id });
+      ctx.status = 500;
+      ctx.body = {
+        success: false,
+        message: '邮件发送失败，请稍后重试'
+      };
+      return;
+    }
+
+    ctx.body = {
+      success: true,
+      message: '验证码已发送到您的邮箱'
+    };
+  } catch (error) {
+    ctx.status = 500;
+    ctx.body = {
+      success: false,
+      message: '发送验证码失败',
+      error: error.message
+    };
+  }
+});
+
+// 重新生成恢复码（原恢复码全部失效），需提交验证器验证码
+router.post('/2fa/recovery-codes', auth, async (ctx) => {
+  try {
+    const { error, value } = twoFactorCodeSchema.validate(ctx.request.body);
+    if (error) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: error.details[0].message
+      };
+      return;
+    }
+
+    const user = await User.findById(ctx.state.user.userId).select(TWO_FACTOR_FIELDS);
+    if (!user || !user.twoFactor?.enabled) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: '未开启两步验证'
+      };
+      return;
+    }
+
+    if (!(await checkTotp(user, value.code))) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: '验证码错误'
+      };
+      return;
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashes;
+    await user.save();
+
+    ctx.body = {
+      success: true,
+      message: '恢复码已重新生成，请妥善保存',
+      data: { recoveryCodes: codes }
+    };
+  } catch (error) {
+    ctx.status = 500;
+    ctx.body = {
+      success: false,
+      message: '生成恢复码失败',
+      error: error.message
+    };
+  }
+});
+
+// 关闭两步验证（拥有管理权限的账户不能关闭），需提交验证器验证码或恢复码
+router.post('/2fa/disable', auth, async (ctx) => {
+  try {
+    const { error, value } = twoFactorCodeSchema.validate(ctx.request.body);
+    if (error) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: error.details[0].message
+      };
+      return;
+    }
+
+    const user = await User.findById(ctx.state.user.userId).select(TWO_FACTOR_FIELDS);
+    if (!user || !user.twoFactor?.enabled) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: '未开启两步验证'
+      };
+      return;
+    }
+
+    if (requiresTwoFactor(user)) {
+      ctx.status = 403;
+      ctx.body = {
+        success: false,
+        message: '该账户拥有管理权限，必须开启两步验证'
+      };
+      return;
+    }
+
+    if (!(await checkTotp(user, value.code)) && !(await useRecoveryCode(user, value.code))) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: '验证码错误'
+      };
+      return;
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    ctx.body = {
+      success: true,
+      message: '两步验证已关闭'
+    };
+  } catch (error) {
+    ctx.status = 500;
+    ctx.body = {
+      success: false,
+      message: '关闭两步验证失败',
+      error: error.message
+    };
+  }
+});
+
+// ============ 第三方登录 ============
+
+// 第三方登录回调规则
+const oauthCallbackSchema = Joi.object({
+  code: Joi.string().required(),
+  state: Joi.string().required()
+});
+
+// 已启用的第三方登录
+router.get('/oauth/providers', async (ctx) => {
+  ctx.body = {
+    success: true,
+    data: listProviders()
+  };
+});
+
+// 发起第三方登录，返回授权地址；第三方授权后跳转到前端回调页，由前端提交 code 与 state
+router.get('/oauth/:provider/authorize', async (ctx) => {
+  try {
+    const provider = getProvider(ctx.params.provider);
+    if (!provider) {
+      ctx.status = 404;
+      ctx.body = {
+        success: false,
+        message: '不支持的登录方式'
+      };
+      return;
+    }
+
+    ctx.body = {
+      success: true,
+      data: {
+        url: await startAuthorization(ctx, provider, 'login')
+      }
+    };
+  } catch (error) {
+    ctx.status = 500;
+    ctx.body = {
+      success: false,
+      message: '发起第三方登录失败',
+      error: error.message
+    };
+  }
+});
+
+// 第三方登录回调：已绑定的账户直接登录；未绑定时用第三方已验证的邮箱注册新用户，
+// 邮箱已注册的不自动绑定（避免第三方账户接管已有账户），需登录后在个人资料中绑定
+router.post('/oauth/:provider/callback', async (ctx) => {
+  try {
+    const provider = getProvider(ctx.params.provider);
+    if (!provider) {
+      ctx.status = 404;
+      ctx.body = {
+        success: false,
+        message: '不支持的登录方式'
+      };
+      return;
+    }
+
+    const { error, value } = oauthCallbackSchema.validate(ctx.request.body);
+    if (error) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: error.details[0].message
+      };
+      return;
+    }
+
+    const result = await completeAuthorization(ctx, provider, value, 'login');
+    if (result.error) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: result.error
+      };
+      return;
+    }
+
+    const { profile } = result;
+    let identity = await UserIdentity.findOne({ provider: provider.id, subject: profile.subject });
+    let user = identity ? await User.findById(identity.user) : null;
+
+    if (!identity) {
+      const email = profile.emailVerified ? profile.email.toLowerCase() : '';
+      if (!email) {
+        ctx.status = 400;
+        ctx.body = {
+          success: false,
+          message: `该${provider.name}账户未绑定，请使用邮箱登录后在个人资料中绑定`
+        };
+        return;
+      }
+
+      if (await User.exists({ email })) {
+        ctx.status = 409;
+        ctx.body = {
+          success: false,
+          message: `该邮箱已注册，请登录后在个人资料中绑定${provider.name}账户`
+        };
+        return;
+      }
+
+      user = new User({
+        username: profile.name || email.split('@')[0],
+        email,
+        password: crypto.randomBytes(24).toString('base64url'), // 随机密码，可通过找回密码设置
+        role: 'user',
+        avatar: profile.avatar || avatarUrl,
+        isActive: true
+      });
+      await user.save();
+
+      identity = new UserIdentity({
+        user: user._id,
+        provider: provider.id,
+        subject: profile.subject,
+        email: profile.email,
+        name: profile.name,
+        avatar: profile.avatar
+      });
+    }
+
+    if (!user || !user.isActive) {
+      ctx.status = 403;
+      ctx.body = {
+        success: false,
+        message: user ? '账户已被禁用' : '绑定的用户不存在'
+      };
+      return;
+    }
+    if (await rejectSuspended(ctx, user)) return;
+
+    identity.lastLoginAt = new Date();
+    await identity.save();
+
+    // 已开启两步验证或拥有管理权限的账户，需完成二次验证后才创建会话
+    const challenge = twoFactorChallenge(user, 'oauth');
+    if (challenge) {
+      ctx.body = {
+        success: true,
+        message: challenge.message,
+        data: challenge.data
+      };
+      return;
+    }
+
+    ctx.body = {
+      success: true,
+      message: '登录成功',
+      data: await completeLogin(ctx, user, 'oauth')
+    };
+  } catch (error) {
+    ctx.status = 500;
+    ctx.body = {
+      success: false,
+      message: '第三方登录失败',
+      error: error.message
+    };
+  }
+});
+
+module.exports = router;
@@ -7,22 +7,26 @@ const Comment = require('../models/comments');
 const User = require('../models/User');  // 添加这一行
 const History = require('../models/History');
 const Favorite = require('../models/Favorite');
+const BlogRevision = require('../models/BlogRevision');
+const { PUBLISH_STATUSES } = require('../config/moderation');
 const { validateContent } = require('../utils/contentFilter');
+const { markSearchIndexStale } = require('../utils/searchHelper');
+const { logSearch } = require('../utils/searchLogHelper');
+const { hasPermission } = require('../utils/permissionHelper');
+const {
+    publishedCondition,
+    isPublished,
+    publicBlogCondition,
+    isPublicBlog,
+    canViewBlog,
+    assessContentRisk
+} = require('../utils/moderationHelper');
+const { snapshot, changedFields, recordRevision, ensureInitialRevision, diffRevisions } = require('../utils/blogRevisionHelper');
+const { requireNoSanction } = require('../utils/sanctionHelper');
 // JWT中间件
 const auth = jwt({ secret: process.env.JWT_SECRET });
-
-// 验证管理员权限
-const requireAdmin = async (ctx, next) => {
-    if (ctx.state.user.role !== 'admin') {
-        ctx.status = 403;
-        ctx.body = {
-            success: false,
-            message: '需要管理员权限'
-        };
-        return;
-    }
-    await next();
-};
+// 可选认证：有 token 时解析用户信息（作者可查看自己未公开的博客）
+const optionalAuth = jwt({ secret: process.env.JWT_SECRET, passthrough: true });
 
 // 验证博客作者权限
 const requireAuthor = async (ctx, next) => {
@@ -37,8 +41,8 @@ const requireAuthor = async (ctx, next) => {
             return;
         }
 
-        // 管理员或博客作者可以操作
-        if (ctx.state.user.role !== 'admin' && blog.user.toString() !== ctx.state.user.id) {
+        // 博客作者或拥有博客管理权限的用户可以操作
+        if (blog.user.toString() !== ctx.state.user.id && !(await hasPermission(ctx, 'blog:manage'))) {
             ctx.status = 403;
             ctx.body = {
                 success: false,
@@ -59,19 +63,72 @@ const requireAuthor = async (ctx, next) => {
     }
 };
 
+// 校验标题与正文（长度、敏感词），返回错误提示
+const validateBlogText = async (ctx, { title, content }, targetId) => {
+    if (title !== undefined) {
+        const titleValidation = await validateContent(title, {
+            minLength: 1,
+            maxLength: 200,
+            strictMode: true,
+            source: 'blog_title',
+            user: ctx.state.user.userId,
+            targetId
+        });
+        if (!titleValidation.isValid) return `标题${titleValidation.message}`;
+    }
+
+    if (content && content.trim()) {
+        const contentValidation = await validateContent(content, {
+            minLength: 1,
+            maxLength: 50000,
+            strictMode: true,
+            source: 'blog_content',
+            user: ctx.state.user.userId,
+            targetId
+        });
+        if (!contentValidation.isValid) return `内容${contentValidation.message}`;
+    }
+    return null;
+};
+
+// 保存博客后的提示语：草稿、定时发布、待审核、已发布
+const saveMessage = (blog, done, submitted) => {
+    if (blog.publishStatus === 'draft') return '草稿已保存';
+    const pending = blog.moderationStatus === 'pending' ? '，审核通过后公开' : '';
+    if (blog.publishStatus === 'scheduled') {
+        return `博客将于 ${blog.scheduledAt.toLocaleString('zh-CN', { hour12: false })} 发布${pending}`;
+    }
+    return pending ? `${submitted}${pending}` : done;
+};
+
+// 解析路径中的版本号
+const parseVersion = (value) => {
+    const version = Number(value);
+    return Number.isInteger(version) && version > 0 ? version : null;
+};
+
+// 定时发布时间：须晚于当前时间
+const scheduledAtSchema = Joi.date().greater('now').messages({
+    'date.base': '发布时间格式不正确',
+    'date.greater': '发布时间须晚于当前时间'
+});
+
 const router = new Router({
     prefix: '/api/blogs'
 });
 
-// 获取本人所有博客
+// 获取本人所有博客（含草稿与定时发布，可按 status 筛选）
 router.get('/my', auth, async (ctx) => {
     try {
-        const { page = 1, limit = 10, sortByLatest } = ctx.query;
+        const { page = 1, limit = 10, sortByLatest, status } = ctx.query;
         const skip = (page - 1) * limit;
         const userId = ctx.state.user.userId;
 
         // 构建查询条件 - 只查询当前用户的博客
         const query = { user: userId };
+        if (PUBLISH_STATUSES[status]) {
+            query.publishStatus = status === 'published' ? { $in: ['published', null] } : status;
+        }
 
         // 构建排序条件
         let sort = {};
@@ -92,8 +149,8 @@ router.get('/my', auth, async (ctx) => {
 
         // 获取每个博客的评论统计
         const blogsWithStats = await Promise.all(blogs.map(async (blog) => {
-            const commentCount = await Comment.countDocuments({ blog: blog._id });
-            const comments = await Comment.find({ blog: blog._id });
+            const commentCount = await Comment.countDocuments({ blog: blog._id, ...publishedCondition() });
+            const comments = await Comment.find({ blog: blog._id, ...publishedCondition() });
             const likeCount = comments.reduce((total, comment) => total + (comment.likes || 0), 0);
 
             return {
@@ -136,8 +193,8 @@ router.get('/all', async (ctx) => {
         const { page = 1, limit = 10, sortByLatest, search, userId } = ctx.query;
         const skip = (page - 1) * limit;
 
-        // 构建查询条件
-        let query = {};
+        // 构建查询条件（只返回已公开的博客）
+        let query = { ...publicBlogCondition() };
         if (search) {
             query.$or = [
                 { title: { $regex: search, $options: 'i' } },
@@ -185,7 +242,7 @@ router.get('/all', async (ctx) => {
 
         const blogsWithStats = sortByLatest === 'true'
             ? await Promise.all(blogs.map(async (blog) => {
-                const commentCount = await Comment.countDocuments({ blog: blog._id });
+                const commentCount = await Comment.countDocuments({ blog: blog._id, ...publishedCondition() });
                 const viewCount = blog.viewCount || 0;
                 const favoriteCount = blog.favoriteCount || 0;
 
@@ -200,7 +257,7 @@ router.get('/all', async (ctx) => {
                 };
             }))
             : await Promise.all(blogs.map(async (blog) => {
-                const commentCount = await Comment.countDocuments({ blog: blog._id });
+                const commentCount = await Comment.countDocuments({ blog: blog._id, ...publishedCondition() });
                 const viewCount = blog.viewCount || 0;
                 const favoriteCount = blog.favoriteCount || 0;
                 return {
@@ -215,11 +272,13 @@ router.get('/all', async (ctx) => {
             }));
 
         const total = await Blog.countDocuments(query);
+        const searchId = logSearch(ctx, { source: 'blogs', query: search, filters: ctx.query, resultCount: total });
 
         ctx.body = {
             success: true,
             data: {
                 blogs: blogsWithStats,
+                searchId,
                 pagination: {
                     page: parseInt(page),
                     limit: parseInt(limit),
@@ -239,7 +298,7 @@ router.get('/all', async (ctx) => {
 });
 
 // 根据ID获取博客详情
-router.get('/detail/:id', async (ctx) => {
+router.get('/detail/:id', optionalAuth, async (ctx) => {
     try {
         const { error: idError } = Joi.string().required().validate(ctx.params.id);
         if (idError) {
@@ -257,7 +316,9 @@ router.get('/detail/:id', async (ctx) => {
                 select: 'username email role avatar'
             });
 
-        if (!blog) {
+        // 未公开的博客只有作者与审核人员可见，草稿与定时发布的博客只有作者与博客管理人员可见
+        const published = blog && isPublicBlog(blog);
+        if (!blog || (!published && !(await canViewBlog(ctx, blog)))) {
             ctx.status = 404;
             ctx.body = {
                 success: false,
@@ -266,18 +327,20 @@ router.get('/detail/:id', async (ctx) => {
             return;
         }
 
-        // 视图计数：原子自增一次
-        await Blog.updateOne({ _id: blog._id }, { $inc: { viewCount: 1 } });
+        // 视图计数：原子自增一次（未公开的博客不计数）
+        if (published) {
+            await Blog.updateOne({ _id: blog._id }, { $inc: { viewCount: 1 } });
+        }
 
         // 获取评论统计
-        const commentCount = await Comment.countDocuments({ blog: blog._id });
+        const commentCount = await Comment.countDocuments({ blog: blog._id, ...publishedCondition() });
         const favoriteCount = blog.favoriteCount || 0;
 
         const blogWithStats = {
             ...blog.toObject(),
             commentCount,
             favoriteCount,
-            viewCount: (blog.viewCount || 0) + 1,
+            viewCount: (blog.viewCount || 0) + (published ? 1 : 0),
             createName: blog.user?.username || '未知用户',
             images: blog.blogImage?.map(img => img.image) || [],
             defaultImage: blog.blogImage?.[0]?.image || null
@@ -298,7 +361,8 @@ router.get('/detail/:id', async (ctx) => {
 });
 
 // 创建博客
-router.post('/create', auth, async (ctx) => {
+// status：draft 草稿、scheduled 定时发布（须填写 scheduledAt）、published 立即发布（默认）
+router.post('/create', auth, requireNoSanction('blog'), async (ctx) => {
     try {
         const { error, value } = Joi.object({
             title: Joi.string().required(),
@@ -308,7 +372,16 @@ router.post('/create', auth, async (ctx) => {
                 Joi.object({
                     image: Joi.string().required()
                 })
-            ).default([])
+            ).default([]),
+            status: Joi.string().valid(...Object.keys(PUBLISH_STATUSES)).default('published'),
+            scheduledAt: scheduledAtSchema.when('status', {
+                is: 'scheduled',
+                then: Joi.required(),
+                otherwise: Joi.forbidden()
+            }).messages({
+                'any.required': '定时发布须填写发布时间',
+                'any.unknown': '只有定时发布时可以填写发布时间'
+            })
         }).validate(ctx.request.body);
 
         if (error) {
@@ -320,46 +393,37 @@ router.post('/create', auth, async (ctx) => {
             return;
         }
 
-        // 验证标题内容
-        const titleValidation = validateContent(value.title, {
-            minLength: 1,
-            maxLength: 200,
-            strictMode: true
-        });
+        const { status, scheduledAt, ...fields } = value;
 
-        if (!titleValidation.isValid) {
+        // 验证标题与内容
+        const textError = await validateBlogText(ctx, fields);
+        if (textError) {
             ctx.status = 400;
             ctx.body = {
                 success: false,
-                message: `标题${titleValidation.message}`
+                message: textError
             };
             return;
         }
 
-        // 验证博客内容
-        if (value.content && value.content.trim()) {
-            const contentValidation = validateContent(value.content, {
-                minLength: 1,
-                maxLength: 50000,
-                strictMode: true
-            });
-
-            if (!contentValidation.isValid) {
-                ctx.status = 400;
-                ctx.body = {
-                    success: false,
-                    message: `内容${contentValidation.message}`
-                };
-                return;
-            }
-        }
+        // 风险检查：有风险的博客进入待审核队列；草稿提交发布时再检查
+        const risk = status === 'draft'
+            ? { status: 'approved', reasons: [] }
+            : await assessContentRisk([fields.title, fields.content].filter(Boolean).join('\n'));
 
         const blog = new Blog({
-            ...value,
-            user: ctx.state.user.userId
+            ...fields,
+            user: ctx.state.user.userId,
+            moderationStatus: risk.status,
+            riskReasons: risk.reasons,
+            publishStatus: status,
+            scheduledAt: scheduledAt || null,
+            publishedAt: status === 'published' ? new Date() : null
         });
 
         await blog.save();
+        await recordRevision(blog, ctx.state.user.userId, 'create');
+        if (status === 'published') markSearchIndexStale();
         await blog.populate({
             path: 'user',
             select: 'username  avatar'
@@ -369,7 +433,7 @@ router.post('/create', auth, async (ctx) => {
         ctx.status = 201;
         ctx.body = {
             success: true,
-            message: '博客创建成功',
+            message: saveMessage(blog, '博客创建成功', '博客已提交'),
             data: blog
         };
     } catch (error) {
@@ -383,7 +447,9 @@ router.post('/create', auth, async (ctx) => {
 });
 
 // 更新博客
-router.put('/:id', auth, requireAuthor, async (ctx) => {
+// status 可改为 draft（撤回为草稿）、scheduled（草稿定时发布或改期，须填写 scheduledAt）、published（立即发布）；
+// 修改标题、正文、标签、图片时保存修订版本
+router.put('/:id', auth, requireNoSanction('blog'), requireAuthor, async (ctx) => {
     try {
         const { error, value } = Joi.object({
             title: Joi.string(),
@@ -393,7 +459,9 @@ router.put('/:id', auth, requireAuthor, async (ctx) => {
                 Joi.object({
                     image: Joi.string().required()
                 })
-            )
+            ),
+            status: Joi.string().valid(...Object.keys(PUBLISH_STATUSES)),
+            scheduledAt: scheduledAtSchema
         }).validate(ctx.request.body);
 
         if (error) {
@@ -405,54 +473,82 @@ router.put('/:id', auth, requireAuthor, async (ctx) => {
             return;
         }
 
-        // 验证标题内容
-        if (value.title) {
-            const titleValidation = validateContent(value.title, {
-                minLength: 1,
-                maxLength: 200,
-                strictMode: true
-            });
+        const { status, scheduledAt, ...fields } = value;
+        const currentStatus = ctx.blog.publishStatus || 'published';
+        const nextStatus = status || currentStatus;
 
-            if (!titleValidation.isValid) {
+        if (nextStatus === 'scheduled') {
+            if (currentStatus === 'published') {
                 ctx.status = 400;
                 ctx.body = {
                     success: false,
-                    message: `标题${titleValidation.message}`
+                    message: '已发布的博客不能改为定时发布'
                 };
                 return;
             }
-        }
-
-        // 验证博客内容
-        if (value.content && value.content.trim()) {
-            const contentValidation = validateContent(value.content, {
-                minLength: 1,
-                maxLength: 50000,
-                strictMode: true
-            });
-
-            if (!contentValidation.isValid) {
+            fields.scheduledAt = scheduledAt || (currentStatus === 'scheduled' ? ctx.blog.scheduledAt : null);
+            if (!fields.scheduledAt) {
                 ctx.status = 400;
                 ctx.body = {
                     success: false,
-                    message: `内容${contentValidation.message}`
+                    message: '定时发布须填写发布时间'
                 };
                 return;
             }
+        } else if (scheduledAt) {
+            ctx.status = 400;
+            ctx.body = {
+                success: false,
+                message: '只有定时发布时可以填写发布时间'
+            };
+            return;
+        } else if (status) {
+            fields.scheduledAt = null;
+        }
+        if (status) fields.publishStatus = status;
+        if (nextStatus === 'published' && currentStatus !== 'published') fields.publishedAt = new Date();
+
+        // 验证标题与内容
+        const textError = await validateBlogText(ctx, fields, ctx.params.id);
+        if (textError) {
+            ctx.status = 400;
+            ctx.body = {
+                success: false,
+                message: textError
+            };
+            return;
+        }
+
+        // 修改标题或正文、草稿提交发布时重新检查风险；未公开的博客修改后重新进入待审核队列
+        const textChanged = fields.title !== undefined || fields.content !== undefined;
+        if (nextStatus !== 'draft' && (textChanged || currentStatus === 'draft')) {
+            const title = fields.title !== undefined ? fields.title : ctx.blog.title;
+            const content = fields.content !== undefined ? fields.content : ctx.blog.content;
+            const risk = await assessContentRisk([title, content].filter(Boolean).join('\n'));
+
+            if (risk.status === 'pending' || !isPublished(ctx.blog)) {
+                fields.moderationStatus = 'pending';
+                fields.riskReasons = risk.reasons.length > 0 ? risk.reasons : ['作者修改后重新提交审核'];
+            }
         }
 
+        const revised = changedFields(ctx.blog, fields).length > 0;
+        if (revised) await ensureInitialRevision(ctx.blog);
+
         const blog = await Blog.findByIdAndUpdate(
             ctx.params.id,
-            value,
+            fields,
             { new: true, runValidators: true }
         ).populate({
             path: 'user',
             select: 'username email role avatar'
         });
+        if (revised) await recordRevision(blog, ctx.state.user.userId, 'edit');
+        markSearchIndexStale();
 
         ctx.body = {
             success: true,
-            message: '博客更新成功',
+            message: saveMessage(blog, '博客更新成功', '博客已更新'),
             data: blog
         };
     } catch (error) {
@@ -465,15 +561,187 @@ router.put('/:id', auth, requireAuthor, async (ctx) => {
     }
 });
 
-// 删除博客
-router.delete('/delete/:id', auth, async (ctx) => {
+// 博客的修订版本列表（不含正文）
+router.get('/:id/revisions', auth, requireAuthor, async (ctx) => {
+    try {
+        const revisions = await BlogRevision.find({ blog: ctx.blog._id })
+            .select('version reason restoredFrom editor title createdAt')
+            .populate('editor', 'username')
+            .sort({ version: -1 })
+            .lean();
+
+        ctx.body = {
+            success: true,
+            data: {
+                current: ctx.blog.revision || 0,
+                revisions
+            }
+        };
+    } catch (error) {
+        ctx.status = 500;
+        ctx.body = {
+            success: false,
+            message: '获取修订版本失败',
+            error: error.message
+        };
+    }
+});
+
+// 对比两个修订版本：from 为旧版本，to 默认为当前版本
+router.get('/:id/revisions/diff', auth, requireAuthor, async (ctx) => {
+    try {
+        const from = parseVersion(ctx.query.from);
+        const to = ctx.query.to === undefined ? ctx.blog.revision : parseVersion(ctx.query.to);
+        if (!from || !to) {
+            ctx.status = 400;
+            ctx.body = {
+                success: false,
+                message: '无效的版本号'
+            };
+            return;
+        }
+
+        const revisions = await BlogRevision.find({ blog: ctx.blog._id, version: { $in: [from, to] } }).lean();
+        const fromRevision = revisions.find(item => item.version === from);
+        const toRevision = revisions.find(item => item.version === to);
+        if (!fromRevision || !toRevision) {
+            ctx.status = 404;
+            ctx.body = {
+                success: false,
+                message: '版本不存在'
+            };
+            return;
+        }
+
+        ctx.body = {
+            success: true,
+            data: {
+                from,
+                to,
+                diff: diffRevisions(fromRevision, toRevision)
+            }
+        };
+    } catch (error) {
+        ctx.status = 500;
+        ctx.body = {
+            success: false,
+            message: '对比修订版本失败',
+            error: error.message
+        };
+    }
+});
+
+// 获取某个修订版本的内容
+router.get('/:id/revisions/:version', auth, requireAuthor, async (ctx) => {
+    try {
+        const version = parseVersion(ctx.params.version);
+        const revision = version && await BlogRevision.findOne({ blog: ctx.blog._id, version })
+            .populate('editor', 'username')
+            .lean();
+
+        if (!revision) {
+            ctx.status = 404;
+            ctx.body = {
+                success: false,
+                message: '版本不存在'
+            };
+            return;
+        }
+
+        ctx.body = {
+            success: true,
+            data: revision
+        };
+    } catch (error) {
+        ctx.status = 500;
+        ctx.body = {
+            success: false,
+            message: '获取修订版本失败',
+            error: error.message
+        };
+    }
+});
+
+// 恢复到某个修订版本：以该版本的内容保存为新版本，已发布的博客同修改一样重新检查风险
+router.post('/:id/revisions/:version/restore', auth, requireNoSanction('blog'), requireAuthor, async (ctx) => {
+    try {
+        const version = parseVersion(ctx.params.version);
+        const revision = version && await BlogRevision.findOne({ blog: ctx.blog._id, version }).lean();
+        if (!revision) {
+            ctx.status = 404;
+            ctx.body = {
+                success: false,
+                message: '版本不存在'
+            };
+            return;
+        }
+
+        const fields = snapshot(revision);
+        if (changedFields(ctx.blog, fields).length === 0) {
+            ctx.status = 400;
+            ctx.body = {
+                success: false,
+                message: '当前内容与该版本相同'
+            };
+            return;
+        }
+
+        // 敏感词库可能已更新，恢复前重新校验
+        const textError = await validateBlogText(ctx, fields, ctx.params.id);
+        if (textError) {
+            ctx.status = 400;
+            ctx.body = {
+                success: false,
+                message: textError
+            };
+            return;
+        }
+
+        if (ctx.blog.publishStatus !== 'draft') {
+            const risk = await assessContentRisk([fields.title, fields.content].filter(Boolean).join('\n'));
+            if (risk.status === 'pending' || !isPublished(ctx.blog)) {
+                fields.moderationStatus = 'pending';
+                fields.riskReasons = risk.reasons.length > 0 ? risk.reasons : ['作者恢复历史版本后重新提交审核'];
+            }
+        }
+
+        const blog = await Blog.findByIdAndUpdate(
+            ctx.params.id,
+            fields,
+            { new: true, runValidators: true }
+        ).populate({
+            path: 'user',
+            select: 'username email role avatar'
+        });
+        await recordRevision(blog, ctx.state.user.userId, 'restore', version);
+        markSearchIndexStale();
+
+        ctx.body = {
+            success: true,
+            message: saveMessage(blog, `已恢复到版本 ${version}`, `已恢复到版本 ${version}`),
+            data: blog
+        };
+    } catch (error) {
+        ctx.status = 500;
+        ctx.body = {
+            success: false,
+            message: '恢复修订版本失败',
+            error: error.message
+        };
+    }
+});
+
+// 删除博客（作者或博客管理人员）
+router.delete('/delete/:id', auth, requireAuthor, async (ctx) => {
     console.log('删除博客', ctx);
     try {
-        // 删除博客相关的评论
-        await Comment.deleteMany({ blog: ctx.params.id });
+        // 删除博客相关的评论与修订版本
+        await Comment.deleteMany({ blog: ctx.blog._id });
+        await BlogRevision.deleteMany({ blog: ctx.blog._id });
 
         // 删除博客
-        await Blog.findByIdAndDelete(ctx.params.id);
+        await Blog.findByIdAndDelete(ctx.blog._id);
+        markSearchIndexStale();
 
         ctx.body = {
             success: true,
@@ -490,13 +758,33 @@ router.delete('/delete/:id', auth, async (ctx) => {
     }
 });
 
-// 获取博客的评论列表
-router.get('/comments/:id', async (ctx) => {
+// 获取博客的评论列表（博客对当前用户不可见时返回 404）
+router.get('/comments/:id', optionalAuth, async (ctx) => {
     try {
         const { page = 1, limit = 10 } = ctx.query;
         const skip = (page - 1) * limit;
 
-        const comments = await Comment.find({ blog: ctx.params.id })
+        if (!mongoose.Types.ObjectId.isValid(ctx.params.id)) {
+            ctx.status = 400;
+            ctx.body = {
+                success: false,
+                message: '博客ID无效'
+            };
+            return;
+        }
+
+        const blog = await Blog.findById(ctx.params.id).select('user moderationStatus publishStatus').lean();
+        if (!blog || !(await canViewBlog(ctx, blog))) {
+            ctx.status = 404;
+            ctx.body = {
+                success: false,
+                message: '博客不存在'
+            };
+            return;
+        }
+
+        const query = { blog: ctx.params.id, ...publishedCondition() };
+        const comments = await Comment.find(query)
             .populate({
                 path: 'user',
                 select: 'username email role avatar'
@@ -505,7 +793,7 @@ router.get('/comments/:id', async (ctx) => {
             .skip(skip)
             .limit(parseInt(limit));
 
-        const total = await Comment.countDocuments({ blog: ctx.params.id });
+        const total = await Comment.countDocuments(query);
 
         ctx.body = {
             success: true,
@@ -600,8 +888,8 @@ router.get('/user/:userId', async (ctx) => {
             return;
         }
 
-        // 构建查询条件 - 只查询指定用户的博客
-        const query = { user: userId };
+        // 构建查询条件 - 只查询指定用户已公开的博客
+        const query = { user: userId, ...publicBlogCondition() };
 
         // 构建排序条件
         let sort = {};
@@ -622,7 +910,7 @@ router.get('/user/:userId', async (ctx) => {
 
         // 获取每个博客的评论统计
         const blogsWithStats = await Promise.all(blogs.map(async (blog) => {
-            const commentCount = await Comment.countDocuments({ blog: blog._id });
+            const commentCount = await Comment.countDocuments({ blog: blog._id, ...publishedCondition() });
             const viewCount = blog.viewCount || 0;
             const favoriteCount = blog.favoriteCount || 0;
 
@@ -680,6 +968,8 @@ router.get('/history', auth, async (ctx) => {
                 path: 'blog',
                 model: 'blogs',
                 select: 'title content blogImage createdAt user summary description',
+                // 已变为不公开的博客不返回内容（blog 为 null）
+                match: publicBlogCondition(),
                 populate: {
                     path: 'user',
                     model: 'User',
@@ -745,16 +1035,16 @@ router.delete('/history', auth, async (ctx) => {
 });
 
 // 收藏博客
-router.post('/favorite/:id', auth, async (ctx) => {
+router.post('/favorite/:id', auth, requireNoSanction('interact'), async (ctx) => {
     console.log('收藏博客', ctx);
     try {
         const { id } = ctx.params;
         const { category = '默认收藏', note = '' } = ctx.request.body;
         const userId = ctx.state.user.userId;
 
-        // 验证博客是否存在
+        // 验证博客是否存在（未公开的博客不能收藏）
         const blog = await Blog.findById(id);
-        if (!blog) {
+        if (!blog || !isPublicBlog(blog)) {
             ctx.status = 404;
             ctx.body = {
                 success: false,
@@ -806,7 +1096,7 @@ router.post('/favorite/:id', auth, async (ctx) => {
 });
 
 // 取消收藏博客
-router.post('/unfavorite/:id', auth, async (ctx) => {
+router.post('/unfavorite/:id', auth, requireNoSanction('interact'), async (ctx) => {
     try {
         const { id } = ctx.params;
         const userId = ctx.state.user.userId;
@@ -860,6 +1150,8 @@ router.get('/favorites', auth, async (ctx) => {
                 path: 'blog',
                 model: 'blogs',
                 select: 'title content blogImage createdAt user summary description favoriteCount',
+                // 已变为不公开的博客不返回内容（blog 为 null）
+                match: publicBlogCondition(),
                 populate: {
                     path: 'user',
                     model: 'User',
@@ -965,7 +1257,7 @@ router.get('/following', auth, async (ctx) => {
         }
 
         // 构建查询条件
-        let query = { user: { $in: followingIds } };
+        let query = { user: { $in: followingIds }, ...publicBlogCondition() };
         if (search) {
             query.$or = [
                 { title: { $regex: search, $options: 'i' } },
@@ -997,7 +1289,7 @@ router.get('/following', auth, async (ctx) => {
         }
 
         const blogsWithStats = await Promise.all(blogs.map(async (blog) => {
-            const commentCount = await Comment.countDocuments({ blog: blog._id });
+            const commentCount = await Comment.countDocuments({ blog: blog._id, ...publishedCondition() });
             const viewCount = blog.viewCount || 0;
             const favoriteCount = blog.favoriteCount || 0;
             return {
@@ -8,21 +8,16 @@ const User = require('../models/User');
 const Notification = require('../models/Notification');
 const Blacklist = require('../models/Blacklist');
 const { validateContent } = require('../utils/contentFilter');
+const { hasPermission } = require('../utils/permissionHelper');
+const { publishedCondition, isPublished, isPublicBlog, canViewUnpublished, canViewBlog, assessContentRisk } = require('../utils/moderationHelper');
+const { requireNoSanction } = require('../utils/sanctionHelper');
 
 const router = new Router({ prefix: '/api/comment' });
 
 // JWT 中间件
 const requireAuth = jwt({ secret: process.env.JWT_SECRET });
-
-// 管理员权限验证
-const requireAdmin = async (ctx, next) => {
-    if (ctx.user.role !== 'admin') {
-        ctx.status = 403;
-        ctx.body = { success: false, message: '需要管理员权限' };
-        return;
-    }
-    await next();
-};
+// 可选认证：有 token 时解析用户信息
+const optionalAuth = jwt({ secret: process.env.JWT_SECRET, passthrough: true });
 
 // 评论作者权限验证
 const requireCommentAuthor = async (ctx, next) => {
@@ -36,7 +31,7 @@ const requireCommentAuthor = async (ctx, next) => {
             return;
         }
         console.log(comment.user._id, user.userId)
-        if (comment.user._id.toString() !== user.userId && user?.role !== 'admin') {
+        if (comment.user._id.toString() !== user.userId && !(await hasPermission(ctx, 'comment:manage'))) {
             ctx.status = 403;
             ctx.body = { success: false, message: '只能删除自己的评论' };
             return;
@@ -76,7 +71,7 @@ const requireCommentAuthor = async (ctx, next) => {
  *                 type: string
  *                 description: 博客ID
  */
-router.post('/create', requireAuth, async (ctx) => {
+router.post('/create', requireAuth, requireNoSanction('comment'), async (ctx) => {
     try {
         const schema = Joi.object({
             content: Joi.string().required().messages({
@@ -98,10 +93,13 @@ router.post('/create', requireAuth, async (ctx) => {
         const { content, blogId } = value;
 
         // 验证评论内容
-        const contentValidation = validateContent(content, {
+        const contentValidation = await validateContent(content, {
             minLength: 1,
             maxLength: 1000,
-            strictMode: true
+            strictMode: true,
+            source: 'comment',
+            user: ctx.state.user.userId,
+            targetId: mongoose.Types.ObjectId.isValid(blogId) ? blogId : null
         });
 
         if (!contentValidation.isValid) {
@@ -113,9 +111,9 @@ router.post('/create', requireAuth, async (ctx) => {
             return;
         }
 
-        // 检查博客是否存在
+        // 检查博客是否存在（未公开的博客不能评论）
         const blog = await Blog.findById(blogId);
-        if (!blog) {
+        if (!blog || !isPublicBlog(blog)) {
             ctx.status = 404;
             ctx.body = { success: false, message: '博客不存在' };
             return;
@@ -132,10 +130,15 @@ router.post('/create', requireAuth, async (ctx) => {
             return;
         }
 
+        // 风险检查：有风险的评论进入待审核队列，审核通过后再通知博客作者
+        const risk = await assessContentRisk(content);
+
         const comment = await Comment.create({
             content,
             blog: blogId,
-            user: ctx.state.user.userId
+            user: ctx.state.user.userId,
+            moderationStatus: risk.status,
+            riskReasons: risk.reasons
         });
 
         // 填充用户信息
@@ -147,7 +150,7 @@ router.post('/create', requireAuth, async (ctx) => {
             });
 
         // 发送消息提醒给博客作者（如果不是自己评论自己的博客）
-        if (blog.user.toString() !== ctx.state.user.userId) {
+        if (risk.status === 'approved' && blog.user.toString() !== ctx.state.user.userId) {
             try {
                 const commenter = await User.findById(ctx.state.user.userId).select('username');
                 await Notification.create({
@@ -168,7 +171,7 @@ router.post('/create', requireAuth, async (ctx) => {
 
         ctx.body = {
             success: true,
-            message: '评论创建成功',
+            message: risk.status === 'pending' ? '评论已提交，审核通过后公开' : '评论创建成功',
             data: populatedComment
         };
     } catch (error) {
@@ -187,7 +190,7 @@ router.post('/create', requireAuth, async (ctx) => {
  *     security:
  *       - bearerAuth: []
  */
-router.post('/reply', requireAuth, async (ctx) => {
+router.post('/reply', requireAuth, requireNoSanction('comment'), async (ctx) => {
     try {
         const schema = Joi.object({
             content: Joi.string().required().messages({
@@ -212,10 +215,13 @@ router.post('/reply', requireAuth, async (ctx) => {
         const { content, commentId, replyTo } = value;
 
         // 验证回复内容
-        const contentValidation = validateContent(content, {
+        const contentValidation = await validateContent(content, {
             minLength: 1,
             maxLength: 1000,
-            strictMode: true
+            strictMode: true,
+            source: 'reply',
+            user: userId,
+            targetId: mongoose.Types.ObjectId.isValid(commentId) ? commentId : null
         });
 
         if (!contentValidation.isValid) {
@@ -229,7 +235,7 @@ router.post('/reply', requireAuth, async (ctx) => {
 
         // 检查要回复的评论是否存在
         const parentComment = await Comment.findById(commentId);
-        if (!parentComment) {
+        if (!parentComment || !isPublished(parentComment)) {
             ctx.status = 404;
             ctx.body = { success: false, message: '要回复的评论不存在' };
             return;
@@ -253,6 +259,9 @@ router.post('/reply', requireAuth, async (ctx) => {
             User.findById(replyTo || parentComment.user).select('username')
         ]);
 
+        // 风险检查：有风险的回复进入待审核队列，审核通过后再通知被回复的用户
+        const risk = await assessContentRisk(content);
+
         const reply = await Comment.create({
             content,
             user: userId,
@@ -260,7 +269,9 @@ router.post('/reply', requireAuth, async (ctx) => {
             parentId: parentComment.parentId || parentComment._id,
             replyTo: replyTo || parentComment.user,
             fromUserName: currentUser?.username,
-            toUserName: replyToUser?.username
+            toUserName: replyToUser?.username,
+            moderationStatus: risk.status,
+            riskReasons: risk.reasons
         });
 
         // 填充用户信息
@@ -276,7 +287,7 @@ router.post('/reply', requireAuth, async (ctx) => {
 
         // 发送消息提醒给被回复的用户（如果不是回复自己）
         const replyToUserId = replyTo || parentComment.user;
-        if (replyToUserId.toString() !== userId.toString()) {
+        if (risk.status === 'approved' && replyToUserId.toString() !== userId.toString()) {
             try {
                 const blog = await Blog.findById(parentComment.blog).select('title');
                 await Notification.create({
@@ -297,7 +308,7 @@ router.post('/reply', requireAuth, async (ctx) => {
 
         ctx.body = {
             success: true,
-            message: '回复成功',
+            message: risk.status === 'pending' ? '回复已提交，审核通过后公开' : '回复成功',
             data: populatedReply
         };
     } catch (error) {
@@ -314,24 +325,34 @@ router.post('/reply', requireAuth, async (ctx) => {
  *     summary: 获取博客评论列表
  *     tags: [comment]
  */
-router.get('/', requireAuth, async (ctx) => {
+router.get('/', optionalAuth, async (ctx) => {
     try {
         console.log('获取博客评论列表');
         const { blogId, commentId } = ctx.query;
+        if (!mongoose.Types.ObjectId.isValid(blogId)) {
+            ctx.status = 400;
+            ctx.body = { success: false, message: '博客ID无效' };
+            return;
+        }
 
-        // 检查博客是否存在
-        const blog = await Blog.findById(blogId);
-        if (!blog) {
+        // 检查博客是否存在，未公开的博客只有作者与管理人员可见
+        const blog = await Blog.findById(blogId).select('user moderationStatus publishStatus').lean();
+        if (!blog || !(await canViewBlog(ctx, blog))) {
             ctx.status = 404;
             ctx.body = { success: false, message: '博客不存在' };
             return;
         }
 
+        // 已公开的评论与本人待审核的评论
+        const userId = ctx.state.user?.userId || null;
+        const visible = { $or: [publishedCondition(), { user: userId }] };
+
         // 获取顶级评论及其回复
         const comment = await Comment.find({
             blog: blogId,
             _id: commentId || { $ne: null },
-            parentId: null
+            parentId: null,
+            ...visible
         })
             .populate({
                 path: 'user',
@@ -349,12 +370,12 @@ router.get('/', requireAuth, async (ctx) => {
                         select: 'username avatar'
                     }
                 ],
+                match: visible,
                 options: { sort: { createdAt: 1 } }
             })
             .sort({ createdAt: -1 });
 
         // 处理评论数据
-        const userId = ctx.state.user.userId ? ctx.state.user.userId : null;
         const processedComments = comment.map(comment => {
             const commentObj = comment.toObject();
 
@@ -433,7 +454,7 @@ router.delete('/delete/:id', requireAuth, requireCommentAuthor, async (ctx) => {
  *     security:
  *       - bearerAuth: []
  */
-router.post('/like', requireAuth, async (ctx) => {
+router.post('/like', requireAuth, requireNoSanction('interact'), async (ctx) => {
     try {
         const schema = Joi.object({
             commentId: Joi.string().required().messages({
@@ -451,7 +472,7 @@ router.post('/like', requireAuth, async (ctx) => {
         const { commentId } = value;
 
         const comment = await Comment.findById(commentId);
-        if (!comment) {
+        if (!comment || !isPublished(comment)) {
             ctx.status = 400;
             ctx.body = { success: false, message: '评论不存在' };
             return;
@@ -516,7 +537,7 @@ router.post('/like', requireAuth, async (ctx) => {
         ctx.body = { success: false, message: error };
     }
 });
-router.get('/detail', async (ctx) => {
+router.get('/detail', optionalAuth, async (ctx) => {
     try {
         const { id } = ctx.query;
         if (!mongoose.Types.ObjectId.isValid(id)) {
@@ -532,7 +553,7 @@ router.get('/detail', async (ctx) => {
             })
             .populate({
                 path: 'blog',
-                select: 'title user'
+                select: 'title user moderationStatus publishStatus'
             });
 
         // if (!comment) {
@@ -541,6 +562,20 @@ router.get('/detail', async (ctx) => {
         //     return;
         // }
 
+        // 未公开的评论只有作者与审核人员可见
+        if (comment && !isPublished(comment) && !(await canViewUnpublished(ctx, comment))) {
+            ctx.status = 404;
+            ctx.body = { success: false, message: '评论不存在' };
+            return;
+        }
+
+        // 所属博客未公开时同样不可见，避免泄露博客标题
+        if (comment?.blog && !(await canViewBlog(ctx, comment.blog))) {
+            ctx.status = 404;
+            ctx.body = { success: false, message: '评论不存在' };
+            return;
+        }
+
         ctx.body = { success: true, data: comment };
     } catch (error) {
         console.error('获取评论详情失败:', error);
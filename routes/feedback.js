@@ -1,9 +1,9 @@
 const Router = require('koa-router');
 const jwt = require('koa-jwt');
 const Feedback = require('../models/Feedback');
-const User = require('../models/User');
 const Joi = require('joi');
 const mongoose = require('mongoose');
+const { requirePermission, hasPermission } = require('../utils/permissionHelper');
 
 const router = new Router({
   prefix: '/api/feedback'
@@ -12,20 +12,6 @@ const router = new Router({
 // JWT认证中间件
 const auth = jwt({ secret: process.env.JWT_SECRET });
 
-// 管理员权限检查
-const requireAdmin = async (ctx, next) => {
-  const user = await User.findById(ctx.state.user.userId);
-  if (!user || user.role !== 'admin') {
-    ctx.status = 403;
-    ctx.body = {
-      success: false,
-      message: '需要管理员权限'
-    };
-    return;
-  }
-  await next();
-};
-
 // 创建反馈
 router.post('/', auth, async (ctx) => {
   try {
@@ -117,7 +103,7 @@ router.get('/my', auth, async (ctx) => {
 });
 
 // 获取所有反馈列表 (管理员)
-router.get('/', auth, requireAdmin, async (ctx) => {
+router.get('/', auth, requirePermission('feedback:read'), async (ctx) => {
   try {
     const { page = 1, limit = 10, type, status, priority, isRead } = ctx.query;
     const skip = (page - 1) * limit;
@@ -187,9 +173,8 @@ router.get('/:id', auth, async (ctx) => {
       return;
     }
 
-    // 检查权限：用户只能查看自己的反馈，管理员可以查看所有
-    const user = await User.findById(ctx.state.user.id);
-    if (user.role !== 'admin' && feedback.user._id.toString() !== ctx.state.user.id) {
+    // 检查权限：用户只能查看自己的反馈，拥有反馈查看权限的用户可以查看所有
+    if (feedback.user._id.toString() !== ctx.state.user.id && !(await hasPermission(ctx, 'feedback:read'))) {
       ctx.status = 403;
       ctx.body = {
         success: false,
@@ -213,7 +198,7 @@ router.get('/:id', auth, async (ctx) => {
 });
 
 // 更新反馈状态 (管理员)
-router.put('/:id/status', auth, requireAdmin, async (ctx) => {
+router.put('/:id/status', auth, requirePermission('feedback:reply'), async (ctx) => {
   try {
     const { error, value } = Joi.object({
       status: Joi.string().valid('pending', 'processing', 'resolved', 'closed').required()
@@ -262,7 +247,7 @@ router.put('/:id/status', auth, requireAdmin, async (ctx) => {
 });
 
 // 管理员回复反馈
-router.put('/:id/reply', auth, requireAdmin, async (ctx) => {
+router.put('/:id/reply', auth, requirePermission('feedback:reply'), async (ctx) => {
   try {
     const { error, value } = Joi.object({
       adminReply: Joi.string().required(),
@@ -371,7 +356,7 @@ router.put('/:id/rating', auth, async (ctx) => {
 });
 
 // 删除反馈 (管理员)
-router.delete('/:id', auth, requireAdmin, async (ctx) => {
+router.delete('/:id', auth, requirePermission('feedback:delete'), async (ctx) => {
   try {
     const feedback = await Feedback.findByIdAndDelete(ctx.params.id);
 
@@ -399,7 +384,7 @@ router.delete('/:id', auth, requireAdmin, async (ctx) => {
 });
 
 // 批量标记为已读 (管理员)
-router.put('/batch/read', auth, requireAdmin, async (ctx) => {
+router.put('/batch/read', auth, requirePermission('feedback:reply'), async (ctx) => {
   try {
     const { error, value } = Joi.object({
       ids: Joi.array().items(Joi.string()).required()
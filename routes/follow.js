@@ -3,6 +3,7 @@ const jwt = require('koa-jwt');
 const Joi = require('joi');
 const User = require('../models/User');
 const Blacklist = require('../models/Blacklist');
+const { requireNoSanction } = require('../utils/sanctionHelper');
 
 // JWT中间件
 const auth = jwt({ secret: process.env.JWT_SECRET });
@@ -12,7 +13,7 @@ const router = new Router({
 });
 
 // 关注用户
-router.post('/follow', auth, async (ctx) => {
+router.post('/follow', auth, requireNoSanction('interact'), async (ctx) => {
     try {
         const { error, value } = Joi.object({
             userId: Joi.string().required()
@@ -96,7 +97,7 @@ router.post('/follow', auth, async (ctx) => {
 });
 
 // 取消关注
-router.post('/unfollow', auth, async (ctx) => {
+router.post('/unfollow', auth, requireNoSanction('interact'), async (ctx) => {
     try {
         const { error, value } = Joi.object({
             userId: Joi.string().required()
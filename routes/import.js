@@ -0,0 +1,167 @@
+const Router = require('koa-router');
+const multer = require('multer');
+const path = require('path');
+const jwt = require('koa-jwt');
+const { ALLOWED_EXTENSIONS, parseSheet, validateImport, commitImport } = require('../utils/importHelper');
+const { refreshForDocs } = require('../utils/statisticsHelper');
+const { markSearchIndexStale } = require('../utils/searchHelper');
+const { markSuggestIndexStale } = require('../utils/suggestHelper');
+const { recordStoreChange } = require('../utils/storeEventHelper');
+const { requirePermission } = require('../utils/permissionHelper');
+const { recordAudit } = require('../utils/auditHelper');
+
+const router = new Router({
+  prefix: '/api/admin/import'
+});
+
+// JWT中间件
+const auth = jwt({ secret: process.env.JWT_SECRET });
+
+const TYPE_NAMES = {
+  brand: '品牌',
+  mall: '商场',
+  'brand-store': '品牌门店'
+};
+
+// 导入文件只在内存中解析，不落盘
+const upload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname || '').toLowerCase();
+    if (ALLOWED_EXTENSIONS.includes(ext)) {
+      cb(null, true);
+      return;
+    }
+    cb(new Error('仅支持 CSV、XLSX、XLS 文件'), false);
+  },
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024, // 10MB
+    files: 1
+  }
+});
+
+// 转换multer中间件为koa中间件，上传错误返回 400
+const koaMulter = (multerInstance) => {
+  return async (ctx, next) => {
+    try {
+      await new Promise((resolve, reject) => {
+        multerInstance(ctx.req, ctx.res, (err) => (err ? reject(err) : resolve()));
+      });
+    } catch (error) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: error.message
+      };
+      return;
+    }
+    await next();
+  };
+};
+
+// 批量导入品牌 / 商场 / 品牌门店
+// 表单字段：file（CSV / XLSX 文件）、dryRun（默认 true，仅返回预检报告；为 false 时校验通过后写入）
+router.post('/:type', auth, requirePermission('data:import'), koaMulter(upload.single('file')), async (ctx) => {
+  try {
+    const { type } = ctx.params;
+    if (!TYPE_NAMES[type]) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: '不支持的导入类型，可选值：brand、mall、brand-store'
+      };
+      return;
+    }
+
+    const file = ctx.req.file;
+    if (!file) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: '请选择要导入的文件'
+      };
+      return;
+    }
+
+    const dryRun = String(ctx.req.body?.dryRun ?? ctx.query.dryRun ?? true) !== 'false';
+
+    let rows;
+    try {
+      rows = parseSheet(file.buffer, file.originalname);
+    } catch (error) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: `文件解析失败：${error.message}`
+      };
+      return;
+    }
+
+    if (rows.length === 0) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: '文件中没有数据行'
+      };
+      return;
+    }
+
+    const { report, docs } = await validateImport(type, rows);
+    const hasProblems = report.errors.length > 0 || report.conflicts.length > 0;
+
+    if (dryRun) {
+      ctx.body = {
+        success: true,
+        message: hasProblems
+          ? `预检完成：${report.valid}行可导入，${report.total - report.valid}行存在问题`
+          : `预检通过：共${report.valid}行可导入`,
+        data: { dryRun: true, ...report }
+      };
+      return;
+    }
+
+    // 存在错误或冲突时整批拒绝，避免部分导入
+    if (hasProblems) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: '导入数据存在错误或冲突，请修正后重新导入',
+        data: { dryRun: false, ...report }
+      };
+      return;
+    }
+
+    const created = await commitImport(type, docs);
+
+    if (type === 'brand-store') {
+      await Promise.all(created.map(store => recordStoreChange(null, store, ctx.state.user.userId)));
+    }
+    if (type === 'mall' || type === 'brand-store') {
+      await refreshForDocs(created);
+    }
+    markSearchIndexStale();
+    if (type === 'brand' || type === 'mall') {
+      markSuggestIndexStale();
+    }
+    await recordAudit(ctx, created.map(doc => ({ action: 'create', targetType: type, after: doc })));
+
+    ctx.body = {
+      success: true,
+      message: `成功导入${created.length}个${TYPE_NAMES[type]}`,
+      data: {
+        dryRun: false,
+        ...report,
+        created: created.length
+      }
+    };
+  } catch (error) {
+    ctx.status = 500;
+    ctx.body = {
+      success: false,
+      message: '批量导入失败',
+      error: error.message
+    };
+  }
+});
+
+module.exports = router;
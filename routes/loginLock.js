@@ -0,0 +1,127 @@
+const Router = require('koa-router');
+const jwt = require('koa-jwt');
+const mongoose = require('mongoose');
+const LoginAttempt = require('../models/LoginAttempt');
+const { POLICIES } = require('../utils/loginGuardHelper');
+const { requirePermission } = require('../utils/permissionHelper');
+
+const router = new Router({
+  prefix: '/api/admin/login-locks'
+});
+
+// JWT中间件
+const auth = jwt({ secret: process.env.JWT_SECRET });
+
+// 登录锁定列表
+// 参数：scope（account 账户 | ip | second_factor 二次验证）、key（邮箱、IP 或用户ID）、status（locked 锁定中，默认 | all 含未锁定的失败记录）、page、limit
+router.get('/', auth, requirePermission('user:read'), async (ctx) => {
+  try {
+    const { scope, key, status = 'locked', page = 1, limit = 20 } = ctx.query;
+
+    if (scope && !POLICIES[scope]) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: `无效的锁定维度，可选值：${Object.keys(POLICIES).join('、')}`
+      };
+      return;
+    }
+
+    if (!['locked', 'all'].includes(status)) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: '无效的状态，可选值：locked、all'
+      };
+      return;
+    }
+
+    const now = new Date();
+    const query = {};
+    if (scope) query.scope = scope;
+    if (key) query.key = scope === 'ip' ? key : key.toLowerCase();
+    if (status === 'locked') {
+      query.lockedUntil = { $gt: now };
+    } else {
+      query.$or = [{ lockedUntil: { $gt: now } }, { failures: { $gt: 0 } }];
+    }
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const [records, total] = await Promise.all([
+      LoginAttempt.find(query)
+        .populate('user', 'username email')
+        .sort({ lockedUntil: -1, lastFailedAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      LoginAttempt.countDocuments(query)
+    ]);
+
+    ctx.body = {
+      success: true,
+      data: {
+        locks: records.map(record => ({
+          ...record,
+          locked: Boolean(record.lockedUntil && record.lockedUntil > now)
+        })),
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum)
+        }
+      }
+    };
+  } catch (error) {
+    ctx.status = 500;
+    ctx.body = {
+      success: false,
+      message: '获取登录锁定列表失败',
+      error: error.message
+    };
+  }
+});
+
+// 解除锁定：清除该账户或IP的失败次数、锁定及锁定次数
+router.delete('/:id', auth, requirePermission('user:manage'), async (ctx) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(ctx.params.id)) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: '无效的记录ID'
+      };
+      return;
+    }
+
+    const record = await LoginAttempt.findByIdAndDelete(ctx.params.id).lean();
+    if (!record) {
+      ctx.status = 404;
+      ctx.body = {
+        success: false,
+        message: '锁定记录不存在'
+      };
+      return;
+    }
+
+    ctx.body = {
+      success: true,
+      message: '已解除锁定',
+      data: {
+        scope: record.scope,
+        key: record.key
+      }
+    };
+  } catch (error) {
+    ctx.status = 500;
+    ctx.body = {
+      success: false,
+      message: '解除锁定失败',
+      error: error.message
+    };
+  }
+});
+
+module.exports = router;
@@ -5,30 +5,24 @@ const mongoose = require('mongoose');
 const Mall = require('../models/Mall');
 const Brand = require('../models/Brand');
 const BrandStore = require('../models/BrandStore');
+const { toPoint } = require('../utils/geoHelper');
+const { refreshForDocs } = require('../utils/statisticsHelper');
+const { markSearchIndexStale } = require('../utils/searchHelper');
+const { markSuggestIndexStale } = require('../utils/suggestHelper');
+const { getMallAnalytics } = require('../utils/mallAnalyticsHelper');
+const { requirePermission } = require('../utils/permissionHelper');
+const { recordAudit } = require('../utils/auditHelper');
 
 // JWT中间件
 const auth = jwt({ secret: process.env.JWT_SECRET });
 
-// 验证管理员权限
-const requireAdmin = async (ctx, next) => {
-  if (ctx.state.user.role !== 'admin') {
-    ctx.status = 403;
-    ctx.body = {
-      success: false,
-      message: '需要管理员权限'
-    };
-    return;
-  }
-  await next();
-};
-
 const router = new Router({
   prefix: '/api/mall'
 });
 
 // 商场管理
 // 创建商场
-router.post('/', auth, requireAdmin, async (ctx) => {
+router.post('/', auth, requirePermission('mall:write'), async (ctx) => {
   try {
     const { error, value } = Joi.object({
       name: Joi.string().required(),
@@ -48,8 +42,10 @@ router.post('/', auth, requireAdmin, async (ctx) => {
       openingHours: Joi.string(),
       isActive: Joi.boolean().allow('', null),
       status: Joi.number().valid(0, 2, 3).default(0),
-      isOla: Joi.boolean().default(false)
-    }).validate(ctx.request.body);
+      isOla: Joi.boolean().default(false),
+      longitude: Joi.number().min(-180).max(180),
+      latitude: Joi.number().min(-90).max(90)
+    }).and('longitude', 'latitude').validate(ctx.request.body);
 
     if (error) {
       ctx.status = 400;
@@ -60,9 +56,20 @@ router.post('/', auth, requireAdmin, async (ctx) => {
       return;
     }
 
-    const mall = new Mall(value);
+    const { longitude, latitude, ...mallData } = value;
+    if (longitude !== undefined) {
+      mallData.location = toPoint(longitude, latitude);
+    }
+
+    const mall = new Mall(mallData);
     await mall.save();
 
+    // 刷新商场所在区域的统计
+    await refreshForDocs(mall);
+    markSearchIndexStale();
+    markSuggestIndexStale();
+    await recordAudit(ctx, { action: 'create', targetType: 'mall', after: mall });
+
     ctx.body = {
       success: true,
       message: '商场创建成功',
@@ -79,7 +86,7 @@ router.post('/', auth, requireAdmin, async (ctx) => {
 });
 
 // 更新商场
-router.put('/:id', auth, requireAdmin, async (ctx) => {
+router.put('/:id', auth, requirePermission('mall:write'), async (ctx) => {
   try {
     const { error, value } = Joi.object({
       name: Joi.string().allow('', null),
@@ -99,8 +106,10 @@ router.put('/:id', auth, requireAdmin, async (ctx) => {
       openingHours: Joi.string().allow('', null),
       isActive: Joi.boolean().allow('', null),
       status: Joi.number().valid(0, 2, 3).allow('', null),
-      isOla: Joi.boolean().allow('', null)
-    }).validate(ctx.request.body);
+      isOla: Joi.boolean().allow('', null),
+      longitude: Joi.number().min(-180).max(180),
+      latitude: Joi.number().min(-90).max(90)
+    }).and('longitude', 'latitude').validate(ctx.request.body);
 
     if (error) {
       ctx.status = 400;
@@ -111,9 +120,17 @@ router.put('/:id', auth, requireAdmin, async (ctx) => {
       return;
     }
 
+    const { longitude, latitude, ...updateData } = value;
+    if (longitude !== undefined) {
+      updateData.location = toPoint(longitude, latitude);
+    }
+
+    // 记录更新前的商场，用于刷新统计和操作日志
+    const previous = await Mall.findById(ctx.params.id).lean();
+
     const mall = await Mall.findByIdAndUpdate(
       ctx.params.id,
-      value,
+      updateData,
       { new: true, runValidators: true }
     );
 
@@ -126,6 +143,16 @@ router.put('/:id', auth, requireAdmin, async (ctx) => {
       return;
     }
 
+    // 商场坐标变更时，同步更新该商场下所有门店的坐标
+    if (updateData.location) {
+      await BrandStore.updateMany({ mall: mall._id }, { location: updateData.location });
+    }
+
+    await refreshForDocs(previous, mall);
+    markSearchIndexStale();
+    markSuggestIndexStale();
+    await recordAudit(ctx, { action: 'update', targetType: 'mall', before: previous, after: mall });
+
     ctx.body = {
       success: true,
       message: '商场更新成功',
@@ -142,7 +169,7 @@ router.put('/:id', auth, requireAdmin, async (ctx) => {
 });
 
 // 删除商场
-router.delete('/:id', auth, requireAdmin, async (ctx) => {
+router.delete('/:id', auth, requirePermission('mall:write'), async (ctx) => {
   try {
     const mall = await Mall.findByIdAndDelete(ctx.params.id);
     if (!mall) {
@@ -154,6 +181,11 @@ router.delete('/:id', auth, requireAdmin, async (ctx) => {
       return;
     }
 
+    await refreshForDocs(mall);
+    markSearchIndexStale();
+    markSuggestIndexStale();
+    await recordAudit(ctx, { action: 'delete', targetType: 'mall', before: mall });
+
     ctx.body = {
       success: true,
       message: '商场删除成功'
@@ -168,6 +200,44 @@ router.delete('/:id', auth, requireAdmin, async (ctx) => {
   }
 });
 
+// 商场租户构成分析：品类、楼层、品牌平均分值、奥莱占比，及在同城商场中的排名
+router.get('/:mallId/analytics', auth, async (ctx) => {
+  try {
+    const { mallId } = ctx.params;
+
+    if (!mongoose.Types.ObjectId.isValid(mallId)) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: '商场ID无效'
+      };
+      return;
+    }
+
+    const mall = await Mall.findById(mallId).select('name city floorCount').lean();
+    if (!mall) {
+      ctx.status = 404;
+      ctx.body = {
+        success: false,
+        message: '商场不存在'
+      };
+      return;
+    }
+
+    ctx.body = {
+      success: true,
+      data: await getMallAnalytics(mall)
+    };
+  } catch (error) {
+    ctx.status = 500;
+    ctx.body = {
+      success: false,
+      message: '获取商场分析数据失败',
+      error: error.message
+    };
+  }
+});
+
 // 获取指定商场下的品牌列表
 router.get('/:mallId/brands', auth, async (ctx) => {
   try {
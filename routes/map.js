@@ -1,5 +1,6 @@
 const Router = require('koa-router');
 const mongoose = require('mongoose');
+const crypto = require('crypto');
 const Province = require('../models/Province');
 const City = require('../models/City');
 const District = require('../models/District');
@@ -8,10 +9,19 @@ const Brand = require('../models/Brand');
 const Mall = require('../models/Mall');
 const Dictionary = require('../models/Dictionary');
 const ComparisonReport = require('../models/ComparisonReport');
+const ReportShare = require('../models/ReportShare');
+const ComparisonReportVersion = require('../models/ComparisonReportVersion');
+const { MAX_NEARBY_RESULTS, parseNearbyQuery, buildGeoNearStage } = require('../utils/geoHelper');
+const { treeCache, getStatsMap, getStat, pickCounts } = require('../utils/statisticsHelper');
+const { parseTimelineQuery, getBrandTimeline } = require('../utils/storeEventHelper');
+const { parseExpansionQuery, findExpansionOpportunities } = require('../utils/expansionHelper');
+const { MAX_EXPORT_ROWS, validateFormat, sendExport } = require('../utils/exportHelper');
+const { COMPARISON_TYPES, runComparison } = require('../utils/comparisonHelper');
+const { loadCategoryMap } = require('../utils/analyticsHelper');
+const { SCHEDULE_FREQUENCIES, nextRunDate, ensureInitialVersion, rerunReport } = require('../utils/reportRerunHelper');
+const { logSearch } = require('../utils/searchLogHelper');
 const jwt = require('koa-jwt');
 const jsonwebtoken = require('jsonwebtoken');
-const NodeCache = require('node-cache');
-const treeCache = new NodeCache({ stdTTL: 600 }); // 10分钟缓存
 
 // 强制认证中间件
 const auth = jwt({ secret: process.env.JWT_SECRET });
@@ -36,32 +46,37 @@ const router = new Router({
   prefix: '/api/map'
 });
 
-// 获取全国数据统计
+// 获取全国数据统计（读取 RegionStat 统计快照）
 router.get('/national', async (ctx) => {
   try {
     // 获取所有省份数据
-    const provinces = await Province.find({ isActive: true });
-
-    // 计算全国总数
-    const totalBrands = provinces.reduce((sum, province) => sum + province.brandCount, 0);
-    const totalMalls = provinces.reduce((sum, province) => sum + province.mallCount, 0);
-    const totalDistricts = provinces.reduce((sum, province) => sum + province.districtCount, 0);
+    const provinces = await Province.find({ isActive: true }).sort({ code: 1 });
+    const [nationalStat, provinceStats] = await Promise.all([
+      getStat('national'),
+      getStatsMap('province', provinces.map(province => province._id))
+    ]);
 
     ctx.body = {
       success: true,
       data: {
         totalProvinces: provinces.length,
-        totalBrands,
-        totalMalls,
-        totalDistricts,
-        provinces: provinces.map(province => ({
-          id: province._id,
-          name: province.name,
-          code: province.code,
-          brandCount: province.brandCount,
-          mallCount: province.mallCount,
-          districtCount: province.districtCount
-        }))
+        totalBrands: nationalStat?.brandCount || 0,
+        totalMalls: nationalStat?.mallCount || 0,
+        totalStores: nationalStat?.storeCount || 0,
+        totalDistricts: nationalStat?.districtCount || 0,
+        updatedAt: nationalStat?.refreshedAt || null,
+        provinces: provinces.map(province => {
+          const stat = provinceStats.get(province._id.toString());
+          return {
+            id: province._id,
+            name: province.name,
+            code: province.code,
+            brandCount: stat?.brandCount || 0,
+            mallCount: stat?.mallCount || 0,
+            storeCount: stat?.storeCount || 0,
+            districtCount: stat?.districtCount || 0
+          };
+        })
       }
     };
   } catch (error) {
@@ -325,17 +340,8 @@ router.get('/brands', async (ctx) => {
       .limit(parseInt(limit))
       .sort({ sort: -1, createdAt: -1 });
 
-    // 获取品牌分类字典数据
-    const brandCategoryDict = await Dictionary.find({
-      type: 'brand_category',
-      isActive: true
-    }).lean();
-
-    // 创建字典映射
-    const categoryMap = {};
-    brandCategoryDict.forEach(dict => {
-      categoryMap[dict.value] = dict.label;
-    });
+    // 品牌分类字典映射
+    const categoryMap = await loadCategoryMap();
 
     // 为每个品牌添加门店数量和分类转换
     const brandsWithStoreCount = await Promise.all(
@@ -357,11 +363,13 @@ router.get('/brands', async (ctx) => {
     );
 
     const total = await Brand.countDocuments(query);
+    const searchId = logSearch(ctx, { source: 'map_brands', query: search, filters: ctx.query, resultCount: total });
 
     ctx.body = {
       success: true,
       data: {
         brands: brandsWithStoreCount,
+        searchId,
         pagination: {
           page: parseInt(page),
           limit: parseInt(limit),
@@ -437,275 +445,304 @@ router.get('/brands/detail', async (ctx) => {
   }
 });
 
-// 获取树形结构数据（省 -> 市 -> 区 -> 商场 -> 品牌）
-router.get('/tree', async (ctx) => {
+// 品牌门店时间线：各区域门店数量随时间的变化
+router.get('/brands/:id/timeline', async (ctx) => {
   try {
-    const cacheKey = `tree_${JSON.stringify(ctx.query)}`;
-    const cachedData = treeCache.get(cacheKey);
+    const { id } = ctx.params;
 
-    if (cachedData) {
-      ctx.body = cachedData;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: '无效的品牌ID'
+      };
       return;
     }
-    const { provinceId, cityId, districtId, search, brandId, level = 3 } = ctx.query;
-    const queryLevel = parseInt(level);
 
-    // 第一步：获取所有省份的基础结构
-    let provinceQuery = {};
-    if (provinceId) provinceQuery._id = provinceId;
+    const options = parseTimelineQuery(ctx.query);
+    if (options.error) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: options.error
+      };
+      return;
+    }
 
-    const allProvinces = await Province.find(provinceQuery).sort({ code: 1 });
+    const brand = await Brand.findById(id).select('name code logo');
+    if (!brand) {
+      ctx.status = 404;
+      ctx.body = {
+        success: false,
+        message: '品牌不存在'
+      };
+      return;
+    }
 
-    // 根据level参数决定返回的层级深度
-    if (queryLevel === 1) {
-      // 只返回省份，包含统计信息
-      const provinces = await Promise.all(allProvinces.map(async (province) => {
-        // 统计该省份的商场和品牌数量
-        let storeQuery = { isActive: true, province: province._id };
-        if (brandId) {
-          const brandStores = await BrandStore.find({ ...storeQuery, brand: brandId });
-          const mallCount = new Set(brandStores.map(store => store.mall.toString())).size;
-          const brandCount = brandId ? 1 : 0;
+    const { regions, periods } = await getBrandTimeline(id, options);
 
-          return {
-            _id: province._id,
-            name: province.name,
-            code: province.code,
-            mallCount,
-            brandCount,
-            storeCount: brandStores.length
-          };
-        } else {
-          const [mallCount, brandCount, storeCount] = await Promise.all([
-            BrandStore.distinct('mall', storeQuery).then(malls => malls.length),
-            BrandStore.distinct('brand', storeQuery).then(brands => brands.length),
-            BrandStore.countDocuments(storeQuery)
-          ]);
+    ctx.body = {
+      success: true,
+      data: {
+        brand,
+        level: options.level,
+        granularity: options.granularity,
+        startDate: options.startDay,
+        endDate: options.endDay,
+        regions,
+        periods
+      }
+    };
+  } catch (error) {
+    ctx.status = 500;
+    ctx.body = {
+      success: false,
+      message: '获取品牌时间线失败',
+      error: error.message
+    };
+  }
+});
 
-          return {
-            _id: province._id,
-            name: province.name,
-            code: province.code,
-            mallCount,
-            brandCount,
-            storeCount
-          };
-        }
-      }));
+// 品牌拓展机会：推荐品牌尚未入驻的城市与商场
+// 可选参数：provinceId、cityId（限定范围）、competitorIds（竞品品牌ID，逗号分隔）、limit
+router.get('/brands/:id/opportunities', async (ctx) => {
+  try {
+    const { id } = ctx.params;
 
-      ctx.body = { success: true, data: { provinces } };
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: '无效的品牌ID'
+      };
       return;
     }
 
-    // 构建完整的省市区树形结构
-    const provinces = await Promise.all(allProvinces.map(async (province) => {
-      // 获取该省份下的所有城市
-      let cityQuery = { province: province._id };
-      if (cityId) cityQuery._id = cityId;
-
-      const cities = await City.find(cityQuery).sort({ code: 1 });
-
-      if (queryLevel === 2) {
-        // 返回省市，包含统计信息
-        const citiesData = await Promise.all(cities.map(async (city) => {
-          let storeQuery = { isActive: true, province: province._id, city: city._id };
-
-          if (brandId) {
-            const brandStores = await BrandStore.find({ ...storeQuery, brand: brandId });
-            const mallCount = new Set(brandStores.map(store => store.mall.toString())).size;
-            const brandCount = brandId ? 1 : 0;
-
-            return {
-              _id: city._id,
-              name: city.name,
-              code: city.code,
-              mallCount,
-              brandCount,
-              storeCount: brandStores.length
-            };
-          } else {
-            const [mallCount, brandCount, storeCount] = await Promise.all([
-              BrandStore.distinct('mall', storeQuery).then(malls => malls.length),
-              BrandStore.distinct('brand', storeQuery).then(brands => brands.length),
-              BrandStore.countDocuments(storeQuery)
-            ]);
-
-            return {
-              _id: city._id,
-              name: city.name,
-              code: city.code,
-              mallCount,
-              brandCount,
-              storeCount
-            };
-          }
-        }));
+    const options = parseExpansionQuery(ctx.query);
+    if (options.error) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: options.error
+      };
+      return;
+    }
+
+    const brand = await Brand.findById(id).select('name code logo category');
+    if (!brand) {
+      ctx.status = 404;
+      ctx.body = {
+        success: false,
+        message: '品牌不存在'
+      };
+      return;
+    }
 
-        // 计算省份统计
-        const provinceMallCount = citiesData.reduce((sum, city) => sum + city.mallCount, 0);
-        const provinceBrandCount = citiesData.reduce((sum, city) => sum + city.brandCount, 0);
-        const provinceStoreCount = citiesData.reduce((sum, city) => sum + city.storeCount, 0);
+    const { weights, similarBrandCount, cities, malls } = await findExpansionOpportunities(brand, options);
 
-        return {
-          _id: province._id,
-          name: province.name,
-          code: province.code,
-          mallCount: provinceMallCount,
-          brandCount: provinceBrandCount,
-          storeCount: provinceStoreCount,
-          cities: citiesData
-        };
+    ctx.body = {
+      success: true,
+      data: {
+        brand,
+        weights,
+        similarBrandCount,
+        cities,
+        malls
       }
+    };
+  } catch (error) {
+    ctx.status = 500;
+    ctx.body = {
+      success: false,
+      message: '获取品牌拓展机会失败',
+      error: error.message
+    };
+  }
+});
 
-      // level >= 3，返回省市区及商场品牌数据，包含统计信息
-      const citiesWithDistricts = await Promise.all(cities.map(async (city) => {
-        // 获取该城市下的所有区县
-        let districtQuery = { city: city._id };
-        if (districtId) districtQuery._id = districtId;
-
-        const districts = await District.find(districtQuery).sort({ code: 1 });
-
-        // 为每个区县获取商场和品牌数据
-        const districtsWithMalls = await Promise.all(districts.map(async (district) => {
-          // 构建门店查询条件
-          let storeQuery = {
-            isActive: true,
-            province: province._id,
-            city: city._id,
-            district: district._id
-          };
+// 聚合某区域内的商场及入驻品牌（树形结构 level >= 3 使用）
+const aggregateMallsWithBrands = async (storeQuery, { brandId, search }) => {
+  const mallsWithBrands = await BrandStore.aggregate([
+    { $match: storeQuery },
+    { $lookup: { from: 'brands', localField: 'brand', foreignField: '_id', as: 'brand' } },
+    { $unwind: '$brand' },
+    ...(brandId ? [{ $match: { 'brand._id': new mongoose.Types.ObjectId(brandId) } }] : []),
+    ...(search ? [{ $match: { 'brand.name': { $regex: search, $options: 'i' } } }] : []),
+    { $lookup: { from: 'malls', localField: 'mall', foreignField: '_id', as: 'mall' } },
+    { $unwind: '$mall' },
+    {
+      $group: {
+        _id: '$mall._id',
+        mall: { $first: '$mall' },
+        storeCount: { $sum: 1 },
+        brands: {
+          $addToSet: {
+            _id: '$brand._id',
+            name: '$brand.name',
+            code: '$brand.code'
+          }
+        }
+      }
+    }
+  ]);
+
+  return mallsWithBrands.map(m => ({
+    _id: m.mall._id,
+    name: m.mall.name,
+    code: m.mall.code,
+    storeCount: m.storeCount,
+    brands: m.brands
+  }));
+};
 
-          // 获取该区县下的门店数据
-          const storesPipeline = [
-            { $match: storeQuery },
-            { $lookup: { from: 'brands', localField: 'brand', foreignField: '_id', as: 'brand' } },
-            { $unwind: '$brand' },
-            ...(brandId ? [{ $match: { 'brand._id': new mongoose.Types.ObjectId(brandId) } }] : []),
-            ...(search ? [{ $match: { 'brand.name': { $regex: search, $options: 'i' } } }] : []),
-            { $lookup: { from: 'malls', localField: 'mall', foreignField: '_id', as: 'mall' } },
-            { $unwind: '$mall' },
-            {
-              $group: {
-                _id: '$mall._id',
-                mall: { $first: '$mall' },
-                brands: {
-                  $addToSet: {
-                    _id: '$brand._id',
-                    name: '$brand.name',
-                    code: '$brand.code'
-                  }
-                }
-              }
-            }
-          ];
-
-          const mallsWithBrands = await BrandStore.aggregate(storesPipeline);
-
-          const malls = mallsWithBrands.map(m => ({
-            _id: m.mall._id,
-            name: m.mall.name,
-            code: m.mall.code,
-            brands: m.brands
-          }));
-
-          // 计算区县统计
-          const mallCount = malls.length;
-          const brandCount = new Set(malls.flatMap(m => m.brands.map(b => b._id.toString()))).size;
-          const storeCount = await BrandStore.countDocuments(storeQuery);
+// 根据商场列表计算计数（带搜索条件时统计快照不适用）
+const countMalls = (malls) => ({
+  mallCount: malls.length,
+  brandCount: new Set(malls.flatMap(m => m.brands.map(b => b._id.toString()))).size,
+  storeCount: malls.reduce((sum, m) => sum + m.storeCount, 0)
+});
 
-          return {
-            _id: district._id,
-            name: district.name,
-            code: district.code,
-            mallCount,
-            brandCount,
-            storeCount,
-            malls
-          };
-        }));
+// 合并多组计数
+const sumCounts = (items) => ({
+  mallCount: items.reduce((sum, item) => sum + item.mallCount, 0),
+  brandCount: items.reduce((sum, item) => sum + item.brandCount, 0),
+  storeCount: items.reduce((sum, item) => sum + item.storeCount, 0)
+});
 
-        // 同时获取该城市下直辖的商场（没有区县的情况）
-        let directStoreQuery = {
-          isActive: true,
-          province: province._id,
-          city: city._id,
-          $or: [
-            { district: { $exists: false } },
-            { district: null }
-          ]
-        };
+// 构建省市区树形数据（树形接口与统计导出共用）
+// 各级计数读取 RegionStat 统计快照；仅 level >= 3 时聚合商场与品牌明细
+const buildTree = async ({ provinceId, cityId, districtId, search, brandId, level = 3 }) => {
+  const queryLevel = parseInt(level);
+
+  // 第一步：获取所有省份的基础结构
+  let provinceQuery = {};
+  if (provinceId) provinceQuery._id = provinceId;
+
+  const allProvinces = await Province.find(provinceQuery).sort({ code: 1 });
+  const provinceStats = await getStatsMap('province', allProvinces.map(p => p._id), brandId);
+
+  // 根据level参数决定返回的层级深度
+  if (queryLevel === 1) {
+    // 只返回省份，包含统计信息
+    return allProvinces.map(province => ({
+      _id: province._id,
+      name: province.name,
+      code: province.code,
+      ...pickCounts(provinceStats.get(province._id.toString()))
+    }));
+  }
 
-        const directStoresPipeline = [
-          { $match: directStoreQuery },
-          { $lookup: { from: 'brands', localField: 'brand', foreignField: '_id', as: 'brand' } },
-          { $unwind: '$brand' },
-          ...(brandId ? [{ $match: { 'brand._id': new mongoose.Types.ObjectId(brandId) } }] : []),
-          ...(search ? [{ $match: { 'brand.name': { $regex: search, $options: 'i' } } }] : []),
-          { $lookup: { from: 'malls', localField: 'mall', foreignField: '_id', as: 'mall' } },
-          { $unwind: '$mall' },
-          {
-            $group: {
-              _id: '$mall._id',
-              mall: { $first: '$mall' },
-              brands: {
-                $addToSet: {
-                  _id: '$brand._id',
-                  name: '$brand.name',
-                  code: '$brand.code'
-                }
-              }
-            }
-          }
-        ];
+  // 构建完整的省市区树形结构
+  const provinces = await Promise.all(allProvinces.map(async (province) => {
+    // 获取该省份下的所有城市
+    let cityQuery = { province: province._id };
+    if (cityId) cityQuery._id = cityId;
 
-        const directMallsWithBrands = await BrandStore.aggregate(directStoresPipeline);
+    const cities = await City.find(cityQuery).sort({ code: 1 });
+    const cityStats = await getStatsMap('city', cities.map(c => c._id), brandId);
+    const provinceCounts = pickCounts(provinceStats.get(province._id.toString()));
 
-        const directMalls = directMallsWithBrands.map(m => ({
-          _id: m.mall._id,
-          name: m.mall.name,
-          code: m.mall.code,
-          brands: m.brands
-        }));
+    if (queryLevel === 2) {
+      // 返回省市，包含统计信息
+      return {
+        _id: province._id,
+        name: province.name,
+        code: province.code,
+        ...provinceCounts,
+        cities: cities.map(city => ({
+          _id: city._id,
+          name: city.name,
+          code: city.code,
+          ...pickCounts(cityStats.get(city._id.toString()))
+        }))
+      };
+    }
+
+    // level >= 3，返回省市区及商场品牌数据，包含统计信息
+    const citiesWithDistricts = await Promise.all(cities.map(async (city) => {
+      // 获取该城市下的所有区县
+      let districtQuery = { city: city._id };
+      if (districtId) districtQuery._id = districtId;
 
-        // 计算城市统计（包含区县和直辖商场）
-        const districtMallCount = districtsWithMalls.reduce((sum, d) => sum + d.mallCount, 0);
-        const districtBrandCount = districtsWithMalls.reduce((sum, d) => sum + d.brandCount, 0);
-        const districtStoreCount = districtsWithMalls.reduce((sum, d) => sum + d.storeCount, 0);
+      const districts = await District.find(districtQuery).sort({ code: 1 });
+      const districtStats = await getStatsMap('district', districts.map(d => d._id), brandId);
 
-        const directMallCount = directMalls.length;
-        const directBrandCount = new Set(directMalls.flatMap(m => m.brands.map(b => b._id.toString()))).size;
-        const directStoreCount = await BrandStore.countDocuments(directStoreQuery);
+      // 为每个区县获取商场和品牌数据
+      const districtsWithMalls = await Promise.all(districts.map(async (district) => {
+        const malls = await aggregateMallsWithBrands({
+          isActive: true,
+          province: province._id,
+          city: city._id,
+          district: district._id
+        }, { brandId, search });
 
         return {
-          _id: city._id,
-          name: city.name,
-          code: city.code,
-          mallCount: districtMallCount + directMallCount,
-          brandCount: districtBrandCount + directBrandCount,
-          storeCount: districtStoreCount + directStoreCount,
-          districts: districtsWithMalls,
-          malls: directMalls // 直辖商场
+          _id: district._id,
+          name: district.name,
+          code: district.code,
+          ...(search ? countMalls(malls) : pickCounts(districtStats.get(district._id.toString()))),
+          malls
         };
       }));
 
-      // 计算省份统计
-      const provinceMallCount = citiesWithDistricts.reduce((sum, city) => sum + city.mallCount, 0);
-      const provinceBrandCount = citiesWithDistricts.reduce((sum, city) => sum + city.brandCount, 0);
-      const provinceStoreCount = citiesWithDistricts.reduce((sum, city) => sum + city.storeCount, 0);
+      // 同时获取该城市下直辖的商场（没有区县的情况）
+      const directMalls = await aggregateMallsWithBrands({
+        isActive: true,
+        province: province._id,
+        city: city._id,
+        $or: [
+          { district: { $exists: false } },
+          { district: null }
+        ]
+      }, { brandId, search });
+
+      // 带搜索条件时按明细汇总（包含区县和直辖商场），否则读取统计快照
+      const cityCounts = search
+        ? sumCounts([...districtsWithMalls, countMalls(directMalls)])
+        : pickCounts(cityStats.get(city._id.toString()));
 
       return {
-        _id: province._id,
-        name: province.name,
-        code: province.code,
-        mallCount: provinceMallCount,
-        brandCount: provinceBrandCount,
-        storeCount: provinceStoreCount,
-        cities: citiesWithDistricts
+        _id: city._id,
+        name: city.name,
+        code: city.code,
+        ...cityCounts,
+        districts: districtsWithMalls,
+        malls: directMalls // 直辖商场
       };
     }));
 
+    return {
+      _id: province._id,
+      name: province.name,
+      code: province.code,
+      ...(search ? sumCounts(citiesWithDistricts) : provinceCounts),
+      cities: citiesWithDistricts
+    };
+  }));
+
+  return provinces;
+};
+
+// 读取树形数据，按查询参数缓存（树形接口与统计导出共用同一缓存）
+const getCachedTree = async (query) => {
+  const cacheKey = `tree_${JSON.stringify(query)}`;
+  const cachedData = treeCache.get(cacheKey);
+
+  if (cachedData) {
+    return cachedData;
+  }
+  const provinces = await buildTree(query);
+
+  treeCache.set(cacheKey, provinces);
+  return provinces;
+};
+
+// 获取树形结构数据（省 -> 市 -> 区 -> 商场 -> 品牌）
+router.get('/tree', async (ctx) => {
+  try {
+    const provinces = await getCachedTree(ctx.query);
+
     ctx.body = { success: true, data: { provinces } };
-    treeCache.set(cacheKey, ctx.body);
   } catch (error) {
     ctx.status = 500;
     ctx.body = {
@@ -716,56 +753,58 @@ router.get('/tree', async (ctx) => {
   }
 });
 
+// 校验品牌门店查询参数并构建门店筛选条件（品牌门店详情与导出共用）
+// 返回 { status, message } 表示参数错误，否则返回 { brand, storeQuery }
+const resolveBrandStoreQuery = async ({ provinceId, cityId, districtId, brandId }) => {
+  // 验证必需参数
+  if (!brandId) {
+    return { status: 400, message: '品牌ID是必需的参数' };
+  }
+
+  if (!provinceId && !cityId && !districtId) {
+    return { status: 400, message: '请至少提供省份、城市或区县ID中的一个' };
+  }
+
+  // 验证品牌是否存在
+  const brand = await Brand.findById(brandId);
+  if (!brand) {
+    return { status: 404, message: '品牌不存在' };
+  }
+
+  // 构建查询条件
+  let storeQuery = {
+    isActive: true,
+    brand: brandId
+  };
+
+  // 根据传入的地理位置参数构建查询条件
+  if (districtId) {
+    storeQuery.district = districtId;
+  } else if (cityId) {
+    storeQuery.city = cityId;
+  } else if (provinceId) {
+    storeQuery.province = provinceId;
+  }
+
+  return { brand, storeQuery };
+};
+
 // 修复后的品牌门店详情接口
 router.get('/brandDetail', async (ctx) => {
   try {
     const { provinceId, cityId, districtId, brandId, search, page = 1, limit = 20 } = ctx.query;
     const skip = (page - 1) * limit;
 
-    // 验证必需参数
-    if (!brandId) {
-      ctx.status = 400;
-      ctx.body = {
-        success: false,
-        message: '品牌ID是必需的参数'
-      };
-      return;
-    }
-
-    if (!provinceId && !cityId && !districtId) {
-      ctx.status = 400;
-      ctx.body = {
-        success: false,
-        message: '请至少提供省份、城市或区县ID中的一个'
-      };
-      return;
-    }
-
-    // 验证品牌是否存在
-    const brand = await Brand.findById(brandId);
-    if (!brand) {
-      ctx.status = 404;
+    const resolved = await resolveBrandStoreQuery(ctx.query);
+    if (resolved.message) {
+      ctx.status = resolved.status;
       ctx.body = {
         success: false,
-        message: '品牌不存在'
+        message: resolved.message
       };
       return;
     }
-
-    // 构建查询条件
-    let storeQuery = {
-      isActive: true,
-      brand: brandId
-    };
-
-    // 根据传入的地理位置参数构建查询条件
-    if (districtId) {
-      storeQuery.district = districtId;
-    } else if (cityId) {
-      storeQuery.city = cityId;
-    } else if (provinceId) {
-      storeQuery.province = provinceId;
-    }
+    const { brand, storeQuery } = resolved;
 
 
     // 先检查是否有匹配的原始数据
@@ -965,69 +1004,77 @@ router.get('/brandDetail', async (ctx) => {
   }
 });
 
-// 获取商场数据
-router.get('/malls', async (ctx) => {
-  try {
-    const { page = 1, limit = 0, provinceId, cityId, districtId, search, sortBy = 'clickCount' } = ctx.query;
-    const skip = (page - 1) * limit;
-
-    let query = { isActive: true };
+// 根据查询参数构建商场筛选条件与排序（商场列表与导出共用）
+// 省份、城市支持ID、code和名称
+const buildMallQuery = async ({ provinceId, cityId, districtId, search, sortBy = 'clickCount' }) => {
+  let query = { isActive: true };
 
-    // 处理省份筛选 - 支持ID、code和名称
-    if (provinceId) {
-      if (mongoose.Types.ObjectId.isValid(provinceId)) {
-        query.province = provinceId;
-      } else {
-        // 如果不是有效的ObjectId，则按code或名称查找省份
-        const province = await Province.findOne({
-          $or: [
-            { code: provinceId },
-            { name: provinceId }
-          ]
-        });
-        if (province) {
-          query.province = province._id;
-        }
+  // 处理省份筛选 - 支持ID、code和名称
+  if (provinceId) {
+    if (mongoose.Types.ObjectId.isValid(provinceId)) {
+      query.province = provinceId;
+    } else {
+      // 如果不是有效的ObjectId，则按code或名称查找省份
+      const province = await Province.findOne({
+        $or: [
+          { code: provinceId },
+          { name: provinceId }
+        ]
+      });
+      if (province) {
+        query.province = province._id;
       }
     }
+  }
 
-    // 处理城市筛选 - 支持ID、code和名称
-    if (cityId) {
-      if (mongoose.Types.ObjectId.isValid(cityId)) {
-        query.city = cityId;
-      } else {
-        // 如果不是有效的ObjectId，则按code或名称查找城市
-        const city = await City.findOne({
-          $or: [
-            { code: cityId },
-            { name: cityId }
-          ]
-        });
-        if (city) {
-          query.city = city._id;
-        }
+  // 处理城市筛选 - 支持ID、code和名称
+  if (cityId) {
+    if (mongoose.Types.ObjectId.isValid(cityId)) {
+      query.city = cityId;
+    } else {
+      // 如果不是有效的ObjectId，则按code或名称查找城市
+      const city = await City.findOne({
+        $or: [
+          { code: cityId },
+          { name: cityId }
+        ]
+      });
+      if (city) {
+        query.city = city._id;
       }
     }
+  }
 
-    if (districtId) {
-      query.district = districtId;
-    }
+  if (districtId) {
+    query.district = districtId;
+  }
 
-    if (search) {
-      query.name = { $regex: search, $options: 'i' };
-    }
+  if (search) {
+    query.name = { $regex: search, $options: 'i' };
+  }
 
-    // 设置排序规则
-    let sortOptions = {};
-    if (sortBy === 'clickCount') {
-      sortOptions = { clickCount: -1, createdAt: -1 }; // 按点击次数降序，创建时间降序
-    } else if (sortBy === 'createdAt') {
-      sortOptions = { createdAt: -1 }; // 按创建时间降序
-    } else if (sortBy === 'name') {
-      sortOptions = { name: 1 }; // 按名称升序
-    } else {
-      sortOptions = { clickCount: -1, createdAt: -1 }; // 默认按点击次数排序
-    }
+  // 设置排序规则
+  let sortOptions = {};
+  if (sortBy === 'clickCount') {
+    sortOptions = { clickCount: -1, createdAt: -1 }; // 按点击次数降序，创建时间降序
+  } else if (sortBy === 'createdAt') {
+    sortOptions = { createdAt: -1 }; // 按创建时间降序
+  } else if (sortBy === 'name') {
+    sortOptions = { name: 1 }; // 按名称升序
+  } else {
+    sortOptions = { clickCount: -1, createdAt: -1 }; // 默认按点击次数排序
+  }
+
+  return { query, sortOptions };
+};
+
+// 获取商场数据
+router.get('/malls', async (ctx) => {
+  try {
+    const { page = 1, limit = 0 } = ctx.query;
+    const skip = (page - 1) * limit;
+
+    const { query, sortOptions } = await buildMallQuery(ctx.query);
 
     const malls = await Mall.find(query)
       .populate('province', 'name code')
@@ -1038,11 +1085,13 @@ router.get('/malls', async (ctx) => {
       .sort(sortOptions);
 
     const total = await Mall.countDocuments(query);
+    const searchId = logSearch(ctx, { source: 'map_malls', query: ctx.query.search, filters: ctx.query, resultCount: total });
 
     ctx.body = {
       success: true,
       data: {
         malls,
+        searchId,
         pagination: {
           page: parseInt(page),
           limit: parseInt(limit),
@@ -1119,30 +1168,259 @@ router.get('/malls/:id', async (ctx) => {
   }
 });
 
-// 获取统计数据
-router.get('/statistics', async (ctx) => {
+// 附近商场：按半径（lng、lat、radius）或矩形范围（bbox）查询，按距离升序
+router.get('/nearby/malls', async (ctx) => {
   try {
-    const { provinceId, cityId, districtId } = ctx.query;
+    const { limit, search } = ctx.query;
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), MAX_NEARBY_RESULTS);
 
-    let query = { isActive: true };
-    if (provinceId) {
-      query.province = provinceId;
-    }
-    if (cityId) {
-      query.city = cityId;
-    }
-    if (districtId) {
-      query.district = districtId;
+    const nearby = parseNearbyQuery(ctx.query);
+    if (nearby.error) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: nearby.error
+      };
+      return;
     }
 
-    const brandCount = await Brand.countDocuments(query);
-    const mallCount = await Mall.countDocuments(query);
+    let query = { isActive: true };
+    if (search) {
+      query.name = { $regex: search, $options: 'i' };
+    }
 
-    ctx.body = {
+    const malls = await Mall.aggregate([
+      buildGeoNearStage(nearby, query),
+      { $limit: limitNum },
+      { $lookup: { from: 'provinces', localField: 'province', foreignField: '_id', as: 'province' } },
+      { $lookup: { from: 'cities', localField: 'city', foreignField: '_id', as: 'city' } },
+      { $lookup: { from: 'districts', localField: 'district', foreignField: '_id', as: 'district' } },
+      {
+        $project: {
+          name: 1,
+          code: 1,
+          logo: 1,
+          address: 1,
+          location: 1,
+          isOla: 1,
+          clickCount: 1,
+          distance: { $round: ['$distance', 0] },
+          province: { $arrayElemAt: ['$province.name', 0] },
+          city: { $arrayElemAt: ['$city.name', 0] },
+          district: { $arrayElemAt: ['$district.name', 0] }
+        }
+      }
+    ]);
+
+    ctx.body = {
+      success: true,
+      data: {
+        malls,
+        center: nearby.near.coordinates,
+        radius: nearby.maxDistance,
+        total: malls.length
+      }
+    };
+  } catch (error) {
+    ctx.status = 500;
+    ctx.body = {
+      success: false,
+      message: '获取附近商场失败',
+      error: error.message
+    };
+  }
+});
+
+// 附近品牌门店：查询指定品牌在范围内的门店，按距离升序
+router.get('/nearby/stores', async (ctx) => {
+  try {
+    const { brandId, limit } = ctx.query;
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), MAX_NEARBY_RESULTS);
+
+    if (!brandId || !mongoose.Types.ObjectId.isValid(brandId)) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: '品牌ID是必需的参数'
+      };
+      return;
+    }
+
+    const nearby = parseNearbyQuery(ctx.query);
+    if (nearby.error) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: nearby.error
+      };
+      return;
+    }
+
+    const brand = await Brand.findById(brandId).select('name code logo category');
+    if (!brand) {
+      ctx.status = 404;
+      ctx.body = {
+        success: false,
+        message: '品牌不存在'
+      };
+      return;
+    }
+
+    const stores = await BrandStore.aggregate([
+      buildGeoNearStage(nearby, { isActive: true, brand: brand._id }),
+      { $limit: limitNum },
+      { $lookup: { from: 'malls', localField: 'mall', foreignField: '_id', as: 'mall' } },
+      { $lookup: { from: 'cities', localField: 'city', foreignField: '_id', as: 'city' } },
+      {
+        $project: {
+          storeName: 1,
+          storeAddress: 1,
+          floor: 1,
+          unitNumber: 1,
+          openingHours: 1,
+          phone: 1,
+          isOla: 1,
+          location: 1,
+          distance: { $round: ['$distance', 0] },
+          mall: {
+            _id: { $arrayElemAt: ['$mall._id', 0] },
+            name: { $arrayElemAt: ['$mall.name', 0] },
+            address: { $arrayElemAt: ['$mall.address', 0] }
+          },
+          city: { $arrayElemAt: ['$city.name', 0] }
+        }
+      }
+    ]);
+
+    ctx.body = {
+      success: true,
+      data: {
+        brand,
+        stores,
+        center: nearby.near.coordinates,
+        radius: nearby.maxDistance,
+        total: stores.length
+      }
+    };
+  } catch (error) {
+    ctx.status = 500;
+    ctx.body = {
+      success: false,
+      message: '获取附近门店失败',
+      error: error.message
+    };
+  }
+});
+
+// 附近品牌：范围内有门店的品牌，按最近门店距离升序
+router.get('/nearby/brands', async (ctx) => {
+  try {
+    const { limit, category } = ctx.query;
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), MAX_NEARBY_RESULTS);
+
+    const nearby = parseNearbyQuery(ctx.query);
+    if (nearby.error) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: nearby.error
+      };
+      return;
+    }
+
+    const brands = await BrandStore.aggregate([
+      buildGeoNearStage(nearby, { isActive: true }),
+      {
+        $group: {
+          _id: '$brand',
+          distance: { $min: '$distance' },
+          storeCount: { $sum: 1 },
+          nearestMall: { $first: '$mall' }
+        }
+      },
+      { $lookup: { from: 'brands', localField: '_id', foreignField: '_id', as: 'brand' } },
+      { $unwind: '$brand' },
+      {
+        $match: {
+          'brand.isActive': true,
+          ...(category ? { 'brand.category': category } : {})
+        }
+      },
+      { $sort: { distance: 1 } },
+      { $limit: limitNum },
+      { $lookup: { from: 'malls', localField: 'nearestMall', foreignField: '_id', as: 'nearestMall' } },
+      {
+        $project: {
+          _id: '$brand._id',
+          name: '$brand.name',
+          code: '$brand.code',
+          logo: '$brand.logo',
+          category: '$brand.category',
+          storeCount: 1,
+          distance: { $round: ['$distance', 0] },
+          nearestMall: {
+            _id: { $arrayElemAt: ['$nearestMall._id', 0] },
+            name: { $arrayElemAt: ['$nearestMall.name', 0] }
+          }
+        }
+      }
+    ]);
+
+    ctx.body = {
+      success: true,
+      data: {
+        brands,
+        center: nearby.near.coordinates,
+        radius: nearby.maxDistance,
+        total: brands.length
+      }
+    };
+  } catch (error) {
+    ctx.status = 500;
+    ctx.body = {
+      success: false,
+      message: '获取附近品牌失败',
+      error: error.message
+    };
+  }
+});
+
+// 获取统计数据（读取 RegionStat 统计快照，按传入的最细一级区域返回）
+router.get('/statistics', async (ctx) => {
+  try {
+    const { provinceId, cityId, districtId, brandId } = ctx.query;
+
+    let level = 'national';
+    let regionId = null;
+    if (districtId) {
+      level = 'district';
+      regionId = districtId;
+    } else if (cityId) {
+      level = 'city';
+      regionId = cityId;
+    } else if (provinceId) {
+      level = 'province';
+      regionId = provinceId;
+    }
+
+    if (regionId && !mongoose.Types.ObjectId.isValid(regionId)) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: '无效的区域ID'
+      };
+      return;
+    }
+
+    const stat = await getStat(level, regionId, brandId);
+
+    ctx.body = {
       success: true,
       data: {
-        brandCount,
-        mallCount
+        level,
+        ...pickCounts(stat),
+        districtCount: stat?.districtCount || 0,
+        updatedAt: stat?.refreshedAt || null
       }
     };
   } catch (error) {
@@ -1155,6 +1433,205 @@ router.get('/statistics', async (ctx) => {
   }
 });
 
+// 数据导出（需登录）：与对应列表接口使用相同的筛选参数，format 可选 csv、xlsx、geojson
+const MALL_EXPORT_COLUMNS = [
+  { key: 'name', title: '商场名称' },
+  { key: 'code', title: '商场编码' },
+  { key: 'province.name', title: '省份' },
+  { key: 'city.name', title: '城市' },
+  { key: 'district.name', title: '区县' },
+  { key: 'address', title: '地址', width: 40 },
+  { key: 'longitude', title: '经度', value: mall => mall.location?.coordinates?.[0] },
+  { key: 'latitude', title: '纬度', value: mall => mall.location?.coordinates?.[1] },
+  { key: 'floorCount', title: '楼层数' },
+  { key: 'totalArea', title: '总面积' },
+  { key: 'openingHours', title: '营业时间' },
+  { key: 'contactPhone', title: '联系电话' },
+  { key: 'isOla', title: '是否奥莱' },
+  { key: 'clickCount', title: '点击次数' }
+];
+
+const STORE_EXPORT_COLUMNS = [
+  { key: 'brand.name', title: '品牌' },
+  { key: 'storeName', title: '门店名称' },
+  { key: 'mall.name', title: '商场' },
+  { key: 'province.name', title: '省份' },
+  { key: 'city.name', title: '城市' },
+  { key: 'district.name', title: '区县' },
+  { key: 'storeAddress', title: '门店地址', width: 40 },
+  { key: 'floor', title: '楼层' },
+  { key: 'unitNumber', title: '铺位号' },
+  { key: 'openingHours', title: '营业时间' },
+  { key: 'phone', title: '联系电话' },
+  { key: 'isOla', title: '是否奥莱' },
+  { key: 'longitude', title: '经度', value: store => store.location?.coordinates?.[0] },
+  { key: 'latitude', title: '纬度', value: store => store.location?.coordinates?.[1] }
+];
+
+const TREE_EXPORT_COLUMNS = [
+  { key: 'level', title: '层级' },
+  { key: 'province', title: '省份' },
+  { key: 'city', title: '城市' },
+  { key: 'district', title: '区县' },
+  { key: 'mall', title: '商场' },
+  { key: 'mallCount', title: '商场数量' },
+  { key: 'brandCount', title: '品牌数量' },
+  { key: 'storeCount', title: '门店数量' }
+];
+
+// 将树形数据展开为逐行统计
+const flattenTree = (provinces) => {
+  const rows = [];
+  const mallRows = (malls, base) => (malls || []).forEach(mall => rows.push({
+    ...base,
+    level: '商场',
+    mall: mall.name,
+    brandCount: mall.brands.length,
+    storeCount: mall.storeCount
+  }));
+
+  provinces.forEach(province => {
+    rows.push({ level: '省份', province: province.name, ...pickCounts(province) });
+    (province.cities || []).forEach(city => {
+      const cityBase = { province: province.name, city: city.name };
+      rows.push({ level: '城市', ...cityBase, ...pickCounts(city) });
+      (city.districts || []).forEach(district => {
+        const districtBase = { ...cityBase, district: district.name };
+        rows.push({ level: '区县', ...districtBase, ...pickCounts(district) });
+        mallRows(district.malls, districtBase);
+      });
+      mallRows(city.malls, cityBase);
+    });
+  });
+  return rows;
+};
+
+// 导出商场列表
+router.get('/export/malls', auth, async (ctx) => {
+  try {
+    const { format = 'csv' } = ctx.query;
+    const formatError = validateFormat(format);
+    if (formatError) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: formatError
+      };
+      return;
+    }
+
+    const { query, sortOptions } = await buildMallQuery(ctx.query);
+    const malls = await Mall.find(query)
+      .populate('province', 'name code')
+      .populate('city', 'name code')
+      .populate('district', 'name')
+      .sort(sortOptions)
+      .limit(MAX_EXPORT_ROWS)
+      .lean();
+
+    sendExport(ctx, {
+      filename: '商场列表',
+      format,
+      columns: MALL_EXPORT_COLUMNS,
+      rows: malls,
+      getGeometry: mall => mall.location
+    });
+  } catch (error) {
+    ctx.status = 500;
+    ctx.body = {
+      success: false,
+      message: '导出商场数据失败',
+      error: error.message
+    };
+  }
+});
+
+// 导出品牌门店
+router.get('/export/brandDetail', auth, async (ctx) => {
+  try {
+    const { format = 'csv' } = ctx.query;
+    const formatError = validateFormat(format);
+    if (formatError) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: formatError
+      };
+      return;
+    }
+
+    const resolved = await resolveBrandStoreQuery(ctx.query);
+    if (resolved.message) {
+      ctx.status = resolved.status;
+      ctx.body = {
+        success: false,
+        message: resolved.message
+      };
+      return;
+    }
+    const { brand, storeQuery } = resolved;
+
+    const stores = await BrandStore.find(storeQuery)
+      .populate('brand', 'name code')
+      .populate('mall', 'name code address')
+      .populate('province', 'name code')
+      .populate('city', 'name code')
+      .populate('district', 'name code')
+      .sort({ storeName: 1 })
+      .limit(MAX_EXPORT_ROWS)
+      .lean();
+
+    sendExport(ctx, {
+      filename: `${brand.name}门店`,
+      format,
+      columns: STORE_EXPORT_COLUMNS,
+      rows: stores,
+      getGeometry: store => store.location
+    });
+  } catch (error) {
+    ctx.status = 500;
+    ctx.body = {
+      success: false,
+      message: '导出品牌门店失败',
+      error: error.message
+    };
+  }
+});
+
+// 导出树形统计（省 / 市 / 区 / 商场逐行）
+router.get('/export/tree', auth, async (ctx) => {
+  try {
+    const { format = 'csv', ...treeQuery } = ctx.query;
+    const formatError = validateFormat(format);
+    if (formatError) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: formatError
+      };
+      return;
+    }
+
+    // 去掉 format 后与 /tree 使用相同的缓存键
+    const provinces = await getCachedTree(treeQuery);
+
+    // 行政区划没有坐标，GeoJSON 中 geometry 为 null
+    sendExport(ctx, {
+      filename: '区域统计',
+      format,
+      columns: TREE_EXPORT_COLUMNS,
+      rows: flattenTree(provinces)
+    });
+  } catch (error) {
+    ctx.status = 500;
+    ctx.body = {
+      success: false,
+      message: '导出统计数据失败',
+      error: error.message
+    };
+  }
+});
+
 // 获取字典数据（供前端使用）
 router.get('/dictionaries', async (ctx) => {
   try {
@@ -1237,7 +1714,7 @@ router.get('/dictionaries', async (ctx) => {
 // 商场/城市对比接口 - 支持匿名访问，但保存报告需要登录
 router.post('/comparison', auth, async (ctx) => {
   try {
-    const { type, ids, brandIds, title, notes, saveReport = false } = ctx.request.body; // type: 'mall' | 'city', ids: 商场或城市ID数组, brandIds: 可选的品牌ID筛选
+    const { type, ids, brandIds, title, notes, saveReport = false } = ctx.request.body; // type: 'mall' | 'district' | 'city' | 'province', ids: 对比位置ID数组, brandIds: 可选的品牌ID筛选
 
     if (!type || !ids || !Array.isArray(ids) || ids.length === 0) {
       ctx.status = 400;
@@ -1248,114 +1725,31 @@ router.post('/comparison', auth, async (ctx) => {
       return;
     }
 
-    // 如果需要保存报告但用户未登录，返回错误
-
-    const results = [];
-
-    for (const id of ids) {
-      let query = { isActive: true };
-      let locationInfo = {};
-
-      if (type === 'mall') {
-        query.mall = id;
-        const mall = await Mall.findById(id).populate('city', 'name').populate('province', 'name');
-        if (mall) {
-          locationInfo = {
-            id: mall._id,
-            name: mall.name,
-            type: 'mall',
-            city: mall.city?.name,
-            province: mall.province?.name
-          };
-        }
-      } else if (type === 'city') {
-        query.city = id;
-        const city = await City.findById(id).populate('province', 'name');
-        if (city) {
-          locationInfo = {
-            id: city._id,
-            name: city.name,
-            type: 'city',
-            city: city.name,
-            province: city.province?.name
-          };
-        }
-      }
-
-      // 如果指定了品牌筛选
-      if (brandIds && Array.isArray(brandIds) && brandIds.length > 0) {
-        query.brand = { $in: brandIds };
-      }
-
-      // 获取该位置下的所有品牌店铺
-      const stores = await BrandStore.find(query)
-        .populate('brand', 'name category score code')
-        .lean();
-
-      // 按品牌分组并计算分值
-      const brandMap = {};
-      let totalScore = 0;
-      let totalStores = 0;
-
-      stores.forEach(store => {
-        if (store.brand) {
-          const brandId = store.brand._id.toString();
-          if (!brandMap[brandId]) {
-            brandMap[brandId] = {
-              brand: store.brand,
-              storeCount: 0,
-              totalScore: 0,
-              averageScore: 0
-            };
-          }
-
-          brandMap[brandId].storeCount++;
-
-          // 获取品牌分数，如果没有分数则根据category自动分配
-          let brandScore = store.brand.score;
-          if (brandScore == null || brandScore === 0) {
-            if (store.brand.category == 2) {
-              brandScore = 5;
-            } else if (store.brand.category == 1) {
-              brandScore = 10;
-            } else {
-              brandScore = 0;
-            }
-          }
-
-          brandMap[brandId].totalScore += brandScore;
-          totalScore += brandScore;
-          totalStores++;
-        }
-      });
+    if (!COMPARISON_TYPES[type]) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: `不支持的对比类型，可选值：${Object.keys(COMPARISON_TYPES).join('、')}`
+      };
+      return;
+    }
 
-      // 计算每个品牌的平均分
-      const brands = Object.values(brandMap).map(item => {
-        item.averageScore = item.storeCount > 0 ?
-          (item.totalScore / item.storeCount).toFixed(1) : 0;
-        return item;
-      });
+    const comparison = await runComparison({
+      type,
+      ids,
+      brandIds: Array.isArray(brandIds) ? brandIds : []
+    });
 
-      results.push({
-        location: locationInfo,
-        brands: brands,
-        summary: {
-          totalBrands: brands.length,
-          totalStores: totalStores,
-          totalScore: totalScore.toFixed(1),
-          averageScore: totalStores > 0 ? (totalScore / totalStores).toFixed(1) : 0
-        }
-      });
+    if (comparison.missing) {
+      ctx.status = 404;
+      ctx.body = {
+        success: false,
+        message: `${COMPARISON_TYPES[type]}不存在：${comparison.missing.join(',')}`
+      };
+      return;
     }
 
-    // 计算整体摘要
-    const overallSummary = {
-      totalLocations: results.length,
-      totalBrands: [...new Set(results.flatMap(r => r.brands.map(b => b.brand._id.toString())))].length,
-      totalStores: results.reduce((sum, r) => sum + r.summary.totalStores, 0),
-      averageScore: results.length > 0 ?
-        (results.reduce((sum, r) => sum + parseFloat(r.summary.averageScore), 0) / results.length).toFixed(1) : '0'
-    };
+    const { results, summary: overallSummary, overlap, engineVersion } = comparison;
 
     let reportId = null;
 
@@ -1367,13 +1761,15 @@ router.post('/comparison', auth, async (ctx) => {
       console.log(selectedNames)
       const reportData = {
         user: ctx.state.user.userId,
-        title: title || `${type === 'mall' ? '商场' : '城市'}对比报告 - ${new Date().toLocaleDateString()}`,
+        title: title || `${COMPARISON_TYPES[type]}对比报告 - ${new Date().toLocaleDateString()}`,
         type,
         comparisonIds: ids,
         brandIds: brandIds || [],
         selectedLocations: selectedNames,
         results,
         summary: overallSummary,
+        overlap,
+        engineVersion,
         notes: notes || ''
       };
 
@@ -1388,6 +1784,8 @@ router.post('/comparison', auth, async (ctx) => {
         type,
         results,
         summary: overallSummary,
+        overlap,
+        engineVersion,
         comparisonDate: new Date().toISOString(),
         reportId
       }
@@ -1419,7 +1817,7 @@ router.get('/comparison/reports', auth, async (ctx) => {
     // 构建查询条件
     const query = { user: ctx.state.user.userId };
 
-    if (type && ['mall', 'city'].includes(type)) {
+    if (type && COMPARISON_TYPES[type]) {
       query.type = type;
     }
 
@@ -1516,21 +1914,563 @@ router.get('/comparison/reports/:id', auth, async (ctx) => {
   }
 });
 
-// 更新对比报告
-router.put('/comparison/reports/:id', async (ctx) => {
+// 下载对比报告：汇总表、品牌重合度 + 每个对比位置一个工作表
+router.get('/comparison/reports/:id/export', auth, async (ctx) => {
   try {
-    // 检查用户是否登录
-    if (!ctx.state.user) {
-      ctx.status = 401;
-      ctx.body = {
-        success: false,
-        message: '请先登录'
-      };
-      return;
-    }
-
     const { id } = ctx.params;
-    const { title, notes, isFavorite } = ctx.request.body;
+
+    // 验证ID格式
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: '无效的报告ID'
+      };
+      return;
+    }
+
+    const report = await ComparisonReport.findOne({
+      _id: id,
+      user: ctx.state.user.userId
+    }).lean();
+
+    if (!report) {
+      ctx.status = 404;
+      ctx.body = {
+        success: false,
+        message: '报告不存在或无权访问'
+      };
+      return;
+    }
+
+    const summarySheet = {
+      name: '汇总',
+      columns: [
+        { key: 'location.name', title: '位置', width: 24 },
+        { key: 'location.city', title: '城市' },
+        { key: 'location.province', title: '省份' },
+        { key: 'summary.totalBrands', title: '品牌数量' },
+        { key: 'summary.totalStores', title: '门店数量' },
+        { key: 'summary.totalScore', title: '总评分' },
+        { key: 'summary.averageScore', title: '平均评分' }
+      ],
+      rows: report.results
+    };
+
+    const locationSheets = report.results.map(result => ({
+      name: result.location.name,
+      columns: [
+        { key: 'brand.name', title: '品牌', width: 24 },
+        { key: 'brand.code', title: '品牌编码' },
+        { key: 'storeCount', title: '门店数量' },
+        { key: 'totalScore', title: '总评分' },
+        { key: 'averageScore', title: '平均评分' }
+      ],
+      rows: result.brands
+    }));
+
+    // v2 报告附带品牌重合度
+    const locationNames = new Map(report.results.map(result => [result.location.id.toString(), result.location.name]));
+    const overlapSheets = report.overlap?.jaccard ? [{
+      name: '品牌重合度',
+      columns: [
+        { key: 'a', title: '位置A', width: 24, value: pair => locationNames.get(pair.a.toString()) },
+        { key: 'b', title: '位置B', width: 24, value: pair => locationNames.get(pair.b.toString()) },
+        { key: 'intersection', title: '共有品牌数' },
+        { key: 'union', title: '品牌总数' },
+        { key: 'similarity', title: 'Jaccard相似度' }
+      ],
+      rows: report.overlap.jaccard.pairs
+    }] : [];
+
+    sendExport(ctx, {
+      filename: report.title,
+      format: 'xlsx',
+      sheets: [summarySheet, ...overlapSheets, ...locationSheets]
+    });
+  } catch (error) {
+    ctx.status = 500;
+    ctx.body = {
+      success: false,
+      message: '导出对比报告失败',
+      error: error.message
+    };
+  }
+});
+
+// 分享链接最长有效期（天）
+const MAX_SHARE_DAYS = 365;
+
+// 分享链接输出字段（不返回所有者信息）
+const formatShare = (share) => ({
+  _id: share._id,
+  token: share.token,
+  url: `/api/map/comparison/shared/${share.token}`,
+  version: share.version,
+  label: share.label,
+  expiresAt: share.expiresAt,
+  revokedAt: share.revokedAt,
+  isValid: !share.revokedAt && (!share.expiresAt || share.expiresAt > new Date()),
+  viewCount: share.viewCount,
+  lastViewedAt: share.lastViewedAt,
+  createdAt: share.createdAt
+});
+
+// 创建报告分享链接（固定为报告当前版本）
+router.post('/comparison/reports/:id/shares', auth, async (ctx) => {
+  try {
+    const { id } = ctx.params;
+    const { expiresInDays, label } = ctx.request.body;
+
+    // 验证ID格式
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: '无效的报告ID'
+      };
+      return;
+    }
+
+    let expiresAt = null;
+    if (expiresInDays !== undefined && expiresInDays !== null && expiresInDays !== '') {
+      const days = Number(expiresInDays);
+      if (!Number.isFinite(days) || days <= 0 || days > MAX_SHARE_DAYS) {
+        ctx.status = 400;
+        ctx.body = {
+          success: false,
+          message: `有效期需为 1-${MAX_SHARE_DAYS} 天`
+        };
+        return;
+      }
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    const report = await ComparisonReport.findOne({
+      _id: id,
+      user: ctx.state.user.userId
+    });
+
+    if (!report) {
+      ctx.status = 404;
+      ctx.body = {
+        success: false,
+        message: '报告不存在或无权访问'
+      };
+      return;
+    }
+
+    // 从未重新计算过的报告先保存版本 1，分享链接读取该版本快照
+    await ensureInitialVersion(report);
+
+    const share = await ReportShare.create({
+      report: report._id,
+      user: ctx.state.user.userId,
+      version: report.version || 1,
+      token: crypto.randomBytes(24).toString('hex'),
+      label,
+      expiresAt
+    });
+
+    ctx.body = {
+      success: true,
+      message: '分享链接创建成功',
+      data: formatShare(share)
+    };
+  } catch (error) {
+    ctx.status = 500;
+    ctx.body = {
+      success: false,
+      message: '创建分享链接失败',
+      error: error.message
+    };
+  }
+});
+
+// 获取报告的分享链接及访问次数
+router.get('/comparison/reports/:id/shares', auth, async (ctx) => {
+  try {
+    const { id } = ctx.params;
+
+    // 验证ID格式
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: '无效的报告ID'
+      };
+      return;
+    }
+
+    const shares = await ReportShare.find({
+      report: id,
+      user: ctx.state.user.userId
+    }).sort({ createdAt: -1 }).lean();
+
+    ctx.body = {
+      success: true,
+      data: {
+        shares: shares.map(formatShare),
+        totalViews: shares.reduce((sum, share) => sum + share.viewCount, 0)
+      }
+    };
+  } catch (error) {
+    ctx.status = 500;
+    ctx.body = {
+      success: false,
+      message: '获取分享链接失败',
+      error: error.message
+    };
+  }
+});
+
+// 撤销分享链接
+router.delete('/comparison/reports/:id/shares/:shareId', auth, async (ctx) => {
+  try {
+    const { id, shareId } = ctx.params;
+
+    // 验证ID格式
+    if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(shareId)) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: '无效的ID'
+      };
+      return;
+    }
+
+    const share = await ReportShare.findOneAndUpdate(
+      { _id: shareId, report: id, user: ctx.state.user.userId, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    ).lean();
+
+    if (!share) {
+      ctx.status = 404;
+      ctx.body = {
+        success: false,
+        message: '分享链接不存在或已撤销'
+      };
+      return;
+    }
+
+    ctx.body = {
+      success: true,
+      message: '分享链接已撤销',
+      data: formatShare(share)
+    };
+  } catch (error) {
+    ctx.status = 500;
+    ctx.body = {
+      success: false,
+      message: '撤销分享链接失败',
+      error: error.message
+    };
+  }
+});
+
+// 通过分享链接查看报告（无需登录，只读），返回创建链接时的报告版本
+router.get('/comparison/shared/:token', async (ctx) => {
+  try {
+    const { token } = ctx.params;
+
+    // 只统计有效链接的访问
+    const now = new Date();
+    const share = await ReportShare.findOneAndUpdate(
+      {
+        token,
+        revokedAt: null,
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+      },
+      { $inc: { viewCount: 1 }, lastViewedAt: now },
+      { new: true }
+    ).lean();
+
+    if (!share) {
+      ctx.status = 404;
+      ctx.body = {
+        success: false,
+        message: '分享链接不存在、已撤销或已过期'
+      };
+      return;
+    }
+
+    const report = await ComparisonReport.findById(share.report)
+      .select('title type selectedLocations results summary overlap engineVersion version createdAt updatedAt')
+      .lean();
+
+    if (!report) {
+      ctx.status = 404;
+      ctx.body = {
+        success: false,
+        message: '报告已被删除'
+      };
+      return;
+    }
+
+    let snapshot = {};
+    if (share.version) {
+      const reportVersion = await ComparisonReportVersion.findOne({ report: report._id, version: share.version })
+        .select('version results summary overlap engineVersion createdAt')
+        .lean();
+      if (!reportVersion) {
+        ctx.status = 404;
+        ctx.body = {
+          success: false,
+          message: '分享的报告版本不存在'
+        };
+        return;
+      }
+
+      snapshot = {
+        results: reportVersion.results,
+        summary: reportVersion.summary,
+        overlap: reportVersion.overlap,
+        engineVersion: reportVersion.engineVersion,
+        version: reportVersion.version,
+        selectedLocations: (reportVersion.results || []).map(result => result.location?.name).join(','),
+        updatedAt: reportVersion.createdAt
+      };
+    }
+
+    ctx.body = {
+      success: true,
+      data: {
+        ...report,
+        ...snapshot,
+        share: {
+          version: share.version,
+          expiresAt: share.expiresAt
+        }
+      }
+    };
+  } catch (error) {
+    ctx.status = 500;
+    ctx.body = {
+      success: false,
+      message: '获取分享报告失败',
+      error: error.message
+    };
+  }
+});
+
+// 按当前数据重新计算报告，保存为新版本并返回差异
+router.post('/comparison/reports/:id/rerun', auth, async (ctx) => {
+  try {
+    const { id } = ctx.params;
+
+    // 验证ID格式
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: '无效的报告ID'
+      };
+      return;
+    }
+
+    const report = await ComparisonReport.findOne({
+      _id: id,
+      user: ctx.state.user.userId
+    });
+
+    if (!report) {
+      ctx.status = 404;
+      ctx.body = {
+        success: false,
+        message: '报告不存在或无权访问'
+      };
+      return;
+    }
+
+    const { version, diff } = await rerunReport(report, 'manual');
+
+    ctx.body = {
+      success: true,
+      message: diff.hasChanges ? '报告已更新，数据有变化' : '报告已更新，数据无变化',
+      data: {
+        version,
+        diff,
+        report
+      }
+    };
+  } catch (error) {
+    ctx.status = 500;
+    ctx.body = {
+      success: false,
+      message: '重新计算报告失败',
+      error: error.message
+    };
+  }
+});
+
+// 设置报告定时重新计算：frequency 为 none | daily | weekly | monthly
+router.put('/comparison/reports/:id/schedule', auth, async (ctx) => {
+  try {
+    const { id } = ctx.params;
+    const { frequency } = ctx.request.body;
+
+    // 验证ID格式
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: '无效的报告ID'
+      };
+      return;
+    }
+
+    if (!SCHEDULE_FREQUENCIES.includes(frequency)) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: `无效的执行频率，可选值：${SCHEDULE_FREQUENCIES.join('、')}`
+      };
+      return;
+    }
+
+    const report = await ComparisonReport.findOneAndUpdate(
+      { _id: id, user: ctx.state.user.userId },
+      { schedule: { frequency, nextRunAt: nextRunDate(frequency) } },
+      { new: true }
+    ).select('title schedule version lastRunAt').lean();
+
+    if (!report) {
+      ctx.status = 404;
+      ctx.body = {
+        success: false,
+        message: '报告不存在或无权访问'
+      };
+      return;
+    }
+
+    ctx.body = {
+      success: true,
+      message: frequency === 'none' ? '已取消定时更新' : '定时更新设置成功',
+      data: report
+    };
+  } catch (error) {
+    ctx.status = 500;
+    ctx.body = {
+      success: false,
+      message: '设置定时更新失败',
+      error: error.message
+    };
+  }
+});
+
+// 获取报告的历史版本列表（不含结果明细）
+router.get('/comparison/reports/:id/versions', auth, async (ctx) => {
+  try {
+    const { id } = ctx.params;
+
+    // 验证ID格式
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: '无效的报告ID'
+      };
+      return;
+    }
+
+    const report = await ComparisonReport.exists({ _id: id, user: ctx.state.user.userId });
+    if (!report) {
+      ctx.status = 404;
+      ctx.body = {
+        success: false,
+        message: '报告不存在或无权访问'
+      };
+      return;
+    }
+
+    const versions = await ComparisonReportVersion.find({ report: id })
+      .select('version trigger summary diff.hasChanges createdAt')
+      .sort({ version: -1 })
+      .lean();
+
+    ctx.body = {
+      success: true,
+      data: versions
+    };
+  } catch (error) {
+    ctx.status = 500;
+    ctx.body = {
+      success: false,
+      message: '获取报告版本失败',
+      error: error.message
+    };
+  }
+});
+
+// 获取报告某个版本的结果及差异
+router.get('/comparison/reports/:id/versions/:version', auth, async (ctx) => {
+  try {
+    const { id, version } = ctx.params;
+
+    // 验证ID格式
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: '无效的报告ID'
+      };
+      return;
+    }
+
+    const report = await ComparisonReport.exists({ _id: id, user: ctx.state.user.userId });
+    if (!report) {
+      ctx.status = 404;
+      ctx.body = {
+        success: false,
+        message: '报告不存在或无权访问'
+      };
+      return;
+    }
+
+    const reportVersion = await ComparisonReportVersion.findOne({
+      report: id,
+      version: parseInt(version)
+    }).lean();
+
+    if (!reportVersion) {
+      ctx.status = 404;
+      ctx.body = {
+        success: false,
+        message: '版本不存在'
+      };
+      return;
+    }
+
+    ctx.body = {
+      success: true,
+      data: reportVersion
+    };
+  } catch (error) {
+    ctx.status = 500;
+    ctx.body = {
+      success: false,
+      message: '获取报告版本失败',
+      error: error.message
+    };
+  }
+});
+
+// 更新对比报告
+router.put('/comparison/reports/:id', async (ctx) => {
+  try {
+    // 检查用户是否登录
+    if (!ctx.state.user) {
+      ctx.status = 401;
+      ctx.body = {
+        success: false,
+        message: '请先登录'
+      };
+      return;
+    }
+
+    const { id } = ctx.params;
+    const { title, notes, isFavorite } = ctx.request.body;
 
     // 验证ID格式
     if (!mongoose.Types.ObjectId.isValid(id)) {
@@ -1621,6 +2561,10 @@ router.delete('/comparison/reports/:id', async (ctx) => {
       return;
     }
 
+    // 报告删除后分享链接、历史版本一并删除
+    await ReportShare.deleteMany({ report: result._id });
+    await ComparisonReportVersion.deleteMany({ report: result._id });
+
     ctx.body = {
       success: true,
       message: '报告删除成功'
@@ -0,0 +1,215 @@
+const Router = require('koa-router');
+const jwt = require('koa-jwt');
+const mongoose = require('mongoose');
+const Joi = require('joi');
+const Blog = require('../models/blogs');
+const Comment = require('../models/comments');
+const { MODERATION_STATUSES, MODERATION_TARGETS } = require('../config/moderation');
+const { notifyModerationResult, notifyCommentPublished } = require('../utils/moderationHelper');
+const { markSearchIndexStale } = require('../utils/searchHelper');
+const { requirePermission, currentUser } = require('../utils/permissionHelper');
+
+const router = new Router({
+  prefix: '/api/admin/moderation'
+});
+
+// JWT中间件
+const auth = jwt({ secret: process.env.JWT_SECRET });
+
+const TARGET_MODELS = {
+  blog: Blog,
+  comment: Comment
+};
+
+// 审核操作：status 为操作后的状态，from 为允许操作的当前状态（null 为没有审核状态的旧数据，视为已通过）
+const ACTIONS = {
+  approve: { status: 'approved', from: ['pending', 'rejected', 'hidden'], name: '通过' },
+  reject: { status: 'rejected', from: ['pending'], name: '拒绝' },
+  hide: { status: 'hidden', from: ['approved', null], name: '隐藏' }
+};
+
+// 批量审核：拒绝、隐藏时必须填写原因（通知作者）
+const moderateSchema = (action) => Joi.object({
+  type: Joi.string().valid(...Object.keys(MODERATION_TARGETS)).required(),
+  ids: Joi.array().items(
+    Joi.string().custom((value, helpers) => (
+      mongoose.Types.ObjectId.isValid(value) ? value : helpers.message('无效的内容ID')
+    ))
+  ).min(1).max(100).unique().required(),
+  reason: action === 'approve'
+    ? Joi.string().trim().allow('').max(200).default('')
+    : Joi.string().trim().max(200).required().messages({
+      'any.required': '请填写原因',
+      'string.empty': '请填写原因'
+    })
+});
+
+// 各状态的内容数量
+router.get('/stats', auth, requirePermission('content:moderate'), async (ctx) => {
+  try {
+    const data = {};
+    await Promise.all(Object.entries(TARGET_MODELS).map(async ([type, Model]) => {
+      const counts = await Model.aggregate([
+        { $match: { moderationStatus: { $in: ['pending', 'rejected', 'hidden'] } } },
+        { $group: { _id: '$moderationStatus', count: { $sum: 1 } } }
+      ]);
+      data[type] = { pending: 0, rejected: 0, hidden: 0 };
+      counts.forEach(item => {
+        data[type][item._id] = item.count;
+      });
+    }));
+
+    ctx.body = {
+      success: true,
+      data
+    };
+  } catch (error) {
+    ctx.status = 500;
+    ctx.body = {
+      success: false,
+      message: '获取审核统计失败',
+      error: error.message
+    };
+  }
+});
+
+// 审核队列
+// 参数：type（blog | comment，默认 blog）、status（默认 pending）、user（作者）、page、limit
+router.get('/', auth, requirePermission('content:moderate'), async (ctx) => {
+  try {
+    const { type = 'blog', status = 'pending', user, page = 1, limit = 20 } = ctx.query;
+
+    if (!TARGET_MODELS[type]) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: `无效的内容类型，可选值：${Object.keys(MODERATION_TARGETS).join('、')}`
+      };
+      return;
+    }
+
+    if (!MODERATION_STATUSES[status]) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: `无效的审核状态，可选值：${Object.keys(MODERATION_STATUSES).join('、')}`
+      };
+      return;
+    }
+
+    if (user && !mongoose.Types.ObjectId.isValid(user)) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: '无效的用户ID'
+      };
+      return;
+    }
+
+    const query = {
+      moderationStatus: status === 'approved' ? { $in: ['approved', null] } : status
+    };
+    if (user) query.user = user;
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    let finder = TARGET_MODELS[type].find(query)
+      .populate('user', 'username email avatar')
+      .populate('moderatedBy', 'username');
+    if (type === 'comment') {
+      finder = finder.populate({ path: 'blog', model: 'blogs', select: 'title' });
+    }
+
+    const [items, total] = await Promise.all([
+      finder
+        .sort({ createdAt: status === 'pending' ? 1 : -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      TARGET_MODELS[type].countDocuments(query)
+    ]);
+
+    ctx.body = {
+      success: true,
+      data: {
+        items,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum)
+        }
+      }
+    };
+  } catch (error) {
+    ctx.status = 500;
+    ctx.body = {
+      success: false,
+      message: '获取审核队列失败',
+      error: error.message
+    };
+  }
+});
+
+// 批量通过、拒绝、隐藏；当前状态不允许该操作的内容跳过
+Object.entries(ACTIONS).forEach(([action, config]) => {
+  router.post(`/${action}`, auth, requirePermission('content:moderate'), async (ctx) => {
+    try {
+      const { error, value } = moderateSchema(action).validate(ctx.request.body);
+      if (error) {
+        ctx.status = 400;
+        ctx.body = {
+          success: false,
+          message: error.details[0].message
+        };
+        return;
+      }
+
+      const { type, ids, reason } = value;
+      const Model = TARGET_MODELS[type];
+      const condition = { moderationStatus: { $in: config.from } };
+
+      const docs = await Model.find({ _id: { $in: ids }, ...condition });
+      const docIds = docs.map(doc => doc._id);
+
+      if (docIds.length > 0) {
+        await Model.updateMany({ _id: { $in: docIds }, ...condition }, {
+          $set: {
+            moderationStatus: config.status,
+            moderationReason: reason,
+            moderatedBy: currentUser(ctx).userId,
+            moderatedAt: new Date()
+          }
+        });
+        if (type === 'blog') markSearchIndexStale();
+
+        await Promise.all(docs.map(async (doc) => {
+          await notifyModerationResult(type, doc, config.status, reason);
+          // 首次公开的评论（待审核或曾被拒绝）补发给博客作者或被回复用户的通知
+          if (type === 'comment' && config.status === 'approved' && ['pending', 'rejected'].includes(doc.moderationStatus)) {
+            await notifyCommentPublished(doc);
+          }
+        }));
+      }
+
+      const updated = docIds.map(id => id.toString());
+      ctx.body = {
+        success: true,
+        message: `已${config.name} ${updated.length} 条${MODERATION_TARGETS[type]}，跳过 ${ids.length - updated.length} 条`,
+        data: {
+          updated,
+          skipped: ids.filter(id => !updated.includes(id))
+        }
+      };
+    } catch (error) {
+      ctx.status = 500;
+      ctx.body = {
+        success: false,
+        message: `批量${config.name}失败`,
+        error: error.message
+      };
+    }
+  });
+});
+
+module.exports = router;
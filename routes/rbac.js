@@ -0,0 +1,212 @@
+const Router = require('koa-router');
+const jwt = require('koa-jwt');
+const Joi = require('joi');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { PERMISSIONS, ROLES } = require('../config/permissions');
+const { requirePermission, resolvePermissions, clearPermissionCache } = require('../utils/permissionHelper');
+const { recordAudit } = require('../utils/auditHelper');
+
+const router = new Router({
+  prefix: '/api/admin/rbac'
+});
+
+// JWT中间件
+const auth = jwt({ secret: process.env.JWT_SECRET });
+
+// 角色与权限列表
+router.get('/roles', auth, requirePermission('rbac:manage'), async (ctx) => {
+  ctx.body = {
+    success: true,
+    data: {
+      roles: Object.entries(ROLES).map(([key, role]) => ({
+        key,
+        name: role.name,
+        description: role.description,
+        permissions: role.permissions
+      })),
+      permissions: Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description }))
+    }
+  };
+});
+
+// 已分配角色的用户列表（含 role 为 admin 的超级管理员）
+// 参数：role（按角色筛选）、search（用户名 / 邮箱）、page、limit
+router.get('/users', auth, requirePermission('rbac:manage'), async (ctx) => {
+  try {
+    const { role, search, page = 1, limit = 20 } = ctx.query;
+
+    if (role && !ROLES[role]) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: `无效的角色，可选值：${Object.keys(ROLES).join('、')}`
+      };
+      return;
+    }
+
+    const query = role
+      ? { roles: role }
+      : { $or: [{ roles: { $exists: true, $ne: [] } }, { role: 'admin' }] };
+    if (search) {
+      query.$and = [{
+        $or: [
+          { username: { $regex: search, $options: 'i' } },
+          { email: { $regex: search, $options: 'i' } }
+        ]
+      }];
+    }
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const [users, total] = await Promise.all([
+      User.find(query)
+        .select('username email avatar role roles isActive lastLogin')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      User.countDocuments(query)
+    ]);
+
+    ctx.body = {
+      success: true,
+      data: {
+        users: users.map(user => ({ ...user, permissions: resolvePermissions(user) })),
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum)
+        }
+      }
+    };
+  } catch (error) {
+    ctx.status = 500;
+    ctx.body = {
+      success: false,
+      message: '获取角色用户失败',
+      error: error.message
+    };
+  }
+});
+
+// 查看用户的角色与权限
+router.get('/users/:id', auth, requirePermission('rbac:manage'), async (ctx) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(ctx.params.id)) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: '无效的用户ID'
+      };
+      return;
+    }
+
+    const user = await User.findById(ctx.params.id)
+      .select('username email avatar role roles isActive')
+      .lean();
+    if (!user) {
+      ctx.status = 404;
+      ctx.body = {
+        success: false,
+        message: '用户不存在'
+      };
+      return;
+    }
+
+    ctx.body = {
+      success: true,
+      data: {
+        ...user,
+        permissions: resolvePermissions(user)
+      }
+    };
+  } catch (error) {
+    ctx.status = 500;
+    ctx.body = {
+      success: false,
+      message: '获取用户权限失败',
+      error: error.message
+    };
+  }
+});
+
+// 设置用户角色（整体替换）
+router.put('/users/:id/roles', auth, requirePermission('rbac:manage'), async (ctx) => {
+  try {
+    const { id } = ctx.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: '无效的用户ID'
+      };
+      return;
+    }
+
+    const { error, value } = Joi.object({
+      roles: Joi.array().items(Joi.string().valid(...Object.keys(ROLES))).unique().required()
+    }).validate(ctx.request.body);
+
+    if (error) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: error.details[0].message
+      };
+      return;
+    }
+
+    const user = await User.findById(id).select('username email role roles isActive');
+    if (!user) {
+      ctx.status = 404;
+      ctx.body = {
+        success: false,
+        message: '用户不存在'
+      };
+      return;
+    }
+
+    // 防止误操作导致无人可以管理角色
+    const isSelf = user._id.toString() === ctx.state.user.userId;
+    if (isSelf && !resolvePermissions({ role: user.role, roles: value.roles }).includes('rbac:manage')) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: '不能移除自己的角色管理权限'
+      };
+      return;
+    }
+
+    const previous = user.toObject();
+    user.roles = value.roles;
+    await user.save();
+    clearPermissionCache(user._id);
+    await recordAudit(ctx, { action: 'update', targetType: 'user', before: previous, after: user });
+
+    ctx.body = {
+      success: true,
+      message: '角色设置成功',
+      data: {
+        _id: user._id,
+        username: user.username,
+        email: user.email,
+        role: user.role,
+        roles: user.roles,
+        permissions: resolvePermissions(user)
+      }
+    };
+  } catch (error) {
+    ctx.status = 500;
+    ctx.body = {
+      success: false,
+      message: '设置用户角色失败',
+      error: error.message
+    };
+  }
+});
+
+module.exports = router;
@@ -4,21 +4,38 @@ const mongoose = require('mongoose');
 const Report = require('../models/Report');
 const User = require('../models/User');
 const jwt = require('koa-jwt');
+const { SANCTION_TYPES, MAX_SANCTION_DAYS } = require('../config/sanctions');
+const { requirePermission, hasPermission, currentUser } = require('../utils/permissionHelper');
+const {
+  OPEN_STATUSES,
+  TARGET_NAMES,
+  REPORT_ACTIONS,
+  openReportsCondition,
+  findDuplicateReport,
+  autoHideIfNeeded,
+  restoreAutoHidden,
+  applyReportAction,
+  notifyReporters
+} = require('../utils/reportHelper');
 
 const auth = jwt({ secret: process.env.JWT_SECRET });
-
-// 验证管理员权限
-const requireAdmin = async (ctx, next) => {
-  if (!ctx.state.user || ctx.state.user.role !== 'admin') {
-    ctx.status = 403;
-    ctx.body = { success: false, message: '需要管理员权限' };
-    return;
-  }
-  await next();
-};
+// 可选认证：登录后举报时记录举报人
+const optionalAuth = jwt({ secret: process.env.JWT_SECRET, passthrough: true });
 
 const router = new Router({ prefix: '/api/report' });
 
+// 举报原因类型转译
+const reasonTypeMap = {
+  'spam': '垃圾信息',
+  'porn': '涉黄',
+  'illegal': '违法违规',
+  'abuse': '辱骂/仇恨',
+  'plagiarism': '抄袭/盗用',
+  'fraud': '诈骗',
+  'privacy': '泄露隐私',
+  'other': '其他'
+};
+
 // 举报类型列表（公开，无需登录）
 router.get('/types', async (ctx) => {
   const reasonTypes = [
@@ -46,8 +63,8 @@ router.get('/types', async (ctx) => {
   };
 });
 
-// 提交举报（公开，无需登录）
-router.post('/', async (ctx) => {
+// 提交举报（公开，无需登录；同一举报人对同一目标未处理的举报不重复提交）
+router.post('/', optionalAuth, async (ctx) => {
   try {
     const schema = Joi.object({
       targetType: Joi.string().valid('blog', 'comment', 'user', 'mall', 'brand', 'brandStore').required(),
@@ -73,19 +90,33 @@ router.post('/', async (ctx) => {
     }
 
 
+    const target = { targetType: value.targetType, targetId: new mongoose.Types.ObjectId(value.targetId) };
+    const reporter = ctx.state.user ? currentUser(ctx).userId : null;
+
+    const duplicate = await findDuplicateReport(target, reporter, ctx.ip);
+    if (duplicate) {
+      ctx.body = {
+        success: true,
+        message: '您已举报过该内容，我们会尽快处理',
+        data: { id: duplicate._id }
+      };
+      return;
+    }
+
     const report = new Report({
-      targetType: value.targetType,
-      targetId: new mongoose.Types.ObjectId(value.targetId),
+      ...target,
       reasonType: value.reasonType,
       description: value.description,
       contact: value.contact,
       evidenceImages: value.evidenceImages,
       status: 'pending',
       reporterIp: ctx.ip,
+      reporter,
       blogId: value.blogId,
     });
 
     await report.save();
+    await autoHideIfNeeded(target.targetType, target.targetId);
 
     ctx.body = {
       success: true,
@@ -98,24 +129,12 @@ router.post('/', async (ctx) => {
   }
 });
 
-// 举报列表（可选：无需登录，支持分页、筛选）
-router.get('/', async (ctx) => {
+// 举报列表（需处理举报权限，含举报人信息；支持分页、筛选）
+router.get('/', auth, requirePermission('report:handle'), async (ctx) => {
   try {
     const { page = 1, limit = 10, status, targetType, reporterIp, startDate, endDate, search } = ctx.query;
     const skip = (Number(page) - 1) * Number(limit);
 
-    // 举报原因类型转译
-    const reasonTypeMap = {
-      'spam': '垃圾信息',
-      'porn': '涉黄',
-      'illegal': '违法违规',
-      'abuse': '辱骂/仇恨',
-      'plagiarism': '抄袭/盗用',
-      'fraud': '诈骗',
-      'privacy': '泄露隐私',
-      'other': '其他'
-    };
-
     const query = {};
 
     if (status) query.status = status; // pending / reviewing / resolved / rejected
@@ -167,12 +186,114 @@ router.get('/', async (ctx) => {
   }
 });
 
+// 按目标分组的举报（同一目标的重复举报合并为一组，举报人多的在前）
+// 参数：status（open 未处理，默认 | resolved | rejected | all）、targetType、page、limit
+router.get('/groups', auth, requirePermission('report:handle'), async (ctx) => {
+  try {
+    const { status = 'open', targetType, page = 1, limit = 20 } = ctx.query;
+
+    if (!['open', 'resolved', 'rejected', 'all'].includes(status)) {
+      ctx.status = 400;
+      ctx.body = { success: false, message: '无效的状态，可选值：open、resolved、rejected、all' };
+      return;
+    }
+    if (targetType && !TARGET_NAMES[targetType]) {
+      ctx.status = 400;
+      ctx.body = { success: false, message: '无效的目标类型' };
+      return;
+    }
+
+    const match = {};
+    if (status === 'open') match.status = { $in: OPEN_STATUSES };
+    else if (status !== 'all') match.status = status;
+    if (targetType) match.targetType = targetType;
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const [result] = await Report.aggregate([
+      { $match: match },
+      { $sort: { createdAt: -1 } },
+      {
+        $group: {
+          _id: { targetType: '$targetType', targetId: '$targetId' },
+          count: { $sum: 1 },
+          reporters: { $addToSet: { $ifNull: ['$reporter', '$reporterIp'] } },
+          reasonTypes: { $addToSet: '$reasonType' },
+          statuses: { $addToSet: '$status' },
+          latestReportId: { $first: '$_id' },
+          firstReportedAt: { $min: '$createdAt' },
+          lastReportedAt: { $max: '$createdAt' }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          targetType: '$_id.targetType',
+          targetId: '$_id.targetId',
+          count: 1,
+          reporterCount: { $size: '$reporters' },
+          reasonTypes: 1,
+          statuses: 1,
+          latestReportId: 1,
+          firstReportedAt: 1,
+          lastReportedAt: 1
+        }
+      },
+      { $sort: { reporterCount: -1, lastReportedAt: -1 } },
+      {
+        $facet: {
+          items: [{ $skip: (pageNum - 1) * limitNum }, { $limit: limitNum }],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const total = result.total[0]?.count || 0;
+    const groups = result.items.map(group => ({
+      ...group,
+      targetTypeStr: TARGET_NAMES[group.targetType],
+      reasonTypeStrs: group.reasonTypes.map(type => reasonTypeMap[type] || type)
+    }));
+
+    ctx.body = {
+      success: true,
+      data: {
+        groups,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum)
+        }
+      }
+    };
+  } catch (err) {
+    ctx.status = 500;
+    ctx.body = { success: false, message: '获取举报分组失败', error: err.message };
+  }
+});
+
 // 更新举报状态（管理员）
-router.put('/:id/status', auth, requireAdmin, async (ctx) => {
+// 结案（resolved / rejected）时默认同一目标未处理的举报一并结案并通知举报人；
+// resolved 时可通过 action 对目标执行操作：hide 隐藏博客 / 评论、soft_delete 下架门店，
+// mute 禁言、post_ban 禁止发布、suspend 暂停账户 days 天（处罚被举报的用户或被举报内容的作者）
+router.put('/:id/status', auth, requirePermission('report:handle'), async (ctx) => {
   try {
     const { id } = ctx.params;
     const schema = Joi.object({
-      status: Joi.string().valid('pending', 'resolved').required(),
+      status: Joi.string().valid('pending', 'reviewing', 'resolved', 'rejected').required(),
+      action: Joi.string().valid('none', ...Object.keys(REPORT_ACTIONS)).default('none'),
+      days: Joi.number().integer().min(1).max(MAX_SANCTION_DAYS).when('action', {
+        is: Joi.valid(...Object.keys(SANCTION_TYPES)),
+        then: Joi.required(),
+        otherwise: Joi.forbidden()
+      }).messages({
+        'any.required': '处罚用户时须填写天数',
+        'any.unknown': '只有处罚用户时可以填写天数'
+      }),
+      handleResult: Joi.string().allow('').max(500).default(''),
+      applyToGroup: Joi.boolean().default(true)
     });
     const { error, value } = schema.validate(ctx.request.body);
     if (error) {
@@ -185,25 +306,95 @@ router.put('/:id/status', auth, requireAdmin, async (ctx) => {
       ctx.body = { success: false, message: '无效的举报ID' };
       return;
     }
+    if (value.action !== 'none' && value.status !== 'resolved') {
+      ctx.status = 400;
+      ctx.body = { success: false, message: '只有处理完成（resolved）时可以对目标执行操作' };
+      return;
+    }
+
+    // 重新打开或标记为处理中只更新本条举报
+    if (value.status === 'pending' || value.status === 'reviewing') {
+      const update = { status: value.status };
+      if (value.status === 'pending') {
+        update.handledBy = undefined;
+        update.handledAt = undefined;
+        update.handleResult = undefined;
+        update.action = 'none';
+        update.sanction = null;
+      }
 
-    const update = { status: value.status };
-    if (value.status === 'resolved') {
-      update.handledBy = ctx.state.user.userId || ctx.state.user.id;
-      update.handledAt = new Date();
-    } else {
-      update.handledBy = undefined;
-      update.handledAt = undefined;
-      update.handleResult = undefined;
+      const report = await Report.findByIdAndUpdate(id, update, { new: true }).lean();
+      if (!report) {
+        ctx.status = 404;
+        ctx.body = { success: false, message: '举报不存在' };
+        return;
+      }
+
+      ctx.body = { success: true, message: '状态更新成功', data: report };
+      return;
     }
 
-    const report = await Report.findByIdAndUpdate(id, update, { new: true }).lean();
+    const report = await Report.findById(id).lean();
     if (!report) {
       ctx.status = 404;
       ctx.body = { success: false, message: '举报不存在' };
       return;
     }
 
-    ctx.body = { success: true, message: '状态更新成功', data: report };
+    let summary = '';
+    let sanction = null;
+    if (value.action !== 'none') {
+      const config = REPORT_ACTIONS[value.action];
+      if (!config.targets.includes(report.targetType)) {
+        ctx.status = 400;
+        ctx.body = { success: false, message: `${config.name}不适用于${TARGET_NAMES[report.targetType]}` };
+        return;
+      }
+      if (!(await hasPermission(ctx, config.permission))) {
+        ctx.status = 403;
+        ctx.body = { success: false, message: '没有操作权限' };
+        return;
+      }
+
+      const result = await applyReportAction(ctx, report, value.action, {
+        days: value.days,
+        reason: value.handleResult
+      });
+      if (result.error) {
+        ctx.status = result.status;
+        ctx.body = { success: false, message: result.error };
+        return;
+      }
+      summary = result.summary;
+      sanction = result.sanction || null;
+    }
+
+    const filter = value.applyToGroup
+      ? { $or: [{ _id: report._id }, openReportsCondition(report.targetType, report.targetId)] }
+      : { _id: report._id };
+    const reports = await Report.find(filter).select('targetType targetId reporter').lean();
+
+    const update = {
+      status: value.status,
+      handledBy: currentUser(ctx).userId,
+      handledAt: new Date(),
+      handleResult: value.handleResult || summary,
+      action: value.action
+    };
+    if (sanction) update.sanction = sanction._id;
+    await Report.updateMany({ _id: { $in: reports.map(item => item._id) } }, update);
+
+    if (value.status === 'rejected') {
+      await restoreAutoHidden(report.targetType, report.targetId);
+    }
+    await notifyReporters(reports, value.status, update.handleResult);
+
+    const updated = await Report.findById(id).lean();
+    ctx.body = {
+      success: true,
+      message: `已处理 ${reports.length} 条举报${summary ? `，${summary}` : ''}`,
+      data: updated
+    };
   } catch (err) {
     ctx.status = 500;
     ctx.body = { success: false, message: '更新举报状态失败', error: err.message };
@@ -0,0 +1,176 @@
+const Router = require('koa-router');
+const mongoose = require('mongoose');
+const { SEARCH_TYPES, MAX_QUERY_LENGTH, search } = require('../utils/searchHelper');
+const { SUGGEST_TYPES, recordSearch, suggest } = require('../utils/suggestHelper');
+const { CLICK_TYPES, logSearch, recordClick } = require('../utils/searchLogHelper');
+
+const router = new Router({
+  prefix: '/api/search'
+});
+
+// 统一搜索：品牌、商场、门店、博客
+// 参数：q（关键词，支持拼音全拼 / 首字母）、type（类型筛选，逗号分隔）、page、limit
+router.get('/', async (ctx) => {
+  try {
+    const { q = '', type, page = 1, limit = 10 } = ctx.query;
+    const keyword = String(q).trim();
+
+    if (!keyword) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: '请输入搜索关键词'
+      };
+      return;
+    }
+
+    if (keyword.length > MAX_QUERY_LENGTH) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: `搜索关键词不能超过${MAX_QUERY_LENGTH}个字符`
+      };
+      return;
+    }
+
+    const types = type ? String(type).split(',').map(item => item.trim()).filter(Boolean) : Object.keys(SEARCH_TYPES);
+    const invalidType = types.find(item => !SEARCH_TYPES[item]);
+    if (invalidType) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: `不支持的搜索类型：${invalidType}，可选值：${Object.keys(SEARCH_TYPES).join('、')}`
+      };
+      return;
+    }
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 10, 1), 50);
+
+    const { hits, facets, total } = await search({ q: keyword, types, page: pageNum, limit: limitNum });
+
+    // 翻页不重复计入搜索频次
+    if (pageNum === 1) {
+      recordSearch(keyword);
+    }
+    const searchId = logSearch(ctx, { source: 'search', query: keyword, filters: ctx.query, resultCount: total });
+
+    ctx.body = {
+      success: true,
+      data: {
+        hits,
+        searchId,
+        facets: Object.entries(facets).map(([key, count]) => ({ type: key, label: SEARCH_TYPES[key], count })),
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum)
+        }
+      }
+    };
+  } catch (error) {
+    ctx.status = 500;
+    ctx.body = {
+      success: false,
+      message: '搜索失败',
+      error: error.message
+    };
+  }
+});
+
+// 搜索联想：按前缀（支持拼音全拼 / 首字母）返回品牌、商场、城市名称
+// 参数：q（前缀）、type（类型筛选，逗号分隔）、limit（默认 10，最多 20）
+router.get('/suggest', async (ctx) => {
+  try {
+    const { q = '', type, limit = 10 } = ctx.query;
+    const keyword = String(q).trim();
+
+    if (!keyword || keyword.length > MAX_QUERY_LENGTH) {
+      ctx.body = {
+        success: true,
+        data: []
+      };
+      return;
+    }
+
+    const types = type ? String(type).split(',').map(item => item.trim()).filter(Boolean) : Object.keys(SUGGEST_TYPES);
+    const invalidType = types.find(item => !SUGGEST_TYPES[item]);
+    if (invalidType) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: `不支持的联想类型：${invalidType}，可选值：${Object.keys(SUGGEST_TYPES).join('、')}`
+      };
+      return;
+    }
+
+    const limitNum = Math.min(Math.max(parseInt(limit) || 10, 1), 20);
+
+    ctx.body = {
+      success: true,
+      data: await suggest({ q: keyword, types, limit: limitNum })
+    };
+  } catch (error) {
+    ctx.status = 500;
+    ctx.body = {
+      success: false,
+      message: '获取搜索联想失败',
+      error: error.message
+    };
+  }
+});
+
+// 上报搜索结果点击（用于统计点击率）
+// 参数：searchId（搜索接口返回）、type、id（被点击的数据）、position（结果中的位置，可选）
+router.post('/click', async (ctx) => {
+  try {
+    const { searchId, type, id, position } = ctx.request.body || {};
+
+    if (!mongoose.Types.ObjectId.isValid(searchId) || !mongoose.Types.ObjectId.isValid(id)) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: '无效的搜索ID或数据ID'
+      };
+      return;
+    }
+
+    if (!CLICK_TYPES.includes(type)) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: `无效的数据类型，可选值：${CLICK_TYPES.join('、')}`
+      };
+      return;
+    }
+
+    const found = await recordClick(searchId, {
+      type,
+      target: id,
+      position: Number.isInteger(position) ? position : undefined
+    });
+    if (!found) {
+      ctx.status = 404;
+      ctx.body = {
+        success: false,
+        message: '搜索记录不存在'
+      };
+      return;
+    }
+
+    ctx.body = {
+      success: true,
+      message: '点击已记录'
+    };
+  } catch (error) {
+    ctx.status = 500;
+    ctx.body = {
+      success: false,
+      message: '记录点击失败',
+      error: error.message
+    };
+  }
+});
+
+module.exports = router;
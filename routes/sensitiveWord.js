@@ -0,0 +1,497 @@
+const Router = require('koa-router');
+const jwt = require('koa-jwt');
+const mongoose = require('mongoose');
+const Joi = require('joi');
+const SensitiveWord = require('../models/SensitiveWord');
+const SensitiveHit = require('../models/SensitiveHit');
+const { CATEGORIES, SEVERITIES } = require('../config/sensitiveWords');
+const {
+  normalizeWord,
+  findSensitiveWords,
+  isBlocking,
+  maskMatches,
+  markSensitiveWordsStale
+} = require('../utils/sensitiveWordHelper');
+const { requirePermission, currentUser } = require('../utils/permissionHelper');
+
+const router = new Router({
+  prefix: '/api/admin/sensitive-words'
+});
+
+// JWT中间件
+const auth = jwt({ secret: process.env.JWT_SECRET });
+
+// 敏感词验证规则
+const wordSchema = Joi.object({
+  word: Joi.string().trim().max(50).required(),
+  category: Joi.string().valid(...Object.keys(CATEGORIES)).default('other'),
+  severity: Joi.string().valid(...Object.keys(SEVERITIES)).default('high'),
+  pinyin: Joi.boolean().default(false),
+  enabled: Joi.boolean().default(true),
+  note: Joi.string().allow('').max(200).default('')
+});
+
+const updateWordSchema = Joi.object({
+  word: Joi.string().trim().max(50),
+  category: Joi.string().valid(...Object.keys(CATEGORIES)),
+  severity: Joi.string().valid(...Object.keys(SEVERITIES)),
+  pinyin: Joi.boolean(),
+  enabled: Joi.boolean(),
+  note: Joi.string().allow('').max(200)
+}).min(1);
+
+// 批量添加：words 为词数组，或以换行 / 逗号分隔的文本
+const batchSchema = Joi.object({
+  words: Joi.alternatives().try(
+    Joi.array().items(Joi.string().trim().max(50)).min(1).max(1000),
+    Joi.string().max(50000)
+  ).required(),
+  category: Joi.string().valid(...Object.keys(CATEGORIES)).default('other'),
+  severity: Joi.string().valid(...Object.keys(SEVERITIES)).default('high'),
+  pinyin: Joi.boolean().default(false)
+});
+
+const reviewSchema = Joi.object({
+  status: Joi.string().valid('confirmed', 'false_positive', 'pending').required()
+});
+
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// 分类与级别选项
+router.get('/options', auth, requirePermission('sensitive:manage'), async (ctx) => {
+  ctx.body = {
+    success: true,
+    data: {
+      categories: CATEGORIES,
+      severities: SEVERITIES
+    }
+  };
+});
+
+// 敏感词列表
+// 参数：keyword、category、severity、enabled（true | false）、page、limit
+router.get('/', auth, requirePermission('sensitive:manage'), async (ctx) => {
+  try {
+    const { keyword, category, severity, enabled, page = 1, limit = 50 } = ctx.query;
+
+    const query = {};
+    if (keyword) query.word = { $regex: escapeRegex(keyword), $options: 'i' };
+    if (category) query.category = category;
+    if (severity) query.severity = severity;
+    if (enabled === 'true' || enabled === 'false') query.enabled = enabled === 'true';
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+    const [words, total] = await Promise.all([
+      SensitiveWord.find(query)
+        .populate('updatedBy', 'username')
+        .sort({ updatedAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      SensitiveWord.countDocuments(query)
+    ]);
+
+    ctx.body = {
+      success: true,
+      data: {
+        words,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum)
+        }
+      }
+    };
+  } catch (error) {
+    ctx.status = 500;
+    ctx.body = {
+      success: false,
+      message: '获取敏感词列表失败',
+      error: error.message
+    };
+  }
+});
+
+// 添加敏感词
+router.post('/', auth, requirePermission('sensitive:manage'), async (ctx) => {
+  try {
+    const { error, value } = wordSchema.validate(ctx.request.body);
+    if (error) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: error.details[0].message
+      };
+      return;
+    }
+
+    const normalized = normalizeWord(value.word);
+    if (!normalized) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: '敏感词不能只包含空格或符号'
+      };
+      return;
+    }
+
+    const existing = await SensitiveWord.findOne({ normalized }).select('word').lean();
+    if (existing) {
+      ctx.status = 409;
+      ctx.body = {
+        success: false,
+        message: `敏感词已存在：${existing.word}`
+      };
+      return;
+    }
+
+    const userId = currentUser(ctx).userId;
+    const word = await SensitiveWord.create({ ...value, normalized, createdBy: userId, updatedBy: userId });
+    markSensitiveWordsStale();
+
+    ctx.body = {
+      success: true,
+      message: '敏感词添加成功',
+      data: word
+    };
+  } catch (error) {
+    ctx.status = 500;
+    ctx.body = {
+      success: false,
+      message: '添加敏感词失败',
+      error: error.message
+    };
+  }
+});
+
+// 批量添加敏感词，已存在的跳过
+router.post('/batch', auth, requirePermission('sensitive:manage'), async (ctx) => {
+  try {
+    const { error, value } = batchSchema.validate(ctx.request.body);
+    if (error) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: error.details[0].message
+      };
+      return;
+    }
+
+    const list = Array.isArray(value.words) ? value.words : value.words.split(/[\n,，]/);
+    const entries = new Map();
+    list.map(word => word.trim()).filter(word => word && word.length <= 50).forEach(word => {
+      const normalized = normalizeWord(word);
+      if (normalized && !entries.has(normalized)) entries.set(normalized, word);
+    });
+
+    const existing = await SensitiveWord.find({ normalized: { $in: [...entries.keys()] } }).select('normalized').lean();
+    existing.forEach(item => entries.delete(item.normalized));
+
+    const userId = currentUser(ctx).userId;
+    if (entries.size > 0) {
+      await SensitiveWord.insertMany([...entries].map(([normalized, word]) => ({
+        word,
+        normalized,
+        category: value.category,
+        severity: value.severity,
+        pinyin: value.pinyin,
+        createdBy: userId,
+        updatedBy: userId
+      })), { ordered: false });
+      markSensitiveWordsStale();
+    }
+
+    ctx.body = {
+      success: true,
+      message: `已添加 ${entries.size} 个敏感词，跳过 ${existing.length} 个已存在的词`,
+      data: {
+        added: entries.size,
+        skipped: existing.length
+      }
+    };
+  } catch (error) {
+    ctx.status = 500;
+    ctx.body = {
+      success: false,
+      message: '批量添加敏感词失败',
+      error: error.message
+    };
+  }
+});
+
+// 测试文本的匹配结果
+router.post('/test', auth, requirePermission('sensitive:manage'), async (ctx) => {
+  try {
+    const { text, strictMode = true } = ctx.request.body || {};
+    if (!text || typeof text !== 'string' || text.length > 50000) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: '请提供不超过50000字的文本'
+      };
+      return;
+    }
+
+    const matches = await findSensitiveWords(text);
+    ctx.body = {
+      success: true,
+      data: {
+        blocked: matches.some(match => isBlocking(match.severity, strictMode !== false)),
+        matches,
+        masked: maskMatches(text, matches)
+      }
+    };
+  } catch (error) {
+    ctx.status = 500;
+    ctx.body = {
+      success: false,
+      message: '测试敏感词失败',
+      error: error.message
+    };
+  }
+});
+
+// 命中记录
+// 参数：status（pending | confirmed | false_positive）、source、action（blocked | allowed）、user、word、from、to、page、limit
+router.get('/hits', auth, requirePermission('sensitive:manage'), async (ctx) => {
+  try {
+    const { status, source, action, user, word, from, to, page = 1, limit = 20 } = ctx.query;
+
+    if (user && !mongoose.Types.ObjectId.isValid(user)) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: '无效的用户ID'
+      };
+      return;
+    }
+
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: '无效的时间范围'
+      };
+      return;
+    }
+
+    const query = {};
+    if (status) query.status = status;
+    if (source) query.source = source;
+    if (action) query.action = action;
+    if (user) query.user = user;
+    if (word) query['words.word'] = word;
+    if (fromDate || toDate) {
+      query.createdAt = {};
+      if (fromDate) query.createdAt.$gte = fromDate;
+      if (toDate) query.createdAt.$lte = toDate;
+    }
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const [hits, total] = await Promise.all([
+      SensitiveHit.find(query)
+        .populate('user', 'username email')
+        .populate('reviewedBy', 'username')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      SensitiveHit.countDocuments(query)
+    ]);
+
+    ctx.body = {
+      success: true,
+      data: {
+        hits,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum)
+        }
+      }
+    };
+  } catch (error) {
+    ctx.status = 500;
+    ctx.body = {
+      success: false,
+      message: '获取命中记录失败',
+      error: error.message
+    };
+  }
+});
+
+// 复核命中记录
+router.put('/hits/:id', auth, requirePermission('sensitive:manage'), async (ctx) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(ctx.params.id)) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: '无效的记录ID'
+      };
+      return;
+    }
+
+    const { error, value } = reviewSchema.validate(ctx.request.body);
+    if (error) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: error.details[0].message
+      };
+      return;
+    }
+
+    const pending = value.status === 'pending';
+    const hit = await SensitiveHit.findByIdAndUpdate(
+      ctx.params.id,
+      {
+        status: value.status,
+        reviewedBy: pending ? null : currentUser(ctx).userId,
+        reviewedAt: pending ? null : new Date()
+      },
+      { new: true }
+    );
+    if (!hit) {
+      ctx.status = 404;
+      ctx.body = {
+        success: false,
+        message: '命中记录不存在'
+      };
+      return;
+    }
+
+    ctx.body = {
+      success: true,
+      message: '复核成功',
+      data: hit
+    };
+  } catch (error) {
+    ctx.status = 500;
+    ctx.body = {
+      success: false,
+      message: '复核命中记录失败',
+      error: error.message
+    };
+  }
+});
+
+// 修改敏感词
+router.put('/:id', auth, requirePermission('sensitive:manage'), async (ctx) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(ctx.params.id)) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: '无效的敏感词ID'
+      };
+      return;
+    }
+
+    const { error, value } = updateWordSchema.validate(ctx.request.body);
+    if (error) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: error.details[0].message
+      };
+      return;
+    }
+
+    const update = { ...value, updatedBy: currentUser(ctx).userId };
+    if (value.word !== undefined) {
+      update.normalized = normalizeWord(value.word);
+      if (!update.normalized) {
+        ctx.status = 400;
+        ctx.body = {
+          success: false,
+          message: '敏感词不能只包含空格或符号'
+        };
+        return;
+      }
+
+      const duplicate = await SensitiveWord.findOne({ normalized: update.normalized, _id: { $ne: ctx.params.id } })
+        .select('word')
+        .lean();
+      if (duplicate) {
+        ctx.status = 409;
+        ctx.body = {
+          success: false,
+          message: `敏感词已存在：${duplicate.word}`
+        };
+        return;
+      }
+    }
+
+    const word = await SensitiveWord.findByIdAndUpdate(ctx.params.id, update, { new: true, runValidators: true });
+    if (!word) {
+      ctx.status = 404;
+      ctx.body = {
+        success: false,
+        message: '敏感词不存在'
+      };
+      return;
+    }
+    markSensitiveWordsStale();
+
+    ctx.body = {
+      success: true,
+      message: '敏感词修改成功',
+      data: word
+    };
+  } catch (error) {
+    ctx.status = 500;
+    ctx.body = {
+      success: false,
+      message: '修改敏感词失败',
+      error: error.message
+    };
+  }
+});
+
+// 删除敏感词
+router.delete('/:id', auth, requirePermission('sensitive:manage'), async (ctx) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(ctx.params.id)) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        message: '无效的敏感词ID'
+      };
+      return;
+    }
+
+    const word = await SensitiveWord.findByIdAndDelete(ctx.params.id);
+    if (!word) {
+      ctx.status = 404;
+      ctx.body = {
+        success: false,
+        message: '敏感词不存在'
+      };
+      return;
+    }
+    markSensitiveWordsStale();
+
+    ctx.body = {
+      success: true,
+      message: '敏感词删除成功'
+    };
+  } catch (error) {
+    ctx.status = 500;
+    ctx.body = {
+      success: false,
+      message: '删除敏感词失败',
+      error: error.message
+    };
+  }
+});
+
+module.exports = router;
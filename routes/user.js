@@ -1,7 +1,19 @@
 const Router = require('koa-router');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const EmailVerification = require('../models/EmailVerification');
+const UserIdentity = require('../models/UserIdentity');
+const Sanction = require('../models/Sanction');
+const Report = require('../models/Report');
+const mongoose = require('mongoose');
 const Joi = require('joi');
+const { SANCTION_TYPES, MAX_SANCTION_DAYS } = require('../config/sanctions');
+const { requirePermission, hasPermission, clearPermissionCache } = require('../utils/permissionHelper');
+const { recordAudit } = require('../utils/auditHelper');
+const { revokeUserSessions } = require('../utils/sessionHelper');
+const { getActiveSanctions, sanctionStatus, createSanction, revokeSanction } = require('../utils/sanctionHelper');
+const { generateVerificationCode, sentRecently, sendVerificationEmail } = require('../utils/emailHelper');
+const { getProvider, listProviders, startAuthorization, completeAuthorization } = require('../utils/oauthHelper');
 
 const router = new Router({
     prefix: '/api/user'
@@ -28,21 +40,7 @@ const authenticateToken = async (ctx, next) => {
     }
 };
 
-// 管理员权限检查中间件
-const requireAdmin = async (ctx, next) => {
-    const user = await User.findById(ctx.user.userId);
-    if (!user || user.role !== 'admin') {
-        ctx.status = 403;
-        ctx.body = {
-            success: false,
-            message: '需要管理员权限'
-        };
-        return;
-    }
-    await next();
-};
-
-// 获取用户个人信息
+// 获取用户个人信息（sanctions 为当前生效的处罚）
 router.get('/profile', authenticateToken, async (ctx) => {
     try {
         const user = await User.findById(ctx.user.userId).select('-password');
@@ -55,7 +53,10 @@ router.get('/profile', authenticateToken, async (ctx) => {
 
         ctx.body = {
             success: true,
-            data: user
+            data: {
+                ...user.toObject(),
+                sanctions: await getActiveSanctions(user._id)
+            }
         };
     } catch (error) {
         console.error('获取用户信息失败:', error);
@@ -122,6 +123,144 @@ router.put('/profile', authenticateToken, async (ctx) => {
     }
 });
 
+// 第三方账户绑定情况：每个已启用的提供方及已绑定的账户
+router.get('/profile/identities', authenticateToken, async (ctx) => {
+    try {
+        const identities = await UserIdentity.find({ user: ctx.user.userId })
+            .select('provider email name avatar lastLoginAt createdAt')
+            .lean();
+
+        ctx.body = {
+            success: true,
+            data: listProviders().map(provider => ({
+                ...provider,
+                identity: identities.find(item => item.provider === provider.id) || null
+            }))
+        };
+    } catch (error) {
+        console.error('获取第三方账户失败:', error);
+        ctx.status = 500;
+        ctx.body = { error: '服务器内部错误' };
+    }
+});
+
+// 发起绑定第三方账户，返回授权地址；授权后前端回调页提交 code 与 state 到绑定回调接口
+router.post('/profile/identities/:provider', authenticateToken, async (ctx) => {
+    try {
+        const provider = getProvider(ctx.params.provider);
+        if (!provider) {
+            ctx.status = 404;
+            ctx.body = { error: '不支持的登录方式' };
+            return;
+        }
+
+        if (await UserIdentity.exists({ user: ctx.user.userId, provider: provider.id })) {
+            ctx.status = 400;
+            ctx.body = { error: `已绑定${provider.name}账户，请先解绑` };
+            return;
+        }
+
+        ctx.body = {
+            success: true,
+            data: {
+                url: await startAuthorization(ctx, provider, 'link', ctx.user.userId)
+            }
+        };
+    } catch (error) {
+        console.error('发起绑定第三方账户失败:', error);
+        ctx.status = 500;
+        ctx.body = { error: '服务器内部错误' };
+    }
+});
+
+// 绑定第三方账户回调，只能由发起绑定的用户完成
+router.post('/profile/identities/:provider/callback', authenticateToken, async (ctx) => {
+    try {
+        const provider = getProvider(ctx.params.provider);
+        if (!provider) {
+            ctx.status = 404;
+            ctx.body = { error: '不支持的登录方式' };
+            return;
+        }
+
+        const { error, value } = oauthCallbackSchema.validate(ctx.request.body);
+        if (error) {
+            ctx.status = 400;
+            ctx.body = { error: error.details[0].message };
+            return;
+        }
+
+        const result = await completeAuthorization(ctx, provider, value, 'link');
+        if (result.error) {
+            ctx.status = 400;
+            ctx.body = { error: result.error };
+            return;
+        }
+
+        if (result.flow.userId !== String(ctx.user.userId)) {
+            ctx.status = 403;
+            ctx.body = { error: '授权与当前登录用户不一致' };
+            return;
+        }
+
+        const { profile } = result;
+        const existing = await UserIdentity.findOne({ provider: provider.id, subject: profile.subject }).lean();
+        if (existing && existing.user.toString() !== String(ctx.user.userId)) {
+            ctx.status = 409;
+            ctx.body = { error: `该${provider.name}账户已绑定其他用户` };
+            return;
+        }
+
+        if (await UserIdentity.exists({ user: ctx.user.userId, provider: provider.id, subject: { $ne: profile.subject } })) {
+            ctx.status = 400;
+            ctx.body = { error: `已绑定${provider.name}账户，请先解绑` };
+            return;
+        }
+
+        const identity = await UserIdentity.findOneAndUpdate(
+            { provider: provider.id, subject: profile.subject },
+            {
+                user: ctx.user.userId,
+                email: profile.email,
+                name: profile.name,
+                avatar: profile.avatar
+            },
+            { upsert: true, new: true, setDefaultsOnInsert: true }
+        ).select('provider email name avatar lastLoginAt createdAt');
+
+        ctx.body = {
+            success: true,
+            message: `${provider.name}账户绑定成功`,
+            data: identity
+        };
+    } catch (error) {
+        console.error('绑定第三方账户失败:', error);
+        ctx.status = 500;
+        ctx.body = { error: '服务器内部错误' };
+    }
+});
+
+// 解绑第三方账户（账户始终可用邮箱登录，解绑后不影响登录）
+router.delete('/profile/identities/:provider', authenticateToken, async (ctx) => {
+    try {
+        const result = await UserIdentity.deleteOne({ user: ctx.user.userId, provider: ctx.params.provider });
+        if (result.deletedCount === 0) {
+            ctx.status = 404;
+            ctx.body = { error: '未绑定该第三方账户' };
+            return;
+        }
+
+        ctx.body = {
+            success: true,
+            message: '解绑成功'
+        };
+    } catch (error) {
+        console.error('解绑第三方账户失败:', error);
+        ctx.status = 500;
+        ctx.body = { error: '服务器内部错误' };
+    }
+});
+
 // 更改密码
 router.put('/password', authenticateToken, async (ctx) => {
     try {
@@ -155,6 +294,9 @@ router.put('/password', authenticateToken, async (ctx) => {
         user.password = newPassword;
         await user.save();
 
+        // 其他设备需要用新密码重新登录
+        await revokeUserSessions(user._id, 'password_changed', ctx.user.sid);
+
         ctx.body = {
             success: true,
             message: '密码修改成功'
@@ -166,10 +308,156 @@ router.put('/password', authenticateToken, async (ctx) => {
     }
 });
 
+// 更换邮箱：向原邮箱和新邮箱各发送一个验证码，两个验证码都正确才能更换
+router.post('/email/change', authenticateToken, async (ctx) => {
+    try {
+        const { error, value } = changeEmailSchema.validate(ctx.request.body);
+        if (error) {
+            ctx.status = 400;
+            ctx.body = { error: error.details[0].message };
+            return;
+        }
+
+        const newEmail = value.newEmail.toLowerCase();
+        const user = await User.findById(ctx.user.userId).select('email');
+        if (!user) {
+            ctx.status = 404;
+            ctx.body = { error: '用户不存在' };
+            return;
+        }
+
+        if (newEmail === user.email) {
+            ctx.status = 400;
+            ctx.body = { error: '新邮箱不能与当前邮箱相同' };
+            return;
+        }
+
+        if (await User.exists({ email: newEmail })) {
+            ctx.status = 400;
+            ctx.body = { error: '该邮箱已被使用' };
+            return;
+        }
+
+        // 与发送验证码相同，1分钟内只能发送一次
+        if (await sentRecently(user.email, 'change_email_old') || await sentRecently(newEmail, 'change_email_new')) {
+            ctx.status = 429;
+            ctx.body = { error: '验证码发送过于频繁，请稍后再试' };
+            return;
+        }
+
+        // 之前未完成的更换申请作废
+        await EmailVerification.updateMany(
+            { user: user._id, type: { $in: ['change_email_old', 'change_email_new'] }, isUsed: false },
+            { isUsed: true }
+        );
+
+        const expiresAt = new Date(Date.now() + 10 * 60 * 1000);
+        const verifications = await EmailVerification.create([
+            { email: user.email, code: generateVerificationCode(), type: 'change_email_old', user: user._id, newEmail, expiresAt },
+            { email: newEmail, code: generateVerificationCode(), type: 'change_email_new', user: user._id, newEmail, expiresAt }
+        ]);
+
+        try {
+            await Promise.all(verifications.map(item => sendVerificationEmail(item.email, item.code, item.type)));
+        } catch (emailError) {
+            console.error('邮件发送失败:', emailError);
+            await EmailVerification.deleteMany({ _id: { $in: verifications.map(item => item._id) } });
+            ctx.status = 500;
+            ctx.body = { error: '邮件发送失败，请稍后重试' };
+            return;
+        }
+
+        ctx.body = {
+            success: true,
+            message: '验证码已发送到原邮箱和新邮箱'
+        };
+    } catch (error) {
+        console.error('发送更换邮箱验证码失败:', error);
+        ctx.status = 500;
+        ctx.body = { error: '服务器内部错误' };
+    }
+});
+
+// 确认更换邮箱，成功后所有设备需用新邮箱重新登录
+router.post('/email/confirm', authenticateToken, async (ctx) => {
+    try {
+        const { error, value } = confirmEmailSchema.validate(ctx.request.body);
+        if (error) {
+            ctx.status = 400;
+            ctx.body = { error: error.details[0].message };
+            return;
+        }
+
+        const user = await User.findById(ctx.user.userId);
+        if (!user) {
+            ctx.status = 404;
+            ctx.body = { error: '用户不存在' };
+            return;
+        }
+
+        const pending = {
+            user: user._id,
+            isUsed: false,
+            expiresAt: { $gt: new Date() }
+        };
+        const oldVerification = await EmailVerification.findOne({
+            ...pending,
+            email: user.email,
+            type: 'change_email_old',
+            code: value.oldCode
+        });
+        const newVerification = oldVerification && await EmailVerification.findOne({
+            ...pending,
+            email: oldVerification.newEmail,
+            newEmail: oldVerification.newEmail,
+            type: 'change_email_new',
+            code: value.newCode
+        });
+        if (!oldVerification || !newVerification) {
+            ctx.status = 400;
+            ctx.body = { error: '验证码错误或已过期' };
+            return;
+        }
+
+        // 申请之后新邮箱可能已被其他账户注册
+        if (await User.exists({ email: oldVerification.newEmail, _id: { $ne: user._id } })) {
+            ctx.status = 400;
+            ctx.body = { error: '该邮箱已被使用' };
+            return;
+        }
+
+        // 以未使用为条件标记，并发确认时只有一个请求成功
+        const marked = await EmailVerification.updateMany(
+            { _id: { $in: [oldVerification._id, newVerification._id] }, isUsed: false },
+            { isUsed: true }
+        );
+        if (marked.modifiedCount !== 2) {
+            ctx.status = 400;
+            ctx.body = { error: '验证码错误或已过期' };
+            return;
+        }
+
+        user.email = oldVerification.newEmail;
+        await user.save();
+
+        await revokeUserSessions(user._id, 'email_changed');
+
+        ctx.body = {
+            success: true,
+            message: '邮箱更换成功，请使用新邮箱重新登录',
+            data: { email: user.email }
+        };
+    } catch (error) {
+        console.error('更换邮箱失败:', error);
+        ctx.status = 500;
+        ctx.body = { error: '服务器内部错误' };
+    }
+});
+
 // ============ 用户管理API（管理员权限） ============
 
 // 获取用户列表
-router.get('/list', authenticateToken, requireAdmin, async (ctx) => {
+router.get('/list', authenticateToken, requirePermission('user:read'), async (ctx) => {
     console.log('获取用户列表');
     try {
         const { page = 1, limit = 20, search } = ctx.query;
@@ -214,10 +502,11 @@ router.get('/list', authenticateToken, requireAdmin, async (ctx) => {
 });
 
 // 更新用户状态
-router.put('/:id/status', authenticateToken, requireAdmin, async (ctx) => {
+router.put('/:id/status', authenticateToken, requirePermission('user:manage'), async (ctx) => {
     try {
         const { isActive } = ctx.request.body;
 
+        const previous = await User.findById(ctx.params.id).select('-password').lean();
         const user = await User.findByIdAndUpdate(
             ctx.params.id,
             { isActive },
@@ -232,6 +521,11 @@ router.put('/:id/status', authenticateToken, requireAdmin, async (ctx) => {
             };
             return;
         }
+        clearPermissionCache(user._id);
+        if (!user.isActive) {
+            await revokeUserSessions(user._id, 'disabled');
+        }
+        await recordAudit(ctx, { action: 'update', targetType: 'user', before: previous, after: user });
 
         ctx.body = {
             success: true,
@@ -248,8 +542,189 @@ router.put('/:id/status', authenticateToken, requireAdmin, async (ctx) => {
     }
 });
 
+// 用户处罚记录（含已到期、已解除）
+router.get('/:id/sanctions', authenticateToken, requirePermission('user:read'), async (ctx) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(ctx.params.id)) {
+            ctx.status = 400;
+            ctx.body = {
+                success: false,
+                message: '无效的用户ID'
+            };
+            return;
+        }
+
+        const sanctions = await Sanction.find({ user: ctx.params.id })
+            .populate('createdBy', 'username')
+            .populate('revokedBy', 'username')
+            .populate('report', 'targetType targetId reasonType reasonTypeStr')
+            .sort({ startsAt: -1 })
+            .lean();
+
+        ctx.body = {
+            success: true,
+            data: sanctions.map(sanction => ({
+                ...sanction,
+                typeName: SANCTION_TYPES[sanction.type].name,
+                status: sanctionStatus(sanction)
+            }))
+        };
+    } catch (error) {
+        ctx.status = 500;
+        ctx.body = {
+            success: false,
+            message: '获取处罚记录失败',
+            error: error.message
+        };
+    }
+});
+
+// 处罚用户：禁言、禁止发布、暂停账户，填写 days 或 endsAt，startsAt 默认立即生效
+router.post('/:id/sanctions', authenticateToken, requirePermission('user:manage'), async (ctx) => {
+    try {
+        const { error, value } = createSanctionSchema.validate(ctx.request.body);
+        if (error) {
+            ctx.status = 400;
+            ctx.body = {
+                success: false,
+                message: error.details[0].message
+            };
+            return;
+        }
+
+        if (!mongoose.Types.ObjectId.isValid(ctx.params.id)) {
+            ctx.status = 400;
+            ctx.body = {
+                success: false,
+                message: '无效的用户ID'
+            };
+            return;
+        }
+
+        const startsAt = value.startsAt || new Date();
+        const endsAt = value.endsAt || new Date(startsAt.getTime() + value.days * 24 * 60 * 60 * 1000);
+        if (endsAt <= startsAt || endsAt <= new Date()) {
+            ctx.status = 400;
+            ctx.body = {
+                success: false,
+                message: '结束时间须晚于开始时间与当前时间'
+            };
+            return;
+        }
+        if (endsAt - startsAt > MAX_SANCTION_DAYS * 24 * 60 * 60 * 1000) {
+            ctx.status = 400;
+            ctx.body = {
+                success: false,
+                message: `处罚时长不能超过 ${MAX_SANCTION_DAYS} 天`
+            };
+            return;
+        }
+
+        if (value.reportId) {
+            const report = await Report.findById(value.reportId).select('_id').lean();
+            if (!report) {
+                ctx.status = 404;
+                ctx.body = {
+                    success: false,
+                    message: '举报不存在'
+                };
+                return;
+            }
+        }
+
+        const result = await createSanction(ctx, {
+            userId: ctx.params.id,
+            type: value.type,
+            startsAt,
+            endsAt,
+            reason: value.reason,
+            report: value.reportId || null
+        });
+        if (result.error) {
+            ctx.status = result.status;
+            ctx.body = {
+                success: false,
+                message: result.error
+            };
+            return;
+        }
+
+        ctx.status = 201;
+        ctx.body = {
+            success: true,
+            message: `已${SANCTION_TYPES[value.type].name}`,
+            data: result.sanction
+        };
+    } catch (error) {
+        ctx.status = 500;
+        ctx.body = {
+            success: false,
+            message: '处罚用户失败',
+            error: error.message
+        };
+    }
+});
+
+// 提前解除处罚
+router.post('/:id/sanctions/:sanctionId/revoke', authenticateToken, requirePermission('user:manage'), async (ctx) => {
+    try {
+        const { error, value } = revokeSanctionSchema.validate(ctx.request.body || {});
+        if (error) {
+            ctx.status = 400;
+            ctx.body = {
+                success: false,
+                message: error.details[0].message
+            };
+            return;
+        }
+
+        const { id, sanctionId } = ctx.params;
+        if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(sanctionId)) {
+            ctx.status = 400;
+            ctx.body = {
+                success: false,
+                message: '无效的ID'
+            };
+            return;
+        }
+
+        const sanction = await Sanction.findOne({ _id: sanctionId, user: id });
+        if (!sanction) {
+            ctx.status = 404;
+            ctx.body = {
+                success: false,
+                message: '处罚不存在'
+            };
+            return;
+        }
+
+        const result = await revokeSanction(ctx, sanction, value.reason);
+        if (result.error) {
+            ctx.status = result.status;
+            ctx.body = {
+                success: false,
+                message: result.error
+            };
+            return;
+        }
+
+        ctx.body = {
+            success: true,
+            message: '处罚已解除',
+            data: result.sanction
+        };
+    } catch (error) {
+        ctx.status = 500;
+        ctx.body = {
+            success: false,
+            message: '解除处罚失败',
+            error: error.message
+        };
+    }
+});
+
 // 创建用户
-router.post('/', authenticateToken, requireAdmin, async (ctx) => {
+router.post('/', authenticateToken, requirePermission('user:manage'), async (ctx) => {
     try {
         const { error, value } = createUserSchema.validate(ctx.request.body);
         if (error) {
@@ -263,6 +738,16 @@ router.post('/', authenticateToken, requireAdmin, async (ctx) => {
 
         const { username, email, password, role = 'user' } = value;
 
+        // 创建管理员需要角色管理权限
+        if (role === 'admin' && !(await hasPermission(ctx, 'rbac:manage'))) {
+            ctx.status = 403;
+            ctx.body = {
+                success: false,
+                message: '没有分配管理员的权限'
+            };
+            return;
+        }
+
         // 检查邮箱是否已存在
         const existingUser = await User.findOne({ email });
 
@@ -288,6 +773,7 @@ router.post('/', authenticateToken, requireAdmin, async (ctx) => {
 
         // 返回用户信息（不包含密码）
         const userResponse = await User.findById(user._id).select('-password');
+        await recordAudit(ctx, { action: 'create', targetType: 'user', after: userResponse });
 
         ctx.body = {
             success: true,
@@ -305,7 +791,7 @@ router.post('/', authenticateToken, requireAdmin, async (ctx) => {
 });
 
 // 更新用户信息
-router.put('/:id', authenticateToken, requireAdmin, async (ctx) => {
+router.put('/:id', authenticateToken, requirePermission('user:manage'), async (ctx) => {
     try {
         const { error, value } = updateUserSchema.validate(ctx.request.body);
         if (error) {
@@ -319,6 +805,19 @@ router.put('/:id', authenticateToken, requireAdmin, async (ctx) => {
 
         const { username, email, role, isActive } = value;
 
+        // 修改管理员身份需要角色管理权限
+        if (role) {
+            const target = await User.findById(ctx.params.id).select('role').lean();
+            if (target && target.role !== role && !(await hasPermission(ctx, 'rbac:manage'))) {
+                ctx.status = 403;
+                ctx.body = {
+                    success: false,
+                    message: '没有修改用户角色的权限'
+                };
+                return;
+            }
+        }
+
         // 检查邮箱是否已被其他用户使用
         if (email) {
             const existingUser = await User.findOne({
@@ -345,6 +844,7 @@ router.put('/:id', authenticateToken, requireAdmin, async (ctx) => {
         if (role) updateData.role = role;
         if (isActive !== undefined) updateData.isActive = isActive;
 
+        const previous = await User.findById(ctx.params.id).select('-password').lean();
         const user = await User.findByIdAndUpdate(
             ctx.params.id,
             updateData,
@@ -359,6 +859,11 @@ router.put('/:id', authenticateToken, requireAdmin, async (ctx) => {
             };
             return;
         }
+        clearPermissionCache(user._id);
+        if (!user.isActive) {
+            await revokeUserSessions(user._id, 'disabled');
+        }
+        await recordAudit(ctx, { action: 'update', targetType: 'user', before: previous, after: user });
 
         ctx.body = {
             success: true,
@@ -376,7 +881,7 @@ router.put('/:id', authenticateToken, requireAdmin, async (ctx) => {
 });
 
 // 删除用户
-router.delete('/:id', authenticateToken, requireAdmin, async (ctx) => {
+router.delete('/:id', authenticateToken, requirePermission('user:manage'), async (ctx) => {
     try {
         const user = await User.findByIdAndDelete(ctx.params.id);
 
@@ -388,6 +893,10 @@ router.delete('/:id', authenticateToken, requireAdmin, async (ctx) => {
             };
             return;
         }
+        clearPermissionCache(user._id);
+        await revokeUserSessions(user._id, 'deleted');
+        await UserIdentity.deleteMany({ user: user._id });
+        await recordAudit(ctx, { action: 'delete', targetType: 'user', before: user });
 
         ctx.body = {
             success: true,
@@ -404,7 +913,7 @@ router.delete('/:id', authenticateToken, requireAdmin, async (ctx) => {
 });
 
 // 获取单个用户信息
-router.get('/:id', authenticateToken, requireAdmin, async (ctx) => {
+router.get('/:id', authenticateToken, requirePermission('user:read'), async (ctx) => {
     try {
         const user = await User.findById(ctx.params.id).select('-password');
 
@@ -476,6 +985,42 @@ const changePasswordSchema = Joi.object({
     newPassword: Joi.string().min(6).required()
 });
 
+const changeEmailSchema = Joi.object({
+    newEmail: Joi.string().email().required()
+});
+
+// 处罚用户验证规则
+const createSanctionSchema = Joi.object({
+    type: Joi.string().valid(...Object.keys(SANCTION_TYPES)).required(),
+    startsAt: Joi.date().optional(),
+    endsAt: Joi.date().optional(),
+    days: Joi.number().integer().min(1).max(MAX_SANCTION_DAYS).optional(),
+    reason: Joi.string().trim().max(500).required().messages({
+        'any.required': '请填写处罚原因',
+        'string.empty': '请填写处罚原因'
+    }),
+    reportId: Joi.string().custom((value, helpers) => (
+        mongoose.Types.ObjectId.isValid(value) ? value : helpers.message('无效的举报ID')
+    )).optional()
+}).xor('days', 'endsAt').messages({
+    'object.missing': '请填写处罚天数或结束时间',
+    'object.xor': '处罚天数与结束时间只能填写一项'
+});
+
+const revokeSanctionSchema = Joi.object({
+    reason: Joi.string().trim().allow('').max(200).default('')
+});
+
+const confirmEmailSchema = Joi.object({
+    oldCode: Joi.string().length(6).required(),
+    newCode: Joi.string().length(6).required()
+});
+
+const oauthCallbackSchema = Joi.object({
+    code: Joi.string().required(),
+    state: Joi.string().required()
+});
+
 // 用户管理相关的验证规则
 const createUserSchema = Joi.object({
     username: Joi.string().min(1).max(15).required(),
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const path = require('path');
+
+// 加载环境变量
+require('dotenv').config({ path: path.join(__dirname, '../config.env') });
+
+const BrandStore = require('../models/BrandStore');
+const StoreEvent = require('../models/StoreEvent');
+
+// 为尚无变更记录的历史门店补写开店（及关店）记录，使品牌时间线包含已有门店
+async function backfillStoreEvents() {
+  try {
+    const mongoUri = process.env.NODE_ENV === 'production'
+      ? process.env.PROD_MONGODB_URI
+      : process.env.DEV_MONGODB_URI;
+
+    await mongoose.connect(mongoUri);
+    console.log('Connected to MongoDB');
+
+    await StoreEvent.syncIndexes();
+
+    const recordedStoreIds = await StoreEvent.distinct('store');
+    const stores = await BrandStore.find({ _id: { $nin: recordedStoreIds } }).lean();
+    console.log(`找到 ${stores.length} 个没有变更记录的门店`);
+
+    const events = [];
+    stores.forEach(store => {
+      const location = {
+        store: store._id,
+        brand: store.brand,
+        mall: store.mall,
+        province: store.province,
+        city: store.city,
+        district: store.district,
+        floor: store.floor
+      };
+
+      events.push({ ...location, type: 'opened', occurredAt: store.createdAt || new Date() });
+      // 已停用的门店以最后更新时间作为关店时间
+      if (!store.isActive) {
+        events.push({ ...location, type: 'closed', occurredAt: store.updatedAt || new Date() });
+      }
+    });
+
+    if (events.length > 0) {
+      await StoreEvent.insertMany(events, { ordered: false });
+    }
+
+    console.log(`✅ 已补写 ${events.length} 条门店变更记录`);
+  } catch (error) {
+    console.error('补写门店变更记录失败:', error);
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+backfillStoreEvents();
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const path = require('path');
+
+// 加载环境变量
+require('dotenv').config({ path: path.join(__dirname, '../config.env') });
+
+const SensitiveWord = require('../models/SensitiveWord');
+const { DEFAULT_WORDS } = require('../config/sensitiveWords');
+const { normalizeWord } = require('../utils/sensitiveWordHelper');
+
+// 导入初始敏感词库；已存在的词（按归一化形式判断）保持不变，可重复执行
+async function initSensitiveWords() {
+  try {
+    const mongoUri = process.env.NODE_ENV === 'production'
+      ? process.env.PROD_MONGODB_URI
+      : process.env.DEV_MONGODB_URI;
+
+    await mongoose.connect(mongoUri);
+    console.log('Connected to MongoDB');
+
+    const operations = [];
+    DEFAULT_WORDS.forEach(({ category, severity, words }) => {
+      words.forEach(word => {
+        const normalized = normalizeWord(word);
+        operations.push({
+          updateOne: {
+            filter: { normalized },
+            update: { $setOnInsert: { word, normalized, category, severity } },
+            upsert: true
+          }
+        });
+      });
+    });
+
+    const result = await SensitiveWord.bulkWrite(operations, { ordered: false });
+    console.log(`✅ 新增 ${result.upsertedCount} 个敏感词，${operations.length - result.upsertedCount} 个已存在`);
+  } catch (error) {
+    console.error('导入敏感词失败:', error);
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+initSensitiveWords();
@@ -0,0 +1,141 @@
+const http = require('http');
+const crypto = require('crypto');
+const jsonwebtoken = require('jsonwebtoken');
+
+// 本地模拟的 OpenID Connect 服务，用于开发与联调第三方登录（授权页不需要登录，直接以模拟用户授权）
+// 后端配置：OIDC_ISSUER=http://localhost:5010 OIDC_CLIENT_ID=dcd-api OIDC_CLIENT_SECRET=dcd-secret
+// 授权地址可带 login_hint=邮箱 模拟不同用户，sub 由邮箱生成；未带时使用 MOCK_OIDC_EMAIL
+function startMockOidcServer(options = {}) {
+  const port = options.port || parseInt(process.env.MOCK_OIDC_PORT) || 5010;
+  const issuer = options.issuer || `http://localhost:${port}`;
+  const clientId = options.clientId || process.env.MOCK_OIDC_CLIENT_ID || 'dcd-api';
+  const clientSecret = options.clientSecret || process.env.MOCK_OIDC_CLIENT_SECRET || 'dcd-secret';
+  const defaultEmail = options.email || process.env.MOCK_OIDC_EMAIL || 'oidc.user@example.com';
+
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = crypto.randomBytes(8).toString('hex');
+  const jwk = { ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' };
+
+  // 授权码（code -> 授权信息）与访问令牌（token -> 用户）
+  const codes = new Map();
+  const accessTokens = new Map();
+
+  const userFor = (email) => ({
+    sub: crypto.createHash('sha256').update(email).digest('hex').slice(0, 16),
+    email,
+    email_verified: true,
+    name: email.split('@')[0],
+    picture: ''
+  });
+
+  const send = (res, status, body, headers = {}) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  };
+
+  const readBody = (req) => new Promise((resolve) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => resolve(new URLSearchParams(raw)));
+  });
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, issuer);
+
+    if (url.pathname === '/.well-known/openid-configuration') {
+      send(res, 200, {
+        issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        userinfo_endpoint: `${issuer}/userinfo`,
+        jwks_uri: `${issuer}/jwks`,
+        response_types_supported: ['code'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        code_challenge_methods_supported: ['S256']
+      });
+      return;
+    }
+
+    if (url.pathname === '/jwks') {
+      send(res, 200, { keys: [jwk] });
+      return;
+    }
+
+    // 直接授权并跳回 redirect_uri
+    if (url.pathname === '/authorize') {
+      const params = url.searchParams;
+      if (params.get('client_id') !== clientId || params.get('response_type') !== 'code') {
+        send(res, 400, { error: 'invalid_request' });
+        return;
+      }
+      const code = crypto.randomBytes(16).toString('hex');
+      codes.set(code, {
+        user: userFor(params.get('login_hint') || defaultEmail),
+        redirectUri: params.get('redirect_uri'),
+        nonce: params.get('nonce'),
+        codeChallenge: params.get('code_challenge')
+      });
+      const target = new URL(params.get('redirect_uri'));
+      target.searchParams.set('code', code);
+      target.searchParams.set('state', params.get('state') || '');
+      res.writeHead(302, { Location: target.toString() });
+      res.end();
+      return;
+    }
+
+    if (url.pathname === '/token' && req.method === 'POST') {
+      const body = await readBody(req);
+      const grant = codes.get(body.get('code'));
+      codes.delete(body.get('code'));
+
+      if (body.get('client_id') !== clientId || body.get('client_secret') !== clientSecret) {
+        send(res, 401, { error: 'invalid_client' });
+        return;
+      }
+      if (!grant || grant.redirectUri !== body.get('redirect_uri')) {
+        send(res, 400, { error: 'invalid_grant' });
+        return;
+      }
+      const challenge = crypto.createHash('sha256').update(body.get('code_verifier') || '').digest('base64url');
+      if (grant.codeChallenge && grant.codeChallenge !== challenge) {
+        send(res, 400, { error: 'invalid_grant', error_description: 'PKCE 校验失败' });
+        return;
+      }
+
+      const accessToken = crypto.randomBytes(16).toString('hex');
+      accessTokens.set(accessToken, grant.user);
+      const idToken = jsonwebtoken.sign(
+        { ...grant.user, nonce: grant.nonce },
+        privateKey,
+        { algorithm: 'RS256', keyid: kid, issuer, audience: clientId, expiresIn: '5m' }
+      );
+      send(res, 200, { access_token: accessToken, token_type: 'Bearer', expires_in: 300, id_token: idToken });
+      return;
+    }
+
+    if (url.pathname === '/userinfo') {
+      const user = accessTokens.get((req.headers.authorization || '').replace('Bearer ', ''));
+      if (!user) {
+        send(res, 401, { error: 'invalid_token' });
+        return;
+      }
+      send(res, 200, user);
+      return;
+    }
+
+    send(res, 404, { error: 'not_found' });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(port, () => resolve(server));
+  });
+}
+
+if (require.main === module) {
+  startMockOidcServer().then((server) => {
+    console.log(`🔐 模拟 OIDC 服务已启动: http://localhost:${server.address().port}`);
+  });
+}
+
+module.exports = { startMockOidcServer };
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+const path = require('path');
+
+// 加载环境变量
+require('dotenv').config({ path: path.join(__dirname, '../config.env') });
+
+const { publishDueBlogs } = require('../utils/blogPublishHelper');
+
+// 发布已到时间的定时博客（可配合系统 cron 使用，此时设置 BLOG_PUBLISHER_ENABLED=false 关闭进程内定时器）
+async function publishScheduledBlogs() {
+  try {
+    const mongoUri = process.env.NODE_ENV === 'production'
+      ? process.env.PROD_MONGODB_URI
+      : process.env.DEV_MONGODB_URI;
+
+    await mongoose.connect(mongoUri);
+    console.log('Connected to MongoDB');
+
+    const published = await publishDueBlogs();
+    console.log(`✅ 已发布 ${published} 篇定时博客`);
+  } catch (error) {
+    console.error('发布定时博客失败:', error);
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+publishScheduledBlogs();
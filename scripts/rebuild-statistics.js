@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+const path = require('path');
+
+// 加载环境变量
+require('dotenv').config({ path: path.join(__dirname, '../config.env') });
+
+const RegionStat = require('../models/RegionStat');
+const { rebuildAll } = require('../utils/statisticsHelper');
+
+// 全量重建省/市/区/全国统计（首次部署或数据修复时使用）
+async function rebuildStatistics() {
+  try {
+    const mongoUri = process.env.NODE_ENV === 'production'
+      ? process.env.PROD_MONGODB_URI
+      : process.env.DEV_MONGODB_URI;
+
+    await mongoose.connect(mongoUri);
+    console.log('Connected to MongoDB');
+
+    await RegionStat.syncIndexes();
+    console.log('✅ 统计索引已同步');
+
+    const result = await rebuildAll();
+    console.log(`✅ 统计重建完成：省份 ${result.provinces} 个，城市 ${result.cities} 个，区县 ${result.districts} 个`);
+  } catch (error) {
+    console.error('重建统计失败:', error);
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+rebuildStatistics();
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+const path = require('path');
+
+// 加载环境变量
+require('dotenv').config({ path: path.join(__dirname, '../config.env') });
+
+const { runDueReports } = require('../utils/reportRerunHelper');
+
+// 执行已到期的对比报告定时任务（可配合系统 cron 使用，此时设置 REPORT_SCHEDULER_ENABLED=false 关闭进程内定时器）
+async function rerunReports() {
+  try {
+    const mongoUri = process.env.NODE_ENV === 'production'
+      ? process.env.PROD_MONGODB_URI
+      : process.env.DEV_MONGODB_URI;
+
+    await mongoose.connect(mongoUri);
+    console.log('Connected to MongoDB');
+
+    const processed = await runDueReports();
+    console.log(`✅ 已重新计算 ${processed} 个报告`);
+  } catch (error) {
+    console.error('重新计算报告失败:', error);
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+rerunReports();
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const path = require('path');
+
+// 加载环境变量
+require('dotenv').config({ path: path.join(__dirname, '../config.env') });
+
+const Mall = require('../models/Mall');
+const BrandStore = require('../models/BrandStore');
+
+// 将商场坐标同步到其下的品牌门店，并确保 2dsphere 索引已建立
+async function syncStoreLocations() {
+  try {
+    const mongoUri = process.env.NODE_ENV === 'production'
+      ? process.env.PROD_MONGODB_URI
+      : process.env.DEV_MONGODB_URI;
+
+    await mongoose.connect(mongoUri);
+    console.log('Connected to MongoDB');
+
+    await Mall.syncIndexes();
+    await BrandStore.syncIndexes();
+    console.log('✅ 地理位置索引已同步');
+
+    const malls = await Mall.find({ 'location.coordinates': { $exists: true } }).select('name location');
+    console.log(`找到 ${malls.length} 个已设置坐标的商场`);
+
+    let updated = 0;
+    for (const mall of malls) {
+      const result = await BrandStore.updateMany(
+        { mall: mall._id },
+        { location: { type: 'Point', coordinates: mall.location.coordinates } }
+      );
+      updated += result.modifiedCount;
+    }
+
+    console.log(`✅ 已同步 ${updated} 个门店的坐标`);
+  } catch (error) {
+    console.error('同步门店坐标失败:', error);
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+syncStoreLocations();
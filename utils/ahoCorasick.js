@@ -0,0 +1,83 @@
+/**
+ * Aho-Corasick 多模式匹配
+ * 由全部模式串构建字典树与失败指针，对文本扫描一遍即可找出所有模式的全部出现位置（含重叠）
+ */
+
+/**
+ * 创建字典树节点
+ * @returns {object}
+ */
+function createNode() {
+    return {
+        children: new Map(),
+        fail: null,
+        // 以该节点结尾的模式（含经失败指针可达的后缀模式）
+        outputs: []
+    };
+}
+
+/**
+ * 构建匹配器
+ * @param {Array<object>} patterns - [{ pattern: 模式串, payload: 命中时返回的数据 }]，空串忽略
+ * @returns {object} - { size, search(text) }
+ */
+function buildAutomaton(patterns) {
+    const root = createNode();
+    let size = 0;
+
+    patterns.forEach(({ pattern, payload }) => {
+        const chars = Array.from(pattern || '');
+        if (chars.length === 0) return;
+
+        let node = root;
+        chars.forEach(char => {
+            if (!node.children.has(char)) node.children.set(char, createNode());
+            node = node.children.get(char);
+        });
+        node.outputs.push({ length: chars.length, payload });
+        size++;
+    });
+
+    // 按层构建失败指针：指向当前路径在树中存在的最长真后缀
+    const queue = [];
+    root.children.forEach(child => {
+        child.fail = root;
+        queue.push(child);
+    });
+    while (queue.length > 0) {
+        const node = queue.shift();
+        node.children.forEach((child, char) => {
+            let fail = node.fail;
+            while (fail && !fail.children.has(char)) fail = fail.fail;
+            child.fail = fail ? fail.children.get(char) : root;
+            child.outputs = child.outputs.concat(child.fail.outputs);
+            queue.push(child);
+        });
+    }
+
+    /**
+     * 查找所有出现位置
+     * @param {Array<string>|string} text - 文本（字符数组或字符串）
+     * @returns {Array<object>} - [{ start, end（不含）, payload }]，位置为字符下标
+     */
+    function search(text) {
+        const chars = Array.isArray(text) ? text : Array.from(text || '');
+        const matches = [];
+        let node = root;
+
+        chars.forEach((char, index) => {
+            while (node !== root && !node.children.has(char)) node = node.fail;
+            node = node.children.get(char) || root;
+            node.outputs.forEach(output => {
+                matches.push({ start: index - output.length + 1, end: index + 1, payload: output.payload });
+            });
+        });
+        return matches;
+    }
+
+    return { size, search };
+}
+
+module.exports = {
+    buildAutomaton
+};
@@ -0,0 +1,84 @@
+const { buildAutomaton } = require('./ahoCorasick');
+
+/**
+ * 命中结果转为便于比较的 [起, 止, 模式]，按位置排序
+ * @param {Array<object>} matches - search 的返回值
+ * @returns {Array<Array>}
+ */
+function simplify(matches) {
+    return matches
+        .map(({ start, end, payload }) => [start, end, payload])
+        .sort((a, b) => a[0] - b[0] || a[1] - b[1] || String(a[2]).localeCompare(String(b[2])));
+}
+
+/**
+ * 由字符串列表构建匹配器，payload 为模式串本身
+ * @param {Array<string>} words - 模式串
+ * @returns {object}
+ */
+function build(words) {
+    return buildAutomaton(words.map(word => ({ pattern: word, payload: word })));
+}
+
+describe('buildAutomaton', () => {
+    test('找出全部模式的全部出现位置，含重叠与互为后缀的模式', () => {
+        const matcher = build(['he', 'she', 'his', 'hers']);
+
+        expect(simplify(matcher.search('ushers'))).toEqual([
+            [1, 4, 'she'],
+            [2, 4, 'he'],
+            [2, 6, 'hers']
+        ]);
+    });
+
+    test('同一模式重叠出现时全部返回', () => {
+        expect(simplify(build(['aa']).search('aaaa'))).toEqual([
+            [0, 2, 'aa'],
+            [1, 3, 'aa'],
+            [2, 4, 'aa']
+        ]);
+    });
+
+    test('失配后沿失败指针继续匹配', () => {
+        expect(simplify(build(['abcd', 'bce']).search('abce'))).toEqual([[1, 4, 'bce']]);
+    });
+
+    test('按字符（含代理对）计算位置，支持中文与表情', () => {
+        const matcher = build(['敏感词', '😀笑']);
+
+        expect(simplify(matcher.search('这是敏感词😀笑'))).toEqual([
+            [2, 5, '敏感词'],
+            [5, 7, '😀笑']
+        ]);
+    });
+
+    test('接受字符数组作为文本', () => {
+        expect(simplify(build(['ab']).search(['x', 'a', 'b']))).toEqual([[1, 3, 'ab']]);
+    });
+
+    test('空模式被忽略，size 为有效模式数', () => {
+        const matcher = buildAutomaton([
+            { pattern: '', payload: 'empty' },
+            { pattern: null, payload: 'null' },
+            { pattern: 'a', payload: 'a' }
+        ]);
+
+        expect(matcher.size).toBe(1);
+        expect(simplify(matcher.search('aba'))).toEqual([[0, 1, 'a'], [2, 3, 'a']]);
+    });
+
+    test('相同模式的多个 payload 都会返回', () => {
+        const matcher = buildAutomaton([
+            { pattern: 'ab', payload: 1 },
+            { pattern: 'ab', payload: 2 }
+        ]);
+
+        expect(matcher.search('ab').map(match => match.payload).sort()).toEqual([1, 2]);
+    });
+
+    test('没有模式或空文本时没有命中', () => {
+        expect(build([]).search('anything')).toEqual([]);
+        expect(build(['a']).search('')).toEqual([]);
+        expect(build(['a']).search(null)).toEqual([]);
+    });
+});
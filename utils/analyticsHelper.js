@@ -0,0 +1,33 @@
+/**
+ * 分析统计公共工具
+ * 对比分析、商场租户构成、品牌拓展机会共用的数值处理与品类字典读取
+ */
+
+const Dictionary = require('../models/Dictionary');
+
+/**
+ * 保留 4 位小数
+ * @param {number} value - 数值
+ * @returns {number}
+ */
+function round(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * 读取品牌品类字典
+ * @returns {Promise<object>} - 品类值 -> 名称
+ */
+async function loadCategoryMap() {
+    const categoryDict = await Dictionary.find({ type: 'brand_category', isActive: true }).lean();
+    const categoryMap = {};
+    categoryDict.forEach(dict => {
+        categoryMap[dict.value] = dict.label;
+    });
+    return categoryMap;
+}
+
+module.exports = {
+    round,
+    loadCategoryMap
+};
@@ -0,0 +1,333 @@
+/**
+ * 操作日志工具
+ * 管理接口修改数据后记录操作人、修改前后快照与字段差异；
+ * 支持撤销单条操作：新增则删除、修改则回退字段、删除则按快照重建
+ */
+
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const Brand = require('../models/Brand');
+const Mall = require('../models/Mall');
+const BrandStore = require('../models/BrandStore');
+const Province = require('../models/Province');
+const City = require('../models/City');
+const District = require('../models/District');
+const Dictionary = require('../models/Dictionary');
+const User = require('../models/User');
+const { refreshForDocs, refreshForBrand } = require('./statisticsHelper');
+const { markSearchIndexStale } = require('./searchHelper');
+const { markSuggestIndexStale } = require('./suggestHelper');
+const { recordStoreChange } = require('./storeEventHelper');
+const { currentUser, clearPermissionCache } = require('./permissionHelper');
+const { revokeUserSessions } = require('./sessionHelper');
+
+const TARGET_MODELS = {
+    brand: Brand,
+    mall: Mall,
+    'brand-store': BrandStore,
+    province: Province,
+    city: City,
+    district: District,
+    dictionary: Dictionary,
+    user: User
+};
+
+const TARGET_NAMES = {
+    brand: '品牌',
+    mall: '商场',
+    'brand-store': '品牌门店',
+    province: '省份',
+    city: '城市',
+    district: '区县',
+    dictionary: '字典项',
+    user: '用户'
+};
+
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore', 'purge', 'revert'];
+
+// 不写入快照的敏感字段
+const SECRET_FIELDS = ['password'];
+
+// 不参与差异比较的字段
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+/**
+ * 判断字段值是否为已 populate 的引用
+ * @param {*} value - 字段值
+ * @returns {boolean}
+ */
+function isPopulated(value) {
+    return value != null && typeof value === 'object' && !Array.isArray(value) &&
+        !(value instanceof Date) && !(value instanceof mongoose.Types.ObjectId) && value._id != null;
+}
+
+/**
+ * 生成文档快照：去除敏感字段，已 populate 的引用只保留 ID
+ * @param {object} doc - Mongoose 文档或普通对象（可为 null）
+ * @returns {object|null}
+ */
+function toSnapshot(doc) {
+    if (!doc) return null;
+
+    const raw = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc;
+    const snapshot = {};
+    Object.entries(raw).forEach(([key, value]) => {
+        if (SECRET_FIELDS.includes(key) || value === undefined) return;
+        snapshot[key] = isPopulated(value) ? value._id : value;
+    });
+    return snapshot;
+}
+
+/**
+ * 比较两个字段值（ObjectId、日期按序列化结果比较）
+ * @param {*} a - 字段值
+ * @param {*} b - 字段值
+ * @returns {boolean}
+ */
+function sameValue(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * 计算两个快照的字段级差异
+ * @param {object|null} before - 修改前快照
+ * @param {object|null} after - 修改后快照
+ * @returns {Array} - [{ field, before, after }]
+ */
+function diffSnapshots(before, after) {
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    return [...fields]
+        .filter(field => !IGNORED_FIELDS.includes(field))
+        .filter(field => !sameValue(before?.[field], after?.[field]))
+        .map(field => ({
+            field,
+            before: before?.[field] ?? null,
+            after: after?.[field] ?? null
+        }));
+}
+
+/**
+ * 生成日志记录
+ * @param {object} ctx - Koa 上下文
+ * @param {object} entry - { action, targetType, before, after, revertOf }
+ * @returns {object|null} - 修改没有产生差异时返回 null
+ */
+function buildLog(ctx, { action, targetType, before, after, revertOf = null }) {
+    const beforeSnapshot = toSnapshot(before);
+    const afterSnapshot = toSnapshot(after);
+    const target = afterSnapshot || beforeSnapshot;
+    if (!target) return null;
+
+    const changes = diffSnapshots(beforeSnapshot, afterSnapshot);
+    if (action === 'update' && changes.length === 0) return null;
+
+    const user = currentUser(ctx);
+    return {
+        actor: user ? (user.userId || user.id) : null,
+        action,
+        targetType,
+        targetId: target._id,
+        targetName: target.name || target.storeName || target.username || target.label || '',
+        before: beforeSnapshot,
+        after: afterSnapshot,
+        changes,
+        ip: ctx.ip || '',
+        userAgent: (ctx.headers['user-agent'] || '').slice(0, 300),
+        revertOf
+    };
+}
+
+/**
+ * 记录操作日志（写入失败只记录错误，不影响业务）
+ * @param {object} ctx - Koa 上下文
+ * @param {object|Array} entries - { action, targetType, before, after } 或其数组
+ * @returns {Promise<void>}
+ */
+async function recordAudit(ctx, entries) {
+    try {
+        const logs = [].concat(entries).map(entry => buildLog(ctx, entry)).filter(Boolean);
+        if (logs.length === 0) return;
+
+        await AuditLog.insertMany(logs);
+    } catch (error) {
+        console.error('记录操作日志失败:', error);
+    }
+}
+
+/**
+ * 判断日志能否撤销
+ * @param {object} log - AuditLog 文档
+ * @returns {object|null} - 不能撤销时返回 { status, message }
+ */
+function checkRevertable(log) {
+    if (log.action === 'revert') {
+        return { status: 400, message: '撤销记录不能再次撤销' };
+    }
+    if (log.revertedAt) {
+        return { status: 409, message: '该操作已被撤销' };
+    }
+    if (log.targetType === 'user' && (log.action === 'delete' || log.action === 'purge')) {
+        return { status: 400, message: '操作日志不保存密码，已删除的用户无法恢复' };
+    }
+    return null;
+}
+
+/**
+ * 检查日志之后数据是否又被修改过：被修改字段的当前值须与日志中修改后的值一致
+ * @param {object} current - 当前数据
+ * @param {Array} changes - 日志中的字段差异
+ * @returns {Array<string>} - 冲突字段
+ */
+function conflictFields(current, changes) {
+    const snapshot = toSnapshot(current);
+    return changes
+        .filter(change => !sameValue(snapshot[change.field], change.after))
+        .map(change => change.field);
+}
+
+/**
+ * 撤销后刷新统计、搜索索引与门店变更记录，与各管理接口的处理保持一致
+ * @param {string} targetType - 对象类型
+ * @param {object|null} before - 撤销前数据
+ * @param {object|null} after - 撤销后数据
+ * @param {Array} changes - 撤销产生的字段差异
+ * @param {string} operator - 操作人ID
+ */
+async function afterRevert(targetType, before, after, changes, operator) {
+    const target = after || before;
+
+    if (targetType === 'brand-store') {
+        await recordStoreChange(before, after, operator);
+        await refreshForDocs(before, after);
+        markSearchIndexStale();
+    } else if (targetType === 'mall') {
+        // 商场坐标回退时，门店坐标跟随商场
+        if (after && after.location && changes.some(change => change.field === 'location')) {
+            await BrandStore.updateMany({ mall: after._id }, { location: after.location });
+        }
+        await refreshForDocs(before, after);
+        markSearchIndexStale();
+        markSuggestIndexStale();
+    } else if (targetType === 'brand') {
+        await refreshForBrand(target._id);
+        markSearchIndexStale();
+        markSuggestIndexStale();
+    } else if (targetType === 'city') {
+        markSuggestIndexStale();
+    } else if (targetType === 'district') {
+        await refreshForDocs(before, after);
+    } else if (targetType === 'user') {
+        clearPermissionCache(target._id);
+        if (after && after.isActive === false) {
+            await revokeUserSessions(target._id, 'disabled');
+        }
+    }
+}
+
+/**
+ * 按日志回退数据
+ * @param {object} log - AuditLog 文档
+ * @param {object} Model - 对象对应的模型
+ * @param {object|null} current - 当前数据
+ * @returns {Promise<object|null>} - 失败时返回 { status, message }
+ */
+async function applyRevert(log, Model, current) {
+    const itemName = TARGET_NAMES[log.targetType];
+
+    if (log.action === 'delete' || log.action === 'purge') {
+        if (current) {
+            return { status: 409, message: `${itemName}已存在，无需恢复` };
+        }
+        await new Model(log.before).save();
+        return null;
+    }
+
+    if (!current) {
+        return { status: 409, message: `${itemName}已被删除，无法撤销` };
+    }
+
+    const conflicts = conflictFields(current, log.changes);
+    if (conflicts.length > 0) {
+        return { status: 409, message: `该操作之后数据已被修改（${conflicts.join('、')}），无法撤销` };
+    }
+
+    if (log.action === 'create') {
+        await Model.deleteOne({ _id: log.targetId });
+        return null;
+    }
+
+    // 修改与恢复：被修改字段回退为修改前的值，修改前不存在的字段删除
+    const $set = {};
+    const $unset = {};
+    log.changes.forEach(({ field, before }) => {
+        if (log.before && Object.prototype.hasOwnProperty.call(log.before, field)) {
+            $set[field] = before;
+        } else {
+            $unset[field] = '';
+        }
+    });
+    const update = {};
+    if (Object.keys($set).length > 0) update.$set = $set;
+    if (Object.keys($unset).length > 0) update.$unset = $unset;
+    await Model.updateOne({ _id: log.targetId }, update, { runValidators: true });
+    return null;
+}
+
+/**
+ * 撤销单条操作
+ * @param {object} ctx - Koa 上下文
+ * @param {object} log - AuditLog 文档
+ * @returns {Promise<object>} - { error: { status, message } } 或 { log, data }
+ */
+async function revertAudit(ctx, log) {
+    const invalid = checkRevertable(log);
+    if (invalid) return { error: invalid };
+
+    const user = currentUser(ctx);
+    const operator = user ? (user.userId || user.id) : null;
+
+    // 先标记为已撤销，避免并发重复撤销
+    const claimed = await AuditLog.updateOne(
+        { _id: log._id, revertedAt: null },
+        { revertedAt: new Date(), revertedBy: operator }
+    );
+    if (claimed.modifiedCount === 0) {
+        return { error: { status: 409, message: '该操作已被撤销' } };
+    }
+
+    try {
+        const Model = TARGET_MODELS[log.targetType];
+        const current = await Model.findById(log.targetId).lean();
+
+        const failure = await applyRevert(log, Model, current);
+        if (failure) {
+            await AuditLog.updateOne({ _id: log._id }, { revertedAt: null, revertedBy: null });
+            return { error: failure };
+        }
+
+        const reverted = await Model.findById(log.targetId).lean();
+        const entry = buildLog(ctx, {
+            action: 'revert',
+            targetType: log.targetType,
+            before: current,
+            after: reverted,
+            revertOf: log._id
+        });
+        const revertLog = await AuditLog.create(entry);
+
+        await afterRevert(log.targetType, current, reverted, entry.changes, operator);
+
+        return { log: revertLog, data: toSnapshot(reverted) };
+    } catch (error) {
+        await AuditLog.updateOne({ _id: log._id }, { revertedAt: null, revertedBy: null });
+        throw error;
+    }
+}
+
+module.exports = {
+    AUDIT_ACTIONS,
+    TARGET_NAMES,
+    recordAudit,
+    checkRevertable,
+    revertAudit
+};
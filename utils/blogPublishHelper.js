@@ -0,0 +1,81 @@
+/**
+ * 博客定时发布工具
+ * 定时检查已到发布时间的博客并发布，发布后通知作者；多实例部署时以状态条件更新领取，同一篇博客只发布一次
+ */
+
+const Blog = require('../models/blogs');
+const Notification = require('../models/Notification');
+const { isPublished } = require('./moderationHelper');
+const { markSearchIndexStale } = require('./searchHelper');
+
+// 检查间隔（毫秒），默认 1 分钟
+const PUBLISH_CHECK_INTERVAL = parseInt(process.env.BLOG_PUBLISH_INTERVAL) || 60 * 1000;
+
+// 每次检查最多发布的博客数
+const PUBLISH_BATCH_SIZE = 50;
+
+/**
+ * 通知作者定时发布的博客已发布（失败只记录日志）
+ * @param {object} blog - 博客
+ */
+async function notifyPublished(blog) {
+    try {
+        await Notification.create({
+            recipient: blog.user,
+            type: 'system',
+            title: '博客已定时发布',
+            content: isPublished(blog)
+                ? `您的博客《${blog.title}》已按计划发布`
+                : `您的博客《${blog.title}》已到发布时间，审核通过后公开`,
+            relatedBlog: blog._id,
+            priority: 'normal'
+        });
+    } catch (error) {
+        console.error('发送定时发布通知失败:', error);
+    }
+}
+
+/**
+ * 发布已到时间的定时博客
+ * @returns {Promise<number>} - 发布的博客数
+ */
+async function publishDueBlogs() {
+    const now = new Date();
+    const dueBlogs = await Blog.find({
+        publishStatus: 'scheduled',
+        scheduledAt: { $lte: now }
+    }).select('title user scheduledAt moderationStatus').limit(PUBLISH_BATCH_SIZE);
+
+    let published = 0;
+    for (const blog of dueBlogs) {
+        // 以原定时间为条件，作者同时改期或其他实例已发布时跳过
+        const claimed = await Blog.updateOne(
+            { _id: blog._id, publishStatus: 'scheduled', scheduledAt: blog.scheduledAt },
+            { publishStatus: 'published', publishedAt: now, scheduledAt: null }
+        );
+        if (claimed.modifiedCount === 0) continue;
+
+        published++;
+        await notifyPublished(blog);
+    }
+
+    if (published > 0) markSearchIndexStale();
+    return published;
+}
+
+/**
+ * 启动定时发布（设置 BLOG_PUBLISHER_ENABLED=false 可关闭）
+ */
+function startBlogPublisher() {
+    if (process.env.BLOG_PUBLISHER_ENABLED === 'false') return;
+
+    const timer = setInterval(() => {
+        publishDueBlogs().catch(error => console.error('执行博客定时发布失败:', error));
+    }, PUBLISH_CHECK_INTERVAL);
+    timer.unref();
+}
+
+module.exports = {
+    publishDueBlogs,
+    startBlogPublisher
+};
@@ -0,0 +1,181 @@
+/**
+ * 博客修订版本工具
+ * 博客创建与每次修改标题、正文、标签、图片后保存一份快照（BlogRevision），版本号由博客的 revision 字段原子递增；
+ * 修订功能上线前的博客在首次修改前补存原内容。正文按行对比（HTML 在块级标签后断行）
+ */
+
+const Blog = require('../models/blogs');
+const BlogRevision = require('../models/BlogRevision');
+
+// 保存到修订版本的字段
+const REVISION_FIELDS = ['title', 'content', 'tags', 'blogImage'];
+
+// 逐行对比的最大计算量（行数乘积），超过时整段视为替换
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * 博客内容快照
+ * @param {object} blog - 博客
+ * @returns {object}
+ */
+function snapshot(blog) {
+    return {
+        title: blog.title || '',
+        content: blog.content || '',
+        tags: [...(blog.tags || [])],
+        blogImage: (blog.blogImage || []).map(item => ({ image: item.image }))
+    };
+}
+
+/**
+ * 本次修改中实际变化的字段
+ * @param {object} blog - 修改前的博客
+ * @param {object} value - 提交的字段
+ * @returns {Array<string>}
+ */
+function changedFields(blog, value) {
+    const before = snapshot(blog);
+    const after = snapshot({ ...before, ...value });
+    return REVISION_FIELDS.filter(field => (
+        value[field] !== undefined && JSON.stringify(before[field]) !== JSON.stringify(after[field])
+    ));
+}
+
+/**
+ * 保存博客当前内容为新的修订版本
+ * @param {object} blog - 博客（保存后的内容）
+ * @param {string} editor - 修改人ID
+ * @param {string} reason - create | initial | edit | restore
+ * @param {number|null} restoredFrom - 恢复自哪个版本
+ * @returns {Promise<object>}
+ */
+async function recordRevision(blog, editor, reason = 'edit', restoredFrom = null) {
+    const { revision } = await Blog.findByIdAndUpdate(
+        blog._id,
+        { $inc: { revision: 1 } },
+        { new: true }
+    ).select('revision').lean();
+
+    return BlogRevision.create({
+        blog: blog._id,
+        version: revision,
+        reason,
+        restoredFrom,
+        editor,
+        ...snapshot(blog)
+    });
+}
+
+/**
+ * 修订功能上线前的博客没有任何版本，首次修改前补存原内容
+ * @param {object} blog - 修改前的博客
+ */
+async function ensureInitialRevision(blog) {
+    if (blog.revision > 0) return;
+    await recordRevision(blog, blog.user?._id || blog.user, 'initial');
+}
+
+/**
+ * 正文拆分为行
+ * @param {string} content - 正文
+ * @returns {Array<string>}
+ */
+function splitLines(content) {
+    if (!content) return [];
+    return content
+        .replace(/(<\/(?:p|div|h[1-6]|li|blockquote|pre)>|<br\s*\/?>)/gi, '$1\n')
+        .split(/\r?\n/)
+        .filter((line, index, lines) => line !== '' || index < lines.length - 1);
+}
+
+/**
+ * 逐行对比（最长公共子序列），连续的同类行合并为一段
+ * @param {string} before - 旧正文
+ * @param {string} after - 新正文
+ * @returns {Array<object>} - [{ type: equal | added | removed, lines }]
+ */
+function diffLines(before, after) {
+    const a = splitLines(before);
+    const b = splitLines(after);
+    const hunks = [];
+    const push = (type, line) => {
+        const last = hunks[hunks.length - 1];
+        if (last && last.type === type) {
+            last.lines.push(line);
+        } else {
+            hunks.push({ type, lines: [line] });
+        }
+    };
+
+    if (a.length * b.length > MAX_DIFF_CELLS) {
+        a.forEach(line => push('removed', line));
+        b.forEach(line => push('added', line));
+        return hunks;
+    }
+
+    // lcs[i][j]：a[i..] 与 b[j..] 的最长公共子序列长度
+    const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            push('equal', a[i]);
+            i++;
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            push('removed', a[i++]);
+        } else {
+            push('added', b[j++]);
+        }
+    }
+    while (i < a.length) push('removed', a[i++]);
+    while (j < b.length) push('added', b[j++]);
+    return hunks;
+}
+
+/**
+ * 对比两个版本
+ * @param {object} from - 旧版本
+ * @param {object} to - 新版本
+ * @returns {object} - { hasChanges, title, content, tags, images }
+ */
+function diffRevisions(from, to) {
+    const before = snapshot(from);
+    const after = snapshot(to);
+    const beforeImages = before.blogImage.map(item => item.image);
+    const afterImages = after.blogImage.map(item => item.image);
+
+    const diff = {
+        title: before.title !== after.title ? { before: before.title, after: after.title } : null,
+        content: before.content !== after.content ? diffLines(before.content, after.content) : [],
+        tags: {
+            added: after.tags.filter(tag => !before.tags.includes(tag)),
+            removed: before.tags.filter(tag => !after.tags.includes(tag))
+        },
+        images: {
+            added: afterImages.filter(image => !beforeImages.includes(image)),
+            removed: beforeImages.filter(image => !afterImages.includes(image))
+        }
+    };
+    diff.hasChanges = !!diff.title || diff.content.length > 0 ||
+        diff.tags.added.length + diff.tags.removed.length > 0 ||
+        diff.images.added.length + diff.images.removed.length > 0 ||
+        JSON.stringify(beforeImages) !== JSON.stringify(afterImages);
+    return diff;
+}
+
+module.exports = {
+    REVISION_FIELDS,
+    snapshot,
+    changedFields,
+    recordRevision,
+    ensureInitialRevision,
+    diffLines,
+    diffRevisions
+};
@@ -0,0 +1,132 @@
+jest.mock('../models/blogs', () => ({}));
+jest.mock('../models/BlogRevision', () => ({}));
+
+const { changedFields, diffLines, diffRevisions } = require('./blogRevisionHelper');
+
+/**
+ * 生成多行正文
+ * @param {number} count - 行数
+ * @param {Function} line - 由行号生成行内容
+ * @returns {string}
+ */
+function lines(count, line = index => `第 ${index} 行`) {
+    return Array.from({ length: count }, (_, index) => line(index)).join('\n');
+}
+
+describe('changedFields', () => {
+    const blog = {
+        title: '标题',
+        content: '<p>正文</p>',
+        tags: ['a', 'b'],
+        blogImage: [{ image: '/1.png', _id: 'x' }]
+    };
+
+    test('只返回提交且内容有变化的字段', () => {
+        expect(changedFields(blog, { title: '新标题', content: '<p>正文</p>' })).toEqual(['title']);
+        expect(changedFields(blog, { tags: ['b', 'a'] })).toEqual(['tags']);
+        expect(changedFields(blog, { blogImage: [{ image: '/2.png' }] })).toEqual(['blogImage']);
+    });
+
+    test('内容相同或未提交时没有变化', () => {
+        expect(changedFields(blog, {})).toEqual([]);
+        expect(changedFields(blog, { title: '标题', tags: ['a', 'b'] })).toEqual([]);
+        // 图片只比较地址，忽略子文档 _id
+        expect(changedFields(blog, { blogImage: [{ image: '/1.png' }] })).toEqual([]);
+    });
+
+    test('空值与缺省值视为相同', () => {
+        expect(changedFields({ title: '标题' }, { content: '', tags: [] })).toEqual([]);
+    });
+});
+
+describe('diffLines', () => {
+    test('按行对比，连续的同类行合并为一段', () => {
+        expect(diffLines('a\nb\nc\nd', 'a\nx\ny\nc\nd')).toEqual([
+            { type: 'equal', lines: ['a'] },
+            { type: 'removed', lines: ['b'] },
+            { type: 'added', lines: ['x', 'y'] },
+            { type: 'equal', lines: ['c', 'd'] }
+        ]);
+    });
+
+    test('HTML 在块级标签后断行', () => {
+        expect(diffLines('<p>一</p><p>二</p>', '<p>一</p><p>三</p>')).toEqual([
+            { type: 'equal', lines: ['<p>一</p>'] },
+            { type: 'removed', lines: ['<p>二</p>'] },
+            { type: 'added', lines: ['<p>三</p>'] }
+        ]);
+    });
+
+    test('空正文', () => {
+        expect(diffLines('', 'a')).toEqual([{ type: 'added', lines: ['a'] }]);
+        expect(diffLines('a', null)).toEqual([{ type: 'removed', lines: ['a'] }]);
+        expect(diffLines('', '')).toEqual([]);
+    });
+
+    test('行数乘积未超过 MAX_DIFF_CELLS 时逐行对比', () => {
+        const before = lines(2000);
+        const after = lines(2000, index => (index === 1000 ? '修改' : `第 ${index} 行`));
+        const hunks = diffLines(before, after);
+
+        expect(hunks.map(hunk => [hunk.type, hunk.lines.length])).toEqual([
+            ['equal', 1000],
+            ['removed', 1],
+            ['added', 1],
+            ['equal', 999]
+        ]);
+    });
+
+    test('行数乘积超过 MAX_DIFF_CELLS 时整段视为替换', () => {
+        const before = lines(2001);
+        const after = lines(2000);
+        const hunks = diffLines(before, after);
+
+        expect(hunks.map(hunk => [hunk.type, hunk.lines.length])).toEqual([
+            ['removed', 2001],
+            ['added', 2000]
+        ]);
+    });
+});
+
+describe('diffRevisions', () => {
+    const from = {
+        title: '标题',
+        content: 'a\nb',
+        tags: ['a', 'b'],
+        blogImage: [{ image: '/1.png' }, { image: '/2.png' }]
+    };
+
+    test('返回标题、正文、标签与图片的变化', () => {
+        const diff = diffRevisions(from, {
+            title: '新标题',
+            content: 'a\nc',
+            tags: ['b', 'c'],
+            blogImage: [{ image: '/2.png' }, { image: '/3.png' }]
+        });
+
+        expect(diff.hasChanges).toBe(true);
+        expect(diff.title).toEqual({ before: '标题', after: '新标题' });
+        expect(diff.content).toEqual([
+            { type: 'equal', lines: ['a'] },
+            { type: 'removed', lines: ['b'] },
+            { type: 'added', lines: ['c'] }
+        ]);
+        expect(diff.tags).toEqual({ added: ['c'], removed: ['a'] });
+        expect(diff.images).toEqual({ added: ['/3.png'], removed: ['/1.png'] });
+    });
+
+    test('内容相同时没有变化', () => {
+        const diff = diffRevisions(from, { ...from });
+
+        expect(diff.hasChanges).toBe(false);
+        expect(diff.title).toBeNull();
+        expect(diff.content).toEqual([]);
+    });
+
+    test('只调整图片顺序也算变化', () => {
+        const diff = diffRevisions(from, { ...from, blogImage: [{ image: '/2.png' }, { image: '/1.png' }] });
+
+        expect(diff.images).toEqual({ added: [], removed: [] });
+        expect(diff.hasChanges).toBe(true);
+    });
+});
@@ -0,0 +1,294 @@
+/**
+ * 对比分析工具
+ * 对商场 / 区县 / 城市 / 省份的品牌入驻情况进行对比，计算门店数、评分、
+ * 品牌重合度（共有品牌、独有品牌、Jaccard 相似度）与品类构成
+ */
+
+const mongoose = require('mongoose');
+const BrandStore = require('../models/BrandStore');
+const Mall = require('../models/Mall');
+const Province = require('../models/Province');
+const City = require('../models/City');
+const District = require('../models/District');
+const { round, loadCategoryMap } = require('./analyticsHelper');
+
+// 对比算法版本：报告中记录生成时的版本，便于新旧报告区分
+const COMPARISON_ENGINE_VERSION = 2;
+
+// 支持的对比类型
+const COMPARISON_TYPES = {
+    mall: '商场',
+    district: '区县',
+    city: '城市',
+    province: '省份'
+};
+
+/**
+ * 读取对比位置的基本信息
+ * @param {string} type - 对比类型
+ * @param {string} id - 位置ID
+ * @returns {Promise<object|null>} - { id, name, type, city, province }
+ */
+async function loadLocation(type, id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+
+    if (type === 'mall') {
+        const mall = await Mall.findById(id).populate('city', 'name').populate('province', 'name');
+        return mall && { id: mall._id, name: mall.name, type, city: mall.city?.name, province: mall.province?.name };
+    }
+    if (type === 'district') {
+        const district = await District.findById(id).populate('city', 'name').populate('province', 'name');
+        return district && { id: district._id, name: district.name, type, city: district.city?.name, province: district.province?.name };
+    }
+    if (type === 'city') {
+        const city = await City.findById(id).populate('province', 'name');
+        return city && { id: city._id, name: city.name, type, city: city.name, province: city.province?.name };
+    }
+    const province = await Province.findById(id);
+    return province && { id: province._id, name: province.name, type, city: '', province: province.name };
+}
+
+/**
+ * 品牌分值：未设置分数时按品类自动分配
+ * @param {object} brand - 品牌
+ * @returns {number}
+ */
+function brandScore(brand) {
+    if (brand.score != null && brand.score !== 0) return brand.score;
+    if (brand.category == 2) return 5;
+    if (brand.category == 1) return 10;
+    return 0;
+}
+
+/**
+ * 统计某个位置的品牌门店数与分值
+ * @param {string} type - 对比类型
+ * @param {object} location - loadLocation 的返回值
+ * @param {Array} brandIds - 品牌筛选（可选）
+ * @param {object} categoryMap - 品类值 -> 名称
+ * @returns {Promise<object>} - { location, brands, summary, categoryMix }
+ */
+async function compareLocation(type, location, brandIds, categoryMap) {
+    const query = { isActive: true, [type]: location.id };
+    if (brandIds && brandIds.length > 0) {
+        query.brand = { $in: brandIds };
+    }
+
+    const stores = await BrandStore.find(query)
+        .select('brand')
+        .populate('brand', 'name category score code')
+        .lean();
+
+    // 按品牌分组并计算分值
+    const brandMap = {};
+    let totalScore = 0;
+    let totalStores = 0;
+
+    stores.forEach(store => {
+        if (!store.brand) return;
+
+        const brandId = store.brand._id.toString();
+        if (!brandMap[brandId]) {
+            brandMap[brandId] = {
+                brand: store.brand,
+                storeCount: 0,
+                totalScore: 0,
+                averageScore: 0
+            };
+        }
+
+        const score = brandScore(store.brand);
+        brandMap[brandId].storeCount++;
+        brandMap[brandId].totalScore += score;
+        totalScore += score;
+        totalStores++;
+    });
+
+    const brands = Object.values(brandMap).map(item => ({
+        ...item,
+        averageScore: item.storeCount > 0 ? (item.totalScore / item.storeCount).toFixed(1) : 0
+    }));
+
+    return {
+        location,
+        brands,
+        summary: {
+            totalBrands: brands.length,
+            totalStores,
+            totalScore: totalScore.toFixed(1),
+            averageScore: totalStores > 0 ? (totalScore / totalStores).toFixed(1) : 0
+        },
+        categoryMix: buildCategoryMix(brands, categoryMap)
+    };
+}
+
+/**
+ * 按字典品类统计品牌构成
+ * @param {Array} brands - compareLocation 中的品牌列表
+ * @param {object} categoryMap - 品类值 -> 名称
+ * @returns {Array} - [{ category, label, brandCount, storeCount, ratio }]
+ */
+function buildCategoryMix(brands, categoryMap) {
+    const mix = {};
+    brands.forEach(({ brand, storeCount }) => {
+        const category = brand.category != null ? String(brand.category) : '';
+        if (!mix[category]) {
+            mix[category] = {
+                category,
+                // 保存生成时的品类名称，字典调整后旧报告仍可对照
+                label: categoryMap[category] || category || '未分类',
+                brandCount: 0,
+                storeCount: 0,
+                ratio: 0
+            };
+        }
+        mix[category].brandCount++;
+        mix[category].storeCount += storeCount;
+    });
+
+    return Object.values(mix)
+        .map(item => ({ ...item, ratio: brands.length > 0 ? round(item.brandCount / brands.length) : 0 }))
+        .sort((a, b) => b.brandCount - a.brandCount);
+}
+
+/**
+ * 计算各位置之间的品牌重合度
+ * @param {Array} results - compareLocation 的结果列表
+ * @returns {object} - { commonBrands, uniqueBrands, jaccard: { overall, pairs } }
+ */
+function computeOverlap(results) {
+    const brandInfo = new Map();
+    const sets = results.map(result => new Set(result.brands.map(({ brand }) => {
+        const id = brand._id.toString();
+        brandInfo.set(id, { _id: brand._id, name: brand.name, code: brand.code });
+        return id;
+    })));
+
+    const union = new Set(sets.flatMap(set => [...set]));
+    const common = [...union].filter(id => sets.every(set => set.has(id)));
+
+    const uniqueBrands = results.map((result, index) => ({
+        location: result.location.id,
+        name: result.location.name,
+        brands: [...sets[index]]
+            .filter(id => sets.every((set, i) => i === index || !set.has(id)))
+            .map(id => brandInfo.get(id))
+    }));
+
+    const pairs = [];
+    for (let i = 0; i < results.length; i++) {
+        for (let j = i + 1; j < results.length; j++) {
+            const intersection = [...sets[i]].filter(id => sets[j].has(id)).length;
+            const pairUnion = new Set([...sets[i], ...sets[j]]).size;
+            pairs.push({
+                a: results[i].location.id,
+                b: results[j].location.id,
+                intersection,
+                union: pairUnion,
+                similarity: pairUnion > 0 ? round(intersection / pairUnion) : 0
+            });
+        }
+    }
+
+    return {
+        commonBrands: common.map(id => brandInfo.get(id)),
+        uniqueBrands,
+        jaccard: {
+            overall: union.size > 0 ? round(common.length / union.size) : 0,
+            pairs
+        }
+    };
+}
+
+/**
+ * 对比同一报告前后两次计算结果的差异
+ * @param {Array} previous - 上一版本的 results
+ * @param {Array} current - 本次计算的 results
+ * @returns {object} - { hasChanges, locations: [{ location, name, brandsAdded, brandsRemoved, storeChanges, totalStoresBefore, totalStoresAfter }] }
+ */
+function diffResults(previous, current) {
+    const brandRef = ({ brand }) => ({ _id: brand._id, name: brand.name, code: brand.code });
+    const previousMap = new Map((previous || []).map(result => [result.location.id.toString(), result]));
+
+    const locations = current.map(result => {
+        const before = previousMap.get(result.location.id.toString());
+        const beforeBrands = new Map((before ? before.brands : []).map(item => [item.brand._id.toString(), item]));
+        const afterBrands = new Map(result.brands.map(item => [item.brand._id.toString(), item]));
+
+        const brandsAdded = [...afterBrands.keys()]
+            .filter(id => !beforeBrands.has(id))
+            .map(id => ({ ...brandRef(afterBrands.get(id)), storeCount: afterBrands.get(id).storeCount }));
+        const brandsRemoved = [...beforeBrands.keys()]
+            .filter(id => !afterBrands.has(id))
+            .map(id => ({ ...brandRef(beforeBrands.get(id)), storeCount: beforeBrands.get(id).storeCount }));
+        const storeChanges = [...afterBrands.keys()]
+            .filter(id => beforeBrands.has(id) && beforeBrands.get(id).storeCount !== afterBrands.get(id).storeCount)
+            .map(id => ({
+                brand: brandRef(afterBrands.get(id)),
+                before: beforeBrands.get(id).storeCount,
+                after: afterBrands.get(id).storeCount
+            }));
+
+        return {
+            location: result.location.id,
+            name: result.location.name,
+            brandsAdded,
+            brandsRemoved,
+            storeChanges,
+            totalStoresBefore: before ? before.summary.totalStores : 0,
+            totalStoresAfter: result.summary.totalStores
+        };
+    });
+
+    return {
+        hasChanges: locations.some(item =>
+            item.brandsAdded.length > 0 || item.brandsRemoved.length > 0 || item.storeChanges.length > 0
+        ),
+        locations
+    };
+}
+
+/**
+ * 执行对比
+ * @param {object} options - { type, ids, brandIds }
+ * @returns {Promise<object>} - { missing } 或 { results, summary, overlap, engineVersion }
+ */
+async function runComparison({ type, ids, brandIds = [] }) {
+    const locations = await Promise.all(ids.map(id => loadLocation(type, id)));
+    const missing = ids.filter((id, index) => !locations[index]);
+    if (missing.length > 0) {
+        return { missing };
+    }
+
+    const categoryMap = await loadCategoryMap();
+
+    const results = [];
+    for (const location of locations) {
+        results.push(await compareLocation(type, location, brandIds, categoryMap));
+    }
+
+    // 计算整体摘要
+    const summary = {
+        totalLocations: results.length,
+        totalBrands: [...new Set(results.flatMap(r => r.brands.map(b => b.brand._id.toString())))].length,
+        totalStores: results.reduce((sum, r) => sum + r.summary.totalStores, 0),
+        averageScore: results.length > 0 ?
+            (results.reduce((sum, r) => sum + parseFloat(r.summary.averageScore), 0) / results.length).toFixed(1) : '0'
+    };
+
+    return {
+        results,
+        summary,
+        overlap: computeOverlap(results),
+        engineVersion: COMPARISON_ENGINE_VERSION
+    };
+}
+
+module.exports = {
+    COMPARISON_ENGINE_VERSION,
+    COMPARISON_TYPES,
+    brandScore,
+    computeOverlap,
+    diffResults,
+    runComparison
+};
@@ -129,14 +129,16 @@ class DeepSeekHelper {
 
         try {
             const result = await this.generateText(prompt, { temperature: 0.3 });
-            return JSON.parse(result);
+            // 模型可能用 ```json 代码块包裹结果
+            return JSON.parse(result.replace(/^\s*```(?:json)?\s*|\s*```\s*$/g, ''));
         } catch (error) {
             console.error('内容审核失败:', error);
             return {
                 isAppropriate: true,
                 issues: [],
                 suggestions: '审核服务暂时不可用',
-                score: 50
+                score: 50,
+                unavailable: true
             };
         }
     }
@@ -0,0 +1,122 @@
+/**
+ * 邮件验证工具
+ * 发送验证码邮件与重置密码邮件，并按邮箱 + 用途限制发送频率
+ */
+
+const nodemailer = require('nodemailer');
+const EmailVerification = require('../models/EmailVerification');
+
+// 同一邮箱同一用途的最短发送间隔（毫秒）
+const RESEND_INTERVAL = 60 * 1000;
+
+const TYPE_NAMES = {
+    login: '登录',
+    register: '注册',
+    reset_password: '重置密码',
+    two_factor: '登录二次验证',
+    change_email_old: '更换邮箱（原邮箱确认）',
+    change_email_new: '更换邮箱（新邮箱确认）'
+};
+
+// 配置邮件发送器
+const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST || 'smtp.qq.com',
+    port: process.env.SMTP_PORT || 587,
+    secure: false,
+    auth: {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+    }
+});
+
+/**
+ * 生成6位数字验证码
+ * @returns {string}
+ */
+function generateVerificationCode() {
+    return Math.floor(100000 + Math.random() * 900000).toString();
+}
+
+/**
+ * 是否在发送间隔内已发送过（发送过于频繁）
+ * @param {string} email - 邮箱
+ * @param {string} type - 用途
+ * @returns {Promise<boolean>}
+ */
+async function sentRecently(email, type) {
+    const recent = await EmailVerification.exists({
+        email: String(email).toLowerCase(),
+        type,
+        createdAt: { $gte: new Date(Date.now() - RESEND_INTERVAL) }
+    });
+    return Boolean(recent);
+}
+
+/**
+ * 邮件外框
+ * @param {string} title - 标题
+ * @param {string} content - 正文 HTML
+ * @returns {string}
+ */
+function layout(title, content) {
+    return `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #007AFF;">${title}</h2>
+        <p>您好！</p>
+        ${content}
+        <p>如果这不是您的操作，请忽略此邮件。</p>
+        <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;">
+        <p style="color: #999; font-size: 12px;">此邮件由系统自动发送，请勿回复。</p>
+      </div>
+    `;
+}
+
+/**
+ * 发送验证码邮件
+ * @param {string} email - 收件邮箱
+ * @param {string} code - 验证码
+ * @param {string} type - 用途
+ * @returns {Promise}
+ */
+async function sendVerificationEmail(email, code, type = 'login') {
+    return transporter.sendMail({
+        from: process.env.SMTP_USER,
+        to: email,
+        subject: `懂商帝 - ${TYPE_NAMES[type]}验证码`,
+        html: layout('懂商帝验证码', `
+        <p>您正在进行${TYPE_NAMES[type]}操作，验证码为：</p>
+        <div style="background-color: #f5f5f5; padding: 20px; text-align: center; margin: 20px 0;">
+          <span style="font-size: 24px; font-weight: bold; color: #007AFF; letter-spacing: 5px;">${code}</span>
+        </div>
+        <p>验证码有效期为10分钟，请及时使用。</p>
+        `)
+    });
+}
+
+/**
+ * 发送重置密码邮件
+ * @param {string} email - 收件邮箱
+ * @param {string} link - 重置密码链接
+ * @param {number} minutes - 链接有效期（分钟）
+ * @returns {Promise}
+ */
+async function sendPasswordResetEmail(email, link, minutes) {
+    return transporter.sendMail({
+        from: process.env.SMTP_USER,
+        to: email,
+        subject: '懂商帝 - 重置密码',
+        html: layout('重置密码', `
+        <p>我们收到了重置您账户密码的请求，请点击下面的链接设置新密码：</p>
+        <p style="margin: 20px 0;"><a href="${link}" style="color: #007AFF;">${link}</a></p>
+        <p>链接有效期为${minutes}分钟，且只能使用一次。</p>
+        `)
+    });
+}
+
+module.exports = {
+    RESEND_INTERVAL,
+    generateVerificationCode,
+    sentRecently,
+    sendVerificationEmail,
+    sendPasswordResetEmail
+};
@@ -0,0 +1,245 @@
+/**
+ * 品牌拓展机会分析工具
+ * 为品牌推荐尚未入驻的城市与商场，按同品类品牌数、竞品入驻、商场热度（clickCount）
+ * 与商场体量（totalArea、floorCount）综合打分
+ */
+
+const mongoose = require('mongoose');
+const Brand = require('../models/Brand');
+const BrandStore = require('../models/BrandStore');
+const Mall = require('../models/Mall');
+const { round } = require('./analyticsHelper');
+
+// 各信号权重（每项先按候选商场中的最大值归一化到 0 ~ 1）
+const SIGNAL_WEIGHTS = {
+    similarBrands: 0.35,
+    competitors: 0.25,
+    clickCount: 0.2,
+    size: 0.2
+};
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// 每个城市返回的推荐商场数
+const MALLS_PER_CITY = 3;
+
+// 竞品数量上限
+const MAX_COMPETITORS = 50;
+
+/**
+ * 解析拓展机会查询参数
+ * @param {object} query - { provinceId, cityId, competitorIds, limit }
+ * @returns {object} - { error } 或 { provinceId, cityId, competitorIds, limit }
+ */
+function parseExpansionQuery(query) {
+    const { provinceId, cityId, competitorIds = '', limit = DEFAULT_LIMIT } = query;
+
+    if (provinceId && !mongoose.Types.ObjectId.isValid(provinceId)) {
+        return { error: '无效的省份ID' };
+    }
+    if (cityId && !mongoose.Types.ObjectId.isValid(cityId)) {
+        return { error: '无效的城市ID' };
+    }
+
+    const competitors = [...new Set(String(competitorIds).split(',').map(id => id.trim()).filter(Boolean))];
+    if (competitors.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+        return { error: '无效的竞品品牌ID' };
+    }
+    if (competitors.length > MAX_COMPETITORS) {
+        return { error: `竞品品牌最多${MAX_COMPETITORS}个` };
+    }
+
+    return {
+        provinceId,
+        cityId,
+        competitorIds: competitors,
+        limit: Math.min(Math.max(parseInt(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT)
+    };
+}
+
+/**
+ * 统计各商场中同品类品牌、竞品与本品牌的入驻情况
+ * @param {string} brandId - 品牌ID
+ * @param {Array<string>} similarIds - 同品类品牌ID
+ * @param {Array<string>} competitorIds - 竞品品牌ID
+ * @returns {Promise<object>} - { presence: 商场ID -> { similar, competitors }, ownMalls, ownCities }
+ */
+async function collectPresence(brandId, similarIds, competitorIds) {
+    const similarSet = new Set(similarIds);
+    const competitorSet = new Set(competitorIds);
+    const brandIds = [...new Set([brandId, ...similarIds, ...competitorIds])];
+
+    const rows = await BrandStore.aggregate([
+        {
+            $match: {
+                isActive: true,
+                mall: { $ne: null },
+                brand: { $in: brandIds.map(id => new mongoose.Types.ObjectId(id)) }
+            }
+        },
+        {
+            $group: {
+                _id: { mall: '$mall', brand: '$brand' },
+                city: { $first: '$city' }
+            }
+        }
+    ]);
+
+    const presence = new Map();
+    const ownMalls = new Set();
+    const ownCities = new Set();
+
+    rows.forEach(({ _id, city }) => {
+        const mallId = _id.mall.toString();
+        const id = _id.brand.toString();
+
+        if (id === brandId) {
+            ownMalls.add(mallId);
+            if (city) ownCities.add(city.toString());
+            return;
+        }
+
+        if (!presence.has(mallId)) {
+            presence.set(mallId, { similar: new Set(), competitors: new Set() });
+        }
+        if (similarSet.has(id)) presence.get(mallId).similar.add(id);
+        if (competitorSet.has(id)) presence.get(mallId).competitors.add(id);
+    });
+
+    return { presence, ownMalls, ownCities };
+}
+
+/**
+ * 查找品牌的拓展机会
+ * @param {object} brand - 品牌文档（需包含 _id、category）
+ * @param {object} options - parseExpansionQuery 的返回值
+ * @returns {Promise<object>} - { weights, cities, malls }
+ */
+async function findExpansionOpportunities(brand, { provinceId, cityId, competitorIds, limit }) {
+    const brandId = brand._id.toString();
+    const competitors = competitorIds.filter(id => id !== brandId);
+
+    const similarIds = brand.category
+        ? (await Brand.find({ category: brand.category, isActive: true, _id: { $ne: brand._id } }).distinct('_id'))
+            .map(id => id.toString())
+        : [];
+
+    const { presence, ownMalls, ownCities } = await collectPresence(brandId, similarIds, competitors);
+
+    const mallQuery = { isActive: true };
+    if (provinceId) mallQuery.province = provinceId;
+    if (cityId) mallQuery.city = cityId;
+
+    const malls = (await Mall.find(mallQuery)
+        .select('name code address city province district clickCount totalArea floorCount')
+        .populate('province', 'name')
+        .populate('city', 'name')
+        .populate('district', 'name')
+        .lean())
+        .filter(mall => !ownMalls.has(mall._id.toString()));
+
+    // 商场体量：面积与楼层数各占一半
+    const maxOf = (values) => Math.max(0, ...values);
+    const signals = malls.map(mall => {
+        const item = presence.get(mall._id.toString());
+        return {
+            similarBrands: item ? item.similar.size : 0,
+            competitors: item ? item.competitors.size : 0,
+            clickCount: mall.clickCount || 0,
+            totalArea: mall.totalArea || 0,
+            floorCount: mall.floorCount || 0
+        };
+    });
+    const max = {
+        similarBrands: maxOf(signals.map(s => s.similarBrands)),
+        competitors: maxOf(signals.map(s => s.competitors)),
+        clickCount: maxOf(signals.map(s => s.clickCount)),
+        totalArea: maxOf(signals.map(s => s.totalArea)),
+        floorCount: maxOf(signals.map(s => s.floorCount))
+    };
+    const ratio = (value, maxValue) => (maxValue > 0 ? value / maxValue : 0);
+
+    const scoredMalls = malls.map((mall, index) => {
+        const signal = signals[index];
+        const normalized = {
+            similarBrands: ratio(signal.similarBrands, max.similarBrands),
+            competitors: ratio(signal.competitors, max.competitors),
+            clickCount: ratio(signal.clickCount, max.clickCount),
+            size: (ratio(signal.totalArea, max.totalArea) + ratio(signal.floorCount, max.floorCount)) / 2
+        };
+        const score = Object.keys(SIGNAL_WEIGHTS)
+            .reduce((sum, key) => sum + SIGNAL_WEIGHTS[key] * normalized[key], 0);
+
+        return {
+            mall: {
+                _id: mall._id,
+                name: mall.name,
+                code: mall.code,
+                address: mall.address,
+                province: mall.province,
+                city: mall.city,
+                district: mall.district
+            },
+            score: round(score),
+            signals: {
+                similarBrands: signal.similarBrands,
+                competitors: signal.competitors,
+                clickCount: signal.clickCount,
+                totalArea: signal.totalArea,
+                floorCount: signal.floorCount
+            }
+        };
+    }).sort((a, b) => b.score - a.score);
+
+    // 城市：品牌尚无门店的城市，按候选商场得分汇总
+    const cityMap = new Map();
+    scoredMalls.forEach(item => {
+        const city = item.mall.city;
+        if (!city || ownCities.has(city._id.toString())) return;
+
+        const key = city._id.toString();
+        if (!cityMap.has(key)) {
+            cityMap.set(key, {
+                city,
+                province: item.mall.province,
+                mallCount: 0,
+                totalScore: 0,
+                similarBrands: 0,
+                competitors: 0,
+                topMalls: []
+            });
+        }
+        const entry = cityMap.get(key);
+        entry.mallCount++;
+        entry.totalScore += item.score;
+        entry.similarBrands += item.signals.similarBrands;
+        entry.competitors += item.signals.competitors;
+        if (entry.topMalls.length < MALLS_PER_CITY) {
+            entry.topMalls.push({ _id: item.mall._id, name: item.mall.name, score: item.score });
+        }
+    });
+
+    // 城市得分：最佳商场得分为主，候选商场数量作为加成
+    const cities = [...cityMap.values()]
+        .map(({ totalScore, ...entry }) => ({
+            ...entry,
+            score: round(entry.topMalls[0].score + Math.log10(entry.mallCount) * 0.1),
+            averageScore: round(totalScore / entry.mallCount)
+        }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+
+    return {
+        weights: SIGNAL_WEIGHTS,
+        similarBrandCount: similarIds.length,
+        cities,
+        malls: scoredMalls.slice(0, limit)
+    };
+}
+
+module.exports = {
+    SIGNAL_WEIGHTS,
+    parseExpansionQuery,
+    findExpansionOpportunities
+};
@@ -0,0 +1,176 @@
+/**
+ * 数据导出工具
+ * 将列表数据按列定义导出为 CSV、XLSX 或 GeoJSON，并设置下载响应头
+ */
+
+const XLSX = require('xlsx');
+
+// 支持的导出格式
+const EXPORT_FORMATS = ['csv', 'xlsx', 'geojson'];
+
+// 单次导出最大行数
+const MAX_EXPORT_ROWS = 50000;
+
+const CONTENT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    geojson: 'application/geo+json; charset=utf-8'
+};
+
+/**
+ * 读取列的值：优先使用列定义的 value 函数，否则按 key 路径读取（如 'province.name'）
+ * @param {object} row - 数据行
+ * @param {object} column - 列定义
+ * @returns {*}
+ */
+function readValue(row, column) {
+    if (column.value) return column.value(row);
+    return column.key.split('.').reduce((value, part) => (value == null ? value : value[part]), row);
+}
+
+// 表格软件会把以这些字符开头的文本当作公式执行
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * 以公式字符开头的文本前加单引号，避免导出文件被打开时执行公式（CSV / 公式注入）
+ * @param {string} text - 单元格文本
+ * @returns {string}
+ */
+function neutralizeFormula(text) {
+    return FORMULA_PREFIX.test(text) ? `'${text}` : text;
+}
+
+/**
+ * 按列定义生成二维表（首行为表头），文本单元格经 neutralizeFormula 处理
+ * @param {Array<object>} columns - [{ key, title, value, width }]
+ * @param {Array<object>} rows - 数据行
+ * @returns {Array<Array>}
+ */
+function toTable(columns, rows) {
+    return [
+        columns.map(column => column.title),
+        ...rows.map(row => columns.map(column => {
+            const value = readValue(row, column);
+            if (value === undefined || value === null) return '';
+            if (typeof value === 'boolean') return value ? '是' : '否';
+            if (value instanceof Date) return value.toISOString();
+            if (typeof value === 'number') return value;
+            return neutralizeFormula(String(value));
+        }))
+    ];
+}
+
+/**
+ * 生成工作表：设置列宽并为表头开启筛选
+ * @param {Array<object>} columns - 列定义
+ * @param {Array<object>} rows - 数据行
+ * @returns {object} - XLSX 工作表
+ */
+function buildSheet(columns, rows) {
+    const sheet = XLSX.utils.aoa_to_sheet(toTable(columns, rows));
+    sheet['!cols'] = columns.map(column => ({ wch: column.width || Math.max(10, column.title.length * 2 + 2) }));
+    if (columns.length > 0) {
+        sheet['!autofilter'] = {
+            ref: XLSX.utils.encode_range({ s: { r: 0, c: 0 }, e: { r: rows.length, c: columns.length - 1 } })
+        };
+    }
+    return sheet;
+}
+
+/**
+ * 工作表名称：去除非法字符，限制 31 个字符并保证唯一
+ * @param {string} name - 原始名称
+ * @param {Set} used - 已使用的名称
+ * @returns {string}
+ */
+function sheetName(name, used) {
+    const base = String(name || 'Sheet').replace(/[\\/?*[\]:]/g, ' ').trim().slice(0, 28) || 'Sheet';
+    let result = base;
+    for (let i = 2; used.has(result); i++) {
+        result = `${base}(${i})`;
+    }
+    used.add(result);
+    return result;
+}
+
+/**
+ * 生成包含多个工作表的 XLSX 文件
+ * @param {Array<object>} sheets - [{ name, columns, rows }]
+ * @returns {Buffer}
+ */
+function toXlsx(sheets) {
+    const workbook = XLSX.utils.book_new();
+    const used = new Set();
+    sheets.forEach(({ name, columns, rows }) => {
+        XLSX.utils.book_append_sheet(workbook, buildSheet(columns, rows), sheetName(name, used));
+    });
+    return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+/**
+ * 生成 CSV（带 BOM，Excel 打开不乱码）
+ * @param {Array<object>} columns - 列定义
+ * @param {Array<object>} rows - 数据行
+ * @returns {string}
+ */
+function toCsv(columns, rows) {
+    return '\uFEFF' + XLSX.utils.sheet_to_csv(XLSX.utils.aoa_to_sheet(toTable(columns, rows)));
+}
+
+/**
+ * 生成 GeoJSON FeatureCollection，没有坐标的数据 geometry 为 null
+ * @param {Array<object>} columns - 列定义（key 作为 properties 的属性名，保留原始值）
+ * @param {Array<object>} rows - 数据行
+ * @param {Function} getGeometry - 从数据行取 GeoJSON 几何对象
+ * @returns {object}
+ */
+function toGeoJSON(columns, rows, getGeometry) {
+    return {
+        type: 'FeatureCollection',
+        features: rows.map(row => {
+            const geometry = getGeometry ? getGeometry(row) : null;
+            return {
+                type: 'Feature',
+                geometry: geometry && geometry.coordinates ? { type: geometry.type, coordinates: geometry.coordinates } : null,
+                properties: Object.fromEntries(columns.map(column => [column.key, readValue(row, column) ?? null]))
+            };
+        })
+    };
+}
+
+/**
+ * 校验导出格式
+ * @param {string} format - 导出格式
+ * @returns {string|null} - 错误信息
+ */
+function validateFormat(format) {
+    return EXPORT_FORMATS.includes(format) ? null : `不支持的导出格式，可选值：${EXPORT_FORMATS.join('、')}`;
+}
+
+/**
+ * 写入下载响应
+ * @param {object} ctx - Koa 上下文
+ * @param {object} options - { filename, format, columns, rows, getGeometry, sheets }
+ */
+function sendExport(ctx, { filename, format, columns, rows, getGeometry, sheets }) {
+    let body;
+    if (format === 'xlsx') {
+        body = toXlsx(sheets || [{ name: filename, columns, rows }]);
+    } else if (format === 'geojson') {
+        body = JSON.stringify(toGeoJSON(columns, rows, getGeometry));
+    } else {
+        body = toCsv(columns, rows);
+    }
+
+    const fullName = `${filename}.${format}`;
+    ctx.set('Content-Type', CONTENT_TYPES[format]);
+    ctx.set('Content-Disposition', `attachment; filename="export.${format}"; filename*=UTF-8''${encodeURIComponent(fullName)}`);
+    ctx.body = body;
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    MAX_EXPORT_ROWS,
+    validateFormat,
+    sendExport
+};
@@ -0,0 +1,84 @@
+const XLSX = require('xlsx');
+const { validateFormat, sendExport } = require('./exportHelper');
+
+const COLUMNS = [
+    { key: 'name', title: '名称' },
+    { key: 'city.name', title: '城市' },
+    { key: 'count', title: '数量' },
+    { key: 'isOla', title: '是否奥莱' }
+];
+
+/**
+ * 调用 sendExport，返回响应头与响应体
+ * @param {object} options - sendExport 的参数
+ * @returns {object} - { headers, body }
+ */
+function exportWith(options) {
+    const headers = {};
+    const ctx = { set: (name, value) => { headers[name] = value; } };
+    sendExport(ctx, { filename: '测试', columns: COLUMNS, ...options });
+    return { headers, body: ctx.body };
+}
+
+describe('validateFormat', () => {
+    test('只接受 csv、xlsx、geojson', () => {
+        expect(validateFormat('csv')).toBeNull();
+        expect(validateFormat('xlsx')).toBeNull();
+        expect(validateFormat('geojson')).toBeNull();
+        expect(validateFormat('xls')).toMatch('不支持的导出格式');
+    });
+});
+
+describe('sendExport', () => {
+    const rows = [
+        { name: '=HYPERLINK("http://evil")', city: { name: '+上海' }, count: -3, isOla: true },
+        { name: '@SUM(A1)', city: { name: '-北京' }, count: 5, isOla: false },
+        { name: '\t制表符', city: null, count: null },
+        { name: '正常商场', city: { name: '广州' }, count: 0, isOla: false }
+    ];
+
+    test('CSV 中以公式字符开头的文本加单引号前缀，数值保持不变', () => {
+        const { headers, body } = exportWith({ format: 'csv', rows });
+        const lines = body.replace(/^\uFEFF/, '').split('\n');
+
+        expect(body.startsWith('\uFEFF')).toBe(true);
+        expect(headers['Content-Type']).toBe('text/csv; charset=utf-8');
+        expect(lines[0]).toBe('名称,城市,数量,是否奥莱');
+        expect(lines[1]).toBe('"\'=HYPERLINK(""http://evil"")",\'+上海,-3,是');
+        expect(lines[2]).toBe('\'@SUM(A1),\'-北京,5,否');
+        expect(lines[3]).toBe('\'\t制表符,,,');
+        expect(lines[4]).toBe('正常商场,广州,0,否');
+    });
+
+    test('XLSX 中公式文本同样加前缀，且单元格为文本而非公式', () => {
+        const { headers, body } = exportWith({ format: 'xlsx', rows });
+        const workbook = XLSX.read(body, { type: 'buffer', cellFormula: true });
+        const sheet = workbook.Sheets[workbook.SheetNames[0]];
+
+        expect(headers['Content-Type']).toMatch('spreadsheetml');
+        expect(sheet.A2).toMatchObject({ t: 's', v: '\'=HYPERLINK("http://evil")' });
+        expect(sheet.A2.f).toBeUndefined();
+        expect(sheet.B2.v).toBe('\'+上海');
+        expect(sheet.C2).toMatchObject({ t: 'n', v: -3 });
+        expect(sheet.A3.v).toBe('\'@SUM(A1)');
+    });
+
+    test('GeoJSON 保留原始值，不加前缀', () => {
+        const { body } = exportWith({
+            format: 'geojson',
+            rows: [{ ...rows[0], location: { type: 'Point', coordinates: [121.47, 31.23] } }, rows[2]],
+            getGeometry: row => row.location
+        });
+        const { features } = JSON.parse(body);
+
+        expect(features[0].properties).toEqual({ name: '=HYPERLINK("http://evil")', 'city.name': '+上海', count: -3, isOla: true });
+        expect(features[0].geometry).toEqual({ type: 'Point', coordinates: [121.47, 31.23] });
+        expect(features[1].geometry).toBeNull();
+    });
+
+    test('下载文件名按 UTF-8 编码', () => {
+        const { headers } = exportWith({ format: 'csv', rows: [] });
+
+        expect(headers['Content-Disposition']).toBe(`attachment; filename="export.csv"; filename*=UTF-8''${encodeURIComponent('测试.csv')}`);
+    });
+});
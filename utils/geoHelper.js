@@ -0,0 +1,158 @@
+/**
+ * 地理位置工具
+ * 用于构建 GeoJSON 坐标、解析附近搜索参数（半径 / 矩形范围）
+ */
+
+// 默认搜索半径（米）
+const DEFAULT_RADIUS = 5000;
+// 最大搜索半径（米），避免全国范围扫描
+const MAX_RADIUS = 100000;
+// 附近搜索单次最多返回的条数
+const MAX_NEARBY_RESULTS = 100;
+
+/**
+ * 校验经纬度是否合法
+ * @param {number} lng - 经度
+ * @param {number} lat - 纬度
+ * @returns {boolean} - 是否合法
+ */
+function isValidCoordinate(lng, lat) {
+    return Number.isFinite(lng) && Number.isFinite(lat) &&
+        lng >= -180 && lng <= 180 &&
+        lat >= -90 && lat <= 90;
+}
+
+/**
+ * 根据经纬度构建 GeoJSON Point
+ * @param {number|string} lng - 经度
+ * @param {number|string} lat - 纬度
+ * @returns {object|null} - GeoJSON Point，参数无效时返回 null
+ */
+function toPoint(lng, lat) {
+    const longitude = parseFloat(lng);
+    const latitude = parseFloat(lat);
+    if (!isValidCoordinate(longitude, latitude)) {
+        return null;
+    }
+    return {
+        type: 'Point',
+        coordinates: [longitude, latitude]
+    };
+}
+
+/**
+ * 解析矩形范围参数 "minLng,minLat,maxLng,maxLat"
+ * @param {string} bbox - 矩形范围字符串
+ * @returns {object|null} - 包含 GeoJSON Polygon 与中心点，参数无效时返回 null
+ */
+function parseBbox(bbox) {
+    if (!bbox || typeof bbox !== 'string') {
+        return null;
+    }
+
+    const values = bbox.split(',').map(v => parseFloat(v.trim()));
+    if (values.length !== 4) {
+        return null;
+    }
+
+    const [minLng, minLat, maxLng, maxLat] = values;
+    if (!isValidCoordinate(minLng, minLat) || !isValidCoordinate(maxLng, maxLat) ||
+        minLng >= maxLng || minLat >= maxLat) {
+        return null;
+    }
+
+    return {
+        polygon: {
+            type: 'Polygon',
+            coordinates: [[
+                [minLng, minLat],
+                [maxLng, minLat],
+                [maxLng, maxLat],
+                [minLng, maxLat],
+                [minLng, minLat]
+            ]]
+        },
+        center: {
+            type: 'Point',
+            coordinates: [(minLng + maxLng) / 2, (minLat + maxLat) / 2]
+        }
+    };
+}
+
+/**
+ * 解析附近搜索的查询参数
+ * 支持两种模式：
+ *  - 半径模式：lng、lat、radius（米）
+ *  - 矩形模式：bbox=minLng,minLat,maxLng,maxLat（可附带 lng、lat 作为距离排序的参照点）
+ * @param {object} query - ctx.query
+ * @returns {object} - { error } 或 { near, maxDistance, within }
+ */
+function parseNearbyQuery(query) {
+    const { lng, lat, radius, bbox } = query;
+    const point = (lng !== undefined && lat !== undefined) ? toPoint(lng, lat) : null;
+
+    if (bbox) {
+        const box = parseBbox(bbox);
+        if (!box) {
+            return { error: '无效的矩形范围，格式应为 minLng,minLat,maxLng,maxLat' };
+        }
+        return {
+            near: point || box.center,
+            maxDistance: null,
+            within: box.polygon
+        };
+    }
+
+    if (!point) {
+        return { error: '请提供有效的经纬度（lng、lat）或矩形范围（bbox）' };
+    }
+
+    let maxDistance = radius !== undefined ? parseFloat(radius) : DEFAULT_RADIUS;
+    if (!Number.isFinite(maxDistance) || maxDistance <= 0) {
+        return { error: '搜索半径必须为正数（单位：米）' };
+    }
+    maxDistance = Math.min(maxDistance, MAX_RADIUS);
+
+    return {
+        near: point,
+        maxDistance,
+        within: null
+    };
+}
+
+/**
+ * 构建 $geoNear 聚合阶段
+ * @param {object} nearby - parseNearbyQuery 的返回值
+ * @param {object} query - 额外的筛选条件
+ * @returns {object} - $geoNear 阶段
+ */
+function buildGeoNearStage(nearby, query = {}) {
+    const geoQuery = { ...query };
+    if (nearby.within) {
+        geoQuery.location = { $geoWithin: { $geometry: nearby.within } };
+    }
+
+    const stage = {
+        near: nearby.near,
+        distanceField: 'distance',
+        key: 'location',
+        spherical: true,
+        query: geoQuery
+    };
+    if (nearby.maxDistance) {
+        stage.maxDistance = nearby.maxDistance;
+    }
+
+    return { $geoNear: stage };
+}
+
+module.exports = {
+    DEFAULT_RADIUS,
+    MAX_RADIUS,
+    MAX_NEARBY_RESULTS,
+    isValidCoordinate,
+    toPoint,
+    parseBbox,
+    parseNearbyQuery,
+    buildGeoNearStage
+};
@@ -0,0 +1,554 @@
+/**
+ * 批量导入工具
+ * 解析 CSV / XLSX 文件中的品牌、商场、品牌门店数据，逐行校验并检测重复，
+ * 校验通过后在事务中一次性写入；单机 MongoDB 不支持事务，改为普通写入，失败时删除本批已写入的数据
+ */
+
+const path = require('path');
+const XLSX = require('xlsx');
+const { parse: parseCsv } = require('csv-parse/sync');
+const Joi = require('joi');
+const mongoose = require('mongoose');
+const Brand = require('../models/Brand');
+const Mall = require('../models/Mall');
+const BrandStore = require('../models/BrandStore');
+const Province = require('../models/Province');
+const City = require('../models/City');
+const District = require('../models/District');
+const { toPoint } = require('./geoHelper');
+
+// 支持的文件格式
+const ALLOWED_EXTENSIONS = ['.csv', '.xlsx', '.xls'];
+
+// 单次导入最大行数
+const MAX_ROWS = 5000;
+
+// 解析 XLSX / XLS 所需的最低 SheetJS 版本，更早的版本存在原型污染（CVE-2023-30533）与 ReDoS（CVE-2024-22363）漏洞
+const MIN_XLSX_VERSION = '0.20.2';
+
+// 中文表头与字段的对应关系（英文字段名可直接作为表头）
+const COLUMN_ALIASES = {
+    brand: {
+        '品牌名称': 'name', '名称': 'name', '品牌编码': 'code', '编码': 'code', '描述': 'description',
+        'logo': 'logo', '官网': 'website', '分类': 'category', '品类': 'category', '联系电话': 'contactPhone',
+        '联系邮箱': 'contactEmail', '排序': 'sort', '是否启用': 'isActive'
+    },
+    mall: {
+        '商场名称': 'name', '名称': 'name', '商场编码': 'code', '编码': 'code', '描述': 'description',
+        '官网': 'website', '省份': 'province', '省': 'province', '城市': 'city', '市': 'city',
+        '区县': 'district', '区': 'district', '地址': 'address', '联系电话': 'contactPhone',
+        '联系邮箱': 'contactEmail', '楼层数': 'floorCount', '总面积': 'totalArea', '停车位': 'parkingSpaces',
+        '营业时间': 'openingHours', '状态': 'status', '是否奥莱': 'isOla', '经度': 'longitude', '纬度': 'latitude'
+    },
+    'brand-store': {
+        '品牌': 'brand', '品牌名称': 'brand', '品牌编码': 'brand', '商场': 'mall', '商场名称': 'mall',
+        '商场编码': 'mall', '城市': 'city', '门店名称': 'storeName', '评分': 'score', '楼层': 'floor',
+        '铺位号': 'unitNumber', '营业时间': 'openingHours', '门店地址': 'storeAddress', '地址': 'storeAddress',
+        '是否奥莱': 'isOla', '是否营业': 'isActive', '联系电话': 'phone', '电话': 'phone'
+    }
+};
+
+const optionalString = Joi.string().allow('', null);
+
+// 各类型的行校验规则，与单条创建接口保持一致
+const ROW_SCHEMAS = {
+    brand: Joi.object({
+        name: Joi.string().required(),
+        code: Joi.string().required(),
+        description: optionalString,
+        logo: optionalString,
+        website: Joi.string().uri().allow('', null),
+        category: optionalString,
+        contactPhone: optionalString,
+        contactEmail: Joi.string().email().allow('', null),
+        sort: Joi.number(),
+        isActive: Joi.boolean().default(true)
+    }),
+    mall: Joi.object({
+        name: Joi.string().required(),
+        code: optionalString,
+        description: optionalString,
+        website: Joi.string().uri().allow('', null),
+        province: Joi.string().required(),
+        city: Joi.string().required(),
+        district: optionalString,
+        address: optionalString,
+        contactPhone: optionalString,
+        contactEmail: Joi.string().email().allow('', null),
+        floorCount: Joi.number().default(1),
+        totalArea: Joi.number().default(0),
+        parkingSpaces: Joi.number().default(0),
+        openingHours: optionalString,
+        status: Joi.number().valid(0, 2, 3).default(0),
+        isOla: Joi.boolean().default(false),
+        longitude: Joi.number().min(-180).max(180),
+        latitude: Joi.number().min(-90).max(90)
+    }).and('longitude', 'latitude'),
+    'brand-store': Joi.object({
+        brand: Joi.string().required(),
+        mall: Joi.string().required(),
+        city: optionalString,
+        storeName: optionalString,
+        score: Joi.number(),
+        floor: optionalString,
+        unitNumber: optionalString,
+        openingHours: optionalString,
+        storeAddress: optionalString,
+        isOla: Joi.boolean(),
+        isActive: Joi.boolean().default(true),
+        phone: optionalString
+    })
+};
+
+const BOOLEAN_FIELDS = ['isActive', 'isOla'];
+const TRUE_VALUES = ['是', 'y', 'yes', '1', 'true'];
+const FALSE_VALUES = ['否', 'n', 'no', '0', 'false'];
+
+/**
+ * 版本号是否不低于指定版本（只比较数字部分）
+ * @param {string} version - 版本号
+ * @param {string} minimum - 最低版本号
+ * @returns {boolean}
+ */
+function isVersionAtLeast(version, minimum) {
+    const current = String(version || '').split('.').map(part => parseInt(part) || 0);
+    const required = minimum.split('.').map(part => parseInt(part) || 0);
+    for (let i = 0; i < required.length; i++) {
+        if ((current[i] || 0) !== required[i]) return (current[i] || 0) > required[i];
+    }
+    return true;
+}
+
+/**
+ * 解析上传的 CSV / XLSX 文件，返回第一个工作表的数据行
+ * CSV 使用 csv-parse 解析；XLSX / XLS 需要已修复漏洞的 SheetJS 版本，低于 MIN_XLSX_VERSION 时拒绝解析
+ * @param {Buffer} buffer - 文件内容
+ * @param {string} filename - 原始文件名
+ * @returns {Array<object>} - 以表头为键的行数据
+ */
+function parseSheet(buffer, filename) {
+    const ext = path.extname(filename || '').toLowerCase();
+    if (!ALLOWED_EXTENSIONS.includes(ext)) {
+        throw new Error('仅支持 CSV、XLSX、XLS 文件');
+    }
+
+    // CSV 按 UTF-8 读取并去除 BOM，避免中文乱码
+    if (ext === '.csv') {
+        return parseCsv(buffer, {
+            columns: true,
+            bom: true,
+            skip_empty_lines: true,
+            skip_records_with_empty_values: true,
+            relax_column_count: true
+        });
+    }
+
+    if (!isVersionAtLeast(XLSX.version, MIN_XLSX_VERSION)) {
+        throw new Error(`当前 xlsx 依赖版本（${XLSX.version}）存在安全漏洞，需升级至 ${MIN_XLSX_VERSION} 及以上才能导入 XLSX、XLS 文件，请改用 CSV`);
+    }
+
+    const workbook = XLSX.read(buffer, { type: 'buffer' });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    return sheet ? XLSX.utils.sheet_to_json(sheet, { defval: '', raw: false }) : [];
+}
+
+/**
+ * 将表头转换为字段名，并整理单元格的值
+ * @param {string} type - 导入类型
+ * @param {object} raw - 原始行
+ * @returns {object}
+ */
+function normalizeRow(type, raw) {
+    const aliases = COLUMN_ALIASES[type];
+    const fields = Object.keys(ROW_SCHEMAS[type].describe().keys);
+    const row = {};
+
+    Object.entries(raw).forEach(([header, cell]) => {
+        const key = header.trim();
+        const field = fields.includes(key) ? key : aliases[key.toLowerCase()];
+        if (!field) return;
+
+        const value = typeof cell === 'string' ? cell.trim() : cell;
+        if (value === '' || value === null || value === undefined) return;
+
+        if (BOOLEAN_FIELDS.includes(field)) {
+            const text = String(value).toLowerCase();
+            if (TRUE_VALUES.includes(text)) {
+                row[field] = true;
+                return;
+            }
+            if (FALSE_VALUES.includes(text)) {
+                row[field] = false;
+                return;
+            }
+        }
+        row[field] = value;
+    });
+
+    return row;
+}
+
+/**
+ * 按 ID / 编码 / 名称建立查找表
+ * @param {Array} docs - 文档列表
+ * @returns {object} - { find(value, filter) }
+ */
+function buildLookup(docs) {
+    const byKey = new Map();
+    docs.forEach(doc => {
+        [doc._id.toString(), doc.code, doc.name].filter(Boolean).forEach(key => {
+            if (!byKey.has(key)) byKey.set(key, []);
+            if (!byKey.get(key).includes(doc)) byKey.get(key).push(doc);
+        });
+    });
+
+    return {
+        find(value, filter = () => true) {
+            return (byKey.get(String(value)) || []).filter(filter);
+        }
+    };
+}
+
+/**
+ * 从候选结果中取唯一匹配
+ * @param {Array} matches - 匹配结果
+ * @param {string} label - 字段名称
+ * @param {string} value - 原始值
+ * @returns {object} - { doc } 或 { error }
+ */
+function pickOne(matches, label, value) {
+    if (matches.length === 0) {
+        return { error: `未找到${label}「${value}」` };
+    }
+    if (matches.length > 1) {
+        return { error: `${label}「${value}」不唯一，请使用编码或ID` };
+    }
+    return { doc: matches[0] };
+}
+
+/**
+ * 加载行政区划并返回解析函数（支持 ID、编码、名称）
+ * @returns {Promise<Function>} - resolve({ province, city, district }) => { value } 或 { field, error }
+ */
+async function createRegionResolver() {
+    const [provinces, cities, districts] = await Promise.all([
+        Province.find({}).select('name code').lean(),
+        City.find({}).select('name code province').lean(),
+        District.find({}).select('name code city province').lean()
+    ]);
+
+    const provinceLookup = buildLookup(provinces);
+    const cityLookup = buildLookup(cities);
+    const districtLookup = buildLookup(districts);
+
+    return ({ province, city, district }) => {
+        const provinceResult = pickOne(provinceLookup.find(province), '省份', province);
+        if (provinceResult.error) return { field: 'province', error: provinceResult.error };
+        const provinceId = provinceResult.doc._id.toString();
+
+        const cityResult = pickOne(
+            cityLookup.find(city, doc => doc.province.toString() === provinceId),
+            '城市', city
+        );
+        if (cityResult.error) return { field: 'city', error: cityResult.error };
+        const cityId = cityResult.doc._id.toString();
+
+        let districtId = null;
+        if (district) {
+            const districtResult = pickOne(
+                districtLookup.find(district, doc => doc.city.toString() === cityId),
+                '区县', district
+            );
+            if (districtResult.error) return { field: 'district', error: districtResult.error };
+            districtId = districtResult.doc._id;
+        }
+
+        return {
+            value: {
+                province: provinceResult.doc._id,
+                city: cityResult.doc._id,
+                district: districtId
+            }
+        };
+    };
+}
+
+/**
+ * 查询值对应的文档（ID / 编码 / 名称）
+ * @param {mongoose.Model} Model - 模型
+ * @param {Array<string>} values - 待查询的值
+ * @param {string} select - 查询字段
+ * @returns {Promise<object>} - 查找表
+ */
+async function lookupByValues(Model, values, select) {
+    const unique = [...new Set(values.filter(Boolean).map(String))];
+    const ids = unique.filter(value => mongoose.Types.ObjectId.isValid(value) && value.length === 24);
+
+    const docs = unique.length === 0 ? [] : await Model.find({
+        $or: [
+            { _id: { $in: ids } },
+            { code: { $in: unique } },
+            { name: { $in: unique } }
+        ]
+    }).select(select).lean();
+
+    return buildLookup(docs);
+}
+
+/**
+ * 校验品牌行：编码在文件内及数据库中唯一
+ */
+async function checkBrands(rows, report) {
+    const codes = rows.map(({ doc }) => doc.code);
+    const existing = await Brand.find({ code: { $in: codes } }).select('code name').lean();
+    const existingMap = new Map(existing.map(brand => [brand.code, brand]));
+    const seen = new Map();
+
+    return rows.filter(({ row, doc }) => {
+        if (existingMap.has(doc.code)) {
+            report.conflicts.push({ row, message: `品牌编码「${doc.code}」已存在`, existingId: existingMap.get(doc.code)._id });
+            return false;
+        }
+        if (seen.has(doc.code)) {
+            report.conflicts.push({ row, message: `品牌编码「${doc.code}」与第${seen.get(doc.code)}行重复` });
+            return false;
+        }
+        seen.set(doc.code, row);
+        return true;
+    });
+}
+
+/**
+ * 校验商场行：解析省市区，编码唯一，同一城市内名称不重复
+ */
+async function checkMalls(rows, report) {
+    const resolveRegion = await createRegionResolver();
+
+    const resolved = rows.filter(({ row, doc }) => {
+        const region = resolveRegion(doc);
+        if (region.error) {
+            report.errors.push({ row, field: region.field, message: region.error });
+            return false;
+        }
+
+        const { longitude, latitude, ...mallData } = doc;
+        Object.assign(mallData, region.value);
+        if (!mallData.district) delete mallData.district;
+        if (!mallData.code) delete mallData.code;
+        if (longitude !== undefined) {
+            mallData.location = toPoint(longitude, latitude);
+        }
+        doc.data = mallData;
+        return true;
+    });
+
+    const existing = await Mall.find({
+        $or: [
+            { code: { $in: resolved.map(({ doc }) => doc.data.code).filter(Boolean) } },
+            { name: { $in: resolved.map(({ doc }) => doc.data.name) } }
+        ]
+    }).select('name code city').lean();
+    const seen = new Map();
+
+    return resolved.filter(({ row, doc }) => {
+        const { code, name, city } = doc.data;
+        const nameKey = `${city}:${name}`;
+
+        const sameCode = code && existing.find(mall => mall.code === code);
+        const sameName = existing.find(mall => mall.name === name && mall.city.toString() === city.toString());
+        if (sameCode || sameName) {
+            report.conflicts.push({
+                row,
+                message: sameCode ? `商场编码「${code}」已存在` : `该城市已存在商场「${name}」`,
+                existingId: (sameCode || sameName)._id
+            });
+            return false;
+        }
+
+        const duplicateRow = (code && seen.get(`code:${code}`)) || seen.get(nameKey);
+        if (duplicateRow) {
+            report.conflicts.push({ row, message: `与第${duplicateRow}行重复` });
+            return false;
+        }
+        if (code) seen.set(`code:${code}`, row);
+        seen.set(nameKey, row);
+        return true;
+    }).map(({ row, doc }) => ({ row, doc: doc.data }));
+}
+
+/**
+ * 校验品牌门店行：解析品牌与商场，检测（品牌，商场）重复
+ */
+async function checkBrandStores(rows, report) {
+    const [brandLookup, mallLookup, cityLookup] = await Promise.all([
+        lookupByValues(Brand, rows.map(({ doc }) => doc.brand), 'name code'),
+        lookupByValues(Mall, rows.map(({ doc }) => doc.mall), 'name code address province city district location'),
+        lookupByValues(City, rows.map(({ doc }) => doc.city), 'name code')
+    ]);
+
+    const resolved = rows.filter(({ row, doc }) => {
+        const brandResult = pickOne(brandLookup.find(doc.brand), '品牌', doc.brand);
+        if (brandResult.error) {
+            report.errors.push({ row, field: 'brand', message: brandResult.error });
+            return false;
+        }
+
+        // 商场按名称匹配到多个时，可通过城市列区分
+        const cityIds = doc.city ? cityLookup.find(doc.city).map(city => city._id.toString()) : null;
+        const mallResult = pickOne(
+            mallLookup.find(doc.mall, mall => !cityIds || cityIds.includes(mall.city.toString())),
+            '商场', doc.mall
+        );
+        if (mallResult.error) {
+            report.errors.push({ row, field: 'mall', message: mallResult.error });
+            return false;
+        }
+
+        const mall = mallResult.doc;
+        const isOutletMall = mall.name && (mall.name.includes('奥莱') || mall.name.includes('奥特莱斯'));
+        const { city, ...storeData } = doc;
+        doc.data = {
+            ...storeData,
+            brand: brandResult.doc._id,
+            mall: mall._id,
+            province: mall.province,
+            city: mall.city,
+            district: mall.district || null,
+            storeAddress: doc.storeAddress || mall.address,
+            location: mall.location?.coordinates ? { type: 'Point', coordinates: mall.location.coordinates } : undefined,
+            isOla: isOutletMall || Boolean(doc.isOla)
+        };
+        return true;
+    });
+
+    const existing = resolved.length === 0 ? [] : await BrandStore.find({
+        $or: resolved.map(({ doc }) => ({ brand: doc.data.brand, mall: doc.data.mall }))
+    }).select('brand mall').lean();
+    const existingMap = new Map(existing.map(store => [`${store.brand}:${store.mall}`, store]));
+    const seen = new Map();
+
+    return resolved.filter(({ row, doc }) => {
+        const key = `${doc.data.brand}:${doc.data.mall}`;
+        if (existingMap.has(key)) {
+            report.conflicts.push({ row, message: `品牌「${doc.brand}」已入驻商场「${doc.mall}」`, existingId: existingMap.get(key)._id });
+            return false;
+        }
+        if (seen.has(key)) {
+            report.conflicts.push({ row, message: `与第${seen.get(key)}行的品牌、商场重复` });
+            return false;
+        }
+        seen.set(key, row);
+        return true;
+    }).map(({ row, doc }) => ({ row, doc: doc.data }));
+}
+
+const CHECKERS = {
+    brand: checkBrands,
+    mall: checkMalls,
+    'brand-store': checkBrandStores
+};
+
+const MODELS = {
+    brand: Brand,
+    mall: Mall,
+    'brand-store': BrandStore
+};
+
+/**
+ * 校验导入数据，生成预检报告
+ * @param {string} type - brand | mall | brand-store
+ * @param {Array<object>} rawRows - parseSheet 的返回值
+ * @returns {Promise<object>} - { report, docs }
+ */
+async function validateImport(type, rawRows) {
+    const report = { type, total: rawRows.length, valid: 0, errors: [], conflicts: [] };
+
+    if (rawRows.length > MAX_ROWS) {
+        report.errors.push({ row: null, message: `单次最多导入${MAX_ROWS}行` });
+        return { report, docs: [] };
+    }
+
+    // 第 1 行为表头，数据从第 2 行开始
+    const rows = [];
+    rawRows.forEach((raw, index) => {
+        const row = index + 2;
+        const { error, value } = ROW_SCHEMAS[type].validate(normalizeRow(type, raw), { abortEarly: false, stripUnknown: true });
+        if (error) {
+            error.details.forEach(detail => {
+                report.errors.push({ row, field: detail.path.join('.'), message: detail.message });
+            });
+            return;
+        }
+        rows.push({ row, doc: value });
+    });
+
+    const valid = rows.length > 0 ? await CHECKERS[type](rows, report) : [];
+    report.valid = valid.length;
+
+    return { report, docs: valid.map(({ doc }) => doc) };
+}
+
+// 当前连接是否支持事务（首次写入时检测）
+let transactionSupport = null;
+
+/**
+ * 检测是否支持事务：副本集或分片集群支持，单机 MongoDB 不支持
+ * @returns {Promise<boolean>}
+ */
+async function supportsTransactions() {
+    if (transactionSupport === null) {
+        const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+        transactionSupport = Boolean(hello.setName || hello.msg === 'isdbgrid');
+        if (!transactionSupport) {
+            console.warn('当前 MongoDB 为单机部署，不支持事务，批量导入将不使用事务写入');
+        }
+    }
+    return transactionSupport;
+}
+
+/**
+ * 不使用事务写入：预先生成ID，写入失败时删除本批已写入的数据
+ * @param {object} Model - 模型
+ * @param {Array<object>} docs - 待写入的数据
+ * @returns {Promise<Array>} - 创建的文档
+ */
+async function insertWithoutTransaction(Model, docs) {
+    const withIds = docs.map(doc => ({ ...doc, _id: doc._id || new mongoose.Types.ObjectId() }));
+    try {
+        return await Model.insertMany(withIds);
+    } catch (error) {
+        await Model.deleteMany({ _id: { $in: withIds.map(doc => doc._id) } });
+        throw error;
+    }
+}
+
+/**
+ * 写入校验通过的数据：支持事务时在事务中写入
+ * @param {string} type - 导入类型
+ * @param {Array<object>} docs - validateImport 返回的 docs
+ * @returns {Promise<Array>} - 创建的文档
+ */
+async function commitImport(type, docs) {
+    if (!(await supportsTransactions())) {
+        return insertWithoutTransaction(MODELS[type], docs);
+    }
+
+    const session = await mongoose.startSession();
+    try {
+        let created = [];
+        await session.withTransaction(async () => {
+            created = await MODELS[type].insertMany(docs, { session });
+        });
+        return created;
+    } finally {
+        await session.endSession();
+    }
+}
+
+module.exports = {
+    ALLOWED_EXTENSIONS,
+    MAX_ROWS,
+    parseSheet,
+    validateImport,
+    commitImport
+};
@@ -0,0 +1,256 @@
+/**
+ * 登录防暴力破解工具
+ * 按账户（邮箱）与来源 IP 分别统计连续登录失败次数：超过免等待次数后每次失败的等待时间翻倍，
+ * 达到上限后临时锁定，近期重复锁定时锁定时长翻倍；账户被锁定时给用户发送系统通知。
+ * 二次验证失败按用户单独统计，密码登录成功不清零，跨多次登录累计，达到上限时同时锁定账户
+ */
+
+const LoginAttempt = require('../models/LoginAttempt');
+const Notification = require('../models/Notification');
+
+// 超过该时间没有新的失败，失败次数重新计算
+const FAILURE_WINDOW = 15 * 60 * 1000;
+
+// 两次尝试之间的最长等待时间
+const MAX_DELAY = 60 * 1000;
+
+// 最长锁定时间
+const MAX_LOCK = 24 * 60 * 60 * 1000;
+
+// 锁定次数的统计周期，同时也是记录的保留时间
+const HISTORY_PERIOD = 24 * 60 * 60 * 1000;
+
+// 各维度的限制：免等待失败次数、锁定前最多失败次数、首次锁定时长（分钟）、失败次数的统计窗口
+// 二次验证码只有 6 位，失败次数按 24 小时累计，避免每隔一段时间换一批尝试
+const POLICIES = {
+    account: { freeAttempts: 3, maxFailures: 10, lockMinutes: 15, failureWindow: FAILURE_WINDOW },
+    ip: { freeAttempts: 10, maxFailures: 50, lockMinutes: 30, failureWindow: FAILURE_WINDOW },
+    second_factor: { freeAttempts: 3, maxFailures: 10, lockMinutes: 30, failureWindow: HISTORY_PERIOD }
+};
+
+/**
+ * 锁定时长：每次重复锁定翻倍
+ * @param {object} policy - 限制
+ * @param {number} lockCount - 第几次锁定
+ * @returns {number} - 毫秒
+ */
+function lockDuration(policy, lockCount) {
+    return Math.min(policy.lockMinutes * 60 * 1000 * 2 ** (lockCount - 1), MAX_LOCK);
+}
+
+/**
+ * 距离允许再次尝试的剩余时间
+ * @param {object} record - LoginAttempt 记录
+ * @param {Date} now - 当前时间
+ * @returns {object} - { remaining: 毫秒, locked: 是否处于锁定 }
+ */
+function remainingWait(record, now) {
+    if (!record) return { remaining: 0, locked: false };
+
+    if (record.lockedUntil && record.lockedUntil > now) {
+        return { remaining: record.lockedUntil - now, locked: true };
+    }
+
+    const policy = POLICIES[record.scope];
+    if (record.failures <= policy.freeAttempts || !record.lastFailedAt || now - record.lastFailedAt > policy.failureWindow) {
+        return { remaining: 0, locked: false };
+    }
+
+    const delay = Math.min(1000 * 2 ** (record.failures - policy.freeAttempts - 1), MAX_DELAY);
+    return { remaining: Math.max(record.lastFailedAt.getTime() + delay - now.getTime(), 0), locked: false };
+}
+
+/**
+ * 登录前检查账户与来源 IP 是否允许尝试
+ * @param {object} ctx - Koa 上下文
+ * @param {string} email - 登录邮箱
+ * @returns {Promise<object|null>} - 不允许时返回 { locked, retryAfter（秒）, message }
+ */
+async function checkLoginAllowed(ctx, email) {
+    const now = new Date();
+    const records = await LoginAttempt.find({
+        $or: [
+            { scope: 'account', key: String(email).toLowerCase() },
+            { scope: 'ip', key: ctx.ip || '' }
+        ]
+    }).lean();
+
+    return blockedResult(records, now);
+}
+
+/**
+ * 按记录中最长的等待时间生成限制提示
+ * @param {Array<object>} records - LoginAttempt 记录
+ * @param {Date} now - 当前时间
+ * @returns {object|null} - 不允许时返回 { locked, retryAfter（秒）, message }
+ */
+function blockedResult(records, now) {
+    let wait = { remaining: 0, locked: false };
+    records.forEach(record => {
+        const current = remainingWait(record, now);
+        if (current.remaining > wait.remaining) wait = current;
+    });
+    if (wait.remaining <= 0) return null;
+
+    const retryAfter = Math.ceil(wait.remaining / 1000);
+    return {
+        locked: wait.locked,
+        retryAfter,
+        message: wait.locked
+            ? `登录失败次数过多，已临时锁定，请${Math.ceil(retryAfter / 60)}分钟后再试`
+            : `登录尝试过于频繁，请${retryAfter}秒后再试`
+    };
+}
+
+/**
+ * 发送账户锁定通知（失败只记录日志）
+ * @param {string} userId - 用户ID
+ * @param {object} record - 锁定后的 LoginAttempt 记录
+ */
+async function notifyLocked(userId, record) {
+    try {
+        const minutes = Math.ceil((record.lockedUntil - record.lastLockedAt) / 60000);
+        const content = record.scope === 'second_factor'
+            ? `您的账户两步验证连续失败${POLICIES.second_factor.maxFailures}次，已临时锁定${minutes}分钟。密码可能已泄露，建议立即修改密码。`
+            : `您的账户连续${POLICIES.account.maxFailures}次登录失败，已临时锁定${minutes}分钟。如非本人操作，建议通过找回密码重置密码。`;
+        await Notification.create({
+            recipient: userId,
+            type: 'system',
+            title: '账户已临时锁定',
+            content,
+            priority: 'high'
+        });
+    } catch (error) {
+        console.error('发送账户锁定通知失败:', error);
+    }
+}
+
+/**
+ * 累计一次失败，达到上限时锁定
+ * @param {string} scope - account | ip
+ * @param {string} key - 邮箱或 IP
+ * @param {object} user - 对应的用户（可选）
+ * @returns {Promise<object|null>} - 本次触发锁定时返回锁定后的记录
+ */
+async function addFailure(scope, key, user) {
+    const policy = POLICIES[scope];
+    const now = new Date();
+
+    // 统计窗口外的失败不再累计
+    await LoginAttempt.updateOne(
+        { scope, key, lastFailedAt: { $lt: new Date(now.getTime() - policy.failureWindow) } },
+        { failures: 0 }
+    );
+
+    const update = { lastFailedAt: now, expiresAt: new Date(now.getTime() + HISTORY_PERIOD) };
+    if (user) update.user = user._id;
+    const record = await LoginAttempt.findOneAndUpdate(
+        { scope, key },
+        { $inc: { failures: 1 }, $set: update },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+    if (record.failures < policy.maxFailures) return null;
+
+    const lockCount = record.lastLockedAt && now - record.lastLockedAt < HISTORY_PERIOD ? record.lockCount + 1 : 1;
+    const lockedUntil = new Date(now.getTime() + lockDuration(policy, lockCount));
+
+    // 以失败次数为条件，并发失败时只锁定一次
+    return LoginAttempt.findOneAndUpdate(
+        { _id: record._id, failures: { $gte: policy.maxFailures } },
+        {
+            failures: 0,
+            lockCount,
+            lastLockedAt: now,
+            lockedUntil,
+            expiresAt: new Date(lockedUntil.getTime() + HISTORY_PERIOD)
+        },
+        { new: true }
+    );
+}
+
+/**
+ * 记录一次登录失败（邮箱未注册同样计入，避免据此判断账户是否存在）
+ * @param {object} ctx - Koa 上下文
+ * @param {string} email - 登录邮箱
+ * @param {object} user - 对应的用户（可选）
+ * @returns {Promise<boolean>} - 账户是否因此被锁定
+ */
+async function recordLoginFailure(ctx, email, user = null) {
+    const [accountLock] = await Promise.all([
+        addFailure('account', String(email).toLowerCase(), user),
+        addFailure('ip', ctx.ip || '')
+    ]);
+
+    if (accountLock && user) {
+        await notifyLocked(user._id, accountLock);
+    }
+    return Boolean(accountLock);
+}
+
+/**
+ * 登录成功或重置密码后清除账户的失败次数与锁定（保留锁定次数，用于计算下次锁定时长）
+ * @param {string} email - 邮箱
+ */
+async function clearLoginFailures(email) {
+    await LoginAttempt.updateOne(
+        { scope: 'account', key: String(email).toLowerCase() },
+        { failures: 0, lockedUntil: null }
+    );
+}
+
+/**
+ * 二次验证前检查用户是否允许尝试（与密码登录的锁定相互独立，重置密码不会解除）
+ * @param {object} user - 用户
+ * @returns {Promise<object|null>} - 不允许时返回 { locked, retryAfter（秒）, message }
+ */
+async function checkSecondFactorAllowed(user) {
+    const record = await LoginAttempt.findOne({ scope: 'second_factor', key: user._id.toString() }).lean();
+    return blockedResult(record ? [record] : [], new Date());
+}
+
+/**
+ * 记录一次二次验证失败；达到上限时锁定二次验证，并以同样时长锁定账户的密码登录
+ * @param {object} user - 用户（需含 email）
+ * @returns {Promise<boolean>} - 是否因此被锁定
+ */
+async function recordSecondFactorFailure(user) {
+    const lock = await addFailure('second_factor', user._id.toString(), user);
+    if (!lock) return false;
+
+    await LoginAttempt.findOneAndUpdate(
+        { scope: 'account', key: String(user.email).toLowerCase() },
+        {
+            $set: {
+                user: user._id,
+                failures: 0,
+                lockedUntil: lock.lockedUntil,
+                lastLockedAt: lock.lastLockedAt,
+                expiresAt: lock.expiresAt
+            }
+        },
+        { upsert: true, setDefaultsOnInsert: true }
+    );
+    await notifyLocked(user._id, lock);
+    return true;
+}
+
+/**
+ * 二次验证通过后清除失败次数（保留锁定次数）
+ * @param {object} user - 用户
+ */
+async function clearSecondFactorFailures(user) {
+    await LoginAttempt.updateOne(
+        { scope: 'second_factor', key: user._id.toString() },
+        { failures: 0, lockedUntil: null }
+    );
+}
+
+module.exports = {
+    POLICIES,
+    checkLoginAllowed,
+    recordLoginFailure,
+    clearLoginFailures,
+    checkSecondFactorAllowed,
+    recordSecondFactorFailure,
+    clearSecondFactorFailures
+};
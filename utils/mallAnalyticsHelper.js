@@ -0,0 +1,164 @@
+/**
+ * 商场租户构成分析工具
+ * 按品类、楼层、品牌分值与奥莱（isOla）占比分析商场的品牌构成，
+ * 并与同城其他商场在各维度上排名
+ */
+
+const BrandStore = require('../models/BrandStore');
+const Mall = require('../models/Mall');
+const { brandScore } = require('./comparisonHelper');
+const { round, loadCategoryMap } = require('./analyticsHelper');
+
+// 未填写楼层的门店归入该分组
+const UNKNOWN_FLOOR = '未知楼层';
+
+/**
+ * 按商场汇总有效门店（门店与品牌均启用）
+ * @param {Array} mallIds - 商场ID列表
+ * @returns {Promise<Map>} - 商场ID -> 指标
+ */
+async function collectMetrics(mallIds) {
+    const stores = await BrandStore.find({ mall: { $in: mallIds }, isActive: true })
+        .select('mall brand floor isOla')
+        .populate('brand', 'name category score isActive')
+        .lean();
+
+    const metrics = new Map(mallIds.map(id => [id.toString(), {
+        brands: new Set(),
+        storeCount: 0,
+        totalScore: 0,
+        outletCount: 0,
+        categories: {},
+        floors: {}
+    }]));
+
+    stores.forEach(store => {
+        if (!store.brand || !store.brand.isActive) return;
+
+        const item = metrics.get(store.mall.toString());
+        const brandId = store.brand._id.toString();
+        const category = store.brand.category != null ? String(store.brand.category) : '';
+        const floor = store.floor || UNKNOWN_FLOOR;
+
+        item.brands.add(brandId);
+        item.storeCount++;
+        item.totalScore += brandScore(store.brand);
+        if (store.isOla) item.outletCount++;
+
+        if (!item.categories[category]) item.categories[category] = new Set();
+        item.categories[category].add(brandId);
+
+        if (!item.floors[floor]) item.floors[floor] = { brands: new Set(), storeCount: 0 };
+        item.floors[floor].brands.add(brandId);
+        item.floors[floor].storeCount++;
+    });
+
+    return metrics;
+}
+
+/**
+ * 计算可排名的指标
+ * @param {object} item - collectMetrics 中的单个商场指标
+ * @returns {object} - { tenantCount, storeCount, averageScore, outletRatio, categoryRatio }
+ */
+function summarize(item) {
+    const tenantCount = item.brands.size;
+    const categoryRatio = {};
+    Object.entries(item.categories).forEach(([category, brands]) => {
+        categoryRatio[category] = tenantCount > 0 ? round(brands.size / tenantCount) : 0;
+    });
+
+    return {
+        tenantCount,
+        storeCount: item.storeCount,
+        averageScore: item.storeCount > 0 ? round(item.totalScore / item.storeCount) : 0,
+        outletRatio: item.storeCount > 0 ? round(item.outletCount / item.storeCount) : 0,
+        categoryRatio
+    };
+}
+
+/**
+ * 计算排名：1 + 数值严格大于当前商场的商场数（并列同名次）
+ * @param {Array<number>} values - 同城所有商场的数值
+ * @param {number} value - 当前商场的数值
+ * @returns {object} - { rank, total, percentile }
+ */
+function rankOf(values, value) {
+    const rank = values.filter(other => other > value).length + 1;
+    return {
+        rank,
+        total: values.length,
+        // 超过同城商场的比例
+        percentile: values.length > 1 ? round(values.filter(other => other < value).length / (values.length - 1)) : 1
+    };
+}
+
+/**
+ * 生成商场租户构成分析
+ * @param {object} mall - 商场文档
+ * @returns {Promise<object>} - { mall, summary, categoryMix, floorMix, cityRanking }
+ */
+async function getMallAnalytics(mall) {
+    const cityMalls = await Mall.find({ city: mall.city, isActive: true }).select('_id').lean();
+    const mallIds = cityMalls.map(item => item._id.toString());
+    if (!mallIds.includes(mall._id.toString())) {
+        // 停用的商场也参与自身分析，但不影响同城其他商场的排名基数
+        mallIds.push(mall._id.toString());
+    }
+
+    const [categoryMap, metrics] = await Promise.all([
+        loadCategoryMap(),
+        collectMetrics(mallIds)
+    ]);
+
+    const target = metrics.get(mall._id.toString());
+    const summaries = new Map([...metrics].map(([id, item]) => [id, summarize(item)]));
+    const summary = summaries.get(mall._id.toString());
+    const peers = [...summaries.values()];
+
+    const categoryMix = Object.entries(target.categories)
+        .map(([category, brands]) => ({
+            category,
+            label: categoryMap[category] || category || '未分类',
+            brandCount: brands.size,
+            ratio: summary.categoryRatio[category],
+            cityRanking: rankOf(peers.map(item => item.categoryRatio[category] || 0), summary.categoryRatio[category])
+        }))
+        .sort((a, b) => b.brandCount - a.brandCount);
+
+    const floorMix = Object.entries(target.floors)
+        .map(([floor, item]) => ({
+            floor,
+            brandCount: item.brands.size,
+            storeCount: item.storeCount,
+            ratio: target.storeCount > 0 ? round(item.storeCount / target.storeCount) : 0
+        }))
+        .sort((a, b) => a.floor.localeCompare(b.floor, 'zh-CN', { numeric: true }));
+
+    return {
+        mall: {
+            _id: mall._id,
+            name: mall.name,
+            city: mall.city,
+            floorCount: mall.floorCount
+        },
+        summary: {
+            tenantCount: summary.tenantCount,
+            storeCount: summary.storeCount,
+            averageScore: summary.averageScore,
+            outletCount: target.outletCount,
+            outletRatio: summary.outletRatio
+        },
+        categoryMix,
+        floorMix,
+        cityRanking: {
+            tenantCount: rankOf(peers.map(item => item.tenantCount), summary.tenantCount),
+            averageScore: rankOf(peers.map(item => item.averageScore), summary.averageScore),
+            outletRatio: rankOf(peers.map(item => item.outletRatio), summary.outletRatio)
+        }
+    };
+}
+
+module.exports = {
+    getMallAnalytics
+};
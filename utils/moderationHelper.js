@@ -0,0 +1,227 @@
+/**
+ * 内容审核工具
+ * 博客、评论发布前做风险检查：命中不拦截的敏感词，或 AI 审核（DEEPSEEK_CONTENT_MODERATION=true 时）认为内容不当，
+ * 则进入待审核队列，审核通过前只有作者与审核人员可见；审核结果以系统通知告知作者。
+ * 博客还需已发布（非草稿、非定时发布）才公开
+ */
+
+const Notification = require('../models/Notification');
+const Blog = require('../models/blogs');
+const User = require('../models/User');
+const deepseekConfig = require('../config/deepseek');
+const { MODERATION_TARGETS } = require('../config/moderation');
+const { deepseekHelper } = require('./deepseekHelper');
+const { findSensitiveWords } = require('./sensitiveWordHelper');
+const { hasPermission } = require('./permissionHelper');
+
+// AI 审核超时（毫秒），超时按审核服务不可用处理，不阻塞发布
+const AI_TIMEOUT = parseInt(process.env.MODERATION_AI_TIMEOUT) || 8000;
+
+// 提交给 AI 审核的最大字数
+const AI_MAX_LENGTH = 4000;
+
+/**
+ * 公开可见内容的查询条件（旧数据没有审核状态，视为已通过）
+ * @returns {object}
+ */
+function publishedCondition() {
+    return { moderationStatus: { $in: ['approved', null] } };
+}
+
+/**
+ * 内容是否公开可见
+ * @param {object} doc - 博客或评论
+ * @returns {boolean}
+ */
+function isPublished(doc) {
+    return !doc.moderationStatus || doc.moderationStatus === 'approved';
+}
+
+/**
+ * 公开可见博客的查询条件（审核已通过且已发布）
+ * @returns {object}
+ */
+function publicBlogCondition() {
+    return { ...publishedCondition(), publishStatus: { $in: ['published', null] } };
+}
+
+/**
+ * 博客是否已发布（旧数据没有发布状态，视为已发布）
+ * @param {object} blog - 博客
+ * @returns {boolean}
+ */
+function isReleased(blog) {
+    return !blog.publishStatus || blog.publishStatus === 'published';
+}
+
+/**
+ * 博客是否公开可见
+ * @param {object} blog - 博客
+ * @returns {boolean}
+ */
+function isPublicBlog(blog) {
+    return isPublished(blog) && isReleased(blog);
+}
+
+/**
+ * 当前用户是否为作者
+ * @param {object} ctx - Koa 上下文
+ * @param {object} doc - 博客或评论（user 可已 populate）
+ * @returns {boolean}
+ */
+function isAuthor(ctx, doc) {
+    const user = ctx.state.user;
+    const authorId = (doc.user?._id || doc.user)?.toString();
+    return !!user && !!authorId && authorId === String(user.userId || user.id);
+}
+
+/**
+ * 当前用户能否查看未公开的内容（作者本人或审核人员）
+ * @param {object} ctx - Koa 上下文
+ * @param {object} doc - 博客或评论（user 可已 populate）
+ * @returns {Promise<boolean>}
+ */
+async function canViewUnpublished(ctx, doc) {
+    if (!ctx.state.user) return false;
+    if (isAuthor(ctx, doc)) return true;
+    return hasPermission(ctx, 'content:moderate');
+}
+
+/**
+ * 当前用户能否查看博客：草稿与定时发布的博客只有作者与博客管理人员可见，其余未公开的同 canViewUnpublished
+ * @param {object} ctx - Koa 上下文
+ * @param {object} blog - 博客（user 可已 populate）
+ * @returns {Promise<boolean>}
+ */
+async function canViewBlog(ctx, blog) {
+    if (isPublicBlog(blog)) return true;
+    if (isReleased(blog)) return canViewUnpublished(ctx, blog);
+    return isAuthor(ctx, blog) || hasPermission(ctx, 'blog:manage');
+}
+
+/**
+ * AI 审核（超时或服务不可用时返回 null）
+ * @param {string} text - 内容
+ * @returns {Promise<object|null>}
+ */
+async function moderateWithAI(text) {
+    let timer = null;
+    const timeout = new Promise(resolve => {
+        timer = setTimeout(() => resolve(null), AI_TIMEOUT);
+    });
+
+    try {
+        const result = await Promise.race([deepseekHelper.moderateContent(text.slice(0, AI_MAX_LENGTH)), timeout]);
+        return result && !result.unavailable ? result : null;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * 检查内容风险，决定发布后的审核状态
+ * 应在 validateContent 之后调用：拦截级别的敏感词已被拒绝，此处命中的只有不拦截的词
+ * @param {string} text - 内容（博客为标题与正文）
+ * @returns {Promise<object>} - { status: approved | pending, reasons: 进入队列的原因 }
+ */
+async function assessContentRisk(text) {
+    const reasons = [];
+
+    const matches = await findSensitiveWords(text);
+    if (matches.length > 0) {
+        reasons.push(`命中敏感词：${[...new Set(matches.map(match => match.word))].join('、')}`);
+    }
+
+    // AI 审核不可用时只按敏感词判断，避免审核服务故障时全部内容积压
+    if (deepseekConfig.features.contentModeration && deepseekHelper.apiKey) {
+        const result = await moderateWithAI(text);
+        if (result && result.isAppropriate === false) {
+            const issues = Array.isArray(result.issues) ? result.issues.filter(Boolean) : [];
+            reasons.push(`AI审核：${issues.length > 0 ? issues.join('；') : '内容可能不当'}`);
+        }
+    }
+
+    return {
+        status: reasons.length > 0 ? 'pending' : 'approved',
+        reasons
+    };
+}
+
+/**
+ * 通知作者审核结果（失败只记录日志）
+ * @param {string} type - blog | comment
+ * @param {object} doc - 博客或评论
+ * @param {string} status - 审核后的状态
+ * @param {string} reason - 审核原因
+ */
+async function notifyModerationResult(type, doc, status, reason = '') {
+    const name = MODERATION_TARGETS[type];
+    const subject = type === 'blog' ? `${name}《${doc.title}》` : `${name}「${String(doc.content).slice(0, 30)}」`;
+    const messages = {
+        approved: { title: `${name}审核通过`, content: `您的${subject}已审核通过，现已公开` },
+        rejected: { title: `${name}未通过审核`, content: `您的${subject}未通过审核` },
+        hidden: { title: `${name}已被隐藏`, content: `您的${subject}已被隐藏` }
+    };
+    const message = messages[status];
+    if (!message) return;
+
+    try {
+        await Notification.create({
+            recipient: doc.user,
+            type: 'system',
+            title: message.title,
+            content: `${message.content}${reason ? `，原因：${reason}` : ''}`.slice(0, 500),
+            relatedBlog: type === 'blog' ? doc._id : doc.blog,
+            relatedComment: type === 'comment' ? doc._id : undefined,
+            priority: status === 'approved' ? 'normal' : 'high'
+        });
+    } catch (error) {
+        console.error('发送审核通知失败:', error);
+    }
+}
+
+/**
+ * 待审核的评论通过后，补发给博客作者或被回复用户的通知（失败只记录日志）
+ * @param {object} comment - 评论
+ */
+async function notifyCommentPublished(comment) {
+    try {
+        const [blog, author] = await Promise.all([
+            Blog.findById(comment.blog).select('title user'),
+            User.findById(comment.user).select('username')
+        ]);
+        if (!blog) return;
+
+        const isReply = !!comment.parentId;
+        const recipient = isReply ? comment.replyTo : blog.user;
+        if (!recipient || recipient.toString() === comment.user.toString()) return;
+
+        await Notification.create({
+            recipient,
+            sender: comment.user,
+            type: isReply ? 'reply' : 'comment',
+            title: isReply ? '新回复通知' : '新评论通知',
+            content: isReply
+                ? `${author?.username} 回复了您在《${blog.title}》中的评论`
+                : `${author?.username} 评论了您的博客《${blog.title}》`,
+            relatedBlog: blog._id,
+            relatedComment: comment._id,
+            priority: 'normal'
+        });
+    } catch (error) {
+        console.error('发送评论通知失败:', error);
+    }
+}
+
+module.exports = {
+    publishedCondition,
+    isPublished,
+    publicBlogCondition,
+    isReleased,
+    isPublicBlog,
+    canViewUnpublished,
+    canViewBlog,
+    assessContentRisk,
+    notifyModerationResult,
+    notifyCommentPublished
+};
@@ -0,0 +1,382 @@
+/**
+ * 第三方登录工具
+ * 授权码模式：startAuthorization 生成授权地址，第三方回调后 completeAuthorization 用授权码换取账户信息。
+ * state 只能使用一次，OIDC 同时校验 PKCE 与 id_token（签名、issuer、audience、nonce）。
+ * 发起授权时在浏览器写入随机绑定 Cookie，流程中只保存其哈希，回调时必须由同一浏览器携带该 Cookie 完成（防止登录 CSRF）。
+ * 各提供方的对接方式由 ADAPTERS 按配置中的 type 选择，返回统一的账户信息：
+ * { subject, email, emailVerified, name, avatar }
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const jsonwebtoken = require('jsonwebtoken');
+const NodeCache = require('node-cache');
+const { OAUTH_PROVIDERS } = require('../config/oauthProviders');
+
+// 授权流程（state -> 流程信息），10 分钟内未完成授权则失效
+const flowCache = new NodeCache({ stdTTL: 10 * 60 });
+
+// OIDC 发现文档与公钥缓存
+const discoveryCache = new NodeCache({ stdTTL: 60 * 60 });
+
+const HTTP_TIMEOUT = 10000;
+
+// 授权流程与浏览器绑定的 Cookie，有效期与授权流程一致
+const BINDING_COOKIE = 'oauth_binding';
+const BINDING_MAX_AGE = 10 * 60 * 1000;
+
+// id_token 允许的签名算法
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384'];
+
+/**
+ * 已启用的提供方配置（未配置 clientId 的不启用）
+ * @param {string} id - 提供方
+ * @returns {object|null}
+ */
+function getProvider(id) {
+    const config = Object.prototype.hasOwnProperty.call(OAUTH_PROVIDERS, id) ? OAUTH_PROVIDERS[id] : null;
+    if (!config || !config.clientId || !ADAPTERS[config.type]) return null;
+    return { id, ...config };
+}
+
+/**
+ * 已启用的提供方列表
+ * @returns {Array<object>} - [{ id, name }]
+ */
+function listProviders() {
+    return Object.keys(OAUTH_PROVIDERS)
+        .map(getProvider)
+        .filter(Boolean)
+        .map(provider => ({ id: provider.id, name: provider.name }));
+}
+
+/**
+ * 第三方回调地址（前端页面，收到 code 与 state 后提交给后端）
+ * @param {object} provider - 提供方
+ * @returns {string}
+ */
+function redirectUri(provider) {
+    const base = process.env.OAUTH_REDIRECT_URL || `${process.env.HOST || 'http://localhost:5002'}/oauth/callback`;
+    return `${base.replace(/\/$/, '')}/${provider.id}`;
+}
+
+/**
+ * 随机字符串（base64url）
+ * @param {number} bytes - 字节数
+ * @returns {string}
+ */
+function randomString(bytes = 32) {
+    return crypto.randomBytes(bytes).toString('base64url');
+}
+
+/**
+ * 拼接查询参数
+ * @param {string} url - 地址
+ * @param {object} params - 参数（值为空的忽略）
+ * @returns {string}
+ */
+function withQuery(url, params) {
+    const target = new URL(url);
+    Object.entries(params).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') target.searchParams.set(key, value);
+    });
+    return target.toString();
+}
+
+// ============ OpenID Connect ============
+
+/**
+ * 获取 OIDC 发现文档
+ * @param {object} provider - 提供方
+ * @returns {Promise<object>}
+ */
+async function discover(provider) {
+    const issuer = String(provider.issuer || '').replace(/\/$/, '');
+    const cacheKey = `discovery:${issuer}`;
+    const cached = discoveryCache.get(cacheKey);
+    if (cached) return cached;
+
+    const { data } = await axios.get(`${issuer}/.well-known/openid-configuration`, { timeout: HTTP_TIMEOUT });
+    if (data.issuer !== issuer && data.issuer !== `${issuer}/`) {
+        throw new Error('发现文档的 issuer 与配置不一致');
+    }
+    discoveryCache.set(cacheKey, data);
+    return data;
+}
+
+/**
+ * 获取 id_token 签名公钥（找不到 kid 时刷新一次公钥集，以支持密钥轮换）
+ * @param {object} discovery - 发现文档
+ * @param {string} kid - 公钥ID
+ * @returns {Promise<crypto.KeyObject>}
+ */
+async function signingKey(discovery, kid) {
+    const cacheKey = `jwks:${discovery.jwks_uri}`;
+    const find = keys => keys.find(key => !kid || key.kid === kid);
+
+    let keys = discoveryCache.get(cacheKey);
+    if (!keys || !find(keys)) {
+        const { data } = await axios.get(discovery.jwks_uri, { timeout: HTTP_TIMEOUT });
+        keys = (data.keys || []).filter(key => !key.use || key.use === 'sig');
+        discoveryCache.set(cacheKey, keys);
+    }
+
+    const jwk = find(keys);
+    if (!jwk) throw new Error('找不到 id_token 的签名公钥');
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+const oidcAdapter = {
+    async authorizeUrl(provider, flow) {
+        const discovery = await discover(provider);
+        return withQuery(discovery.authorization_endpoint, {
+            response_type: 'code',
+            client_id: provider.clientId,
+            redirect_uri: redirectUri(provider),
+            scope: provider.scope,
+            state: flow.state,
+            nonce: flow.nonce,
+            code_challenge: crypto.createHash('sha256').update(flow.codeVerifier).digest('base64url'),
+            code_challenge_method: 'S256'
+        });
+    },
+
+    async fetchProfile(provider, code, flow) {
+        const discovery = await discover(provider);
+        const { data: token } = await axios.post(discovery.token_endpoint, new URLSearchParams({
+            grant_type: 'authorization_code',
+            code,
+            redirect_uri: redirectUri(provider),
+            client_id: provider.clientId,
+            client_secret: provider.clientSecret || '',
+            code_verifier: flow.codeVerifier
+        }).toString(), {
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+            timeout: HTTP_TIMEOUT
+        });
+        if (!token.id_token) throw new Error('未返回 id_token');
+
+        const decoded = jsonwebtoken.decode(token.id_token, { complete: true });
+        if (!decoded) throw new Error('无效的 id_token');
+        const key = await signingKey(discovery, decoded.header.kid);
+        const claims = jsonwebtoken.verify(token.id_token, key, {
+            algorithms: ID_TOKEN_ALGORITHMS,
+            issuer: discovery.issuer,
+            audience: provider.clientId,
+            nonce: flow.nonce
+        });
+
+        // id_token 不含邮箱时从 userinfo 补充
+        let info = claims;
+        if (!claims.email && discovery.userinfo_endpoint && token.access_token) {
+            const { data } = await axios.get(discovery.userinfo_endpoint, {
+                headers: { Authorization: `Bearer ${token.access_token}` },
+                timeout: HTTP_TIMEOUT
+            });
+            if (data.sub !== claims.sub) throw new Error('userinfo 与 id_token 的 sub 不一致');
+            info = { ...claims, ...data };
+        }
+
+        return {
+            subject: String(claims.sub),
+            email: info.email || '',
+            emailVerified: info.email_verified === true || info.email_verified === 'true',
+            name: info.name || info.preferred_username || '',
+            avatar: info.picture || ''
+        };
+    }
+};
+
+// ============ GitHub ============
+
+const githubAdapter = {
+    async authorizeUrl(provider, flow) {
+        return withQuery('https://github.com/login/oauth/authorize', {
+            client_id: provider.clientId,
+            redirect_uri: redirectUri(provider),
+            scope: provider.scope,
+            state: flow.state,
+            allow_signup: 'true'
+        });
+    },
+
+    async fetchProfile(provider, code) {
+        const { data: token } = await axios.post('https://github.com/login/oauth/access_token', {
+            client_id: provider.clientId,
+            client_secret: provider.clientSecret,
+            code,
+            redirect_uri: redirectUri(provider)
+        }, {
+            headers: { Accept: 'application/json' },
+            timeout: HTTP_TIMEOUT
+        });
+        if (!token.access_token) throw new Error(token.error_description || token.error || '获取访问令牌失败');
+
+        const headers = {
+            Authorization: `Bearer ${token.access_token}`,
+            Accept: 'application/vnd.github+json',
+            'User-Agent': 'dcd-api'
+        };
+        const [{ data: user }, { data: emails }] = await Promise.all([
+            axios.get('https://api.github.com/user', { headers, timeout: HTTP_TIMEOUT }),
+            axios.get('https://api.github.com/user/emails', { headers, timeout: HTTP_TIMEOUT })
+        ]);
+        const primary = (emails || []).find(item => item.primary && item.verified);
+
+        return {
+            subject: String(user.id),
+            email: primary ? primary.email : '',
+            emailVerified: Boolean(primary),
+            name: user.name || user.login || '',
+            avatar: user.avatar_url || ''
+        };
+    }
+};
+
+// ============ 微信（网站应用扫码登录） ============
+
+/**
+ * 检查微信接口返回，出错时（含 errcode）抛出异常
+ * @param {object} data - 接口返回
+ * @returns {object}
+ */
+function wechatResult(data) {
+    if (data.errcode) throw new Error(`${data.errmsg || '微信接口错误'}（${data.errcode}）`);
+    return data;
+}
+
+const wechatAdapter = {
+    async authorizeUrl(provider, flow) {
+        return `${withQuery('https://open.weixin.qq.com/connect/qrconnect', {
+            appid: provider.clientId,
+            redirect_uri: redirectUri(provider),
+            response_type: 'code',
+            scope: provider.scope,
+            state: flow.state
+        })}#wechat_redirect`;
+    },
+
+    async fetchProfile(provider, code) {
+        const token = wechatResult((await axios.get('https://api.weixin.qq.com/sns/oauth2/access_token', {
+            params: {
+                appid: provider.clientId,
+                secret: provider.clientSecret,
+                code,
+                grant_type: 'authorization_code'
+            },
+            timeout: HTTP_TIMEOUT
+        })).data);
+
+        const info = wechatResult((await axios.get('https://api.weixin.qq.com/sns/userinfo', {
+            params: { access_token: token.access_token, openid: token.openid },
+            timeout: HTTP_TIMEOUT
+        })).data);
+
+        // 微信不提供邮箱
+        return {
+            subject: String(info.unionid || token.unionid || token.openid),
+            email: '',
+            emailVerified: false,
+            name: info.nickname || '',
+            avatar: info.headimgurl || ''
+        };
+    }
+};
+
+const ADAPTERS = {
+    oidc: oidcAdapter,
+    github: githubAdapter,
+    wechat: wechatAdapter
+};
+
+/**
+ * 哈希绑定值（流程中不保存原值）
+ * @param {string} value - 绑定值
+ * @returns {string}
+ */
+function hashBinding(value) {
+    return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+/**
+ * 校验回调请求携带的绑定 Cookie 与流程一致
+ * @param {object} ctx - Koa 上下文
+ * @param {object} flow - 授权流程
+ * @returns {boolean}
+ */
+function matchesBinding(ctx, flow) {
+    const value = ctx.cookies.get(BINDING_COOKIE);
+    if (!value || !flow.bindingHash) return false;
+    const expected = Buffer.from(flow.bindingHash, 'hex');
+    const actual = Buffer.from(hashBinding(value), 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * 发起授权：生成流程并在浏览器写入绑定 Cookie
+ * @param {object} ctx - Koa 上下文
+ * @param {object} provider - getProvider 的返回值
+ * @param {string} mode - login 登录 | link 绑定到已登录用户
+ * @param {string} userId - 绑定时的用户ID
+ * @returns {Promise<string>} - 第三方授权地址
+ */
+async function startAuthorization(ctx, provider, mode, userId = null) {
+    const binding = randomString(32);
+    const flow = {
+        state: randomString(24),
+        nonce: randomString(24),
+        codeVerifier: randomString(48),
+        bindingHash: hashBinding(binding),
+        provider: provider.id,
+        mode,
+        userId: userId ? userId.toString() : null
+    };
+    const url = await ADAPTERS[provider.type].authorizeUrl(provider, flow);
+    flowCache.set(flow.state, flow);
+    ctx.cookies.set(BINDING_COOKIE, binding, {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: ctx.secure,
+        maxAge: BINDING_MAX_AGE,
+        overwrite: true
+    });
+    return url;
+}
+
+/**
+ * 完成授权：校验 state 与绑定 Cookie，并用授权码换取第三方账户信息
+ * @param {object} ctx - Koa 上下文
+ * @param {object} provider - getProvider 的返回值
+ * @param {object} params - { code, state }
+ * @param {string} mode - login | link
+ * @returns {Promise<object>} - { error } 或 { profile, flow }
+ */
+async function completeAuthorization(ctx, provider, { code, state }, mode) {
+    const flow = flowCache.take(String(state || ''));
+    if (!flow || flow.provider !== provider.id || flow.mode !== mode) {
+        return { error: '授权已过期或无效，请重新发起' };
+    }
+    if (!matchesBinding(ctx, flow)) {
+        return { error: '授权请求与当前浏览器不一致，请重新发起' };
+    }
+    ctx.cookies.set(BINDING_COOKIE, null, { httpOnly: true, sameSite: 'lax', secure: ctx.secure, overwrite: true });
+
+    try {
+        const profile = await ADAPTERS[provider.type].fetchProfile(provider, code, flow);
+        if (!profile.subject) {
+            return { error: '第三方授权失败：未返回账户标识' };
+        }
+        return { profile, flow };
+    } catch (error) {
+        const reason = error.response?.data?.error_description || error.response?.data?.error || error.message;
+        console.error(`第三方授权失败（${provider.id}）:`, reason);
+        return { error: `第三方授权失败：${reason}` };
+    }
+}
+
+module.exports = {
+    getProvider,
+    listProviders,
+    startAuthorization,
+    completeAuthorization
+};
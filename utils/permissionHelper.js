@@ -0,0 +1,113 @@
+/**
+ * 权限校验工具
+ * 按用户角色解析权限（短时缓存，角色调整后清除），提供路由共用的权限中间件
+ */
+
+const NodeCache = require('node-cache');
+const User = require('../models/User');
+const { PERMISSIONS, ROLES } = require('../config/permissions');
+
+// 用户权限缓存（userId -> 权限列表）
+const permissionCache = new NodeCache({ stdTTL: 60 });
+
+/**
+ * 读取当前登录用户的 JWT 载荷（koa-jwt 写入 ctx.state.user，部分路由写入 ctx.user）
+ * @param {object} ctx - Koa 上下文
+ * @returns {object|null}
+ */
+function currentUser(ctx) {
+    return ctx.state.user || ctx.user || null;
+}
+
+/**
+ * 根据旧角色与权限角色计算权限列表
+ * @param {object} user - { role, roles }
+ * @returns {Array<string>}
+ */
+function resolvePermissions(user) {
+    if (user.role === 'admin') return Object.keys(PERMISSIONS);
+
+    const permissions = new Set();
+    (user.roles || []).forEach(role => {
+        (ROLES[role]?.permissions || []).forEach(permission => permissions.add(permission));
+    });
+    return [...permissions];
+}
+
+/**
+ * 获取用户权限（已停用的用户没有任何权限）
+ * @param {string} userId - 用户ID
+ * @returns {Promise<Array<string>>}
+ */
+async function getUserPermissions(userId) {
+    if (!userId) return [];
+
+    const key = userId.toString();
+    const cached = permissionCache.get(key);
+    if (cached) return cached;
+
+    const user = await User.findById(key).select('role roles isActive').lean();
+    const permissions = user && user.isActive !== false ? resolvePermissions(user) : [];
+    permissionCache.set(key, permissions);
+    return permissions;
+}
+
+/**
+ * 清除用户权限缓存（调整角色、停用用户后调用）
+ * @param {string} userId - 用户ID
+ */
+function clearPermissionCache(userId) {
+    permissionCache.del(userId.toString());
+}
+
+/**
+ * 判断当前用户是否拥有某个权限
+ * @param {object} ctx - Koa 上下文
+ * @param {string} permission - 权限名
+ * @returns {Promise<boolean>}
+ */
+async function hasPermission(ctx, permission) {
+    const user = currentUser(ctx);
+    if (!user) return false;
+    const permissions = await getUserPermissions(user.userId || user.id);
+    return permissions.includes(permission);
+}
+
+/**
+ * 权限中间件：需在认证中间件之后使用，拥有任一所列权限即可访问
+ * @param {...string} permissions - 权限名
+ * @returns {Function}
+ */
+function requirePermission(...permissions) {
+    permissions.forEach(permission => {
+        if (!PERMISSIONS[permission]) {
+            throw new Error(`未定义的权限: ${permission}`);
+        }
+    });
+
+    return async (ctx, next) => {
+        const user = currentUser(ctx);
+        const granted = user ? await getUserPermissions(user.userId || user.id) : [];
+
+        if (!permissions.some(permission => granted.includes(permission))) {
+            ctx.status = 403;
+            ctx.body = {
+                success: false,
+                message: '没有操作权限'
+            };
+            return;
+        }
+
+        ctx.state.permissions = granted;
+        await next();
+    };
+}
+
+module.exports = {
+    currentUser,
+    resolvePermissions,
+    getUserPermissions,
+    clearPermissionCache,
+    hasPermission,
+    requirePermission
+};
@@ -0,0 +1,283 @@
+/**
+ * 举报处理工具
+ * 同一目标的未处理举报视为一组，处理时默认整组结案；处理时可同时对目标执行操作（隐藏博客 / 评论、下架门店、
+ * 处罚被举报的用户或内容作者），并通知举报人与被处理的用户。博客、评论被足够多的可信举报人举报后自动隐藏，驳回举报后恢复
+ */
+
+const Report = require('../models/Report');
+const Blog = require('../models/blogs');
+const Comment = require('../models/comments');
+const BrandStore = require('../models/BrandStore');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { SANCTION_TYPES } = require('../config/sanctions');
+const { publishedCondition, notifyModerationResult } = require('./moderationHelper');
+const { markSearchIndexStale } = require('./searchHelper');
+const { markSuggestIndexStale } = require('./suggestHelper');
+const { recordStoreChange } = require('./storeEventHelper');
+const { refreshForDocs } = require('./statisticsHelper');
+const { recordAudit } = require('./auditHelper');
+const { currentUser } = require('./permissionHelper');
+const { createSanction, findSanctionedUserIds } = require('./sanctionHelper');
+
+// 自动隐藏阈值：未处理举报中可信举报人的数量（匿名举报、已禁用或处罚期内的用户、注册不满
+// AUTO_HIDE_MIN_ACCOUNT_DAYS 天的账户不计入，避免批量注册或匿名刷举报隐藏正常内容）
+const AUTO_HIDE_THRESHOLD = parseInt(process.env.REPORT_AUTO_HIDE_THRESHOLD) || 5;
+const AUTO_HIDE_MIN_ACCOUNT_DAYS = parseInt(process.env.REPORT_AUTO_HIDE_MIN_ACCOUNT_DAYS) || 1;
+
+// 未处理的举报状态
+const OPEN_STATUSES = ['pending', 'reviewing'];
+
+const TARGET_NAMES = {
+    blog: '博客',
+    comment: '评论',
+    user: '用户',
+    mall: '商场',
+    brand: '品牌',
+    brandStore: '品牌门店'
+};
+
+// 处理举报时可执行的操作：targets 为适用的目标类型，permission 为除 report:handle 外另需的权限
+// 处罚类操作（sanction）作用于被举报的用户，或被举报博客、评论的作者
+const REPORT_ACTIONS = {
+    hide: { name: '隐藏内容', targets: ['blog', 'comment'], permission: 'content:moderate' },
+    soft_delete: { name: '下架门店', targets: ['brandStore'], permission: 'brandStore:write' },
+    ...Object.fromEntries(Object.entries(SANCTION_TYPES).map(([type, { name }]) => [
+        type,
+        { name, targets: ['user', 'blog', 'comment'], permission: 'user:manage', sanction: true }
+    ]))
+};
+
+const CONTENT_MODELS = {
+    blog: Blog,
+    comment: Comment
+};
+
+/**
+ * 同一目标未处理举报的查询条件
+ * @param {string} targetType - 目标类型
+ * @param {ObjectId} targetId - 目标ID
+ * @returns {object}
+ */
+function openReportsCondition(targetType, targetId) {
+    return { targetType, targetId, status: { $in: OPEN_STATUSES } };
+}
+
+/**
+ * 查找同一举报人对同一目标未处理的举报（登录用户按用户，匿名按IP）
+ * @param {object} target - { targetType, targetId }
+ * @param {string|null} reporter - 举报人ID
+ * @param {string} ip - 举报人IP
+ * @returns {Promise<object|null>}
+ */
+async function findDuplicateReport({ targetType, targetId }, reporter, ip) {
+    return Report.findOne({
+        ...openReportsCondition(targetType, targetId),
+        ...(reporter ? { reporter } : { reporter: null, reporterIp: ip })
+    }).select('_id').lean();
+}
+
+/**
+ * 统计可计入自动隐藏阈值的举报人：已启用、注册满最短天数且不在处罚期内的登录用户
+ * @param {Array<ObjectId>} reporterIds - 举报人ID
+ * @returns {Promise<number>}
+ */
+async function countTrustedReporters(reporterIds) {
+    if (reporterIds.length === 0) return 0;
+
+    const registeredBefore = new Date(Date.now() - AUTO_HIDE_MIN_ACCOUNT_DAYS * 24 * 60 * 60 * 1000);
+    const users = await User.find({
+        _id: { $in: reporterIds },
+        isActive: true,
+        createdAt: { $lte: registeredBefore }
+    }).select('_id').lean();
+
+    const sanctioned = await findSanctionedUserIds(users.map(user => user._id));
+    return users.filter(user => !sanctioned.has(user._id.toString())).length;
+}
+
+/**
+ * 未处理举报的可信举报人达到阈值时自动隐藏博客、评论（失败只记录日志）
+ * 自动隐藏的内容 moderatedBy 为空，以区别于审核人员隐藏的内容
+ * @param {string} targetType - 目标类型
+ * @param {ObjectId} targetId - 目标ID
+ * @returns {Promise<boolean>} - 是否隐藏
+ */
+async function autoHideIfNeeded(targetType, targetId) {
+    const Model = CONTENT_MODELS[targetType];
+    if (!Model) return false;
+
+    try {
+        const reporterIds = await Report.distinct('reporter', {
+            ...openReportsCondition(targetType, targetId),
+            reporter: { $ne: null }
+        });
+        const reporters = await countTrustedReporters(reporterIds);
+        if (reporters < AUTO_HIDE_THRESHOLD) return false;
+
+        const reason = `被 ${reporters} 名用户举报，处理前暂时隐藏`;
+        const doc = await Model.findOneAndUpdate(
+            { _id: targetId, ...publishedCondition() },
+            { moderationStatus: 'hidden', moderationReason: reason, moderatedBy: null, moderatedAt: new Date() }
+        );
+        if (!doc) return false;
+
+        if (targetType === 'blog') markSearchIndexStale();
+        await notifyModerationResult(targetType, doc, 'hidden', reason);
+        return true;
+    } catch (error) {
+        console.error('自动隐藏被举报内容失败:', error);
+        return false;
+    }
+}
+
+/**
+ * 举报被驳回且目标已没有未处理的举报时，恢复因举报自动隐藏的内容
+ * @param {string} targetType - 目标类型
+ * @param {ObjectId} targetId - 目标ID
+ */
+async function restoreAutoHidden(targetType, targetId) {
+    const Model = CONTENT_MODELS[targetType];
+    if (!Model || await Report.exists(openReportsCondition(targetType, targetId))) return;
+
+    const doc = await Model.findOneAndUpdate(
+        { _id: targetId, moderationStatus: 'hidden', moderatedBy: null },
+        { moderationStatus: 'approved', moderationReason: '', moderatedAt: new Date() }
+    );
+    if (doc && targetType === 'blog') markSearchIndexStale();
+}
+
+/**
+ * 隐藏被举报的博客、评论并通知作者
+ * @param {object} ctx - Koa 上下文
+ * @param {object} report - 举报
+ * @param {string} reason - 处理说明
+ * @returns {Promise<object>}
+ */
+async function hideContent(ctx, report, reason) {
+    const doc = await CONTENT_MODELS[report.targetType].findByIdAndUpdate(report.targetId, {
+        moderationStatus: 'hidden',
+        moderationReason: reason,
+        moderatedBy: currentUser(ctx).userId,
+        moderatedAt: new Date()
+    });
+    if (!doc) return { status: 404, error: `${TARGET_NAMES[report.targetType]}不存在` };
+
+    if (report.targetType === 'blog') markSearchIndexStale();
+    await notifyModerationResult(report.targetType, doc, 'hidden', reason);
+    return { summary: `已隐藏该${TARGET_NAMES[report.targetType]}` };
+}
+
+/**
+ * 下架被举报的门店（软删除，可在数据恢复中恢复）
+ * @param {object} ctx - Koa 上下文
+ * @param {object} report - 举报
+ * @returns {Promise<object>}
+ */
+async function softDeleteStore(ctx, report) {
+    const previous = await BrandStore.findById(report.targetId).lean();
+    if (!previous) return { status: 404, error: '品牌门店不存在' };
+    if (!previous.isActive) return { summary: '门店此前已下架' };
+
+    const store = await BrandStore.findByIdAndUpdate(report.targetId, { isActive: false }, { new: true });
+    await recordStoreChange(previous, store, currentUser(ctx).userId);
+    await refreshForDocs(previous);
+    markSearchIndexStale();
+    markSuggestIndexStale();
+    await recordAudit(ctx, { action: 'update', targetType: 'brand-store', before: previous, after: store });
+    return { summary: '已下架该门店' };
+}
+
+/**
+ * 处罚被举报的用户或被举报内容的作者，处罚关联到该举报
+ * @param {object} ctx - Koa 上下文
+ * @param {object} report - 举报
+ * @param {string} type - 处罚类型
+ * @param {number} days - 处罚天数
+ * @param {string} reason - 处理说明
+ * @returns {Promise<object>}
+ */
+async function sanctionUser(ctx, report, type, days, reason) {
+    let userId = report.targetId;
+    if (CONTENT_MODELS[report.targetType]) {
+        const doc = await CONTENT_MODELS[report.targetType].findById(report.targetId).select('user').lean();
+        if (!doc) return { status: 404, error: `${TARGET_NAMES[report.targetType]}不存在` };
+        userId = doc.user;
+    }
+
+    const result = await createSanction(ctx, {
+        userId,
+        type,
+        endsAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+        reason: reason || `被举报：${report.reasonTypeStr || report.reasonType}`,
+        report: report._id
+    });
+    if (result.error) return result;
+
+    const target = report.targetType === 'user' ? '该用户' : '作者';
+    return { summary: `已对${target}${SANCTION_TYPES[type].name} ${days} 天`, sanction: result.sanction };
+}
+
+/**
+ * 对举报目标执行操作（调用前需确认操作适用于目标类型且操作人拥有对应权限）
+ * @param {object} ctx - Koa 上下文
+ * @param {object} report - 举报
+ * @param {string} action - REPORT_ACTIONS 中的操作
+ * @param {object} options - { days: 处罚天数, reason: 处理说明 }
+ * @returns {Promise<object>} - { status, error } 或 { summary, sanction }
+ */
+async function applyReportAction(ctx, report, action, { days, reason = '' } = {}) {
+    if (REPORT_ACTIONS[action]?.sanction) {
+        return sanctionUser(ctx, report, action, days, reason);
+    }
+
+    switch (action) {
+        case 'hide':
+            return hideContent(ctx, report, reason);
+        case 'soft_delete':
+            return softDeleteStore(ctx, report);
+        default:
+            return { status: 400, error: '未知的处理操作' };
+    }
+}
+
+/**
+ * 通知登录后举报的用户处理结果（同一用户只通知一次，失败只记录日志）
+ * @param {Array<object>} reports - 同一目标的举报
+ * @param {string} status - resolved | rejected
+ * @param {string} result - 处理说明
+ */
+async function notifyReporters(reports, status, result = '') {
+    const recipients = [...new Set(reports.filter(report => report.reporter).map(report => report.reporter.toString()))];
+    if (recipients.length === 0) return;
+
+    const { targetType, targetId } = reports[0];
+    const name = TARGET_NAMES[targetType];
+    const content = status === 'resolved' ? `您举报的${name}已处理` : `您举报的${name}经核实未发现违规`;
+
+    try {
+        await Notification.insertMany(recipients.map(recipient => ({
+            recipient,
+            type: 'system',
+            title: '举报处理结果',
+            content: `${content}${result ? `：${result}` : ''}`.slice(0, 500),
+            relatedBlog: targetType === 'blog' ? targetId : undefined,
+            relatedComment: targetType === 'comment' ? targetId : undefined,
+            priority: 'normal'
+        })));
+    } catch (error) {
+        console.error('发送举报处理通知失败:', error);
+    }
+}
+
+module.exports = {
+    OPEN_STATUSES,
+    TARGET_NAMES,
+    REPORT_ACTIONS,
+    openReportsCondition,
+    findDuplicateReport,
+    autoHideIfNeeded,
+    restoreAutoHidden,
+    applyReportAction,
+    notifyReporters
+};
@@ -0,0 +1,198 @@
+/**
+ * 对比报告重新计算工具
+ * 按当前门店数据重新计算已保存的对比报告，保存为新版本并生成差异，
+ * 有实质变化时向报告所有者发送系统通知；支持按日 / 周 / 月定时执行
+ */
+
+const ComparisonReport = require('../models/ComparisonReport');
+const ComparisonReportVersion = require('../models/ComparisonReportVersion');
+const Notification = require('../models/Notification');
+const { runComparison, diffResults } = require('./comparisonHelper');
+
+// 定时任务检查间隔（毫秒），默认 1 小时
+const SCHEDULE_CHECK_INTERVAL = parseInt(process.env.REPORT_SCHEDULE_INTERVAL) || 60 * 60 * 1000;
+
+// 每次检查最多处理的报告数
+const SCHEDULE_BATCH_SIZE = 20;
+
+const SCHEDULE_FREQUENCIES = ['none', 'daily', 'weekly', 'monthly'];
+
+/**
+ * 计算下次执行时间
+ * @param {string} frequency - daily | weekly | monthly
+ * @param {Date} from - 起始时间
+ * @returns {Date|null}
+ */
+function nextRunDate(frequency, from = new Date()) {
+    const next = new Date(from);
+    if (frequency === 'daily') {
+        next.setDate(next.getDate() + 1);
+    } else if (frequency === 'weekly') {
+        next.setDate(next.getDate() + 7);
+    } else if (frequency === 'monthly') {
+        next.setMonth(next.getMonth() + 1);
+    } else {
+        return null;
+    }
+    return next;
+}
+
+/**
+ * 首次重新计算前，将报告创建时的结果保存为版本 1
+ * @param {object} report - ComparisonReport 文档
+ */
+async function ensureInitialVersion(report) {
+    const exists = await ComparisonReportVersion.exists({ report: report._id });
+    if (exists) return;
+
+    await ComparisonReportVersion.create({
+        report: report._id,
+        version: report.version || 1,
+        trigger: 'initial',
+        results: report.toObject().results,
+        summary: report.summary,
+        overlap: report.overlap,
+        engineVersion: report.engineVersion,
+        diff: { hasChanges: false, locations: [] }
+    });
+}
+
+/**
+ * 生成差异摘要文案
+ * @param {object} diff - diffResults 的返回值
+ * @returns {string}
+ */
+function describeDiff(diff) {
+    const parts = diff.locations
+        .filter(item => item.brandsAdded.length > 0 || item.brandsRemoved.length > 0 || item.storeChanges.length > 0)
+        .map(item => {
+            const changes = [];
+            if (item.brandsAdded.length > 0) changes.push(`新增品牌${item.brandsAdded.length}个`);
+            if (item.brandsRemoved.length > 0) changes.push(`减少品牌${item.brandsRemoved.length}个`);
+            if (item.storeChanges.length > 0) changes.push(`${item.storeChanges.length}个品牌门店数变化`);
+            return `${item.name}：${changes.join('，')}`;
+        });
+    return parts.join('；');
+}
+
+/**
+ * 发送报告变化通知（失败只记录日志）
+ * @param {object} report - ComparisonReport 文档
+ * @param {number} version - 新版本号
+ * @param {object} diff - 差异
+ */
+async function notifyOwner(report, version, diff) {
+    try {
+        const content = `报告「${report.title}」已按最新数据重新计算（版本 ${version}）。${describeDiff(diff)}`;
+        await Notification.create({
+            recipient: report.user,
+            type: 'system',
+            title: '对比报告数据有更新',
+            content: content.length > 500 ? `${content.slice(0, 497)}...` : content,
+            priority: 'normal'
+        });
+    } catch (error) {
+        console.error('发送报告更新通知失败:', error);
+    }
+}
+
+/**
+ * 重新计算报告并保存为新版本
+ * @param {object} report - ComparisonReport 文档
+ * @param {string} trigger - manual | schedule
+ * @returns {Promise<object>} - { version, diff }
+ */
+async function rerunReport(report, trigger = 'manual') {
+    const comparison = await runComparison({
+        type: report.type,
+        ids: report.comparisonIds.map(id => id.toString()),
+        brandIds: report.brandIds.map(id => id.toString())
+    });
+
+    if (comparison.missing) {
+        throw new Error(`对比对象已不存在：${comparison.missing.join(',')}`);
+    }
+
+    await ensureInitialVersion(report);
+
+    const diff = diffResults(report.toObject().results, comparison.results);
+    const version = (report.version || 1) + 1;
+
+    await ComparisonReportVersion.create({
+        report: report._id,
+        version,
+        trigger,
+        results: comparison.results,
+        summary: comparison.summary,
+        overlap: comparison.overlap,
+        engineVersion: comparison.engineVersion,
+        diff
+    });
+
+    report.results = comparison.results;
+    report.summary = comparison.summary;
+    report.overlap = comparison.overlap;
+    report.engineVersion = comparison.engineVersion;
+    report.selectedLocations = comparison.results.map(result => result.location.name).join(',');
+    report.version = version;
+    report.lastRunAt = new Date();
+    await report.save();
+
+    if (diff.hasChanges) {
+        await notifyOwner(report, version, diff);
+    }
+
+    return { version, diff };
+}
+
+/**
+ * 执行已到期的定时任务
+ * @returns {Promise<number>} - 处理的报告数
+ */
+async function runDueReports() {
+    const now = new Date();
+    const dueReports = await ComparisonReport.find({
+        'schedule.frequency': { $in: ['daily', 'weekly', 'monthly'] },
+        'schedule.nextRunAt': { $lte: now }
+    }).limit(SCHEDULE_BATCH_SIZE);
+
+    let processed = 0;
+    for (const report of dueReports) {
+        // 先推进下次执行时间，多实例部署时只有一个实例能领取到任务
+        const claimed = await ComparisonReport.updateOne(
+            { _id: report._id, 'schedule.nextRunAt': report.schedule.nextRunAt },
+            { 'schedule.nextRunAt': nextRunDate(report.schedule.frequency, now) }
+        );
+        if (claimed.modifiedCount === 0) continue;
+
+        try {
+            const fresh = await ComparisonReport.findById(report._id);
+            await rerunReport(fresh, 'schedule');
+            processed++;
+        } catch (error) {
+            console.error(`定时重新计算报告 ${report._id} 失败:`, error.message);
+        }
+    }
+    return processed;
+}
+
+/**
+ * 启动定时任务（设置 REPORT_SCHEDULER_ENABLED=false 可关闭）
+ */
+function startReportScheduler() {
+    if (process.env.REPORT_SCHEDULER_ENABLED === 'false') return;
+
+    const timer = setInterval(() => {
+        runDueReports().catch(error => console.error('执行报告定时任务失败:', error));
+    }, SCHEDULE_CHECK_INTERVAL);
+    timer.unref();
+}
+
+module.exports = {
+    SCHEDULE_FREQUENCIES,
+    nextRunDate,
+    ensureInitialVersion,
+    rerunReport,
+    runDueReports,
+    startReportScheduler
+};
@@ -0,0 +1,207 @@
+/**
+ * 用户处罚工具
+ * 禁言、禁止发布、暂停账户按起止时间生效，到期自动失效，无需定时任务；
+ * 路由通过 requireNoSanction 限制受罚用户的操作，暂停账户同时下线已登录的会话、拒绝登录与刷新令牌
+ */
+
+const Sanction = require('../models/Sanction');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { SANCTION_TYPES } = require('../config/sanctions');
+const { revokeUserSessions } = require('./sessionHelper');
+const { currentUser } = require('./permissionHelper');
+const { requiresTwoFactor } = require('./twoFactorHelper');
+
+// 返回给用户的处罚字段
+const PUBLIC_FIELDS = 'type startsAt endsAt reason';
+
+/**
+ * 限制某项操作的处罚类型
+ * @param {string} capability - comment | blog | interact | login
+ * @returns {Array<string>}
+ */
+function typesRestricting(capability) {
+    return Object.keys(SANCTION_TYPES).filter(type => SANCTION_TYPES[type].restricts.includes(capability));
+}
+
+/**
+ * 格式化处罚时间
+ * @param {Date} date - 时间
+ * @returns {string}
+ */
+function formatTime(date) {
+    return new Date(date).toLocaleString('zh-CN', { hour12: false });
+}
+
+/**
+ * 处罚状态
+ * @param {object} sanction - 处罚
+ * @returns {string} - scheduled 未开始 | active 生效中 | expired 已到期 | revoked 已解除
+ */
+function sanctionStatus(sanction) {
+    const now = new Date();
+    if (sanction.revokedAt) return 'revoked';
+    if (sanction.endsAt <= now) return 'expired';
+    if (sanction.startsAt > now) return 'scheduled';
+    return 'active';
+}
+
+/**
+ * 查找限制某项操作、当前生效且结束最晚的处罚
+ * @param {string} userId - 用户ID
+ * @param {string} capability - comment | blog | interact | login
+ * @returns {Promise<object|null>}
+ */
+async function findActiveSanction(userId, capability) {
+    const [sanction] = await Sanction.findActive(userId, typesRestricting(capability)).limit(1).lean();
+    return sanction || null;
+}
+
+/**
+ * 当前处于任一处罚期的用户
+ * @param {Array<ObjectId>} userIds - 用户ID
+ * @returns {Promise<Set<string>>}
+ */
+async function findSanctionedUserIds(userIds) {
+    if (userIds.length === 0) return new Set();
+    const sanctions = await Sanction.findActive({ $in: userIds }).select('user').lean();
+    return new Set(sanctions.map(sanction => sanction.user.toString()));
+}
+
+/**
+ * 用户当前生效的全部处罚
+ * @param {string} userId - 用户ID
+ * @returns {Promise<Array<object>>}
+ */
+async function getActiveSanctions(userId) {
+    const sanctions = await Sanction.findActive(userId).select(PUBLIC_FIELDS).lean();
+    return sanctions.map(sanction => ({ ...sanction, typeName: SANCTION_TYPES[sanction.type].name }));
+}
+
+/**
+ * 处罚提示语
+ * @param {object} sanction - 处罚
+ * @returns {string}
+ */
+function sanctionMessage(sanction) {
+    const name = SANCTION_TYPES[sanction.type].name;
+    return `您的账户处于${name}期，至 ${formatTime(sanction.endsAt)} 解除，原因：${sanction.reason}`;
+}
+
+/**
+ * 处罚中间件：需在认证中间件之后使用，受罚期间不能进行对应操作
+ * @param {string} capability - comment | blog | interact
+ * @returns {Function}
+ */
+function requireNoSanction(capability) {
+    return async (ctx, next) => {
+        const user = currentUser(ctx);
+        const sanction = user && await findActiveSanction(user.userId || user.id, capability);
+        if (sanction) {
+            ctx.status = 403;
+            ctx.body = {
+                success: false,
+                message: sanctionMessage(sanction),
+                data: {
+                    type: sanction.type,
+                    endsAt: sanction.endsAt,
+                    reason: sanction.reason
+                }
+            };
+            return;
+        }
+        await next();
+    };
+}
+
+/**
+ * 发送处罚通知（失败只记录日志）
+ * @param {object} sanction - 处罚
+ * @param {string} title - 标题
+ * @param {string} content - 内容
+ */
+async function notifySanction(sanction, title, content) {
+    try {
+        await Notification.create({
+            recipient: sanction.user,
+            type: 'system',
+            title,
+            content: content.slice(0, 500),
+            priority: 'urgent'
+        });
+    } catch (error) {
+        console.error('发送处罚通知失败:', error);
+    }
+}
+
+/**
+ * 下达处罚：暂停账户立即生效时下线用户全部会话，并通知用户
+ * @param {object} ctx - Koa 上下文
+ * @param {object} options - { userId, type, startsAt, endsAt, reason, report: 引起处罚的举报ID }
+ * @returns {Promise<object>} - { status, error } 或 { sanction }
+ */
+async function createSanction(ctx, { userId, type, startsAt = new Date(), endsAt, reason, report = null }) {
+    const user = await User.findById(userId).select('role roles');
+    if (!user) return { status: 404, error: '用户不存在' };
+    // 管理员、超级管理员及拥有可删除数据等管理权限的账户不能被处罚，避免审核人员借处罚下线上级账户
+    if (requiresTwoFactor(user)) return { status: 400, error: '不能处罚拥有管理权限的账户' };
+
+    const sanction = await Sanction.create({
+        user: user._id,
+        type,
+        startsAt,
+        endsAt,
+        reason,
+        report,
+        createdBy: currentUser(ctx).userId
+    });
+
+    if (type === 'suspend' && sanction.startsAt <= new Date()) {
+        await revokeUserSessions(user._id, 'suspended');
+    }
+
+    const name = SANCTION_TYPES[type].name;
+    const period = sanction.startsAt > new Date()
+        ? `${formatTime(sanction.startsAt)} 至 ${formatTime(sanction.endsAt)}`
+        : `至 ${formatTime(sanction.endsAt)}`;
+    await notifySanction(sanction, `账户已被${name}`, `您的账户${report ? '因被举报违规' : ''}受到处罚：${name}，${period}，原因：${reason}`);
+
+    return { sanction };
+}
+
+/**
+ * 提前解除处罚并通知用户
+ * @param {object} ctx - Koa 上下文
+ * @param {object} sanction - 处罚
+ * @param {string} reason - 解除原因
+ * @returns {Promise<object>} - { status, error } 或 { sanction }
+ */
+async function revokeSanction(ctx, sanction, reason = '') {
+    const status = sanctionStatus(sanction);
+    if (status === 'revoked' || status === 'expired') {
+        return { status: 400, error: `该处罚已${status === 'revoked' ? '解除' : '到期'}` };
+    }
+
+    const updated = await Sanction.findOneAndUpdate(
+        { _id: sanction._id, revokedAt: null },
+        { revokedAt: new Date(), revokedBy: currentUser(ctx).userId, revokeReason: reason },
+        { new: true }
+    );
+    if (!updated) return { status: 400, error: '该处罚已解除' };
+
+    const name = SANCTION_TYPES[updated.type].name;
+    await notifySanction(updated, `${name}已解除`, `您的账户${name}已提前解除${reason ? `，说明：${reason}` : ''}`);
+    return { sanction: updated };
+}
+
+module.exports = {
+    typesRestricting,
+    sanctionStatus,
+    findActiveSanction,
+    findSanctionedUserIds,
+    getActiveSanctions,
+    sanctionMessage,
+    requireNoSanction,
+    createSanction,
+    revokeSanction
+};
@@ -0,0 +1,527 @@
+/**
+ * 全文搜索工具
+ * 在内存中为品牌、商场、品牌门店与博客建立倒排索引：中文按单字 + 二元组切分，
+ * 名称额外索引全拼与首字母；查询支持前缀匹配、英文 / 拼音的拼写容错，
+ * 按字段权重与 IDF 排序并返回高亮片段
+ */
+
+const { pinyin } = require('pinyin-pro');
+const Brand = require('../models/Brand');
+const Mall = require('../models/Mall');
+const BrandStore = require('../models/BrandStore');
+const Blog = require('../models/blogs');
+const { publicBlogCondition } = require('./moderationHelper');
+
+// 索引有效期（毫秒），过期或数据变更后在下次搜索时重建
+const INDEX_TTL = parseInt(process.env.SEARCH_INDEX_TTL) || 10 * 60 * 1000;
+
+// 可搜索的类型
+const SEARCH_TYPES = {
+    brand: '品牌',
+    mall: '商场',
+    store: '门店',
+    blog: '博客'
+};
+
+// 查询最大长度
+const MAX_QUERY_LENGTH = 50;
+
+// 博客正文只索引前若干字，控制内存占用
+const MAX_CONTENT_LENGTH = 3000;
+
+// 单个查询词最多展开的前缀 / 容错候选数
+const MAX_EXPANSIONS = 50;
+
+// 命中方式的得分系数
+const MATCH_FACTORS = {
+    exact: 1,
+    prefix: 0.8,
+    fuzzy: 0.6
+};
+
+// 高亮片段前后保留的字符数
+const SNIPPET_RADIUS = 40;
+
+const TOKEN_PATTERN = /[\u3400-\u9fff\uf900-\ufaff]+|[a-z0-9]+/g;
+const CJK_PATTERN = /^[\u3400-\u9fff\uf900-\ufaff]/;
+
+let currentIndex = null;
+let builtAt = 0;
+let stale = false;
+let building = null;
+
+/**
+ * 统一全角 / 大小写
+ * @param {string} text - 原始文本
+ * @returns {string}
+ */
+function normalize(text) {
+    return String(text || '').normalize('NFKC').toLowerCase();
+}
+
+/**
+ * 去除 HTML 标签
+ * @param {string} html - HTML 文本
+ * @returns {string}
+ */
+function stripHtml(html) {
+    return String(html || '').replace(/<[^>]*>/g, ' ').replace(/&nbsp;/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * 切分文本：中文输出单字与相邻二元组，英文 / 数字按词输出
+ * @param {string} text - 文本
+ * @returns {Array<string>}
+ */
+function tokenize(text) {
+    const tokens = [];
+    (normalize(text).match(TOKEN_PATTERN) || []).forEach(run => {
+        if (!CJK_PATTERN.test(run)) {
+            tokens.push(run);
+            return;
+        }
+        for (let i = 0; i < run.length; i++) {
+            tokens.push(run[i]);
+            if (i + 1 < run.length) tokens.push(run.slice(i, i + 2));
+        }
+    });
+    return tokens;
+}
+
+/**
+ * 名称的拼音词：全拼与首字母（如 星巴克 -> xingbake、xbk）
+ * @param {string} text - 名称
+ * @returns {Array<string>}
+ */
+function pinyinTokens(text) {
+    const runs = (normalize(text).match(TOKEN_PATTERN) || []).filter(run => CJK_PATTERN.test(run));
+    if (runs.length === 0) return [];
+
+    const full = runs.map(run => pinyin(run, { toneType: 'none', type: 'array' }).join('')).join('');
+    const initials = runs.map(run => pinyin(run, { pattern: 'first', toneType: 'none', type: 'array' }).join('')).join('');
+    return [...new Set([full, initials])].filter(token => /^[a-z]+$/.test(token));
+}
+
+/**
+ * 编辑距离（超过 maxDistance 时提前结束）
+ * @param {string} a - 字符串 a
+ * @param {string} b - 字符串 b
+ * @param {number} maxDistance - 最大距离
+ * @returns {number}
+ */
+function editDistance(a, b, maxDistance) {
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > maxDistance) return maxDistance + 1;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * 允许的拼写错误数
+ * @param {string} word - 查询词
+ * @returns {number}
+ */
+function allowedTypos(word) {
+    if (word.length >= 8) return 2;
+    if (word.length >= 4) return 1;
+    return 0;
+}
+
+/**
+ * 构建索引
+ * @param {Array<object>} entries - [{ type, id, title, subtitle, fields: [{ text, weight, pinyin }], popularity, data }]
+ * @returns {object} - { docs, postings, words }
+ */
+function createIndex(entries) {
+    const docs = [];
+    const postings = new Map();
+
+    entries.forEach(entry => {
+        const docIndex = docs.length;
+        docs.push(entry);
+
+        const weights = new Map();
+        entry.fields.forEach(({ text, weight, pinyin: withPinyin }) => {
+            const tokens = tokenize(text);
+            if (withPinyin) tokens.push(...pinyinTokens(text));
+            // 同一字段内重复出现只计一次，取各字段中的最大权重
+            new Set(tokens).forEach(token => {
+                weights.set(token, Math.max(weights.get(token) || 0, weight));
+            });
+        });
+
+        weights.forEach((weight, token) => {
+            if (!postings.has(token)) postings.set(token, new Map());
+            postings.get(token).set(docIndex, weight);
+        });
+    });
+
+    // 英文 / 拼音词表（已排序），用于前缀与容错匹配
+    const words = [...postings.keys()].filter(token => !CJK_PATTERN.test(token)).sort();
+
+    return { docs, postings, words };
+}
+
+/**
+ * 从数据库读取全部可搜索数据
+ * @returns {Promise<Array<object>>}
+ */
+async function loadEntries() {
+    const [brands, malls, stores, blogs] = await Promise.all([
+        Brand.find({ isActive: true }).select('name code logo category description').lean(),
+        Mall.find({ isActive: true })
+            .select('name code logo address clickCount province city district')
+            .populate('province', 'name')
+            .populate('city', 'name')
+            .populate('district', 'name')
+            .lean(),
+        BrandStore.find({ isActive: true })
+            .select('storeName storeAddress floor brand mall city')
+            .populate('brand', 'name logo isActive')
+            .populate('mall', 'name isActive')
+            .populate('city', 'name')
+            .lean(),
+        Blog.find(publicBlogCondition())
+            .select('title summary description content tags blogImage viewCount createdAt')
+            .lean()
+    ]);
+
+    const entries = [];
+
+    brands.forEach(brand => entries.push({
+        type: 'brand',
+        id: brand._id,
+        title: brand.name,
+        subtitle: brand.description || '',
+        fields: [
+            { text: brand.name, weight: 3, pinyin: true },
+            { text: brand.code, weight: 2 },
+            { text: brand.description, weight: 0.5 }
+        ],
+        popularity: 0,
+        data: { logo: brand.logo, category: brand.category }
+    }));
+
+    malls.forEach(mall => entries.push({
+        type: 'mall',
+        id: mall._id,
+        title: mall.name,
+        subtitle: [mall.city?.name, mall.district?.name, mall.address].filter(Boolean).join(' '),
+        fields: [
+            { text: mall.name, weight: 3, pinyin: true },
+            { text: mall.code, weight: 2 },
+            { text: mall.address, weight: 1 },
+            { text: [mall.province?.name, mall.city?.name, mall.district?.name].join(' '), weight: 1 }
+        ],
+        popularity: mall.clickCount || 0,
+        data: { logo: mall.logo, province: mall.province, city: mall.city, district: mall.district }
+    }));
+
+    stores.forEach(store => {
+        // 品牌或商场已停用的门店不参与搜索
+        if (!store.brand || !store.brand.isActive) return;
+        if (store.mall && store.mall.isActive === false) return;
+
+        const title = store.storeName || [store.brand.name, store.mall?.name].filter(Boolean).join(' ');
+        entries.push({
+            type: 'store',
+            id: store._id,
+            title,
+            subtitle: [store.city?.name, store.mall?.name, store.floor, store.storeAddress].filter(Boolean).join(' '),
+            fields: [
+                { text: title, weight: 2, pinyin: true },
+                { text: store.brand.name, weight: 2, pinyin: true },
+                { text: store.mall?.name, weight: 1 },
+                { text: store.storeAddress, weight: 1 },
+                { text: store.city?.name, weight: 0.5 }
+            ],
+            popularity: 0,
+            data: {
+                brand: { _id: store.brand._id, name: store.brand.name, logo: store.brand.logo },
+                mall: store.mall ? { _id: store.mall._id, name: store.mall.name } : null,
+                city: store.city
+            }
+        });
+    });
+
+    blogs.forEach(blog => {
+        const content = stripHtml(blog.content).slice(0, MAX_CONTENT_LENGTH);
+        entries.push({
+            type: 'blog',
+            id: blog._id,
+            title: blog.title,
+            subtitle: blog.summary || blog.description || content,
+            fields: [
+                { text: blog.title, weight: 3, pinyin: true },
+                { text: (blog.tags || []).join(' '), weight: 2 },
+                { text: [blog.summary, blog.description].join(' '), weight: 1 },
+                { text: content, weight: 0.5 }
+            ],
+            popularity: blog.viewCount || 0,
+            data: {
+                image: blog.blogImage?.[0]?.image,
+                tags: blog.tags,
+                createdAt: blog.createdAt
+            }
+        });
+    });
+
+    return entries;
+}
+
+/**
+ * 重建索引
+ * @returns {Promise<object>}
+ */
+async function buildIndex() {
+    stale = false;
+    const index = createIndex(await loadEntries());
+    currentIndex = index;
+    builtAt = Date.now();
+    return index;
+}
+
+/**
+ * 获取索引：过期或数据变更后重建；重建期间继续使用旧索引
+ * @returns {Promise<object>}
+ */
+async function getIndex() {
+    if (currentIndex && !stale && Date.now() - builtAt < INDEX_TTL) {
+        return currentIndex;
+    }
+    if (!building) {
+        building = buildIndex().finally(() => {
+            building = null;
+        });
+    }
+    return currentIndex || building;
+}
+
+/**
+ * 标记索引已过期（品牌、商场、门店、博客数据变更后调用）
+ */
+function markSearchIndexStale() {
+    stale = true;
+}
+
+/**
+ * 解析查询：中文拆为二元组（单字保留单字），英文按词
+ * @param {string} q - 查询文本
+ * @returns {Array<object>} - [{ text, cjk }]
+ */
+function parseTerms(q) {
+    const terms = [];
+    (normalize(q).match(TOKEN_PATTERN) || []).forEach(run => {
+        if (!CJK_PATTERN.test(run)) {
+            terms.push({ text: run, cjk: false });
+            return;
+        }
+        if (run.length === 1) {
+            terms.push({ text: run, cjk: true });
+            return;
+        }
+        for (let i = 0; i + 1 < run.length; i++) {
+            terms.push({ text: run.slice(i, i + 2), cjk: true });
+        }
+    });
+
+    // 去重，保留顺序
+    const seen = new Set();
+    return terms.filter(term => !seen.has(term.text) && seen.add(term.text));
+}
+
+/**
+ * 展开查询词：精确、前缀、拼写容错
+ * @param {object} index - 索引
+ * @param {object} term - 查询词
+ * @returns {Array<object>} - [{ token, factor }]
+ */
+function expandTerm(index, term) {
+    const expansions = [];
+    if (index.postings.has(term.text)) {
+        expansions.push({ token: term.text, factor: MATCH_FACTORS.exact });
+    }
+    if (term.cjk) return expansions;
+
+    // 前缀：在已排序词表中二分查找起点
+    if (term.text.length >= 2) {
+        let low = 0;
+        let high = index.words.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (index.words[mid] < term.text) low = mid + 1;
+            else high = mid;
+        }
+        for (let i = low; i < index.words.length && expansions.length < MAX_EXPANSIONS; i++) {
+            const word = index.words[i];
+            if (!word.startsWith(term.text)) break;
+            if (word !== term.text) expansions.push({ token: word, factor: MATCH_FACTORS.prefix });
+        }
+    }
+
+    // 没有精确命中时才做拼写容错
+    const maxTypos = allowedTypos(term.text);
+    if (maxTypos > 0 && !index.postings.has(term.text)) {
+        for (const word of index.words) {
+            if (expansions.length >= MAX_EXPANSIONS) break;
+            if (word[0] !== term.text[0] || word.startsWith(term.text)) continue;
+            if (editDistance(term.text, word, maxTypos) <= maxTypos) {
+                expansions.push({ token: word, factor: MATCH_FACTORS.fuzzy });
+            }
+        }
+    }
+
+    return expansions;
+}
+
+/**
+ * HTML 转义
+ * @param {string} text - 文本
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    return text.replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+/**
+ * 高亮文本中的命中词（<em> 包裹，重叠或相邻的命中合并），长文本截取首个命中附近的片段
+ * @param {string} text - 原始文本
+ * @param {Array<string>} words - 命中词（小写）
+ * @param {boolean} snippet - 是否截取片段
+ * @returns {string}
+ */
+function highlight(text, words, snippet = false) {
+    const value = stripHtml(text);
+    const lower = value.toLowerCase();
+    const marked = new Array(value.length).fill(false);
+    words.forEach(word => {
+        for (let i = lower.indexOf(word); i !== -1; i = lower.indexOf(word, i + 1)) {
+            marked.fill(true, i, i + word.length);
+        }
+    });
+
+    if (snippet && value.length > SNIPPET_RADIUS * 2) {
+        const start = Math.max(0, marked.indexOf(true) - SNIPPET_RADIUS);
+        const end = start + SNIPPET_RADIUS * 2;
+        return (start > 0 ? '...' : '') +
+            wrapMarked(value.slice(start, end), marked.slice(start, end)) +
+            (end < value.length ? '...' : '');
+    }
+    return wrapMarked(value, marked);
+}
+
+/**
+ * 按标记位置包裹 <em>
+ * @param {string} value - 文本
+ * @param {Array<boolean>} marked - 每个字符是否命中
+ * @returns {string}
+ */
+function wrapMarked(value, marked) {
+    let result = '';
+    let open = false;
+    for (let i = 0; i < value.length; i++) {
+        if (marked[i] && !open) result += '<em>';
+        if (!marked[i] && open) result += '</em>';
+        open = marked[i];
+        result += escapeHtml(value[i]);
+    }
+    return open ? `${result}</em>` : result;
+}
+
+/**
+ * 搜索
+ * @param {object} options - { q, types, page, limit }
+ * @returns {Promise<object>} - { hits, facets, total }
+ */
+async function search({ q, types = Object.keys(SEARCH_TYPES), page = 1, limit = 10 }) {
+    const index = await getIndex();
+    const query = normalize(q).trim();
+    const terms = parseTerms(q);
+    const facets = Object.fromEntries(Object.keys(SEARCH_TYPES).map(type => [type, 0]));
+    if (terms.length === 0) {
+        return { hits: [], facets, total: 0 };
+    }
+
+    const docCount = index.docs.length;
+    const scores = new Map();
+    const highlightWords = [];
+
+    terms.forEach((term, termIndex) => {
+        const expansions = expandTerm(index, term);
+        expansions.forEach(({ token, factor }) => {
+            highlightWords.push(token);
+            const posting = index.postings.get(token);
+            const idf = Math.log(1 + docCount / posting.size);
+
+            posting.forEach((weight, docIndex) => {
+                if (!scores.has(docIndex)) {
+                    scores.set(docIndex, { score: new Array(terms.length).fill(0) });
+                }
+                const item = scores.get(docIndex);
+                item.score[termIndex] = Math.max(item.score[termIndex], weight * idf * factor);
+            });
+        });
+    });
+
+    // 多个查询词时允许部分未命中（容忍中文错别字），按覆盖率降权
+    const minCoverage = terms.length >= 3 ? 0.5 : 1;
+    const matched = [];
+    scores.forEach(({ score }, docIndex) => {
+        const coverage = score.filter(value => value > 0).length / terms.length;
+        if (coverage < minCoverage) return;
+
+        const doc = index.docs[docIndex];
+        facets[doc.type]++;
+        if (!types.includes(doc.type)) return;
+
+        // 标题与查询完全一致或以查询开头时加权
+        const title = normalize(doc.title);
+        const titleBoost = title === query ? 2 : (title.startsWith(query) ? 1.5 : 1);
+        const total = score.reduce((sum, value) => sum + value, 0);
+        matched.push({
+            doc,
+            score: total * coverage * coverage * titleBoost * (1 + 0.1 * Math.log10(1 + doc.popularity))
+        });
+    });
+
+    matched.sort((a, b) => b.score - a.score);
+
+    const words = [...new Set(highlightWords)];
+    const hits = matched.slice((page - 1) * limit, page * limit).map(({ doc, score }) => ({
+        type: doc.type,
+        id: doc.id,
+        title: doc.title,
+        subtitle: doc.subtitle,
+        score: Math.round(score * 1000) / 1000,
+        highlight: {
+            title: highlight(doc.title, words),
+            subtitle: highlight(doc.subtitle, words, true)
+        },
+        data: doc.data
+    }));
+
+    return { hits, facets, total: matched.length };
+}
+
+module.exports = {
+    SEARCH_TYPES,
+    MAX_QUERY_LENGTH,
+    normalize,
+    pinyinTokens,
+    search,
+    markSearchIndexStale
+};
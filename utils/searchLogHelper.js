@@ -0,0 +1,227 @@
+/**
+ * 搜索日志工具
+ * 记录搜索关键词、筛选条件、结果数与点击，并汇总热门搜索词、无结果搜索词与点击率
+ */
+
+const mongoose = require('mongoose');
+const jsonwebtoken = require('jsonwebtoken');
+const SearchLog = require('../models/SearchLog');
+
+const SEARCH_SOURCES = {
+    map_malls: '商场列表',
+    map_brands: '品牌列表',
+    blogs: '博客列表',
+    search: '统一搜索'
+};
+
+const CLICK_TYPES = ['brand', 'mall', 'store', 'city', 'blog'];
+
+// 不计入筛选条件的查询参数
+const IGNORED_FILTERS = ['page', 'limit', 'search', 'q'];
+
+// 每条搜索最多保留的点击记录
+const MAX_CLICKS = 20;
+
+/**
+ * 读取当前用户：已认证时取 ctx.state.user，公开接口则尝试解析 Bearer token
+ * @param {object} ctx - Koa 上下文
+ * @returns {string|null}
+ */
+function resolveUserId(ctx) {
+    if (ctx.state.user) return ctx.state.user.userId || null;
+
+    const token = ctx.headers.authorization;
+    if (!token || !token.startsWith('Bearer ')) return null;
+    try {
+        return jsonwebtoken.verify(token.replace('Bearer ', ''), process.env.JWT_SECRET).userId || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * 整理筛选条件：去掉分页、关键词与空值
+ * @param {object} query - 查询参数
+ * @returns {object}
+ */
+function pickFilters(query) {
+    return Object.fromEntries(
+        Object.entries(query || {})
+            .filter(([key, value]) => !IGNORED_FILTERS.includes(key) && value !== undefined && value !== '')
+            .map(([key, value]) => [key, String(value).slice(0, 100)])
+    );
+}
+
+/**
+ * 记录一次搜索（异步写入，不阻塞响应；关键词为空或翻页时不记录）
+ * @param {object} ctx - Koa 上下文
+ * @param {object} options - { source, query, filters（含 page）, resultCount }
+ * @returns {string|null} - 搜索日志ID，前端上报点击时使用
+ */
+function logSearch(ctx, { source, query, filters, resultCount }) {
+    const rawQuery = String(query || '').trim().slice(0, 100);
+    if (!rawQuery || parseInt(filters?.page) > 1) return null;
+
+    const _id = new mongoose.Types.ObjectId();
+    SearchLog.create({
+        _id,
+        source,
+        query: rawQuery.toLowerCase(),
+        rawQuery,
+        filters: pickFilters(filters),
+        resultCount: resultCount || 0,
+        user: resolveUserId(ctx)
+    }).catch(error => console.error('记录搜索日志失败:', error.message));
+
+    return _id.toString();
+}
+
+/**
+ * 记录搜索结果点击
+ * @param {string} searchId - 搜索日志ID
+ * @param {object} click - { type, target, position }
+ * @returns {Promise<boolean>} - 搜索日志是否存在
+ */
+async function recordClick(searchId, { type, target, position }) {
+    const result = await SearchLog.updateOne(
+        { _id: searchId },
+        {
+            $push: {
+                clicks: {
+                    $each: [{ type, target, position, clickedAt: new Date() }],
+                    $slice: -MAX_CLICKS
+                }
+            }
+        }
+    );
+    return result.matchedCount > 0;
+}
+
+/**
+ * 汇总搜索数据
+ * @param {object} options - { days, source, limit }
+ * @returns {Promise<object>} - { totals, topQueries, zeroResultQueries, topClicked }
+ */
+async function getSearchAnalytics({ days, source, limit }) {
+    const match = { createdAt: { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) } };
+    if (source) match.source = source;
+
+    const hasClick = { $gt: [{ $size: { $ifNull: ['$clicks', []] } }, 0] };
+    const rate = (part, total) => ({ $cond: [{ $gt: [total, 0] }, { $round: [{ $divide: [part, total] }, 4] }, 0] });
+
+    const [result] = await SearchLog.aggregate([
+        { $match: match },
+        {
+            $facet: {
+                totals: [
+                    {
+                        $group: {
+                            _id: null,
+                            searches: { $sum: 1 },
+                            zeroResults: { $sum: { $cond: [{ $eq: ['$resultCount', 0] }, 1, 0] } },
+                            clicked: { $sum: { $cond: [hasClick, 1, 0] } },
+                            users: { $addToSet: '$user' },
+                            queries: { $addToSet: '$query' }
+                        }
+                    },
+                    {
+                        $project: {
+                            _id: 0,
+                            searches: 1,
+                            zeroResults: 1,
+                            zeroResultRate: rate('$zeroResults', '$searches'),
+                            clickThroughRate: rate('$clicked', '$searches'),
+                            uniqueQueries: { $size: '$queries' },
+                            // 去掉匿名用户
+                            uniqueUsers: { $size: { $setDifference: ['$users', [null]] } }
+                        }
+                    }
+                ],
+                topQueries: [
+                    {
+                        $group: {
+                            _id: '$query',
+                            count: { $sum: 1 },
+                            zeroResults: { $sum: { $cond: [{ $eq: ['$resultCount', 0] }, 1, 0] } },
+                            clicked: { $sum: { $cond: [hasClick, 1, 0] } },
+                            averageResults: { $avg: '$resultCount' },
+                            sources: { $addToSet: '$source' },
+                            lastSearchedAt: { $max: '$createdAt' }
+                        }
+                    },
+                    { $sort: { count: -1, lastSearchedAt: -1 } },
+                    { $limit: limit },
+                    {
+                        $project: {
+                            _id: 0,
+                            query: '$_id',
+                            count: 1,
+                            zeroResults: 1,
+                            averageResults: { $round: ['$averageResults', 1] },
+                            clickThroughRate: rate('$clicked', '$count'),
+                            sources: 1,
+                            lastSearchedAt: 1
+                        }
+                    }
+                ],
+                zeroResultQueries: [
+                    { $match: { resultCount: 0 } },
+                    {
+                        $group: {
+                            _id: '$query',
+                            count: { $sum: 1 },
+                            sources: { $addToSet: '$source' },
+                            lastSearchedAt: { $max: '$createdAt' }
+                        }
+                    },
+                    { $sort: { count: -1, lastSearchedAt: -1 } },
+                    { $limit: limit },
+                    { $project: { _id: 0, query: '$_id', count: 1, sources: 1, lastSearchedAt: 1 } }
+                ],
+                topClicked: [
+                    { $unwind: '$clicks' },
+                    {
+                        $group: {
+                            _id: { type: '$clicks.type', target: '$clicks.target' },
+                            clicks: { $sum: 1 },
+                            queries: { $addToSet: '$query' }
+                        }
+                    },
+                    { $sort: { clicks: -1 } },
+                    { $limit: limit },
+                    {
+                        $project: {
+                            _id: 0,
+                            type: '$_id.type',
+                            target: '$_id.target',
+                            clicks: 1,
+                            queries: { $slice: ['$queries', 10] }
+                        }
+                    }
+                ]
+            }
+        }
+    ]);
+
+    return {
+        totals: result.totals[0] || {
+            searches: 0,
+            zeroResults: 0,
+            zeroResultRate: 0,
+            clickThroughRate: 0,
+            uniqueQueries: 0,
+            uniqueUsers: 0
+        },
+        topQueries: result.topQueries,
+        zeroResultQueries: result.zeroResultQueries,
+        topClicked: result.topClicked
+    };
+}
+
+module.exports = {
+    SEARCH_SOURCES,
+    CLICK_TYPES,
+    logSearch,
+    recordClick,
+    getSearchAnalytics
+};
@@ -0,0 +1,229 @@
+/**
+ * 敏感词匹配工具
+ * 词库保存在 SensitiveWord 中，启用的词构建为一个 Aho-Corasick 匹配器，文本归一化后扫描一遍找出全部命中；
+ * 归一化：去除 HTML 标签，全角转半角（NFKC），统一小写，形近的西里尔 / 希腊字母替换为拉丁字母，
+ * 并去除空格、标点、表情与零宽字符，防止以插入符号或全角字符的方式绕过；开启拼音的词同时匹配其全拼
+ */
+
+const { pinyin } = require('pinyin-pro');
+const SensitiveWord = require('../models/SensitiveWord');
+const SensitiveHit = require('../models/SensitiveHit');
+const { buildAutomaton } = require('./ahoCorasick');
+
+// 匹配器有效期（毫秒），多实例部署时其他实例修改的词库在过期后生效
+const MATCHER_TTL = parseInt(process.env.SENSITIVE_WORDS_TTL) || 60 * 1000;
+
+// 命中记录中保留的原文长度（命中位置前后）
+const EXCERPT_RADIUS = 30;
+
+// 保留字母与数字，其余字符（空格、标点、符号、表情、零宽字符等）视为分隔符
+const WORD_CHAR = /[\p{L}\p{N}]/u;
+
+const CJK_PATTERN = /[\u3400-\u9fff\uf900-\ufaff]/;
+
+// 形近字母（小写）
+const HOMOGLYPHS = {
+    'а': 'a', 'в': 'b', 'е': 'e', 'ѕ': 's', 'і': 'i', 'ј': 'j', 'к': 'k', 'м': 'm',
+    'н': 'h', 'о': 'o', 'р': 'p', 'с': 'c', 'т': 't', 'у': 'y', 'х': 'x',
+    'α': 'a', 'β': 'b', 'ε': 'e', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o', 'ρ': 'p',
+    'τ': 't', 'υ': 'u', 'χ': 'x'
+};
+
+let currentMatcher = null;
+let builtAt = 0;
+let stale = false;
+let building = null;
+
+/**
+ * 归一化文本，并记录每个字符在原文中的位置
+ * @param {string} text - 原文
+ * @returns {object} - { chars: 归一化后的字符, starts / ends: 对应原文的起止下标 }
+ */
+function normalizeChars(text) {
+    // 标签替换为等长空格，保持下标不变
+    const source = String(text || '').replace(/<[^>]*>/g, tag => ' '.repeat(tag.length));
+    const chars = [];
+    const starts = [];
+    const ends = [];
+
+    let index = 0;
+    for (const symbol of source) {
+        for (const char of symbol.normalize('NFKC').toLowerCase()) {
+            const mapped = HOMOGLYPHS[char] || char;
+            if (WORD_CHAR.test(mapped)) {
+                chars.push(mapped);
+                starts.push(index);
+                ends.push(index + symbol.length);
+            }
+        }
+        index += symbol.length;
+    }
+    return { chars, starts, ends };
+}
+
+/**
+ * 敏感词的归一化形式（与文本使用相同规则）
+ * @param {string} word - 原词
+ * @returns {string}
+ */
+function normalizeWord(word) {
+    return normalizeChars(word).chars.join('');
+}
+
+/**
+ * 敏感词的全拼（不含中文时返回空）
+ * @param {string} word - 原词
+ * @returns {string}
+ */
+function pinyinOf(word) {
+    if (!CJK_PATTERN.test(word)) return '';
+    return normalizeWord(pinyin(word, { toneType: 'none', type: 'array' }).join(''));
+}
+
+/**
+ * 根据启用的敏感词构建匹配器
+ * @returns {Promise<object>}
+ */
+async function buildMatcher() {
+    stale = false;
+    const words = await SensitiveWord.find({ enabled: true })
+        .select('word normalized category severity pinyin')
+        .lean();
+
+    const patterns = [];
+    words.forEach(item => {
+        const payload = { id: item._id, word: item.word, category: item.category, severity: item.severity };
+        patterns.push({ pattern: item.normalized, payload });
+        if (item.pinyin) {
+            const spelled = pinyinOf(item.word);
+            if (spelled && spelled !== item.normalized) patterns.push({ pattern: spelled, payload });
+        }
+    });
+
+    currentMatcher = buildAutomaton(patterns);
+    builtAt = Date.now();
+    return currentMatcher;
+}
+
+/**
+ * 获取匹配器：过期或词库变更后重建；重建期间继续使用旧匹配器
+ * @returns {Promise<object>}
+ */
+async function getMatcher() {
+    if (currentMatcher && !stale && Date.now() - builtAt < MATCHER_TTL) {
+        return currentMatcher;
+    }
+    if (!building) {
+        building = buildMatcher().finally(() => {
+            building = null;
+        });
+    }
+    return currentMatcher || building;
+}
+
+/**
+ * 标记匹配器已过期（敏感词增删改后调用）
+ */
+function markSensitiveWordsStale() {
+    stale = true;
+}
+
+/**
+ * 查找文本中的全部敏感词
+ * @param {string} text - 原文
+ * @returns {Promise<Array<object>>} - [{ word, category, severity, matched（原文中的写法）, start, end }]
+ */
+async function findSensitiveWords(text) {
+    if (!text || typeof text !== 'string') return [];
+
+    const matcher = await getMatcher();
+    if (matcher.size === 0) return [];
+
+    const { chars, starts, ends } = normalizeChars(text);
+    return matcher.search(chars).map(match => {
+        const start = starts[match.start];
+        const end = ends[match.end - 1];
+        return {
+            word: match.payload.word,
+            category: match.payload.category,
+            severity: match.payload.severity,
+            matched: text.slice(start, end),
+            start,
+            end
+        };
+    });
+}
+
+/**
+ * 命中的词是否需要拦截
+ * @param {string} severity - 级别
+ * @param {boolean} strictMode - 是否严格模式
+ * @returns {boolean}
+ */
+function isBlocking(severity, strictMode = true) {
+    return severity === 'high' || (severity === 'medium' && strictMode);
+}
+
+/**
+ * 将命中位置替换为指定字符
+ * @param {string} text - 原文
+ * @param {Array<object>} matches - findSensitiveWords 的返回值
+ * @param {string} replacement - 替换字符
+ * @returns {string}
+ */
+function maskMatches(text, matches, replacement = '*') {
+    if (matches.length === 0) return text;
+
+    const masked = new Array(text.length).fill(false);
+    matches.forEach(({ start, end }) => {
+        for (let i = start; i < end; i++) masked[i] = true;
+    });
+    // 命中范围内的 HTML 标签保持不变
+    text.replace(/<[^>]*>/g, (tag, offset) => {
+        for (let i = offset; i < offset + tag.length; i++) masked[i] = false;
+        return tag;
+    });
+
+    let result = '';
+    for (let i = 0; i < text.length; i++) {
+        // 命中范围内除空白外的字符全部替换
+        result += masked[i] && !/\s/.test(text[i]) ? replacement : text[i];
+    }
+    return result;
+}
+
+/**
+ * 记录命中（失败只记录日志）
+ * @param {object} entry - { source, user, targetId, text, matches, action }
+ */
+async function recordSensitiveHits({ source, user = null, targetId = null, text, matches, action }) {
+    if (!matches || matches.length === 0) return;
+
+    try {
+        const words = [];
+        matches.forEach(match => {
+            if (!words.some(item => item.word === match.word)) {
+                words.push({ word: match.word, category: match.category, severity: match.severity, matched: match.matched });
+            }
+        });
+
+        const first = matches.reduce((min, match) => (match.start < min.start ? match : min), matches[0]);
+        const from = Math.max(first.start - EXCERPT_RADIUS, 0);
+        const to = Math.min(first.end + EXCERPT_RADIUS, text.length);
+        const excerpt = `${from > 0 ? '...' : ''}${text.slice(from, to)}${to < text.length ? '...' : ''}`;
+
+        await SensitiveHit.create({ source, user, targetId, words, action, excerpt });
+    } catch (error) {
+        console.error('记录敏感词命中失败:', error);
+    }
+}
+
+module.exports = {
+    normalizeChars,
+    normalizeWord,
+    findSensitiveWords,
+    isBlocking,
+    maskMatches,
+    recordSensitiveHits,
+    markSensitiveWordsStale
+};
@@ -0,0 +1,103 @@
+jest.mock('../models/SensitiveWord', () => ({ find: jest.fn() }));
+
+const SensitiveWord = require('../models/SensitiveWord');
+const { normalizeChars, normalizeWord, findSensitiveWords } = require('./sensitiveWordHelper');
+
+/**
+ * 归一化后的文本
+ * @param {string} text - 原文
+ * @returns {string}
+ */
+function normalized(text) {
+    return normalizeChars(text).chars.join('');
+}
+
+describe('normalizeChars', () => {
+    test('全角字母、数字转为半角并统一小写', () => {
+        expect(normalized('ＢＡＤ　Ｗｏｒｄ１２３')).toBe('badword123');
+    });
+
+    test('数学字母等兼容字符按 NFKC 归一化', () => {
+        expect(normalized('𝐛𝐚𝐝')).toBe('bad');
+        expect(normalized('ﬁne')).toBe('fine');
+        expect(normalized('①②')).toBe('12');
+    });
+
+    test('形近的西里尔、希腊字母替换为拉丁字母', () => {
+        // 西里尔字母 а、о、с 与希腊字母 ο、ρ
+        expect(normalized('bаd')).toBe('bad');
+        expect(normalized('сοοl')).toBe('cool');
+        expect(normalized('ΡΑΤ')).toBe('pat');
+    });
+
+    test('去除空格、标点、符号、表情与零宽字符', () => {
+        expect(normalized('b.a-d')).toBe('bad');
+        expect(normalized('敏 感_词')).toBe('敏感词');
+        expect(normalized('敏😀感★词')).toBe('敏感词');
+        expect(normalized('敏​感‍词﻿')).toBe('敏感词');
+        expect(normalized('敏，感。词！')).toBe('敏感词');
+    });
+
+    test('去除 HTML 标签但不合并标签两侧以外的内容', () => {
+        expect(normalized('<p>敏</p><b>感</b>词')).toBe('敏感词');
+        expect(normalized('<a href="bad">ok</a>')).toBe('ok');
+    });
+
+    test('记录每个字符在原文中的起止位置', () => {
+        const text = '<b>Ｂ</b>.𝐚 d';
+        const { chars, starts, ends } = normalizeChars(text);
+
+        expect(chars).toEqual(['b', 'a', 'd']);
+        expect(starts).toEqual([3, 9, 12]);
+        // 𝐚 为代理对，占两个下标
+        expect(ends).toEqual([4, 11, 13]);
+        expect(text.slice(starts[0], ends[2])).toBe('Ｂ</b>.𝐚 d');
+    });
+
+    test('一个字符归一化为多个字符时位置均指向原字符', () => {
+        const { chars, starts, ends } = normalizeChars('ﬁ');
+
+        expect(chars).toEqual(['f', 'i']);
+        expect(starts).toEqual([0, 0]);
+        expect(ends).toEqual([1, 1]);
+    });
+
+    test('空值返回空结果', () => {
+        expect(normalizeChars(null)).toEqual({ chars: [], starts: [], ends: [] });
+        expect(normalizeChars('')).toEqual({ chars: [], starts: [], ends: [] });
+    });
+
+    test('敏感词与文本使用相同规则归一化', () => {
+        expect(normalizeWord('Ｂａｄ Ｗｏｒｄ')).toBe('badword');
+    });
+});
+
+describe('findSensitiveWords', () => {
+    beforeAll(() => {
+        const words = [
+            { _id: '1', word: 'badword', normalized: normalizeWord('badword'), category: 'abuse', severity: 'high' },
+            { _id: '2', word: '敏感词', normalized: normalizeWord('敏感词'), category: 'other', severity: 'medium' }
+        ];
+        SensitiveWord.find.mockReturnValue({
+            select: () => ({ lean: () => Promise.resolve(words) })
+        });
+    });
+
+    test.each([
+        ['全角', '这是ＢＡＤＷＯＲＤ吗', 'ＢＡＤＷＯＲＤ'],
+        ['形近字母', 'a bаdwοrd here', 'bаdwοrd'],
+        ['插入分隔符', 'b.a.d w-o-r-d!', 'b.a.d w-o-r-d'],
+        ['零宽字符', 'bad​word', 'bad​word'],
+        ['表情与标签', '敏😀<i>感</i>词', '敏😀<i>感</i>词']
+    ])('%s绕过仍能命中，并返回原文中的位置', async (name, text, matched) => {
+        const [match] = await findSensitiveWords(text);
+
+        expect(match).toBeDefined();
+        expect(match.matched).toBe(matched);
+        expect(text.slice(match.start, match.end)).toBe(matched);
+    });
+
+    test('正常文本没有命中', async () => {
+        expect(await findSensitiveWords('bad day, good word')).toEqual([]);
+    });
+});
@@ -0,0 +1,294 @@
+/**
+ * 登录会话工具
+ * 登录后签发短期访问令牌（JWT，携带会话ID sid）与长期刷新令牌（随机串，服务端只保存哈希）；
+ * 刷新时轮换刷新令牌，旧令牌被重复使用视为泄露并吊销会话；
+ * sessionGuard 在路由之前校验访问令牌对应的会话，已吊销的会话立即失效
+ */
+
+const crypto = require('crypto');
+const jsonwebtoken = require('jsonwebtoken');
+const NodeCache = require('node-cache');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const Sanction = require('../models/Sanction');
+
+// 访问令牌有效期
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+
+// 刷新令牌有效期（天），每次刷新顺延
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+// 会话状态缓存（sessionId -> 是否有效），吊销时同步清除
+const sessionCache = new NodeCache({ stdTTL: 30 });
+
+// 登录、刷新等接口不校验请求中原有的访问令牌，避免客户端携带失效令牌时无法重新登录
+const GUARD_EXEMPT_PATHS = [
+    '/api/auth/login',
+    '/api/auth/email-login',
+    '/api/auth/register',
+    '/api/auth/send-code',
+    '/api/auth/refresh',
+    '/api/auth/logout',
+    '/api/auth/2fa/verify',
+    '/api/auth/2fa/email',
+    '/api/auth/password/forgot',
+    '/api/auth/password/reset'
+];
+
+// 第三方登录回调等接口同上，按前缀匹配
+const GUARD_EXEMPT_PREFIXES = [
+    '/api/auth/oauth/'
+];
+
+/**
+ * 计算刷新令牌哈希
+ * @param {string} token - 刷新令牌
+ * @returns {string}
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * 生成刷新令牌
+ * @returns {string}
+ */
+function generateRefreshToken() {
+    return crypto.randomBytes(48).toString('base64url');
+}
+
+/**
+ * 刷新令牌过期时间
+ * @returns {Date}
+ */
+function refreshExpiry() {
+    return new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * 签发访问令牌
+ * @param {object} user - 用户
+ * @param {string} sessionId - 会话ID
+ * @returns {string}
+ */
+function signAccessToken(user, sessionId) {
+    return jsonwebtoken.sign(
+        { userId: user._id, id: user._id, email: user.email, role: user.role, sid: sessionId },
+        process.env.JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+    );
+}
+
+/**
+ * 生成返回给客户端的令牌
+ * @param {object} user - 用户
+ * @param {object} session - 会话
+ * @param {string} refreshToken - 刷新令牌明文
+ * @returns {object} - { token, refreshToken, expiresIn, refreshExpiresAt }
+ */
+function buildTokens(user, session, refreshToken) {
+    const token = signAccessToken(user, session._id.toString());
+    return {
+        token,
+        refreshToken,
+        expiresIn: jsonwebtoken.decode(token).exp - Math.floor(Date.now() / 1000),
+        refreshExpiresAt: session.expiresAt
+    };
+}
+
+/**
+ * 登录成功后创建会话
+ * @param {object} ctx - Koa 上下文
+ * @param {object} user - 用户
+ * @param {string} method - 登录方式
+ * @returns {Promise<object>} - buildTokens 的返回值
+ */
+async function createSession(ctx, user, method = 'password') {
+    const refreshToken = generateRefreshToken();
+    const session = await Session.create({
+        user: user._id,
+        tokenHash: hashToken(refreshToken),
+        method,
+        userAgent: (ctx.headers['user-agent'] || '').slice(0, 300),
+        ip: ctx.ip || '',
+        expiresAt: refreshExpiry()
+    });
+    return buildTokens(user, session, refreshToken);
+}
+
+/**
+ * 吊销会话
+ * @param {object} filter - Session 查询条件
+ * @param {string} reason - 吊销原因
+ * @returns {Promise<number>} - 吊销的会话数
+ */
+async function revokeWhere(filter, reason) {
+    const sessions = await Session.find({ ...filter, revokedAt: null }).select('_id').lean();
+    if (sessions.length === 0) return 0;
+
+    const ids = sessions.map(session => session._id);
+    await Session.updateMany({ _id: { $in: ids } }, { revokedAt: new Date(), revokeReason: reason });
+    sessionCache.del(ids.map(id => id.toString()));
+    return ids.length;
+}
+
+/**
+ * 吊销单个会话
+ * @param {string} sessionId - 会话ID
+ * @param {string} reason - 吊销原因
+ * @returns {Promise<number>}
+ */
+async function revokeSession(sessionId, reason = 'logout') {
+    return revokeWhere({ _id: sessionId }, reason);
+}
+
+/**
+ * 按刷新令牌吊销会话（注销时使用）
+ * @param {string} refreshToken - 刷新令牌
+ * @returns {Promise<number>}
+ */
+async function revokeRefreshToken(refreshToken) {
+    return revokeWhere({ tokenHash: hashToken(refreshToken) }, 'logout');
+}
+
+/**
+ * 吊销用户的全部会话（停用、删除账户或修改密码时使用）
+ * @param {string} userId - 用户ID
+ * @param {string} reason - 吊销原因
+ * @param {string} exceptSessionId - 保留的会话（可选）
+ * @returns {Promise<number>}
+ */
+async function revokeUserSessions(userId, reason, exceptSessionId = null) {
+    const filter = { user: userId };
+    if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+    return revokeWhere(filter, reason);
+}
+
+/**
+ * 使用刷新令牌换取新的令牌（轮换刷新令牌）
+ * @param {object} ctx - Koa 上下文
+ * @param {string} refreshToken - 刷新令牌
+ * @returns {Promise<object>} - { error } 或 buildTokens 的返回值
+ */
+async function rotateSession(ctx, refreshToken) {
+    const tokenHash = hashToken(refreshToken);
+    const session = await Session.findOne({ tokenHash });
+
+    if (!session) {
+        // 已轮换的旧令牌再次出现，说明令牌可能被盗用，吊销整个会话
+        const reused = await Session.findOne({ previousTokenHash: tokenHash }).select('_id').lean();
+        if (reused) {
+            await revokeSession(reused._id, 'reuse');
+        }
+        return { error: '刷新令牌无效，请重新登录' };
+    }
+
+    if (session.revokedAt || session.expiresAt <= new Date()) {
+        return { error: '登录已失效，请重新登录' };
+    }
+
+    const user = await User.findById(session.user).select('email role isActive');
+    if (!user || !user.isActive) {
+        await revokeSession(session._id, user ? 'disabled' : 'deleted');
+        return { error: '账户已被禁用' };
+    }
+
+    // 暂停期内（含登录后才开始的暂停）不再续期
+    const [suspension] = await Sanction.findActive(user._id, ['suspend']).limit(1).lean();
+    if (suspension) {
+        await revokeSession(session._id, 'suspended');
+        return { error: '账户已被暂停使用' };
+    }
+
+    const nextToken = generateRefreshToken();
+    const rotated = await Session.findOneAndUpdate(
+        // 以旧哈希为条件，并发刷新时只有一个请求成功
+        { _id: session._id, tokenHash },
+        {
+            tokenHash: hashToken(nextToken),
+            previousTokenHash: tokenHash,
+            lastUsedAt: new Date(),
+            expiresAt: refreshExpiry(),
+            ip: ctx.ip || session.ip
+        },
+        { new: true }
+    );
+    if (!rotated) {
+        return { error: '刷新令牌已被使用，请重新登录' };
+    }
+
+    return buildTokens(user, rotated, nextToken);
+}
+
+/**
+ * 判断会话是否有效（短时缓存）
+ * @param {string} sessionId - 会话ID
+ * @returns {Promise<boolean>}
+ */
+async function isSessionActive(sessionId) {
+    const cached = sessionCache.get(sessionId);
+    if (cached !== undefined) return cached;
+
+    const session = await Session.findById(sessionId).select('revokedAt expiresAt').lean();
+    const active = Boolean(session && !session.revokedAt && session.expiresAt > new Date());
+    sessionCache.set(sessionId, active);
+    return active;
+}
+
+/**
+ * 列出用户的有效会话
+ * @param {string} userId - 用户ID
+ * @returns {Promise<Array>}
+ */
+async function listUserSessions(userId) {
+    return Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+        .select('method userAgent ip lastUsedAt expiresAt createdAt')
+        .sort({ lastUsedAt: -1 })
+        .lean();
+}
+
+/**
+ * 会话校验中间件：请求携带的访问令牌签名有效但会话已吊销或过期时返回 401；
+ * 不含会话ID的旧令牌无法吊销，同样要求重新登录。签名无效的令牌交给各路由的认证中间件处理
+ * @param {object} ctx - Koa 上下文
+ * @param {Function} next - 下一个中间件
+ */
+async function sessionGuard(ctx, next) {
+    const header = ctx.headers.authorization;
+    const exempt = GUARD_EXEMPT_PATHS.includes(ctx.path) ||
+        GUARD_EXEMPT_PREFIXES.some(prefix => ctx.path.startsWith(prefix));
+    if (!header || !header.startsWith('Bearer ') || exempt) {
+        await next();
+        return;
+    }
+
+    let decoded = null;
+    try {
+        decoded = jsonwebtoken.verify(header.replace('Bearer ', ''), process.env.JWT_SECRET);
+    } catch (error) {
+        decoded = null;
+    }
+
+    if (decoded && (!decoded.sid || !(await isSessionActive(decoded.sid)))) {
+        ctx.status = 401;
+        ctx.body = {
+            success: false,
+            message: '登录已失效，请重新登录'
+        };
+        return;
+    }
+
+    await next();
+}
+
+module.exports = {
+    ACCESS_TOKEN_EXPIRES_IN,
+    REFRESH_TOKEN_DAYS,
+    createSession,
+    rotateSession,
+    revokeSession,
+    revokeRefreshToken,
+    revokeUserSessions,
+    listUserSessions,
+    sessionGuard
+};
@@ -0,0 +1,357 @@
+/**
+ * 区域统计工具
+ * 维护 RegionStat 中的省/市/区/全国统计（汇总及分品牌），
+ * 在门店、商场、品牌变更后只重新计算受影响的区域
+ */
+
+const mongoose = require('mongoose');
+const NodeCache = require('node-cache');
+const RegionStat = require('../models/RegionStat');
+const BrandStore = require('../models/BrandStore');
+const Province = require('../models/Province');
+const City = require('../models/City');
+const District = require('../models/District');
+
+// 树形结构缓存（统计刷新时清空）
+const treeCache = new NodeCache({ stdTTL: 600 }); // 10分钟缓存
+
+const LEVEL_MODELS = {
+    province: Province,
+    city: City,
+    district: District
+};
+
+/**
+ * 将 ObjectId / 已 populate 的文档 / 字符串统一转为 ObjectId
+ * @param {*} value - 原始值
+ * @returns {mongoose.Types.ObjectId|null}
+ */
+function toObjectId(value) {
+    if (!value) return null;
+    const id = value._id || value;
+    return mongoose.Types.ObjectId.isValid(id) ? new mongoose.Types.ObjectId(id.toString()) : null;
+}
+
+/**
+ * 有效门店的聚合阶段：门店启用，且所属品牌、商场未停用（所属商场已永久删除的门店不计入）
+ * @param {object} match - 门店筛选条件
+ * @returns {Array} - 聚合阶段
+ */
+function effectiveStoreStages(match) {
+    return [
+        { $match: { isActive: true, ...match } },
+        { $lookup: { from: 'brands', localField: 'brand', foreignField: '_id', as: 'brandInfo' } },
+        { $lookup: { from: 'malls', localField: 'mall', foreignField: '_id', as: 'mallInfo' } },
+        {
+            $match: {
+                'brandInfo.isActive': true,
+                $or: [{ mall: null }, { mallInfo: { $elemMatch: { isActive: { $ne: false } } } }]
+            }
+        }
+    ];
+}
+
+/**
+ * 重新计算某一层级下指定区域的统计
+ * @param {string} level - province | city | district
+ * @param {Array|null} regionIds - 区域ID列表，为 null 时计算该层级全部区域
+ */
+async function computeLevel(level, regionIds = null) {
+    const Model = LEVEL_MODELS[level];
+    const ids = regionIds || (await Model.find({}).select('_id')).map(doc => doc._id);
+    if (ids.length === 0) return;
+
+    const match = { [level]: { $in: ids } };
+    const refreshedAt = new Date();
+
+    const [storeGroups, districtGroups] = await Promise.all([
+        BrandStore.aggregate([
+            ...effectiveStoreStages(match),
+            {
+                $group: {
+                    _id: { region: `$${level}`, brand: '$brand' },
+                    storeCount: { $sum: 1 },
+                    malls: { $addToSet: '$mall' }
+                }
+            }
+        ]),
+        level === 'district'
+            ? Promise.resolve([])
+            : District.aggregate([
+                { $match: { isActive: true, ...match } },
+                { $group: { _id: `$${level}`, count: { $sum: 1 } } }
+            ])
+    ]);
+
+    const districtCountMap = new Map(districtGroups.map(g => [g._id.toString(), g.count]));
+
+    // 按区域汇总
+    const summaries = new Map(ids.map(id => [id.toString(), {
+        region: id,
+        storeCount: 0,
+        brandCount: 0,
+        mallCount: 0,
+        districtCount: districtCountMap.get(id.toString()) || 0
+    }]));
+
+    // 区域商场数：有有效门店的不同商场（没有门店的商场不计入）
+    const regionMalls = new Map(ids.map(id => [id.toString(), new Set()]));
+
+    const operations = [];
+    storeGroups.forEach(group => {
+        const summary = summaries.get(group._id.region.toString());
+        if (!summary) return;
+
+        summary.storeCount += group.storeCount;
+        summary.brandCount += 1;
+        group.malls.filter(Boolean).forEach(mall => regionMalls.get(group._id.region.toString()).add(mall.toString()));
+
+        operations.push({
+            updateOne: {
+                filter: { level, region: group._id.region, brand: group._id.brand },
+                update: {
+                    $set: {
+                        storeCount: group.storeCount,
+                        mallCount: group.malls.filter(Boolean).length,
+                        brandCount: 1,
+                        districtCount: 0,
+                        refreshedAt
+                    }
+                },
+                upsert: true
+            }
+        });
+    });
+
+    summaries.forEach(summary => {
+        summary.mallCount = regionMalls.get(summary.region.toString()).size;
+        operations.push({
+            updateOne: {
+                filter: { level, region: summary.region, brand: null },
+                update: {
+                    $set: {
+                        storeCount: summary.storeCount,
+                        mallCount: summary.mallCount,
+                        brandCount: summary.brandCount,
+                        districtCount: summary.districtCount,
+                        refreshedAt
+                    }
+                },
+                upsert: true
+            }
+        });
+    });
+
+    await RegionStat.bulkWrite(operations, { ordered: false });
+
+    // 清理本次未出现的品牌统计（品牌已撤店或停用）
+    await RegionStat.deleteMany({
+        level,
+        region: { $in: ids },
+        brand: { $ne: null },
+        refreshedAt: { $lt: refreshedAt }
+    });
+
+    // 回写区域文档上的计数字段，兼容直接读取 Province/City/District 的接口
+    await Model.bulkWrite([...summaries.values()].map(summary => ({
+        updateOne: {
+            filter: { _id: summary.region },
+            update: {
+                $set: level === 'district'
+                    ? { brandCount: summary.brandCount, mallCount: summary.mallCount }
+                    : { brandCount: summary.brandCount, mallCount: summary.mallCount, districtCount: summary.districtCount }
+            }
+        }
+    })), { ordered: false });
+}
+
+/**
+ * 根据省级统计重新计算全国统计
+ */
+async function computeNational() {
+    const refreshedAt = new Date();
+
+    const [provinceSummary, brandGroups, districtCount] = await Promise.all([
+        RegionStat.aggregate([
+            { $match: { level: 'province', brand: null } },
+            { $group: { _id: null, storeCount: { $sum: '$storeCount' }, mallCount: { $sum: '$mallCount' } } }
+        ]),
+        RegionStat.aggregate([
+            { $match: { level: 'province', brand: { $ne: null } } },
+            { $group: { _id: '$brand', storeCount: { $sum: '$storeCount' }, mallCount: { $sum: '$mallCount' } } }
+        ]),
+        District.countDocuments({ isActive: true })
+    ]);
+
+    const operations = brandGroups.map(group => ({
+        updateOne: {
+            filter: { level: 'national', region: null, brand: group._id },
+            update: {
+                $set: {
+                    storeCount: group.storeCount,
+                    mallCount: group.mallCount,
+                    brandCount: 1,
+                    districtCount: 0,
+                    refreshedAt
+                }
+            },
+            upsert: true
+        }
+    }));
+
+    operations.push({
+        updateOne: {
+            filter: { level: 'national', region: null, brand: null },
+            update: {
+                $set: {
+                    storeCount: provinceSummary[0]?.storeCount || 0,
+                    mallCount: provinceSummary[0]?.mallCount || 0,
+                    brandCount: brandGroups.length,
+                    districtCount,
+                    refreshedAt
+                }
+            },
+            upsert: true
+        }
+    });
+
+    await RegionStat.bulkWrite(operations, { ordered: false });
+    await RegionStat.deleteMany({ level: 'national', brand: { $ne: null }, refreshedAt: { $lt: refreshedAt } });
+}
+
+/**
+ * 刷新指定区域的统计，并同步全国统计
+ * @param {object} regions - { provinces: [], cities: [], districts: [] }
+ */
+async function refreshRegions({ provinces = [], cities = [], districts = [] }) {
+    const unique = (ids) => [...new Map(
+        ids.map(toObjectId).filter(Boolean).map(id => [id.toString(), id])
+    ).values()];
+
+    const levels = [
+        ['district', unique(districts)],
+        ['city', unique(cities)],
+        ['province', unique(provinces)]
+    ];
+
+    for (const [level, ids] of levels) {
+        if (ids.length > 0) {
+            await computeLevel(level, ids);
+        }
+    }
+
+    await computeNational();
+    treeCache.flushAll();
+}
+
+/**
+ * 刷新若干门店或商场所在区域的统计
+ * @param {...object} docs - 含 province/city/district 字段的文档（可为 null）
+ * @returns {Promise<void>}
+ */
+async function refreshForDocs(...docs) {
+    try {
+        const items = docs.flat().filter(Boolean);
+        if (items.length === 0) return;
+
+        await refreshRegions({
+            provinces: items.map(doc => doc.province),
+            cities: items.map(doc => doc.city),
+            districts: items.map(doc => doc.district)
+        });
+    } catch (error) {
+        console.error('刷新区域统计失败:', error);
+    }
+}
+
+/**
+ * 刷新某品牌门店所在全部区域的统计（品牌停用、恢复、删除时使用）
+ * @param {string|Array} brandIds - 品牌ID或ID列表
+ * @returns {Promise<void>}
+ */
+async function refreshForBrand(brandIds) {
+    try {
+        const ids = [].concat(brandIds).map(toObjectId).filter(Boolean);
+        const stores = await BrandStore.find({ brand: { $in: ids } }).select('province city district').lean();
+        if (stores.length === 0) return;
+
+        await refreshForDocs(stores);
+    } catch (error) {
+        console.error('刷新品牌统计失败:', error);
+    }
+}
+
+/**
+ * 全量重建统计
+ * @returns {Promise<object>} - 各层级区域数量
+ */
+async function rebuildAll() {
+    await computeLevel('district');
+    await computeLevel('city');
+    await computeLevel('province');
+    await computeNational();
+    treeCache.flushAll();
+
+    const [provinces, cities, districts] = await Promise.all([
+        RegionStat.countDocuments({ level: 'province', brand: null }),
+        RegionStat.countDocuments({ level: 'city', brand: null }),
+        RegionStat.countDocuments({ level: 'district', brand: null })
+    ]);
+    return { provinces, cities, districts };
+}
+
+/**
+ * 读取某一层级多个区域的统计
+ * @param {string} level - province | city | district
+ * @param {Array} regionIds - 区域ID列表
+ * @param {string|null} brandId - 品牌ID（可选）
+ * @returns {Promise<Map>} - regionId -> 统计
+ */
+async function getStatsMap(level, regionIds, brandId = null) {
+    const stats = await RegionStat.find({
+        level,
+        region: { $in: regionIds.map(toObjectId).filter(Boolean) },
+        brand: toObjectId(brandId)
+    }).lean();
+
+    return new Map(stats.map(stat => [stat.region.toString(), stat]));
+}
+
+/**
+ * 读取单个区域（或全国）的统计
+ * @param {string} level - national | province | city | district
+ * @param {string|null} regionId - 区域ID
+ * @param {string|null} brandId - 品牌ID（可选）
+ * @returns {Promise<object|null>}
+ */
+async function getStat(level, regionId = null, brandId = null) {
+    return RegionStat.findOne({
+        level,
+        region: toObjectId(regionId),
+        brand: toObjectId(brandId)
+    }).lean();
+}
+
+/**
+ * 将统计转换为接口输出的计数字段
+ * @param {object|undefined} stat - RegionStat 文档
+ * @returns {object}
+ */
+function pickCounts(stat) {
+    return {
+        mallCount: stat?.mallCount || 0,
+        brandCount: stat?.brandCount || 0,
+        storeCount: stat?.storeCount || 0
+    };
+}
+
+module.exports = {
+    treeCache,
+    refreshRegions,
+    refreshForDocs,
+    refreshForBrand,
+    rebuildAll,
+    getStatsMap,
+    getStat,
+    pickCounts
+};
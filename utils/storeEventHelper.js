@@ -0,0 +1,300 @@
+/**
+ * 门店变更记录工具
+ * 在门店新增、更新、删除时写入 StoreEvent，并据此还原品牌在各区域的历史门店数量
+ */
+
+const mongoose = require('mongoose');
+const StoreEvent = require('../models/StoreEvent');
+const Province = require('../models/Province');
+const City = require('../models/City');
+const District = require('../models/District');
+
+// 时间线按北京时间切分日期
+const TIMEZONE = 'Asia/Shanghai';
+const TIMEZONE_OFFSET = 8 * 60 * 60 * 1000;
+const DAY = 24 * 60 * 60 * 1000;
+
+// 各粒度的默认跨度与最大时间段数量
+const GRANULARITIES = {
+    day: { label: '日', defaultDays: 30, maxPeriods: 366 },
+    month: { label: '月', defaultDays: 365, maxPeriods: 120 },
+    quarter: { label: '季度', defaultDays: 730, maxPeriods: 40 }
+};
+
+const LEVEL_MODELS = {
+    province: Province,
+    city: City,
+    district: District
+};
+
+/**
+ * 取文档中引用字段的 ID（兼容已 populate 的字段）
+ * @param {*} value - 字段值
+ * @returns {*} - ObjectId 或 null
+ */
+function refId(value) {
+    if (!value) return null;
+    return value._id || value;
+}
+
+/**
+ * 比较两个引用字段是否指向同一文档
+ * @param {*} a - 字段值
+ * @param {*} b - 字段值
+ * @returns {boolean}
+ */
+function sameRef(a, b) {
+    const idA = refId(a);
+    const idB = refId(b);
+    return (idA ? idA.toString() : null) === (idB ? idB.toString() : null);
+}
+
+/**
+ * 提取门店的位置信息
+ * @param {object} store - 门店文档
+ * @returns {object}
+ */
+function locationOf(store) {
+    return {
+        mall: refId(store.mall),
+        province: refId(store.province),
+        city: refId(store.city),
+        district: refId(store.district),
+        floor: store.floor || undefined
+    };
+}
+
+/**
+ * 比较门店变更前后的状态，生成变更记录
+ * @param {object|null} before - 变更前的门店（新增时为 null）
+ * @param {object|null} after - 变更后的门店（删除时为 null）
+ * @returns {Array} - 变更记录（未保存）
+ */
+function diffStore(before, after) {
+    const wasActive = Boolean(before && before.isActive);
+    const isActive = Boolean(after && after.isActive);
+    const store = after || before;
+    const base = { store: store._id, brand: refId(store.brand) };
+
+    if (!wasActive && isActive) {
+        return [{ ...base, type: 'opened', ...locationOf(after) }];
+    }
+    if (wasActive && !isActive) {
+        return [{ ...base, type: 'closed', ...locationOf(before) }];
+    }
+    if (!wasActive && !isActive) {
+        return [];
+    }
+
+    const events = [];
+    if (!sameRef(before.mall, after.mall)) {
+        events.push({ ...base, type: 'moved', ...locationOf(after), previous: locationOf(before) });
+    } else if ((before.floor || '') !== (after.floor || '')) {
+        events.push({ ...base, type: 'floor_changed', ...locationOf(after), previous: locationOf(before) });
+    }
+    return events;
+}
+
+/**
+ * 记录门店变更（写入失败只记录日志，不影响主流程）
+ * @param {object|null} before - 变更前的门店
+ * @param {object|null} after - 变更后的门店
+ * @param {string} operator - 操作人ID
+ * @returns {Promise<void>}
+ */
+async function recordStoreChange(before, after, operator) {
+    try {
+        const events = diffStore(before, after);
+        if (events.length === 0) return;
+
+        const occurredAt = new Date();
+        await StoreEvent.insertMany(events.map(event => ({ ...event, operator, occurredAt })));
+    } catch (error) {
+        console.error('记录门店变更失败:', error);
+    }
+}
+
+/**
+ * 转换为北京时间的日期字符串 YYYY-MM-DD
+ * @param {Date} date - 时间
+ * @returns {string}
+ */
+function toDay(date) {
+    return new Date(date.getTime() + TIMEZONE_OFFSET).toISOString().slice(0, 10);
+}
+
+/**
+ * 日期所属的时间段
+ * @param {string} day - YYYY-MM-DD
+ * @param {string} granularity - day | month | quarter
+ * @returns {string} - 如 2024-03-15、2024-03、2024-Q1
+ */
+function periodOf(day, granularity) {
+    if (granularity === 'day') return day;
+    if (granularity === 'month') return day.slice(0, 7);
+    return `${day.slice(0, 4)}-Q${Math.ceil(parseInt(day.slice(5, 7), 10) / 3)}`;
+}
+
+/**
+ * 列出起止日期间的全部时间段
+ * @param {string} startDay - 起始日期
+ * @param {string} endDay - 结束日期
+ * @param {string} granularity - 粒度
+ * @returns {Array<string>}
+ */
+function listPeriods(startDay, endDay, granularity) {
+    const periods = [];
+    const end = Date.parse(endDay);
+    for (let time = Date.parse(startDay); time <= end; time += DAY) {
+        const period = periodOf(new Date(time).toISOString().slice(0, 10), granularity);
+        if (periods[periods.length - 1] !== period) {
+            periods.push(period);
+        }
+    }
+    return periods;
+}
+
+/**
+ * 解析时间线查询参数
+ * @param {object} query - ctx.query
+ * @returns {object} - { error } 或 { level, regionId, granularity, startDay, endDay, periods }
+ */
+function parseTimelineQuery(query) {
+    const { level = 'province', regionId, granularity = 'month', startDate, endDate } = query;
+
+    if (!LEVEL_MODELS[level]) {
+        return { error: '无效的区域层级，可选值：province、city、district' };
+    }
+    if (!GRANULARITIES[granularity]) {
+        return { error: '无效的时间粒度，可选值：day、month、quarter' };
+    }
+    if (regionId && !mongoose.Types.ObjectId.isValid(regionId)) {
+        return { error: '无效的区域ID' };
+    }
+
+    const end = endDate ? new Date(endDate) : new Date();
+    const start = startDate
+        ? new Date(startDate)
+        : new Date(end.getTime() - GRANULARITIES[granularity].defaultDays * DAY);
+    if (isNaN(start.getTime()) || isNaN(end.getTime()) || start > end) {
+        return { error: '无效的起止时间' };
+    }
+
+    const startDay = toDay(start);
+    const endDay = toDay(end);
+    const periods = listPeriods(startDay, endDay, granularity);
+    const { label, maxPeriods } = GRANULARITIES[granularity];
+    if (periods.length > maxPeriods) {
+        return { error: `时间跨度过大，按${label}统计最多${maxPeriods}个时间段` };
+    }
+
+    return { level, regionId, granularity, startDay, endDay, periods };
+}
+
+/**
+ * 计算品牌在各区域的门店数量时间线
+ * @param {string} brandId - 品牌ID
+ * @param {object} options - parseTimelineQuery 的返回值
+ * @returns {Promise<object>} - { regions, periods }
+ */
+async function getBrandTimeline(brandId, { level, regionId, granularity, startDay, endDay, periods }) {
+    // 结束日期次日 0 点（北京时间）
+    const endTime = new Date(Date.parse(endDay) - TIMEZONE_OFFSET + DAY);
+
+    // 每条变更拆分为对区域门店数的增减：开店 +1，关店 -1，跨区域迁移 旧区域 -1 / 新区域 +1
+    const changes = await StoreEvent.aggregate([
+        {
+            $match: {
+                brand: new mongoose.Types.ObjectId(brandId),
+                type: { $in: ['opened', 'closed', 'moved'] },
+                occurredAt: { $lt: endTime }
+            }
+        },
+        {
+            $project: {
+                occurredAt: 1,
+                changes: {
+                    $switch: {
+                        branches: [
+                            { case: { $eq: ['$type', 'opened'] }, then: [{ region: `$${level}`, delta: 1 }] },
+                            { case: { $eq: ['$type', 'closed'] }, then: [{ region: `$${level}`, delta: -1 }] },
+                            { case: { $eq: [`$${level}`, `$previous.${level}`] }, then: [] }
+                        ],
+                        default: [
+                            { region: `$previous.${level}`, delta: -1 },
+                            { region: `$${level}`, delta: 1 }
+                        ]
+                    }
+                }
+            }
+        },
+        { $unwind: '$changes' },
+        {
+            $match: regionId
+                ? { 'changes.region': new mongoose.Types.ObjectId(regionId) }
+                : { 'changes.region': { $ne: null } }
+        },
+        {
+            $group: {
+                _id: {
+                    region: '$changes.region',
+                    day: { $dateToString: { format: '%Y-%m-%d', date: '$occurredAt', timezone: TIMEZONE } }
+                },
+                added: { $sum: { $cond: [{ $gt: ['$changes.delta', 0] }, 1, 0] } },
+                removed: { $sum: { $cond: [{ $lt: ['$changes.delta', 0] }, 1, 0] } }
+            }
+        },
+        { $sort: { '_id.day': 1 } }
+    ]);
+
+    // 起始日期前的累计值作为初始门店数
+    const counts = new Map();
+    const periodChanges = new Map(periods.map(period => [period, new Map()]));
+    changes.forEach(({ _id, added, removed }) => {
+        const region = _id.region.toString();
+        if (_id.day < startDay) {
+            counts.set(region, (counts.get(region) || 0) + added - removed);
+            return;
+        }
+
+        const bucket = periodChanges.get(periodOf(_id.day, granularity));
+        const current = bucket.get(region) || { added: 0, removed: 0 };
+        current.added += added;
+        current.removed += removed;
+        bucket.set(region, current);
+    });
+
+    const regionIds = new Set([
+        ...counts.keys(),
+        ...changes.map(change => change._id.region.toString())
+    ]);
+
+    const series = periods.map(period => {
+        const bucket = periodChanges.get(period);
+        const regionStats = [...regionIds].map(region => {
+            const change = bucket.get(region) || { added: 0, removed: 0 };
+            const count = (counts.get(region) || 0) + change.added - change.removed;
+            counts.set(region, count);
+            return { region, storeCount: count, added: change.added, removed: change.removed };
+        });
+
+        return {
+            period,
+            storeCount: regionStats.reduce((sum, item) => sum + item.storeCount, 0),
+            added: regionStats.reduce((sum, item) => sum + item.added, 0),
+            removed: regionStats.reduce((sum, item) => sum + item.removed, 0),
+            regions: regionStats.filter(item => item.storeCount > 0 || item.added > 0 || item.removed > 0)
+        };
+    });
+
+    const regions = await LEVEL_MODELS[level].find({ _id: { $in: [...regionIds] } }).select('name code').lean();
+
+    return { regions, periods: series };
+}
+
+module.exports = {
+    diffStore,
+    recordStoreChange,
+    parseTimelineQuery,
+    getBrandTimeline
+};
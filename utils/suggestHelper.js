@@ -0,0 +1,217 @@
+/**
+ * 搜索联想工具
+ * 为品牌、商场、城市名称建立独立的内存前缀索引（名称、编码、拼音全拼与首字母），
+ * 按商场点击量、品牌分值与近期搜索频次排序
+ */
+
+const Brand = require('../models/Brand');
+const Mall = require('../models/Mall');
+const City = require('../models/City');
+const { normalize, pinyinTokens } = require('./searchHelper');
+
+// 索引有效期（毫秒），过期或名称变更后在下次请求时重建
+const INDEX_TTL = parseInt(process.env.SUGGEST_INDEX_TTL) || 10 * 60 * 1000;
+
+const SUGGEST_TYPES = {
+    brand: '品牌',
+    mall: '商场',
+    city: '城市'
+};
+
+// 近期搜索频次的半衰期：7 天
+const SEARCH_HALF_LIFE = 7 * 24 * 60 * 60 * 1000;
+
+// 最多记录的搜索词数量，超出时淘汰频次最低的一半
+const MAX_TRACKED_QUERIES = 10000;
+
+let currentIndex = null;
+let builtAt = 0;
+let stale = false;
+let building = null;
+
+// 搜索词 -> { count, updatedAt }
+const recentSearches = new Map();
+
+/**
+ * 衰减后的搜索频次
+ * @param {object} item - { count, updatedAt }
+ * @param {number} now - 当前时间戳
+ * @returns {number}
+ */
+function decayedCount(item, now) {
+    return item.count * Math.pow(0.5, (now - item.updatedAt) / SEARCH_HALF_LIFE);
+}
+
+/**
+ * 记录一次搜索（统一搜索接口调用）
+ * @param {string} q - 搜索词
+ */
+function recordSearch(q) {
+    const key = normalize(q).trim();
+    if (!key) return;
+
+    const now = Date.now();
+    const item = recentSearches.get(key);
+    recentSearches.set(key, { count: (item ? decayedCount(item, now) : 0) + 1, updatedAt: now });
+
+    if (recentSearches.size > MAX_TRACKED_QUERIES) {
+        const sorted = [...recentSearches].sort((a, b) => decayedCount(a[1], now) - decayedCount(b[1], now));
+        sorted.slice(0, MAX_TRACKED_QUERIES / 2).forEach(([removed]) => recentSearches.delete(removed));
+    }
+}
+
+/**
+ * 名称的近期搜索频次
+ * @param {object} entry - 索引条目
+ * @param {number} now - 当前时间戳
+ * @returns {number}
+ */
+function searchFrequency(entry, now) {
+    const item = recentSearches.get(normalize(entry.name));
+    return item ? decayedCount(item, now) : 0;
+}
+
+/**
+ * 从数据库读取品牌、商场、城市并建立前缀索引
+ * @returns {Promise<object>} - { entries, keys: [[前缀键, 条目下标]]（已排序） }
+ */
+async function buildIndex() {
+    stale = false;
+
+    const [brands, malls, cities] = await Promise.all([
+        Brand.find({ isActive: true }).select('name code logo score').lean(),
+        Mall.find({ isActive: true }).select('name code city clickCount').populate('city', 'name').lean(),
+        City.find({ isActive: true }).select('name code province').populate('province', 'name').lean()
+    ]);
+
+    // 城市热度：城市内商场点击量之和
+    const cityClicks = new Map();
+    malls.forEach(mall => {
+        if (!mall.city) return;
+        const key = mall.city._id.toString();
+        cityClicks.set(key, (cityClicks.get(key) || 0) + (mall.clickCount || 0));
+    });
+
+    const entries = [
+        ...brands.map(brand => ({
+            type: 'brand',
+            id: brand._id,
+            name: brand.name,
+            subtitle: '',
+            code: brand.code,
+            logo: brand.logo,
+            popularity: Math.max(brand.score || 0, 0) / 5
+        })),
+        ...malls.map(mall => ({
+            type: 'mall',
+            id: mall._id,
+            name: mall.name,
+            subtitle: mall.city?.name || '',
+            code: mall.code,
+            popularity: Math.log10(1 + (mall.clickCount || 0))
+        })),
+        ...cities.map(city => ({
+            type: 'city',
+            id: city._id,
+            name: city.name,
+            subtitle: city.province?.name || '',
+            code: city.code,
+            popularity: Math.log10(1 + (cityClicks.get(city._id.toString()) || 0))
+        }))
+    ];
+
+    const keys = [];
+    entries.forEach((entry, index) => {
+        const name = normalize(entry.name).replace(/\s+/g, '');
+        const entryKeys = new Set([name, normalize(entry.code).replace(/\s+/g, ''), ...pinyinTokens(entry.name)]);
+        entryKeys.forEach(key => {
+            if (key) keys.push([key, index]);
+        });
+        delete entry.code;
+    });
+    keys.sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+
+    currentIndex = { entries, keys };
+    builtAt = Date.now();
+    return currentIndex;
+}
+
+/**
+ * 获取索引：过期或名称变更后重建；重建期间继续使用旧索引
+ * @returns {Promise<object>}
+ */
+async function getIndex() {
+    if (currentIndex && !stale && Date.now() - builtAt < INDEX_TTL) {
+        return currentIndex;
+    }
+    if (!building) {
+        building = buildIndex().finally(() => {
+            building = null;
+        });
+    }
+    return currentIndex || building;
+}
+
+/**
+ * 标记联想索引已过期（品牌、商场、城市名称变更后调用）
+ */
+function markSuggestIndexStale() {
+    stale = true;
+}
+
+/**
+ * 按前缀联想
+ * @param {object} options - { q, types, limit }
+ * @returns {Promise<Array<object>>} - [{ type, label, id, name, subtitle, logo }]
+ */
+async function suggest({ q, types = Object.keys(SUGGEST_TYPES), limit = 10 }) {
+    const prefix = normalize(q).replace(/\s+/g, '');
+    if (!prefix) return [];
+
+    const { entries, keys } = await getIndex();
+
+    // 二分查找前缀起点
+    let low = 0;
+    let high = keys.length;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (keys[mid][0] < prefix) low = mid + 1;
+        else high = mid;
+    }
+
+    const matched = new Map();
+    for (let i = low; i < keys.length && keys[i][0].startsWith(prefix); i++) {
+        const [key, index] = keys[i];
+        const entry = entries[index];
+        if (!types.includes(entry.type)) continue;
+        // 同一条目多个键命中时取完全匹配
+        matched.set(index, matched.get(index) || key === prefix);
+    }
+
+    const now = Date.now();
+    return [...matched]
+        .map(([index, exact]) => {
+            const entry = entries[index];
+            return {
+                entry,
+                rank: (exact ? 3 : 0) + entry.popularity + 2 * Math.log10(1 + searchFrequency(entry, now))
+            };
+        })
+        .sort((a, b) => b.rank - a.rank || a.entry.name.length - b.entry.name.length)
+        .slice(0, limit)
+        .map(({ entry }) => ({
+            type: entry.type,
+            label: SUGGEST_TYPES[entry.type],
+            id: entry.id,
+            name: entry.name,
+            subtitle: entry.subtitle,
+            ...(entry.logo ? { logo: entry.logo } : {})
+        }));
+}
+
+module.exports = {
+    SUGGEST_TYPES,
+    recordSearch,
+    suggest,
+    markSuggestIndexStale
+};
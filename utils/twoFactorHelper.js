@@ -0,0 +1,287 @@
+/**
+ * 两步验证工具
+ * TOTP（RFC 6238，30 秒步长、6 位数字，兼容常见验证器 App）、恢复码与登录二次验证凭证；
+ * TOTP 密钥使用 AES-256-GCM 加密后保存，恢复码只保存哈希
+ */
+
+const crypto = require('crypto');
+const jsonwebtoken = require('jsonwebtoken');
+const NodeCache = require('node-cache');
+const { DESTRUCTIVE_PERMISSIONS } = require('../config/permissions');
+const { resolvePermissions } = require('./permissionHelper');
+
+const TOTP_PERIOD = 30;
+const TOTP_DIGITS = 6;
+
+// 允许前后各 1 个步长的时钟误差
+const TOTP_WINDOW = 1;
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || '懂商帝';
+
+const RECOVERY_CODE_COUNT = 10;
+
+// 二次验证凭证有效期与最多尝试次数
+const CHALLENGE_EXPIRES_IN = '5m';
+const MAX_CHALLENGE_ATTEMPTS = 5;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// 凭证失败次数（jti -> 次数），过期时间与凭证一致；验证通过后记为上限，凭证不能再次使用
+const challengeAttempts = new NodeCache({ stdTTL: 5 * 60 });
+
+/**
+ * Base32 编码（RFC 4648，不补 =）
+ * @param {Buffer} buffer - 原始数据
+ * @returns {string}
+ */
+function base32Encode(buffer) {
+    let bits = '';
+    buffer.forEach(byte => {
+        bits += byte.toString(2).padStart(8, '0');
+    });
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+}
+
+/**
+ * Base32 解码（忽略空格、= 与大小写）
+ * @param {string} input - Base32 字符串
+ * @returns {Buffer}
+ */
+function base32Decode(input) {
+    const clean = String(input).toUpperCase().replace(/[\s=]/g, '');
+    let bits = '';
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('无效的 Base32 字符');
+        bits += index.toString(2).padStart(5, '0');
+    }
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * 生成 TOTP 密钥（160 位）
+ * @returns {string} - Base32 字符串
+ */
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * 计算 HOTP（RFC 4226）
+ * @param {Buffer} key - 密钥
+ * @param {number} counter - 计数器
+ * @returns {string}
+ */
+function hotp(key, counter) {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigUInt64BE(BigInt(counter));
+    const hmac = crypto.createHmac('sha1', key).update(buffer).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+    return String(binary).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * 当前时间步
+ * @param {number} time - 毫秒时间戳
+ * @returns {number}
+ */
+function currentStep(time = Date.now()) {
+    return Math.floor(time / 1000 / TOTP_PERIOD);
+}
+
+/**
+ * 生成指定时间的 TOTP
+ * @param {string} secret - Base32 密钥
+ * @param {number} time - 毫秒时间戳
+ * @returns {string}
+ */
+function generateTotp(secret, time = Date.now()) {
+    return hotp(base32Decode(secret), currentStep(time));
+}
+
+/**
+ * 校验 TOTP；同一步长的验证码只能使用一次
+ * @param {string} secret - Base32 密钥
+ * @param {string} code - 用户输入的验证码
+ * @param {number} lastUsedStep - 上次成功验证的步长
+ * @returns {number|null} - 匹配的步长
+ */
+function verifyTotp(secret, code, lastUsedStep = -1) {
+    const input = String(code || '').replace(/\s/g, '');
+    if (!/^\d+$/.test(input) || input.length !== TOTP_DIGITS) return null;
+
+    const key = base32Decode(secret);
+    const step = currentStep();
+    for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset++) {
+        const candidate = step + offset;
+        if (candidate <= lastUsedStep) continue;
+        const expected = hotp(key, candidate);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(input))) {
+            return candidate;
+        }
+    }
+    return null;
+}
+
+/**
+ * 验证器 App 扫码使用的 otpauth 地址
+ * @param {string} secret - Base32 密钥
+ * @param {string} account - 账户名（邮箱）
+ * @returns {string}
+ */
+function otpauthUrl(secret, account) {
+    const label = encodeURIComponent(`${ISSUER}:${account}`);
+    return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(ISSUER)}&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_PERIOD}`;
+}
+
+/**
+ * 密钥加密使用的 256 位密钥
+ * @returns {Buffer}
+ */
+function encryptionKey() {
+    return crypto.createHash('sha256')
+        .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || '')
+        .digest();
+}
+
+/**
+ * 加密 TOTP 密钥
+ * @param {string} secret - Base32 密钥
+ * @returns {string} - iv.tag.密文（Base64）
+ */
+function encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+}
+
+/**
+ * 解密 TOTP 密钥
+ * @param {string} stored - encryptSecret 的返回值
+ * @returns {string}
+ */
+function decryptSecret(stored) {
+    const [iv, tag, encrypted] = String(stored).split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+/**
+ * 恢复码哈希（忽略大小写、空格与连字符）
+ * @param {string} code - 恢复码
+ * @returns {string}
+ */
+function hashRecoveryCode(code) {
+    const normalized = String(code || '').toLowerCase().replace(/[\s-]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * 生成一组恢复码
+ * @returns {object} - { codes: 明文（只展示一次）, hashes: 保存的哈希 }
+ */
+function generateRecoveryCodes() {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const hex = crypto.randomBytes(5).toString('hex');
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/**
+ * 查找匹配的恢复码
+ * @param {Array<string>} hashes - 已保存的恢复码哈希
+ * @param {string} code - 用户输入
+ * @returns {number} - 匹配的下标，未匹配返回 -1
+ */
+function matchRecoveryCode(hashes, code) {
+    const hash = hashRecoveryCode(code);
+    return (hashes || []).findIndex(item => item === hash);
+}
+
+/**
+ * 账户是否必须开启两步验证：管理员及拥有任一 DESTRUCTIVE_PERMISSIONS 权限的角色
+ * @param {object} user - 用户（含 role、roles）
+ * @returns {boolean}
+ */
+function requiresTwoFactor(user) {
+    return resolvePermissions(user).some(permission => DESTRUCTIVE_PERMISSIONS.includes(permission));
+}
+
+/**
+ * 签发二次验证凭证：密码或邮箱验证码通过后，凭此完成二次验证或开启两步验证
+ * @param {object} user - 用户
+ * @param {string} purpose - verify 二次验证 | setup 管理员首次开启
+ * @param {string} method - 第一步的登录方式：password | email_code
+ * @returns {string}
+ */
+function signChallenge(user, purpose, method) {
+    return jsonwebtoken.sign(
+        { userId: user._id, purpose: `two_factor_${purpose}`, method },
+        process.env.JWT_SECRET,
+        { expiresIn: CHALLENGE_EXPIRES_IN, jwtid: crypto.randomBytes(8).toString('hex') }
+    );
+}
+
+/**
+ * 校验二次验证凭证
+ * @param {string} token - 凭证
+ * @param {string} purpose - verify | setup
+ * @returns {object|null} - 凭证载荷
+ */
+function verifyChallenge(token, purpose) {
+    try {
+        const payload = jsonwebtoken.verify(String(token || ''), process.env.JWT_SECRET);
+        if (payload.purpose !== `two_factor_${purpose}`) return null;
+        if ((challengeAttempts.get(payload.jti) || 0) >= MAX_CHALLENGE_ATTEMPTS) return null;
+        return payload;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * 记录一次验证失败
+ * @param {object} challenge - 凭证载荷
+ * @returns {number} - 剩余尝试次数
+ */
+function recordChallengeFailure(challenge) {
+    const attempts = (challengeAttempts.get(challenge.jti) || 0) + 1;
+    challengeAttempts.set(challenge.jti, attempts);
+    return Math.max(MAX_CHALLENGE_ATTEMPTS - attempts, 0);
+}
+
+/**
+ * 验证通过后作废凭证
+ * @param {object} challenge - 凭证载荷
+ */
+function consumeChallenge(challenge) {
+    challengeAttempts.set(challenge.jti, MAX_CHALLENGE_ATTEMPTS);
+}
+
+module.exports = {
+    generateSecret,
+    generateTotp,
+    verifyTotp,
+    otpauthUrl,
+    encryptSecret,
+    decryptSecret,
+    generateRecoveryCodes,
+    matchRecoveryCode,
+    requiresTwoFactor,
+    signChallenge,
+    verifyChallenge,
+    recordChallengeFailure,
+    consumeChallenge
+};
@@ -0,0 +1,172 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const {
+    generateSecret,
+    generateTotp,
+    verifyTotp,
+    encryptSecret,
+    decryptSecret,
+    generateRecoveryCodes,
+    matchRecoveryCode,
+    requiresTwoFactor,
+    signChallenge,
+    verifyChallenge,
+    recordChallengeFailure,
+    consumeChallenge
+} = require('./twoFactorHelper');
+
+// RFC 6238 附录 B 的 SHA1 测试密钥（ASCII "12345678901234567890"）
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('generateTotp', () => {
+    test.each([
+        [59, '287082'],
+        [1111111109, '081804'],
+        [1234567890, '005924'],
+        [2000000000, '279037']
+    ])('RFC 6238 测试向量：%i 秒生成 %s', (seconds, code) => {
+        expect(generateTotp(RFC_SECRET, seconds * 1000)).toBe(code);
+    });
+
+    test('生成的密钥为 32 位 Base32', () => {
+        expect(generateSecret()).toMatch(/^[A-Z2-7]{32}$/);
+    });
+});
+
+describe('verifyTotp', () => {
+    const now = 1111111109 * 1000;
+    const step = Math.floor(now / 1000 / 30);
+
+    beforeEach(() => {
+        jest.spyOn(Date, 'now').mockReturnValue(now);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('当前步长的验证码返回该步长', () => {
+        expect(verifyTotp(RFC_SECRET, '081804')).toBe(step);
+    });
+
+    test('允许前后各 1 个步长的时钟误差', () => {
+        expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now - 30000))).toBe(step - 1);
+        expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now + 30000))).toBe(step + 1);
+    });
+
+    test('超出误差范围的验证码无效', () => {
+        expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now - 90000))).toBeNull();
+    });
+
+    test('已使用过的步长不能再次使用', () => {
+        expect(verifyTotp(RFC_SECRET, '081804', step)).toBeNull();
+        expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now - 30000), step - 1)).toBeNull();
+    });
+
+    test('忽略空格，拒绝非数字与长度不符的输入', () => {
+        expect(verifyTotp(RFC_SECRET, '081 804')).toBe(step);
+        expect(verifyTotp(RFC_SECRET, '08180a')).toBeNull();
+        expect(verifyTotp(RFC_SECRET, '81804')).toBeNull();
+        expect(verifyTotp(RFC_SECRET, '')).toBeNull();
+        expect(verifyTotp(RFC_SECRET, null)).toBeNull();
+    });
+});
+
+describe('encryptSecret / decryptSecret', () => {
+    test('加密后可解密，同一密钥每次密文不同', () => {
+        const secret = generateSecret();
+        const first = encryptSecret(secret);
+        const second = encryptSecret(secret);
+
+        expect(first).not.toBe(second);
+        expect(first).not.toContain(secret);
+        expect(decryptSecret(first)).toBe(secret);
+        expect(decryptSecret(second)).toBe(secret);
+    });
+
+    test('密文被篡改时解密失败', () => {
+        const [iv, tag, encrypted] = encryptSecret(RFC_SECRET).split('.');
+        const tampered = Buffer.from(encrypted, 'base64');
+        tampered[0] ^= 1;
+
+        expect(() => decryptSecret([iv, tag, tampered.toString('base64')].join('.'))).toThrow();
+    });
+});
+
+describe('恢复码', () => {
+    test('生成 10 个不重复的恢复码，只保存哈希', () => {
+        const { codes, hashes } = generateRecoveryCodes();
+
+        expect(codes).toHaveLength(10);
+        expect(new Set(codes).size).toBe(10);
+        codes.forEach(code => expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+        hashes.forEach((hash, index) => {
+            expect(hash).toMatch(/^[0-9a-f]{64}$/);
+            expect(hash).not.toContain(codes[index].replace('-', ''));
+        });
+    });
+
+    test('匹配时忽略大小写、空格与连字符', () => {
+        const { codes, hashes } = generateRecoveryCodes();
+        const code = codes[3];
+
+        expect(matchRecoveryCode(hashes, code)).toBe(3);
+        expect(matchRecoveryCode(hashes, code.toUpperCase())).toBe(3);
+        expect(matchRecoveryCode(hashes, ` ${code.replace('-', ' ')} `)).toBe(3);
+        expect(matchRecoveryCode(hashes, code.replace('-', ''))).toBe(3);
+    });
+
+    test('未匹配或没有恢复码时返回 -1', () => {
+        const { hashes } = generateRecoveryCodes();
+
+        expect(matchRecoveryCode(hashes, '00000-00000')).toBe(-1);
+        expect(matchRecoveryCode(hashes, '')).toBe(-1);
+        expect(matchRecoveryCode(null, '00000-00000')).toBe(-1);
+    });
+});
+
+describe('二次验证凭证', () => {
+    const user = { _id: '64b000000000000000000001' };
+
+    test('凭证只能用于签发时的用途', () => {
+        const token = signChallenge(user, 'verify', 'password');
+
+        expect(verifyChallenge(token, 'verify')).toMatchObject({ userId: user._id, method: 'password' });
+        expect(verifyChallenge(token, 'setup')).toBeNull();
+        expect(verifyChallenge('invalid', 'verify')).toBeNull();
+    });
+
+    test('失败 5 次后凭证失效', () => {
+        const token = signChallenge(user, 'verify', 'password');
+        const challenge = verifyChallenge(token, 'verify');
+
+        expect(recordChallengeFailure(challenge)).toBe(4);
+        for (let i = 0; i < 3; i++) recordChallengeFailure(challenge);
+        expect(verifyChallenge(token, 'verify')).not.toBeNull();
+        expect(recordChallengeFailure(challenge)).toBe(0);
+        expect(verifyChallenge(token, 'verify')).toBeNull();
+    });
+
+    test('验证通过后凭证不能再次使用', () => {
+        const token = signChallenge(user, 'verify', 'email_code');
+        const challenge = verifyChallenge(token, 'verify');
+
+        consumeChallenge(challenge);
+        expect(verifyChallenge(token, 'verify')).toBeNull();
+    });
+});
+
+describe('requiresTwoFactor', () => {
+    test('管理员及拥有可删除数据权限的角色必须开启', () => {
+        expect(requiresTwoFactor({ role: 'admin' })).toBe(true);
+        expect(requiresTwoFactor({ role: 'user', roles: ['super_admin'] })).toBe(true);
+        expect(requiresTwoFactor({ role: 'user', roles: ['data_editor'] })).toBe(true);
+        expect(requiresTwoFactor({ role: 'user', roles: ['moderator'] })).toBe(true);
+    });
+
+    test('普通用户及只有查看、回复权限的角色不强制开启', () => {
+        expect(requiresTwoFactor({ role: 'user' })).toBe(false);
+        expect(requiresTwoFactor({ role: 'user', roles: ['support_agent'] })).toBe(false);
+        expect(requiresTwoFactor({ role: 'user', roles: ['unknown'] })).toBe(false);
+    });
+});